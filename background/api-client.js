@@ -1,21 +1,39 @@
-// Salesforce API Client - Makes authenticated calls using XMLHttpRequest with Bearer token
+// Salesforce API Client - Makes authenticated calls for the current session with Bearer token
 // Based on Salesforce Inspector Reloaded's proven approach
 
 import SessionManager from './session-manager.js';
+import RequestClient from './request-client.js';
 
 class SalesforceAPI {
   /**
    * Makes an authenticated REST API call to Salesforce
+   * Retries, throttling and session refresh are handled by RequestClient
    * @param {string} endpoint - The API endpoint (e.g., '/services/data/v59.0/sobjects')
    * @param {object} options - Request options
    * @param {string} options.method - HTTP method (GET, POST, PUT, DELETE, PATCH)
    * @param {object} options.body - Request body for POST/PUT/PATCH
    * @param {object} options.headers - Additional headers
+   * @param {object} options.session - Optional org session to call instead of the current one
    * @returns {Promise<any>} - Parsed JSON response
    */
-  async callAPI(endpoint, { method = 'GET', body = null, headers = {} } = {}) {
-    // Get current session
-    const session = await SessionManager.getCurrentSession();
+  async callAPI(endpoint, { method = 'GET', body = null, headers = {}, session = null } = {}) {
+    const activeSession = await this.getSession(session);
+
+    try {
+      return await RequestClient.request(activeSession, endpoint, { method, body, headers });
+    } catch (error) {
+      console.error('[SalesforceAPI] Request error:', { endpoint, message: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the session to call, throwing a user-facing error if there is none
+   * @param {object} selectedSession - Optional org session to use instead of the current one
+   * @returns {Promise<object>} Session object
+   */
+  async getSession(selectedSession = null) {
+    const session = selectedSession || await SessionManager.getCurrentSession();
 
     // Check for error response from SessionManager
     if (!session || session.error) {
@@ -27,155 +45,7 @@ class SalesforceAPI {
       throw new Error('Invalid session: missing session ID.');
     }
 
-    // Build full URL
-    const fullUrl = new URL(endpoint, session.instanceUrl);
-
-    // Detect if running in service worker context (Manifest V3)
-    // Service workers don't have XMLHttpRequest, must use fetch
-    const isServiceWorker = typeof XMLHttpRequest === 'undefined';
-
-    if (isServiceWorker) {
-      // Use fetch API in service worker context
-      const fetchHeaders = {
-        'Authorization': 'Bearer ' + session.sessionId,
-        'Accept': 'application/json; charset=UTF-8',
-        'Content-Type': 'application/json; charset=UTF-8',
-        'Sforce-Call-Options': 'client=Salesforce Picklist Manager',
-        ...headers
-      };
-
-      const fetchOptions = {
-        method: method,
-        headers: fetchHeaders
-      };
-
-      if (body && method !== 'GET') {
-        fetchOptions.body = JSON.stringify(body);
-      }
-
-      try {
-        const response = await fetch(fullUrl.toString(), fetchOptions);
-
-        if (response.status >= 200 && response.status < 300) {
-          // PATCH operations often return 204 No Content (empty response)
-          // Check if there's actually content before trying to parse JSON
-          const contentType = response.headers.get('content-type');
-          const contentLength = response.headers.get('content-length');
-
-          if (response.status === 204 || contentLength === '0' || !contentType?.includes('application/json')) {
-            // Return success indicator for empty responses
-            return { success: true };
-          }
-
-          // Try to parse JSON, but handle empty responses gracefully
-          const text = await response.text();
-          if (!text || text.trim().length === 0) {
-            return { success: true };
-          }
-
-          return JSON.parse(text);
-        } else if (response.status === 401) {
-          const error = new Error('Session expired or invalid. Please refresh the Salesforce page and try again.');
-          error.code = 'SESSION_EXPIRED';
-          throw error;
-        } else if (response.status === 403) {
-          const error = new Error('Access denied. Check your Salesforce permissions.');
-          error.code = 'ACCESS_DENIED';
-          throw error;
-        } else {
-          let errorMessage = response.statusText;
-          try {
-            const errorBody = await response.json();
-            // Salesforce API errors are often arrays
-            if (errorBody && Array.isArray(errorBody)) {
-              errorMessage = errorBody.map(err => err?.message || JSON.stringify(err)).join(', ');
-            } else if (errorBody && errorBody.message) {
-              errorMessage = errorBody.message;
-            } else if (errorBody) {
-              errorMessage = JSON.stringify(errorBody);
-            }
-          } catch (e) {
-            // Ignore if response is not JSON
-            console.error('[SalesforceAPI] Error parsing error response:', e);
-          }
-          const fullError = new Error(`API Error ${response.status}: ${errorMessage}`);
-          console.error('[SalesforceAPI] Full error response:', { status: response.status, errorMessage });
-          throw fullError;
-        }
-      } catch (error) {
-        console.error('[SalesforceAPI] Fetch error:', error);
-        throw error;
-      }
-    } else {
-      // Use XMLHttpRequest for extension pages (popup, sidepanel, etc.)
-      // Extension pages can use XMLHttpRequest for cross-origin requests
-      return new Promise((resolve, reject) => {
-        const xhr = new XMLHttpRequest();
-        xhr.open(method, fullUrl.toString(), true);
-
-        // Set headers
-        xhr.setRequestHeader('Authorization', 'Bearer ' + session.sessionId);
-        xhr.setRequestHeader('Accept', 'application/json; charset=UTF-8');
-        xhr.setRequestHeader('Content-Type', 'application/json; charset=UTF-8');
-        xhr.setRequestHeader('Sforce-Call-Options', 'client=Salesforce Picklist Manager');
-
-        // Add any additional headers
-        for (const [name, value] of Object.entries(headers)) {
-          xhr.setRequestHeader(name, value);
-        }
-
-        // Set response type
-        xhr.responseType = 'json';
-
-        xhr.onreadystatechange = () => {
-          if (xhr.readyState === 4) {
-            if (xhr.status >= 200 && xhr.status < 300) {
-              resolve(xhr.response);
-            } else if (xhr.status === 401) {
-              const error = new Error('Session expired or invalid. Please refresh the Salesforce page and try again.');
-              error.code = 'SESSION_EXPIRED';
-              reject(error);
-            } else if (xhr.status === 403) {
-              const error = new Error('Access denied. Check your Salesforce permissions.');
-              error.code = 'ACCESS_DENIED';
-              reject(error);
-            } else if (xhr.status === 0) {
-              reject(new Error('Network error or CORS issue. Make sure you are logged into Salesforce.'));
-            } else {
-              const errorMessage = xhr.response
-                ? JSON.stringify(xhr.response)
-                : xhr.statusText;
-              reject(new Error(`API Error ${xhr.status}: ${errorMessage}`));
-            }
-          }
-        };
-
-        xhr.onerror = () => {
-          console.error('[SalesforceAPI] XHR error event');
-          reject(new Error('Network error. Check your internet connection.'));
-        };
-
-        xhr.ontimeout = () => {
-          console.error('[SalesforceAPI] XHR timeout');
-          reject(new Error('Request timeout.'));
-        };
-
-        // Set timeout (30 seconds)
-        xhr.timeout = 30000;
-
-        // Send request
-        try {
-          if (body && method !== 'GET') {
-            xhr.send(JSON.stringify(body));
-          } else {
-            xhr.send();
-          }
-        } catch (error) {
-          console.error('[SalesforceAPI] Send error:', error);
-          reject(error);
-        }
-      });
-    }
+    return session;
   }
 
   /**
@@ -199,64 +69,60 @@ class SalesforceAPI {
   /**
    * Get object metadata including picklist fields
    * @param {string} objectName - API name of the object (e.g., 'Account')
+   * @param {object} session - Optional org session
    * @returns {Promise<object>} Object metadata
    */
-  async getObjectMetadata(objectName) {
-    const response = await this.callAPI(`/services/data/v59.0/sobjects/${objectName}/describe`);
+  async getObjectMetadata(objectName, session = null) {
+    const response = await this.callAPI(`/services/data/v59.0/sobjects/${objectName}/describe`, { session });
     return response;
   }
 
   /**
    * Execute a SOQL query
+   * All pages are read via nextRecordsUrl, so results are never truncated at 2000 rows
    * @param {string} soql - The SOQL query
+   * @param {object} session - Optional org session
    * @returns {Promise<object>} Query results
    */
-  async query(soql) {
+  async query(soql, session = null) {
     const encodedQuery = encodeURIComponent(soql);
-    const response = await this.callAPI(`/services/data/v59.0/query?q=${encodedQuery}`);
+    const response = await this.callAPI(`/services/data/v59.0/query?q=${encodedQuery}`, { session });
     return response;
   }
 
+  /**
+   * Stream a SOQL query record by record for result sets too large to hold at once
+   * @param {string} soql - The SOQL query
+   * @param {object} options - { tooling: boolean, session: optional org session }
+   * @returns {AsyncGenerator<object>} Records
+   * @example
+   * for await (const record of SalesforceAPI.queryIterator('SELECT Id FROM FieldPermissions')) { ... }
+   */
+  async *queryIterator(soql, { session = null, ...options } = {}) {
+    const activeSession = await this.getSession(session);
+    yield* RequestClient.queryRecords(activeSession, soql, options);
+  }
+
   /**
    * Make a SOAP API call (for Metadata API)
    * @param {string} soapEnvelope - The SOAP XML envelope
    * @returns {Promise<string>} XML response
    */
   async soapCall(soapEnvelope) {
-    const session = await SessionManager.getCurrentSession();
-
-    // Check for error response from SessionManager
-    if (!session || session.error) {
-      const errorMessage = session?.message || 'No active Salesforce session. Please open this extension from a Salesforce tab.';
-      throw new Error(errorMessage);
-    }
-
-    const endpoint = '/services/Soap/m/59.0';
-    const fullUrl = new URL(endpoint, session.instanceUrl);
+    const session = await this.getSession();
 
-    return new Promise((resolve, reject) => {
-      const xhr = new XMLHttpRequest();
-      xhr.open('POST', fullUrl.toString(), true);
-
-      xhr.setRequestHeader('Content-Type', 'text/xml; charset=UTF-8');
-      xhr.setRequestHeader('SOAPAction', '""');
-      xhr.responseType = 'text';
-
-      xhr.onreadystatechange = () => {
-        if (xhr.readyState === 4) {
-          if (xhr.status >= 200 && xhr.status < 300) {
-            resolve(xhr.response);
-          } else {
-            reject(new Error(`SOAP Error ${xhr.status}: ${xhr.statusText}`));
-          }
-        }
-      };
+    const response = await RequestClient.fetch(session, '/services/Soap/m/59.0', {
+      method: 'POST',
+      body: soapEnvelope,
+      contentType: 'text/xml; charset=UTF-8',
+      headers: { 'SOAPAction': '""' }
+    });
 
-      xhr.onerror = () => reject(new Error('Network error'));
-      xhr.timeout = 30000;
+    if (!response.ok) {
+      throw new Error(`SOAP Error ${response.status}: ${response.statusText}`);
+    }
 
-      xhr.send(soapEnvelope);
-    });
+    return response.text();
   }
 }
 
@@ -12,9 +12,10 @@ class BatchJobAPI {
    * @param {string} options.jobType - Filter by job type (BatchApex, Future, Queueable, ScheduledApex)
    * @param {number} options.limit - Maximum number of records to return (default 50)
    * @param {string} options.orderBy - Field to order by (default CreatedDate DESC)
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<Array>} Array of job records
    */
-  static async getAsyncApexJobs(options = {}) {
+  static async getAsyncApexJobs(options = {}, session = null) {
 
     const { status, jobType, limit = 50, orderBy = 'CreatedDate DESC' } = options;
 
@@ -47,7 +48,7 @@ class BatchJobAPI {
     const endpoint = `/services/data/v59.0/tooling/query/?q=${encodeURIComponent(query)}`;
 
     try {
-      const response = await SalesforceAPI.callAPI(endpoint);
+      const response = await SalesforceAPI.callAPI(endpoint, { session });
       return response.records || [];
     } catch (error) {
       console.error('[BatchJobAPI] Error querying jobs:', error);
@@ -59,9 +60,10 @@ class BatchJobAPI {
    * Get active jobs (running or queued)
    * @param {number} limit - Maximum number of records
    * @param {Array} classNames - Optional array of class names to filter by
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<Array>} Array of active job records
    */
-  static async getActiveJobs(limit = 50, classNames = null) {
+  static async getActiveJobs(limit = 50, classNames = null, session = null) {
 
     let classFilter = '';
     if (classNames && classNames.length > 0) {
@@ -83,7 +85,7 @@ class BatchJobAPI {
     const endpoint = `/services/data/v59.0/tooling/query/?q=${encodeURIComponent(query)}`;
 
     try {
-      const response = await SalesforceAPI.callAPI(endpoint);
+      const response = await SalesforceAPI.callAPI(endpoint, { session });
       return response.records || [];
     } catch (error) {
       console.error('[BatchJobAPI] Error querying active jobs:', error);
@@ -96,9 +98,10 @@ class BatchJobAPI {
    * @param {number} hours - Number of hours to look back (default 24)
    * @param {number} limit - Maximum number of records
    * @param {Array} classNames - Optional array of class names to filter by
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<Array>} Array of completed job records
    */
-  static async getRecentCompletedJobs(hours = 24, limit = 50, classNames = null) {
+  static async getRecentCompletedJobs(hours = 24, limit = 50, classNames = null, session = null) {
 
     // Calculate date threshold
     const threshold = new Date(Date.now() - hours * 60 * 60 * 1000);
@@ -125,7 +128,7 @@ class BatchJobAPI {
     const endpoint = `/services/data/v59.0/tooling/query/?q=${encodeURIComponent(query)}`;
 
     try {
-      const response = await SalesforceAPI.callAPI(endpoint);
+      const response = await SalesforceAPI.callAPI(endpoint, { session });
       return response.records || [];
     } catch (error) {
       console.error('[BatchJobAPI] Error querying completed jobs:', error);
@@ -136,15 +139,16 @@ class BatchJobAPI {
   /**
    * Get all jobs (active and recent completed)
    * @param {number} limit - Maximum number of records per category
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<object>} Object with active and completed job arrays
    */
-  static async getAllJobs(limit = 25) {
+  static async getAllJobs(limit = 25, session = null) {
 
     try {
       // Run both queries in parallel
       const [activeJobs, completedJobs] = await Promise.all([
-        this.getActiveJobs(limit),
-        this.getRecentCompletedJobs(24, limit)
+        this.getActiveJobs(limit, null, session),
+        this.getRecentCompletedJobs(24, limit, null, session)
       ]);
 
       return {
@@ -160,16 +164,17 @@ class BatchJobAPI {
   /**
    * Abort a running batch job
    * @param {string} jobId - The AsyncApexJob Id
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<object>} Result of abort operation
    */
-  static async abortJob(jobId) {
+  static async abortJob(jobId, session = null) {
 
     // Use SOQL to get the job's JobType first
     const query = `SELECT Id, JobType, Status FROM AsyncApexJob WHERE Id = '${jobId}'`;
     const queryEndpoint = `/services/data/v59.0/tooling/query/?q=${encodeURIComponent(query)}`;
 
     try {
-      const queryResponse = await SalesforceAPI.callAPI(queryEndpoint);
+      const queryResponse = await SalesforceAPI.callAPI(queryEndpoint, { session });
 
       if (!queryResponse.records || queryResponse.records.length === 0) {
         throw new Error(`Job not found: ${jobId}`);
@@ -189,7 +194,7 @@ class BatchJobAPI {
       const executeEndpoint = '/services/data/v59.0/tooling/executeAnonymous/?anonymousBody=' +
         encodeURIComponent(abortCode);
 
-      const response = await SalesforceAPI.callAPI(executeEndpoint);
+      const response = await SalesforceAPI.callAPI(executeEndpoint, { session });
 
       if (response.success) {
         return { success: true, jobId };
@@ -205,9 +210,10 @@ class BatchJobAPI {
   /**
    * Get scheduled jobs (CronTrigger)
    * @param {number} limit - Maximum number of records
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<Array>} Array of scheduled job records
    */
-  static async getScheduledJobs(limit = 50) {
+  static async getScheduledJobs(limit = 50, session = null) {
 
     const query = `
       SELECT Id, CronJobDetail.Name, CronJobDetail.JobType, State,
@@ -222,7 +228,7 @@ class BatchJobAPI {
     const endpoint = `/services/data/v59.0/query/?q=${encodeURIComponent(query)}`;
 
     try {
-      const response = await SalesforceAPI.callAPI(endpoint);
+      const response = await SalesforceAPI.callAPI(endpoint, { session });
       return response.records || [];
     } catch (error) {
       console.error('[BatchJobAPI] Error querying scheduled jobs:', error);
@@ -235,9 +241,10 @@ class BatchJobAPI {
    * @param {string} cronTriggerId - The CronTrigger Id
    * @param {string} className - The Apex class name to execute
    * @param {number} batchSize - Optional batch size (default 200)
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<object>} Result with new job ID
    */
-  static async executeScheduledJobNow(cronTriggerId, className, batchSize = 200) {
+  static async executeScheduledJobNow(cronTriggerId, className, batchSize = 200, session = null) {
 
     try {
       // Use Database.executeBatch to run the batch job immediately
@@ -250,7 +257,7 @@ class BatchJobAPI {
       const endpoint = '/services/data/v59.0/tooling/executeAnonymous/?anonymousBody=' +
         encodeURIComponent(executeCode);
 
-      const response = await SalesforceAPI.callAPI(endpoint);
+      const response = await SalesforceAPI.callAPI(endpoint, { session });
 
       if (response.success) {
 
@@ -265,7 +272,7 @@ class BatchJobAPI {
         `;
 
         const queryEndpoint = `/services/data/v59.0/tooling/query/?q=${encodeURIComponent(query)}`;
-        const jobResponse = await SalesforceAPI.callAPI(queryEndpoint);
+        const jobResponse = await SalesforceAPI.callAPI(queryEndpoint, { session });
 
         const jobId = jobResponse.records?.[0]?.Id || null;
 
@@ -288,9 +295,10 @@ class BatchJobAPI {
   /**
    * Get deployment status
    * @param {string} deploymentId - Optional specific deployment ID
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<Array>} Array of deployment records
    */
-  static async getDeployments(deploymentId = null) {
+  static async getDeployments(deploymentId = null, session = null) {
 
     let query = `
       SELECT Id, Status, StartDate, CompletedDate,
@@ -309,7 +317,7 @@ class BatchJobAPI {
     const endpoint = `/services/data/v59.0/tooling/query/?q=${encodeURIComponent(query)}`;
 
     try {
-      const response = await SalesforceAPI.callAPI(endpoint);
+      const response = await SalesforceAPI.callAPI(endpoint, { session });
       return response.records || [];
     } catch (error) {
       console.error('[BatchJobAPI] Error querying deployments:', error);
@@ -319,9 +327,10 @@ class BatchJobAPI {
 
   /**
    * Get job summary statistics
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<object>} Summary statistics
    */
-  static async getJobSummary() {
+  static async getJobSummary(session = null) {
 
     try {
       // Get counts by status
@@ -333,7 +342,7 @@ class BatchJobAPI {
       `;
 
       const endpoint = `/services/data/v59.0/tooling/query/?q=${encodeURIComponent(query)}`;
-      const response = await SalesforceAPI.callAPI(endpoint);
+      const response = await SalesforceAPI.callAPI(endpoint, { session });
 
       const summary = {
         queued: 0,
@@ -0,0 +1,435 @@
+/**
+ * Bulk API 2.0
+ * Ingest jobs for large-volume inserts/upserts (create job, upload CSV, poll, download results)
+ */
+
+import RequestClient from './request-client.js';
+
+const API_VERSION = '59.0';
+const MAX_JOB_BYTES = 100 * 1024 * 1024; // Salesforce accepts 150MB per upload; stay well below it
+const POLL_INTERVAL_MIN = 2000;
+const POLL_INTERVAL_MAX = 10000;
+const POLL_TIMEOUT = 60 * 60 * 1000; // Give up after an hour
+const KEY_SEPARATOR = '\u0001';
+
+const BulkAPI = {
+
+  /**
+   * Run one or more ingest jobs for a set of records and collect per-record results
+   * Records are split across jobs when the CSV would exceed the upload limit
+   * @param {Object} session - Target session
+   * @param {Object} options - Job options
+   * @param {string} options.objectName - Object API name
+   * @param {string} options.operation - 'insert', 'upsert', 'update' or 'delete'
+   * @param {string} options.externalIdField - External ID field (required for upsert)
+   * @param {Array} options.records - Array of { key, record } where key identifies the source record
+   * @param {Function} onProgress - Optional progress callback (processed, total)
+   * @param {Object} hooks - Optional callbacks, awaited before the run continues
+   * @param {Function} hooks.onJobCreated - (jobId, keys, rowMapping) right after a job is created, before any data is uploaded;
+   *   rowMapping is what resumeIngestJob needs to map the job's results back to keys
+   * @param {Function} hooks.onJobComplete - (jobId, jobResults, keys) once a job's results are downloaded
+   * @returns {Promise<Object>} { jobIds, successful: [{ key, id, created }], failed: [{ key, error }], unprocessed: [{ key }] }
+   */
+  async runIngestJob(session, { objectName, operation, externalIdField = null, records }, onProgress = null, { onJobCreated = null, onJobComplete = null } = {}) {
+    console.log('[BulkAPI] Starting', operation, 'of', records.length, objectName, 'records');
+
+    const results = {
+      jobIds: [],
+      successful: [],
+      failed: [],
+      unprocessed: []
+    };
+
+    if (records.length === 0) {
+      return results;
+    }
+
+    const chunks = this.buildCsvChunks(records, operation, externalIdField);
+    let processedBefore = 0;
+
+    for (const chunk of chunks) {
+      const job = await this.createIngestJob(session, objectName, operation, externalIdField);
+      results.jobIds.push(job.id);
+      if (onJobCreated) {
+        await onJobCreated(job.id, chunk.keys, this.getRowMapping(chunk));
+      }
+
+      await this.uploadJobData(session, job.id, chunk.csv);
+      await this.closeJob(session, job.id);
+
+      const finalState = await this.pollJob(session, job.id, (processed) => {
+        if (onProgress) {
+          onProgress(processedBefore + processed, records.length);
+        }
+      });
+
+      if (finalState.state === 'Failed' && !finalState.numberRecordsProcessed) {
+        throw new Error(`Bulk job ${job.id} failed: ${finalState.errorMessage || 'Unknown error'}`);
+      }
+
+      const chunkResults = await this.getJobResults(session, job.id, chunk);
+      results.successful.push(...chunkResults.successful);
+      results.failed.push(...chunkResults.failed);
+      results.unprocessed.push(...chunkResults.unprocessed);
+      if (onJobComplete) {
+        await onJobComplete(job.id, chunkResults, chunk.keys);
+      }
+
+      processedBefore += chunk.count;
+      if (onProgress) {
+        onProgress(processedBefore, records.length);
+      }
+    }
+
+    console.log('[BulkAPI] Ingest complete:', results.successful.length, 'success,', results.failed.length, 'failed,', results.unprocessed.length, 'unprocessed');
+    return results;
+  },
+
+  /**
+   * Collect the results of an ingest job created by an earlier, interrupted run
+   * A job still open never started processing, so it is aborted and its records can be sent again.
+   * @param {Object} session - Target session
+   * @param {string} jobId - Ingest job ID
+   * @param {Object} rowMapping - Row mapping passed to onJobCreated when the job was created
+   * @param {Function} onProgress - Optional progress callback (processed, total)
+   * @returns {Promise<Object|null>} { successful, failed, unprocessed }, or null when the job processed no records
+   */
+  async resumeIngestJob(session, jobId, rowMapping, onProgress = null) {
+    let info = await this.getJobInfo(session, jobId);
+
+    if (info.state === 'Open') {
+      console.log('[BulkAPI] Job', jobId, 'was never closed - aborting it');
+      await this.abortJob(session, jobId);
+      return null;
+    }
+
+    if (info.state === 'UploadComplete' || info.state === 'InProgress') {
+      info = await this.pollJob(session, jobId, (processed) => {
+        if (onProgress) {
+          onProgress(processed, rowMapping.count);
+        }
+      });
+    }
+
+    if ((info.state === 'Failed' || info.state === 'Aborted') && !info.numberRecordsProcessed) {
+      console.log('[BulkAPI] Job', jobId, info.state, 'without processing any records');
+      return null;
+    }
+
+    // Rows are matched with the mapping saved at upload, so changes to the source data since don't matter
+    return this.getJobResults(session, jobId, { ...rowMapping, keysBySignature: new Map(rowMapping.keysBySignature) });
+  },
+
+  /**
+   * Create an ingest job
+   * @returns {Promise<Object>} Job info (id, state, ...)
+   */
+  async createIngestJob(session, objectName, operation, externalIdField = null) {
+    const body = {
+      object: objectName,
+      operation: operation,
+      contentType: 'CSV',
+      lineEnding: 'LF'
+    };
+
+    if (operation === 'upsert') {
+      body.externalIdFieldName = externalIdField;
+    }
+
+    const job = await RequestClient.request(session, `/services/data/v${API_VERSION}/jobs/ingest`, {
+      method: 'POST',
+      body: body
+    });
+
+    console.log('[BulkAPI] Created job', job.id);
+    return job;
+  },
+
+  /**
+   * Upload CSV data to an open job
+   */
+  async uploadJobData(session, jobId, csv) {
+    await RequestClient.request(session, `/services/data/v${API_VERSION}/jobs/ingest/${jobId}/batches`, {
+      method: 'PUT',
+      body: csv,
+      contentType: 'text/csv'
+    });
+  },
+
+  /**
+   * Mark upload complete so Salesforce starts processing
+   */
+  async closeJob(session, jobId) {
+    return RequestClient.request(session, `/services/data/v${API_VERSION}/jobs/ingest/${jobId}`, {
+      method: 'PATCH',
+      body: { state: 'UploadComplete' }
+    });
+  },
+
+  /**
+   * Abort a job that is still open or in progress
+   */
+  async abortJob(session, jobId) {
+    return RequestClient.request(session, `/services/data/v${API_VERSION}/jobs/ingest/${jobId}`, {
+      method: 'PATCH',
+      body: { state: 'Aborted' }
+    });
+  },
+
+  /**
+   * Get current job info
+   */
+  async getJobInfo(session, jobId) {
+    return RequestClient.request(session, `/services/data/v${API_VERSION}/jobs/ingest/${jobId}`);
+  },
+
+  /**
+   * Poll a job until it reaches a terminal state
+   * Backs off from 2s to 10s between polls
+   * @param {Function} onProgress - Called with numberRecordsProcessed after each poll
+   * @returns {Promise<Object>} Final job info
+   */
+  async pollJob(session, jobId, onProgress = null) {
+    const startTime = Date.now();
+    let interval = POLL_INTERVAL_MIN;
+
+    while (Date.now() - startTime < POLL_TIMEOUT) {
+      const info = await this.getJobInfo(session, jobId);
+
+      if (onProgress) {
+        onProgress(info.numberRecordsProcessed || 0);
+      }
+
+      if (info.state === 'JobComplete' || info.state === 'Failed' || info.state === 'Aborted') {
+        console.log('[BulkAPI] Job', jobId, info.state, '-', info.numberRecordsProcessed, 'processed,', info.numberRecordsFailed, 'failed');
+        return info;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval));
+      interval = Math.min(interval * 1.5, POLL_INTERVAL_MAX);
+    }
+
+    throw new Error(`Bulk job ${jobId} did not complete within ${POLL_TIMEOUT / 60000} minutes`);
+  },
+
+  /**
+   * Download successful, failed and unprocessed results and map them back to source keys
+   * @param {Object} chunk - The uploaded chunk ({ columns, keysBySignature, keyColumn })
+   * @returns {Promise<Object>} { successful, failed, unprocessed }
+   */
+  async getJobResults(session, jobId, chunk) {
+    const base = `/services/data/v${API_VERSION}/jobs/ingest/${jobId}`;
+    const csvOptions = { headers: { 'Accept': 'text/csv' }, responseType: 'text' };
+
+    const [successCsv, failedCsv, unprocessedCsv] = await Promise.all([
+      RequestClient.request(session, `${base}/successfulResults/`, csvOptions),
+      RequestClient.request(session, `${base}/failedResults/`, csvOptions),
+      RequestClient.request(session, `${base}/unprocessedrecords/`, csvOptions)
+    ]);
+
+    // Each source key is consumed once so identical rows map to distinct source records
+    const remainingKeys = new Map(
+      Array.from(chunk.keysBySignature.entries()).map(([signature, keys]) => [signature, [...keys]])
+    );
+    const signatureColumns = chunk.keyColumn ? [chunk.keyColumn] : chunk.columns;
+    const resolveKey = (row) => {
+      const keys = remainingKeys.get(this.getRowSignature(row, signatureColumns));
+      return keys && keys.length > 0 ? keys.shift() : null;
+    };
+
+    return {
+      successful: this.parseCsv(successCsv).map(row => ({
+        key: resolveKey(row),
+        id: row.sf__Id,
+        created: row.sf__Created === 'true'
+      })),
+      failed: this.parseCsv(failedCsv).map(row => ({
+        key: resolveKey(row),
+        id: row.sf__Id || null,
+        error: this.parseError(row.sf__Error)
+      })),
+      unprocessed: this.parseCsv(unprocessedCsv).map(row => ({
+        key: resolveKey(row)
+      }))
+    };
+  },
+
+  /**
+   * Split records into CSV uploads below the per-job size limit
+   * For upsert the external ID column identifies each row in the results; otherwise
+   * rows are matched back to their keys by the full set of uploaded values
+   * @returns {Array} Array of { csv, count, keys, columns, keyColumn, keysBySignature }
+   */
+  buildCsvChunks(records, operation, externalIdField = null) {
+    // Union of all fields so every row has the same columns
+    const columnSet = new Set();
+    records.forEach(({ record }) => {
+      Object.keys(record).forEach(field => {
+        if (field !== 'attributes') columnSet.add(field);
+      });
+    });
+    const columns = Array.from(columnSet);
+    const header = columns.map(c => this.escapeCsv(c)).join(',');
+    const keyColumn = operation === 'upsert' && externalIdField && columns.includes(externalIdField)
+      ? externalIdField
+      : null;
+
+    // On updates an empty cell leaves the field untouched; #N/A is how Bulk API sets null
+    const nullValue = operation === 'insert' ? '' : '#N/A';
+
+    const chunks = [];
+    let current = null;
+
+    const startChunk = () => {
+      current = { lines: [header], bytes: header.length + 1, count: 0, keys: [], columns, keyColumn, keysBySignature: new Map() };
+      chunks.push(current);
+    };
+    startChunk();
+
+    records.forEach(({ key, record }) => {
+      const values = columns.map(column => this.formatCsvValue(record[column], nullValue));
+      const line = values.map(v => this.escapeCsv(v)).join(',');
+
+      if (current.count > 0 && current.bytes + line.length + 1 > MAX_JOB_BYTES) {
+        startChunk();
+      }
+
+      current.lines.push(line);
+      current.bytes += line.length + 1;
+      current.count++;
+      current.keys.push(key);
+
+      const row = {};
+      columns.forEach((column, i) => { row[column] = values[i]; });
+      const signature = this.getRowSignature(row, keyColumn ? [keyColumn] : columns);
+      if (!current.keysBySignature.has(signature)) {
+        current.keysBySignature.set(signature, []);
+      }
+      current.keysBySignature.get(signature).push(key);
+    });
+
+    return chunks.map(chunk => ({
+      csv: chunk.lines.join('\n') + '\n',
+      count: chunk.count,
+      keys: chunk.keys,
+      columns: chunk.columns,
+      keyColumn: chunk.keyColumn,
+      keysBySignature: chunk.keysBySignature
+    }));
+  },
+
+  /**
+   * Serializable copy of what getJobResults needs to map a chunk's result rows back to keys
+   * @param {Object} chunk - Chunk from buildCsvChunks
+   * @returns {Object} { count, columns, keyColumn, keysBySignature } with keysBySignature as [signature, keys] pairs
+   */
+  getRowMapping(chunk) {
+    return {
+      count: chunk.count,
+      columns: chunk.columns,
+      keyColumn: chunk.keyColumn,
+      keysBySignature: Array.from(chunk.keysBySignature.entries())
+    };
+  },
+
+  getRowSignature(row, columns) {
+    return columns.map(column => row[column] ?? '').join(KEY_SEPARATOR);
+  },
+
+  formatCsvValue(value, nullValue) {
+    if (value === null || value === undefined) return nullValue;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  },
+
+  escapeCsv(value) {
+    const str = String(value);
+    if (/[",\n\r]/.test(str)) {
+      return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+  },
+
+  /**
+   * Parse Bulk API result CSV into row objects keyed by header
+   * Handles quoted values containing commas, quotes and newlines
+   * @param {string} text - CSV text
+   * @returns {Array<Object>} Rows
+   */
+  parseCsv(text) {
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      return [];
+    }
+
+    const rows = [];
+    let row = [];
+    let value = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(value);
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(value);
+        rows.push(row);
+        row = [];
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+
+    if (value.length > 0 || row.length > 0) {
+      row.push(value);
+      rows.push(row);
+    }
+
+    const [header, ...dataRows] = rows;
+    return dataRows
+      .filter(r => r.length > 1 || r[0] !== '')
+      .map(r => {
+        const obj = {};
+        header.forEach((column, i) => { obj[column] = r[i] ?? ''; });
+        return obj;
+      });
+  },
+
+  /**
+   * Split an sf__Error value ("STATUS_CODE:message:fields --") into a Salesforce-style error object
+   * @param {string} errorText - sf__Error column value
+   * @returns {Object} { statusCode, message, fields }
+   */
+  parseError(errorText) {
+    if (!errorText) {
+      return { statusCode: null, message: 'Unknown error', fields: [] };
+    }
+
+    const match = errorText.match(/^([A-Z_]+):(.*?)(?::([^:]*?))?\s*(?:--)?\s*$/s);
+    if (!match) {
+      return { statusCode: null, message: errorText, fields: [] };
+    }
+
+    return {
+      statusCode: match[1],
+      message: match[2].trim(),
+      fields: match[3] ? match[3].split(',').map(f => f.trim()).filter(Boolean) : []
+    };
+  }
+};
+
+export default BulkAPI;
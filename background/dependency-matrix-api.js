@@ -0,0 +1,226 @@
+// Dependency Matrix API
+// Reads a field dependency as a controlling × dependent value matrix (from describe validFor) and deploys
+// the edited matrix as the dependent field's complete valueSettings
+
+import RequestClient from './request-client.js';
+import ToolingAPI from './tooling-api.js';
+import DeploymentHistoryAPI from './deployment-history-api.js';
+
+// Checkbox controllers have two fixed values; valueSettings name them checked/unchecked
+const CHECKBOX_VALUES = [
+  { value: 'unchecked', label: 'Unchecked', active: true },
+  { value: 'checked', label: 'Checked', active: true }
+];
+
+class DependencyMatrixAPI {
+  /**
+   * Load the validFor matrix of a dependent picklist
+   * @param {object} session - Salesforce session
+   * @param {string} objectName - Object API name
+   * @param {string} dependentField - Dependent picklist API name
+   * @returns {Promise<object>} { objectName, controllingField, dependentField, controllingValues, dependentValues, mapping }
+   *   controllingValues / dependentValues: [{ value, label, active }]
+   *   mapping: { dependentValue: Set of controlling values it is valid for }
+   */
+  static async loadMatrix(session, objectName, dependentField) {
+    const describe = await RequestClient.request(session, `/services/data/v59.0/sobjects/${objectName}/describe`);
+
+    const dependent = describe.fields.find(f => f.name === dependentField);
+    if (!dependent || !dependent.dependentPicklist || !dependent.controllerName) {
+      const error = new Error(`${objectName}.${dependentField} is not a dependent picklist`);
+      error.code = 'FIELD_NOT_FOUND';
+      throw error;
+    }
+
+    const controller = describe.fields.find(f => f.name === dependent.controllerName);
+    const controllingValues = controller.type === 'boolean'
+      ? CHECKBOX_VALUES
+      : controller.picklistValues.map(pv => ({ value: pv.value, label: pv.label, active: pv.active }));
+
+    const mapping = {};
+    dependent.picklistValues.forEach(pv => {
+      const indexes = this.decodeValidFor(pv.validFor);
+      mapping[pv.value] = new Set(controllingValues.filter((cv, index) => indexes.has(index)).map(cv => cv.value));
+    });
+
+    return {
+      objectName,
+      controllingField: controller.name,
+      controllerIsCheckbox: controller.type === 'boolean',
+      dependentField,
+      controllingValues,
+      dependentValues: dependent.picklistValues.map(pv => ({ value: pv.value, label: pv.label, active: pv.active })),
+      mapping
+    };
+  }
+
+  /**
+   * Decode a describe validFor bitmap (base64; bit n set = valid for controlling value n, high bit first)
+   * @param {string} validFor - Base64 bitmap
+   * @returns {Set<number>} Controlling value indexes
+   */
+  static decodeValidFor(validFor) {
+    const indexes = new Set();
+    if (!validFor) return indexes;
+
+    const bytes = atob(validFor);
+    for (let i = 0; i < bytes.length * 8; i++) {
+      if (bytes.charCodeAt(i >> 3) & (0x80 >> (i % 8))) {
+        indexes.add(i);
+      }
+    }
+    return indexes;
+  }
+
+  /**
+   * Copy a mapping so it can be edited without touching the loaded matrix
+   * @param {object} mapping - { dependentValue: Set }
+   * @returns {object} Copy
+   */
+  static cloneMapping(mapping) {
+    const copy = {};
+    Object.entries(mapping).forEach(([dependentValue, controllingValues]) => {
+      copy[dependentValue] = new Set(controllingValues);
+    });
+    return copy;
+  }
+
+  /**
+   * Make one controlling value offer exactly the dependent values another one offers
+   * @param {object} mapping - Edited mapping (modified in place)
+   * @param {string} fromValue - Controlling value to copy
+   * @param {string} toValue - Controlling value to overwrite
+   */
+  static copyColumn(mapping, fromValue, toValue) {
+    Object.values(mapping).forEach(controllingValues => {
+      if (controllingValues.has(fromValue)) {
+        controllingValues.add(toValue);
+      } else {
+        controllingValues.delete(toValue);
+      }
+    });
+  }
+
+  /**
+   * Find active dependent values that no controlling value makes available
+   * @param {object} matrix - Result of loadMatrix
+   * @param {object} mapping - Edited mapping
+   * @returns {Array} Dependent values ({ value, label })
+   */
+  static findUnreachable(matrix, mapping) {
+    return matrix.dependentValues.filter(dv => dv.active && mapping[dv.value].size === 0);
+  }
+
+  /**
+   * Compare an edited mapping with the loaded matrix
+   * @param {object} matrix - Result of loadMatrix
+   * @param {object} mapping - Edited mapping
+   * @returns {Array} Changed dependent values: [{ value, label, added, removed }]
+   */
+  static diffMapping(matrix, mapping) {
+    return matrix.dependentValues.map(dv => {
+      const before = matrix.mapping[dv.value];
+      const after = mapping[dv.value];
+      return {
+        value: dv.value,
+        label: dv.label,
+        added: [...after].filter(cv => !before.has(cv)),
+        removed: [...before].filter(cv => !after.has(cv))
+      };
+    }).filter(change => change.added.length > 0 || change.removed.length > 0);
+  }
+
+  /**
+   * Build Tooling API valueSettings for a mapping, in controlling value order
+   * Dependent values without controlling values are left out, which makes them unavailable
+   * @param {object} matrix - Result of loadMatrix
+   * @param {object} mapping - Mapping
+   * @returns {Array} [{ valueName, controllingFieldValue: [] }]
+   */
+  static toValueSettings(matrix, mapping) {
+    return matrix.dependentValues
+      .map(dv => ({
+        valueName: dv.value,
+        controllingFieldValue: matrix.controllingValues.map(cv => cv.value).filter(cv => mapping[dv.value].has(cv))
+      }))
+      .filter(setting => setting.controllingFieldValue.length > 0);
+  }
+
+  /**
+   * Deploy an edited mapping through the Tooling API; the outcome is added to the deployment history
+   * Unlike the CSV loader, which only adds mappings, the matrix replaces every valueSetting of the field
+   * @param {object} session - Salesforce session
+   * @param {object} matrix - Result of loadMatrix
+   * @param {object} mapping - Edited mapping
+   * @returns {Promise<Array>} Deployed changes (diffMapping result)
+   */
+  static async deployMapping(session, matrix, mapping) {
+    const changes = this.diffMapping(matrix, mapping);
+    if (changes.length === 0) {
+      return changes;
+    }
+
+    const valueSettings = this.toValueSettings(matrix, mapping);
+    const before = this.toValueSettings(matrix, matrix.mapping);
+    const logEntry = {
+      metadataType: 'FieldDependency',
+      action: 'update',
+      objectName: matrix.objectName,
+      componentName: `${matrix.controllingField} → ${matrix.dependentField}`,
+      before,
+      after: valueSettings
+    };
+
+    try {
+      if (!matrix.controllerIsCheckbox) {
+        const validation = await ToolingAPI.validateDependencyValues(session, matrix.objectName, matrix.controllingField, matrix.dependentField,
+          valueSettings.flatMap(setting => setting.controllingFieldValue.map(cv => ({ controllingValue: cv, dependentValue: setting.valueName }))));
+
+        if (!validation.valid) {
+          const errors = [];
+          if (validation.missingControlling.length > 0) {
+            errors.push(`Missing controlling field values: ${validation.missingControlling.join(', ')}`);
+          }
+          if (validation.missingDependent.length > 0) {
+            errors.push(`Missing dependent field values: ${validation.missingDependent.join(', ')}`);
+          }
+          throw new Error(errors.join('\n'));
+        }
+      }
+
+      const fieldId = await ToolingAPI.getCustomFieldId(session, matrix.objectName, matrix.dependentField);
+      const current = await ToolingAPI.getCustomFieldMetadata(session, fieldId);
+      const currentValueSet = current.Metadata.valueSet;
+
+      if (!currentValueSet) {
+        throw new Error('Field metadata does not contain valueSet. This field may not be a picklist.');
+      }
+
+      console.log('[DependencyMatrixAPI] Deploying', valueSettings.length, 'value settings for', `${matrix.objectName}.${matrix.dependentField}`);
+
+      // Same metadata shape as the CSV loader sends, with the full valueSettings instead of a merge
+      await ToolingAPI.updateFieldDependencies(session, fieldId, {
+        label: current.Metadata.label,
+        type: current.Metadata.type || 'Picklist',
+        valueSet: {
+          controllingField: currentValueSet.controllingField,
+          restricted: currentValueSet.restricted !== undefined ? currentValueSet.restricted : true,
+          valueSetDefinition: currentValueSet.valueSetDefinition || null,
+          valueSetName: currentValueSet.valueSetName || null,
+          valueSettings
+        },
+        visibleLines: current.Metadata.visibleLines || null,
+        writeRequiresMasterRead: current.Metadata.writeRequiresMasterRead || null
+      }, `${matrix.objectName}.${matrix.dependentField}`);
+
+      await DeploymentHistoryAPI.logForSession(session, { ...logEntry, status: 'success' });
+      return changes;
+    } catch (error) {
+      console.error('[DependencyMatrixAPI] Deploy failed:', error);
+      await DeploymentHistoryAPI.logForSession(session, { ...logEntry, status: 'failure', errorMessage: error.message });
+      throw error;
+    }
+  }
+}
+
+export default DependencyMatrixAPI;
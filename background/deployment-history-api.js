@@ -54,6 +54,27 @@ class DeploymentHistoryAPI {
     }
   }
 
+  /**
+   * Log a deployment made in an org session, filling in the org and user from the session
+   * A failure to log is only reported to the console, so it never hides the outcome of the deployment itself
+   * @param {object} session - Org session the deployment ran in
+   * @param {object} entry - Deployment metadata without org details (metadataType, action, componentName, status, ...)
+   * @returns {Promise<void>}
+   */
+  static async logForSession(session, entry) {
+    try {
+      await this.logDeployment({
+        orgUrl: session.instanceUrl,
+        orgId: session.orgId || session.sessionId.substring(0, 15),
+        orgName: session.orgName || null,
+        userId: session.userId || null,
+        ...entry
+      });
+    } catch (error) {
+      console.warn('[DeploymentHistory] Could not log deployment of', entry.componentName, error);
+    }
+  }
+
   /**
    * Get deployment history with optional filters
    * @param {object} filters - Filter options
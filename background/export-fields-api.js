@@ -418,13 +418,12 @@ class ExportFieldsAPI {
   }
 
   /**
-   * Export fields to CSV format
+   * Build export rows for fields: a header row, then one row per field
+   * Shared by the CSV and Excel exports so both have the same columns
    * @param {Array} fields - Array of field metadata
-   * @returns {string} CSV string with BOM for Excel compatibility
+   * @returns {Array} Rows (arrays of cells) including the header
    */
-  static exportToCSV(fields) {
-    console.log('[ExportFieldsAPI] Exporting', fields.length, 'fields to CSV');
-
+  static toRows(fields) {
     const headers = [
       'Object Name',
       'Field Label',
@@ -461,24 +460,34 @@ class ExportFieldsAPI {
       field.required ? 'TRUE' : 'FALSE',
       field.unique ? 'TRUE' : 'FALSE',
       field.externalId ? 'TRUE' : 'FALSE',
-      this.escapeCSV(field.defaultValue || ''),
-      this.escapeCSV(field.formula || field.defaultValueFormula || ''),
-      this.escapeCSV(field.picklistValues || ''),
+      field.defaultValue || '',
+      field.formula || field.defaultValueFormula || '',
+      field.picklistValues || '',
       field.referenceTo || '',
       field.relationshipName || '',
       field.relationshipType || '',
-      this.escapeCSV(field.inlineHelpText || ''),
-      this.escapeCSV(field.description || ''),
+      field.inlineHelpText || '',
+      field.description || '',
       field.custom ? 'TRUE' : 'FALSE',
       field.calculated ? 'TRUE' : 'FALSE',
       field.createdDate || '',
       field.lastModifiedDate || ''
     ]);
 
-    const csv = [
-      headers.join(','),
-      ...rows.map(row => row.join(','))
-    ].join('\n');
+    return [headers, ...rows];
+  }
+
+  /**
+   * Export fields to CSV format
+   * @param {Array} fields - Array of field metadata
+   * @returns {string} CSV string with BOM for Excel compatibility
+   */
+  static exportToCSV(fields) {
+    console.log('[ExportFieldsAPI] Exporting', fields.length, 'fields to CSV');
+
+    const csv = this.toRows(fields)
+      .map(row => row.map(cell => this.escapeCSV(cell)).join(','))
+      .join('\n');
 
     // Add BOM for Excel compatibility
     return '\uFEFF' + csv;
@@ -516,19 +525,20 @@ class ExportFieldsAPI {
       AND Field = '${objectName}.${fieldName}'
     `;
 
-    const endpoint = `/services/data/v59.0/tooling/query/?q=${encodeURIComponent(query)}`;
-
     try {
-      const response = await SalesforceAPI.callAPI(endpoint);
-
-      return response.records?.map(record => ({
-        field: record.Field,
-        readable: record.PermissionsRead,
-        editable: record.PermissionsEdit,
-        profileName: record.Parent?.Profile?.Name || '',
-        permissionSetName: record.Parent?.PermissionSet?.Name || '',
-        isProfile: record.Parent?.IsOwnedByProfile || false
-      })) || [];
+      // One row per profile and permission set - stream the pages instead of buffering them
+      const entries = [];
+      for await (const record of SalesforceAPI.queryIterator(query, { tooling: true })) {
+        entries.push({
+          field: record.Field,
+          readable: record.PermissionsRead,
+          editable: record.PermissionsEdit,
+          profileName: record.Parent?.Profile?.Name || '',
+          permissionSetName: record.Parent?.PermissionSet?.Name || '',
+          isProfile: record.Parent?.IsOwnedByProfile || false
+        });
+      }
+      return entries;
     } catch (error) {
       console.error('[ExportFieldsAPI] Error getting FLS:', error);
       return [];
@@ -3,6 +3,9 @@
 // Uses Tooling API to query various metadata types for field references
 
 import SalesforceAPI from './api-client.js';
+import RequestClient from './request-client.js';
+import PicklistReplaceAPI from './picklist-replace-api.js';
+import RecordTypePicklistAPI from './record-type-picklist-api.js';
 
 class FieldUsageAPI {
   /**
@@ -515,6 +518,153 @@ class FieldUsageAPI {
     return usageMap;
   }
 
+  /**
+   * Find what still uses picklist values that are about to be removed or deactivated
+   * A component counts as a reference when it mentions the field and the value as a quoted literal
+   * (e.g. ISPICKVAL(Status__c, "Closed") or record.Status__c == 'Closed'); record types count when they
+   * offer the value, and records when they still hold it
+   * @param {object} session - Salesforce session of the org to analyze
+   * @param {string} objectName - Object API name
+   * @param {string} fieldName - Picklist field API name
+   * @param {Array} valueNames - Value API names to check
+   * @param {Function} progressCallback - Optional callback(statusText)
+   * @returns {Promise<Map>} Map of value -> { recordCount, count, details: [{ type, name, id }] }
+   */
+  static async getPicklistValueUsage(session, objectName, fieldName, valueNames, progressCallback = null) {
+    const progress = text => {
+      if (progressCallback) progressCallback(text);
+    };
+
+    const usageMap = new Map();
+    valueNames.forEach(value => usageMap.set(value, { recordCount: 0, count: 0, details: [] }));
+
+    const addUsage = (value, type, name, id = null) => {
+      const usage = usageMap.get(value);
+      usage.count++;
+      usage.details.push({ type, name, id });
+    };
+
+    // Each source is scanned once and matched against every value; a failing source is skipped
+    const scan = async (label, task) => {
+      progress(`Checking ${label}...`);
+      try {
+        await task();
+      } catch (error) {
+        console.error(`[FieldUsageAPI] Error checking ${label}:`, error);
+      }
+    };
+
+    const describe = await RequestClient.request(session, `/services/data/v59.0/sobjects/${objectName}/describe`);
+    const field = describe.fields.find(f => f.name === fieldName);
+
+    await scan('record counts', async () => {
+      const counts = await PicklistReplaceAPI.countRecordsByValue(session, objectName, field);
+      valueNames.forEach(value => {
+        usageMap.get(value).recordCount = counts[value] || 0;
+      });
+    });
+
+    await scan('formula fields', async () => {
+      describe.fields
+        .filter(f => f.calculatedFormula || f.defaultValueFormula)
+        .forEach(f => {
+          const formula = `${f.calculatedFormula || ''}\n${f.defaultValueFormula || ''}`;
+          valueNames.forEach(value => {
+            if (this.referencesValue(formula, fieldName, value)) {
+              addUsage(value, 'Formula Field', f.name);
+            }
+          });
+        });
+    });
+
+    await scan('validation rules', async () => {
+      const rules = await RequestClient.query(session,
+        `SELECT Id, ValidationName FROM ValidationRule WHERE EntityDefinition.QualifiedApiName = '${objectName}'`,
+        { tooling: true });
+
+      // Metadata can only be queried one rule at a time
+      const records = rules.records || [];
+      for (const [index, rule] of records.entries()) {
+        progress(`Checking validation rules (${index + 1}/${records.length})...`);
+        const detail = await RequestClient.query(session,
+          `SELECT Metadata FROM ValidationRule WHERE Id = '${rule.Id}'`, { tooling: true });
+        const formula = detail.records?.[0]?.Metadata?.errorConditionFormula || '';
+        valueNames.forEach(value => {
+          if (this.referencesValue(formula, fieldName, value)) {
+            addUsage(value, 'Validation Rule', rule.ValidationName, rule.Id);
+          }
+        });
+      }
+    });
+
+    await scan('flows', async () => {
+      const flows = await RequestClient.query(session,
+        'SELECT Id, DeveloperName, ActiveVersionId FROM FlowDefinition WHERE ActiveVersionId != null',
+        { tooling: true });
+
+      const records = flows.records || [];
+      for (const [index, flow] of records.entries()) {
+        progress(`Checking flows (${index + 1}/${records.length})...`);
+        const detail = await RequestClient.query(session,
+          `SELECT Metadata FROM Flow WHERE Id = '${flow.ActiveVersionId}'`, { tooling: true });
+        const metadata = JSON.stringify(detail.records?.[0]?.Metadata || {});
+        if (!metadata.includes(objectName)) continue;
+
+        valueNames.forEach(value => {
+          // Flow values are JSON strings (e.g. "stringValue":"Closed")
+          if (metadata.includes(fieldName) && metadata.includes(JSON.stringify(value))) {
+            addUsage(value, 'Flow', flow.DeveloperName, flow.Id);
+          }
+        });
+      }
+    });
+
+    await scan('Apex', async () => {
+      for (const [type, sobject] of [['Apex Class', 'ApexClass'], ['Apex Trigger', 'ApexTrigger']]) {
+        const result = await RequestClient.query(session,
+          `SELECT Id, Name, Body FROM ${sobject} WHERE NamespacePrefix = null`, { tooling: true });
+
+        (result.records || []).forEach(record => {
+          valueNames.forEach(value => {
+            if (this.referencesValue(record.Body || '', fieldName, value, ["'"])) {
+              addUsage(value, type, record.Name, record.Id);
+            }
+          });
+        });
+      }
+    });
+
+    await scan('record types', async () => {
+      const matrix = await RecordTypePicklistAPI.loadMatrix(session, objectName, fieldName);
+      matrix.recordTypes.forEach(rt => {
+        valueNames.forEach(value => {
+          if (rt.defaultValue === value) {
+            addUsage(value, 'Record Type (default)', rt.label);
+          } else if (rt.values.includes(value)) {
+            addUsage(value, 'Record Type', rt.label);
+          }
+        });
+      });
+    });
+
+    return usageMap;
+  }
+
+  /**
+   * Check whether source text mentions a field and one of its values as a quoted literal
+   * @param {string} text - Formula, Apex or serialized metadata
+   * @param {string} fieldName - Field API name
+   * @param {string} value - Picklist value API name
+   * @param {Array} quotes - Quote characters literals can use
+   * @returns {boolean} True when both are referenced
+   */
+  static referencesValue(text, fieldName, value, quotes = ['"', "'"]) {
+    if (!text || !text.toLowerCase().includes(fieldName.toLowerCase())) {
+      return false;
+    }
+    return quotes.some(quote => text.includes(`${quote}${value}${quote}`));
+  }
+
   /**
    * Get usage level category
    * @param {number} usageCount - Total usage count
@@ -0,0 +1,1163 @@
+/**
+ * Formula Evaluator
+ * Parses Salesforce formulas and evaluates them against a sample record, so validation rules can be
+ * tested without saving anything. Values are typed (Text, Number, Checkbox, Date, Date/Time, Time,
+ * Picklist) and blank fields are treated as blanks, as Salesforce does for validation rules
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NUMBER_PATTERN = /^[+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?$/;
+const DATE_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+const DATETIME_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?Z?$/i;
+
+// Salesforce functions that need data the browser does not have (other records, sessions, exchange rates)
+const UNSUPPORTED_FUNCTIONS = [
+  'ASCII', 'CHR', 'CURRENCYRATE', 'DISTANCE', 'FORMATDURATION', 'FROMUNIXTIME', 'GEOLOCATION',
+  'GETRECORDIDS', 'GETSESSIONID', 'IMAGEPROXYURL', 'ISOWEEK', 'ISOYEAR', 'JSINHTMLENCODE',
+  'JUNCTIONIDLIST', 'LINKTO', 'PARENTGROUPVAL', 'PREVGROUPVAL', 'REQUIRESCRIPT', 'UNIXTIMESTAMP',
+  'URLFOR', 'VLOOKUP'
+];
+
+// Characters escaped by HTMLENCODE() and JSENCODE()
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const JS_ESCAPES = { '\\': '\\\\', "'": "\\'", '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+// Describe field types that are not plain text
+const FIELD_KINDS = {
+  boolean: 'boolean',
+  int: 'number',
+  double: 'number',
+  currency: 'number',
+  percent: 'number',
+  date: 'date',
+  datetime: 'datetime',
+  time: 'time',
+  picklist: 'picklist',
+  multipicklist: 'multipicklist'
+};
+
+const TYPE_NAMES = {
+  null: 'Null',
+  text: 'Text',
+  raw: 'Text',
+  number: 'Number',
+  boolean: 'Checkbox',
+  date: 'Date',
+  datetime: 'Date/Time',
+  time: 'Time',
+  picklist: 'Picklist',
+  multipicklist: 'Multi-Select Picklist'
+};
+
+// ==========================================
+// ERRORS AND VALUES
+// ==========================================
+
+function formulaError(code, message, position = null) {
+  const error = new Error(position === null ? message : `${message} (character ${position + 1})`);
+  error.code = code;
+  error.position = position;
+  return error;
+}
+
+function typeError(where, expected, value) {
+  return formulaError('TYPE_ERROR', `Incorrect parameter type for ${where}. Expected ${expected}, received ${TYPE_NAMES[kindOf(value)]}`);
+}
+
+/**
+ * Values are null, strings (Text), numbers, booleans, or tagged objects:
+ * { kind: 'date' | 'datetime' | 'time', ms } and { kind: 'picklist' | 'multipicklist' | 'raw', value }
+ * 'raw' is sample data of unknown type; it takes the type its use calls for
+ */
+function kindOf(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') return 'text';
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  return value.kind;
+}
+
+const temporal = (kind, ms) => ({ kind, ms });
+const raw = value => ({ kind: 'raw', value });
+
+function isBlank(value) {
+  const kind = kindOf(value);
+  if (kind === 'null') return true;
+  if (kind === 'text') return value === '';
+  if (kind === 'raw' || kind === 'picklist' || kind === 'multipicklist') return value.value === '';
+  return false;
+}
+
+function parseDate(text) {
+  const match = text.trim().match(DATE_PATTERN) || text.trim().match(DATETIME_PATTERN);
+  if (!match) return null;
+
+  const ms = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  const check = new Date(ms);
+  return check.getUTCMonth() === Number(match[2]) - 1 ? temporal('date', ms) : null;
+}
+
+function parseDateTime(text) {
+  const value = text.trim();
+  const dateOnly = value.match(DATE_PATTERN);
+  if (dateOnly) {
+    const date = parseDate(value);
+    return date ? temporal('datetime', date.ms) : null;
+  }
+
+  const match = value.match(DATETIME_PATTERN);
+  if (!match) return null;
+
+  // Date/times without a zone are GMT, as DATETIMEVALUE reads them
+  const [, year, month, day, hour, minute, second = '0', millis = '0', zone] = match;
+  const iso = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}T${hour.padStart(2, '0')}:${minute}:${second.padStart(2, '0')}.${millis.padEnd(3, '0')}`;
+  const ms = Date.parse(iso + (zone ? zone.replace(/^([+-]\d{2})(\d{2})$/, '$1:$2') : 'Z'));
+  return Number.isNaN(ms) ? null : temporal('datetime', ms);
+}
+
+function parseTime(text) {
+  const match = text.trim().match(TIME_PATTERN);
+  if (!match) return null;
+
+  const [, hour, minute, second = '0', millis = '0'] = match;
+  if (Number(hour) > 23 || Number(minute) > 59 || Number(second) > 59) return null;
+  return temporal('time', ((Number(hour) * 60 + Number(minute)) * 60 + Number(second)) * 1000 + Number(millis.padEnd(3, '0')));
+}
+
+/**
+ * Work out the most likely type of a raw sample value (number, checkbox, date/time, date or text)
+ */
+function resolveRaw(value) {
+  if (kindOf(value) !== 'raw') return value;
+
+  const text = value.value.trim();
+  if (NUMBER_PATTERN.test(text)) return Number(text);
+  if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+  if (DATE_PATTERN.test(text)) return parseDate(text) || value.value;
+  if (DATETIME_PATTERN.test(text)) return parseDateTime(text) || value.value;
+  return value.value;
+}
+
+/**
+ * Read a raw sample value as a given kind
+ */
+function coerceRaw(value, kind, where) {
+  const text = value.value.trim();
+  let result = null;
+
+  switch (kind) {
+    case 'number':
+      result = NUMBER_PATTERN.test(text) ? Number(text) : null;
+      break;
+    case 'boolean':
+      result = /^(true|1)$/i.test(text) ? true : /^(false|0)$/i.test(text) ? false : null;
+      break;
+    case 'date':
+      result = parseDate(text);
+      break;
+    case 'datetime':
+      result = parseDateTime(text);
+      break;
+    case 'time':
+      result = parseTime(text);
+      break;
+    case 'picklist':
+    case 'multipicklist':
+      result = { kind, value: value.value };
+      break;
+    default:
+      result = value.value;
+  }
+
+  if (result === null) {
+    throw formulaError('TYPE_ERROR', `Sample value "${value.value}" used in ${where} is not a valid ${TYPE_NAMES[kind]}`);
+  }
+  return result;
+}
+
+function toNumber(value, where) {
+  const kind = kindOf(value);
+  if (kind === 'null') return null;
+  if (kind === 'number') return value;
+  if (kind === 'raw') return coerceRaw(value, 'number', where);
+  throw typeError(where, 'Number', value);
+}
+
+function toText(value, where) {
+  const kind = kindOf(value);
+  if (kind === 'null') return '';
+  if (kind === 'text') return value;
+  if (kind === 'raw') return value.value;
+  if (kind === 'picklist' || kind === 'multipicklist') {
+    throw formulaError('TYPE_ERROR', `Picklist fields are only supported in certain functions; use TEXT() or ISPICKVAL() in ${where}`);
+  }
+  throw typeError(where, 'Text', value);
+}
+
+function toBoolean(value, where) {
+  const kind = kindOf(value);
+  if (kind === 'null') return null;
+  if (kind === 'boolean') return value;
+  if (kind === 'raw') return coerceRaw(value, 'boolean', where);
+  throw typeError(where, 'Checkbox', value);
+}
+
+function toTemporal(value, kind, where) {
+  const valueKind = kindOf(value);
+  if (valueKind === 'null') return null;
+  if (valueKind === kind) return value;
+  if (valueKind === 'raw') return coerceRaw(value, kind, where);
+  throw typeError(where, TYPE_NAMES[kind], value);
+}
+
+// Picklist functions accept a picklist field, or text when the field type is not known
+function picklistText(value, where) {
+  const kind = kindOf(value);
+  if (kind === 'null') return '';
+  if (kind === 'picklist' || kind === 'multipicklist' || kind === 'raw') return value.value;
+  if (kind === 'text') return value;
+  throw typeError(where, 'Picklist', value);
+}
+
+// Conditions treat blank as false
+function isTrue(value, where) {
+  return toBoolean(value, where) === true;
+}
+
+function pad(number, length = 2) {
+  return String(number).padStart(length, '0');
+}
+
+function formatValue(value) {
+  switch (kindOf(value)) {
+    case 'null':
+      return '';
+    case 'number':
+      return String(value);
+    case 'boolean':
+      return value ? 'true' : 'false';
+    case 'date':
+      return new Date(value.ms).toISOString().slice(0, 10);
+    case 'datetime':
+      return new Date(value.ms).toISOString().slice(0, 19).replace('T', ' ') + 'Z';
+    case 'time': {
+      const ms = value.ms;
+      return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+    }
+    case 'text':
+      return value;
+    default:
+      return value.value;
+  }
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function caseSafeId(id) {
+  if (id.length !== 15) return id;
+
+  const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ012345';
+  let suffix = '';
+  for (let chunk = 0; chunk < 3; chunk++) {
+    let flags = 0;
+    for (let i = 0; i < 5; i++) {
+      const char = id[chunk * 5 + i];
+      if (char >= 'A' && char <= 'Z') {
+        flags |= 1 << i;
+      }
+    }
+    suffix += characters[flags];
+  }
+  return id + suffix;
+}
+
+// Round half up in decimal by shifting the exponent, so ROUND(1.005, 2) is 1.01 as in Salesforce
+function roundDecimal(n, places) {
+  const shift = (value, by) => {
+    const [mantissa, exponent = '0'] = String(value).split('e');
+    return Number(`${mantissa}e${Number(exponent) + by}`);
+  };
+  return shift(Math.round(shift(n, places)), -places);
+}
+
+function initCap(text) {
+  return text.toLowerCase().replace(/(^|\s)(\S)/g, (match, space, char) => space + char.toUpperCase());
+}
+
+// encodeURIComponent leaves !'()* alone; RFC 3986 reserves them
+function urlEncode(text) {
+  return encodeURIComponent(text).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// ==========================================
+// OPERATORS
+// ==========================================
+
+/**
+ * Give raw sample values the type of the other operand (or their most likely type when both are raw)
+ */
+function alignOperands(left, right, where) {
+  const leftKind = kindOf(left);
+  const rightKind = kindOf(right);
+
+  if (leftKind === 'raw' && rightKind !== 'raw' && rightKind !== 'null') {
+    return [coerceRaw(left, rightKind === 'picklist' || rightKind === 'multipicklist' ? 'text' : rightKind, where), right];
+  }
+  if (rightKind === 'raw' && leftKind !== 'raw' && leftKind !== 'null') {
+    return [left, coerceRaw(right, leftKind === 'picklist' || leftKind === 'multipicklist' ? 'text' : leftKind, where)];
+  }
+
+  const resolvedLeft = resolveRaw(left);
+  const resolvedRight = resolveRaw(right);
+  if (leftKind === 'raw' && rightKind === 'raw' && kindOf(resolvedLeft) !== kindOf(resolvedRight)) {
+    return [left.value, right.value];
+  }
+  return [resolvedLeft, resolvedRight];
+}
+
+function valuesEqual(left, right, where) {
+  [left, right] = alignOperands(left, right, where);
+  const leftKind = kindOf(left);
+  const rightKind = kindOf(right);
+
+  if (['picklist', 'multipicklist'].includes(leftKind) || ['picklist', 'multipicklist'].includes(rightKind)) {
+    throw formulaError('TYPE_ERROR', `Picklist fields are only supported in certain functions; use ISPICKVAL() or TEXT() with ${where}`);
+  }
+
+  // Blank text is the same as null
+  if (isBlank(left) || isBlank(right)) {
+    return isBlank(left) && isBlank(right);
+  }
+
+  if (leftKind !== rightKind) {
+    throw typeError(where, TYPE_NAMES[leftKind], right);
+  }
+  if (leftKind === 'date' || leftKind === 'datetime' || leftKind === 'time') {
+    return left.ms === right.ms;
+  }
+  return left === right;
+}
+
+function compareValues(left, right, where) {
+  [left, right] = alignOperands(left, right, where);
+  if (left === null || right === null) return null;
+
+  const leftKind = kindOf(left);
+  if (leftKind !== kindOf(right) || !['number', 'text', 'date', 'datetime', 'time'].includes(leftKind)) {
+    throw typeError(where, TYPE_NAMES[leftKind === 'boolean' ? 'number' : leftKind], right);
+  }
+
+  const a = leftKind === 'number' || leftKind === 'text' ? left : left.ms;
+  const b = leftKind === 'number' || leftKind === 'text' ? right : right.ms;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function add(left, right, where) {
+  [left, right] = alignOperands(left, right, where);
+  const leftKind = kindOf(left);
+  const rightKind = kindOf(right);
+
+  if (leftKind === 'text' || rightKind === 'text') {
+    return toText(left, where) + toText(right, where);
+  }
+  if (left === null || right === null) return null;
+
+  if (leftKind === 'number' && rightKind === 'number') return left + right;
+  if (rightKind === 'number' && ['date', 'datetime', 'time'].includes(leftKind)) return shift(left, right);
+  if (leftKind === 'number' && ['date', 'datetime', 'time'].includes(rightKind)) return shift(right, left);
+  throw typeError(where, 'Number', leftKind === 'number' ? right : left);
+}
+
+function subtract(left, right, where) {
+  [left, right] = alignOperands(left, right, where);
+  if (left === null || right === null) return null;
+
+  const leftKind = kindOf(left);
+  const rightKind = kindOf(right);
+
+  if (leftKind === 'number' && rightKind === 'number') return left - right;
+  if (rightKind === 'number' && ['date', 'datetime', 'time'].includes(leftKind)) return shift(left, -right);
+  if (leftKind === rightKind && (leftKind === 'date' || leftKind === 'datetime')) return (left.ms - right.ms) / DAY_MS;
+  if (leftKind === 'time' && rightKind === 'time') return left.ms - right.ms;
+  throw typeError(where, TYPE_NAMES[leftKind], right);
+}
+
+// Dates move by whole days, date/times by fractions of days and times by milliseconds
+function shift(value, amount) {
+  if (value.kind === 'date') return temporal('date', value.ms + Math.trunc(amount) * DAY_MS);
+  if (value.kind === 'datetime') return temporal('datetime', value.ms + Math.round(amount * DAY_MS));
+  return temporal('time', (((value.ms + Math.round(amount)) % DAY_MS) + DAY_MS) % DAY_MS);
+}
+
+function arithmetic(op, left, right, where) {
+  const a = toNumber(resolveRaw(left), where);
+  const b = toNumber(resolveRaw(right), where);
+  if (a === null || b === null) return null;
+
+  if (op === '*') return a * b;
+  if (op === '^') return Math.pow(a, b);
+  if (b === 0) {
+    throw formulaError('FORMULA_ERROR', 'Division by zero');
+  }
+  return a / b;
+}
+
+// ==========================================
+// FUNCTION LIBRARY
+// ==========================================
+
+// args: [min, max]; lazy functions receive AST nodes instead of values
+const FUNCTIONS = {
+  // Logical
+  AND: { args: [1, Infinity], fn: (values) => values.every((value, i) => isTrue(value, `AND() argument ${i + 1}`)) },
+  OR: { args: [1, Infinity], fn: (values) => values.some((value, i) => isTrue(value, `OR() argument ${i + 1}`)) },
+  NOT: { args: [1, 1], fn: ([value]) => !isTrue(value, 'NOT()') },
+  IF: {
+    args: [3, 3],
+    lazy: true,
+    fn: ([condition, whenTrue, whenFalse], ctx) =>
+      evaluateNode(isTrue(evaluateNode(condition, ctx), 'IF()') ? whenTrue : whenFalse, ctx)
+  },
+  CASE: {
+    args: [4, Infinity],
+    lazy: true,
+    fn: (nodes, ctx) => {
+      const subject = evaluateNode(nodes[0], ctx);
+      const compareTo = ['picklist', 'multipicklist'].includes(kindOf(subject)) ? subject.value : subject;
+      for (let i = 1; i < nodes.length - 1; i += 2) {
+        if (valuesEqual(compareTo, evaluateNode(nodes[i], ctx), 'CASE()')) {
+          return evaluateNode(nodes[i + 1], ctx);
+        }
+      }
+      return evaluateNode(nodes[nodes.length - 1], ctx);
+    }
+  },
+  ISBLANK: { args: [1, 1], fn: ([value]) => isBlank(value) },
+  // ISNULL is always false for text fields
+  ISNULL: { args: [1, 1], fn: ([value]) => value === null || (kindOf(value) !== 'text' && isBlank(value)) },
+  ISNUMBER: { args: [1, 1], fn: ([value]) => NUMBER_PATTERN.test(toText(value, 'ISNUMBER()').trim()) },
+  BLANKVALUE: { args: [2, 2], lazy: true, fn: ([node, substitute], ctx) => {
+    const value = evaluateNode(node, ctx);
+    return isBlank(value) ? evaluateNode(substitute, ctx) : value;
+  } },
+  NULLVALUE: { args: [2, 2], lazy: true, fn: ([node, substitute], ctx) => {
+    const value = evaluateNode(node, ctx);
+    return isBlank(value) ? evaluateNode(substitute, ctx) : value;
+  } },
+  ISNEW: { args: [0, 0], fn: (values, ctx) => ctx.isNew },
+  ISCLONE: { args: [0, 0], fn: (values, ctx) => ctx.isClone },
+  ISCHANGED: {
+    args: [1, 1],
+    lazy: true,
+    field: true,
+    fn: ([node], ctx) => {
+      if (ctx.isNew || !ctx.hasPrior(node.path)) return false;
+      return formatValue(evaluateNode(node, ctx)) !== formatValue(ctx.resolvePrior(node.path));
+    }
+  },
+  // On new records, and without a prior value in the sample, PRIORVALUE returns the current value
+  PRIORVALUE: {
+    args: [1, 1],
+    lazy: true,
+    field: true,
+    fn: ([node], ctx) => !ctx.isNew && ctx.hasPrior(node.path) ? ctx.resolvePrior(node.path) : evaluateNode(node, ctx)
+  },
+
+  // Text
+  BEGINS: { args: [2, 2], fn: ([text, prefix]) => toText(text, 'BEGINS()').startsWith(toText(prefix, 'BEGINS()')) },
+  CONTAINS: { args: [2, 2], fn: ([text, part]) => toText(text, 'CONTAINS()').includes(toText(part, 'CONTAINS()')) },
+  FIND: { args: [2, 3], fn: ([search, text, start]) => {
+    const from = start === undefined ? 1 : toNumber(start, 'FIND()');
+    const searchText = toText(search, 'FIND()');
+    if (!searchText || from === null || from < 1) return 0;
+    return toText(text, 'FIND()').indexOf(searchText, from - 1) + 1;
+  } },
+  LEFT: { args: [2, 2], fn: ([text, count]) => toText(text, 'LEFT()').slice(0, Math.max(0, toNumber(count, 'LEFT()') || 0)) },
+  RIGHT: { args: [2, 2], fn: ([text, count]) => {
+    const value = toText(text, 'RIGHT()');
+    const length = Math.max(0, toNumber(count, 'RIGHT()') || 0);
+    return length === 0 ? '' : value.slice(-length);
+  } },
+  MID: { args: [3, 3], fn: ([text, start, count]) => {
+    const from = Math.max(1, toNumber(start, 'MID()') || 1);
+    return toText(text, 'MID()').substr(from - 1, Math.max(0, toNumber(count, 'MID()') || 0));
+  } },
+  LEN: { args: [1, 1], fn: ([text]) => toText(text, 'LEN()').length },
+  LOWER: { args: [1, 2], fn: ([text]) => toText(text, 'LOWER()').toLowerCase() },
+  UPPER: { args: [1, 2], fn: ([text]) => toText(text, 'UPPER()').toUpperCase() },
+  TRIM: { args: [1, 1], fn: ([text]) => toText(text, 'TRIM()').replace(/^[ \t]+|[ \t]+$/g, '') },
+  LPAD: { args: [2, 3], fn: ([text, length, padding]) => padText(text, length, padding, 'LPAD()') },
+  RPAD: { args: [2, 3], fn: ([text, length, padding]) => padText(text, length, padding, 'RPAD()') },
+  SUBSTITUTE: { args: [3, 3], fn: ([text, oldText, newText]) => {
+    const search = toText(oldText, 'SUBSTITUTE()');
+    const value = toText(text, 'SUBSTITUTE()');
+    return search ? value.split(search).join(toText(newText, 'SUBSTITUTE()')) : value;
+  } },
+  TEXT: { args: [1, 1], fn: ([value]) => formatValue(value) },
+  VALUE: { args: [1, 1], fn: ([text]) => {
+    const value = toText(text, 'VALUE()').trim();
+    if (!value) return null;
+    if (!NUMBER_PATTERN.test(value)) {
+      throw formulaError('FORMULA_ERROR', `VALUE() could not convert "${value}" to a number`);
+    }
+    return Number(value);
+  } },
+  REGEX: { args: [2, 2], fn: ([text, pattern]) => {
+    let source = toText(pattern, 'REGEX()');
+    let flags = '';
+    // Java's inline case-insensitive flag
+    if (source.startsWith('(?i)')) {
+      source = source.slice(4);
+      flags = 'i';
+    }
+    try {
+      return new RegExp(`^(?:${source})$`, flags).test(toText(text, 'REGEX()'));
+    } catch (error) {
+      throw formulaError('FORMULA_ERROR', `Invalid regular expression in REGEX(): ${error.message}`);
+    }
+  } },
+  ISPICKVAL: { args: [2, 2], fn: ([field, literal]) => picklistText(field, 'ISPICKVAL()') === toText(literal, 'ISPICKVAL()') },
+  INCLUDES: { args: [2, 2], fn: ([field, literal]) =>
+    picklistText(field, 'INCLUDES()').split(';').includes(toText(literal, 'INCLUDES()')) },
+  BR: { args: [0, 0], fn: () => '\n' },
+  HYPERLINK: { args: [2, 3], fn: ([url, label]) => toText(label, 'HYPERLINK()') },
+  IMAGE: { args: [2, 4], fn: ([url, alt]) => toText(alt, 'IMAGE()') },
+  CASESAFEID: { args: [1, 1], fn: ([id]) => caseSafeId(toText(id, 'CASESAFEID()')) },
+  INITCAP: { args: [1, 1], fn: ([text]) => initCap(toText(text, 'INITCAP()')) },
+  REVERSE: { args: [1, 1], fn: ([text]) => [...toText(text, 'REVERSE()')].reverse().join('') },
+  HTMLENCODE: { args: [1, 1], fn: ([text]) => toText(text, 'HTMLENCODE()').replace(/[&<>"']/g, char => HTML_ENTITIES[char]) },
+  JSENCODE: { args: [1, 1], fn: ([text]) => toText(text, 'JSENCODE()').replace(/[\\'"\n\r\t]/g, char => JS_ESCAPES[char]) },
+  URLENCODE: { args: [1, 1], fn: ([text]) => urlEncode(toText(text, 'URLENCODE()')) },
+
+  // Math
+  ABS: { args: [1, 1], fn: ([number]) => math(number, 'ABS()', Math.abs) },
+  // CEILING and FLOOR round away from and towards zero; MCEILING and MFLOOR towards +/- infinity
+  CEILING: { args: [1, 1], fn: ([number]) => math(number, 'CEILING()', n => Math.sign(n) * Math.ceil(Math.abs(n))) },
+  FLOOR: { args: [1, 1], fn: ([number]) => math(number, 'FLOOR()', n => Math.sign(n) * Math.floor(Math.abs(n))) },
+  MCEILING: { args: [1, 1], fn: ([number]) => math(number, 'MCEILING()', Math.ceil) },
+  MFLOOR: { args: [1, 1], fn: ([number]) => math(number, 'MFLOOR()', Math.floor) },
+  ROUND: { args: [2, 2], fn: ([number, digits]) => {
+    const places = Math.trunc(toNumber(digits, 'ROUND()') || 0);
+    return math(number, 'ROUND()', n => Math.sign(n) * roundDecimal(Math.abs(n), places));
+  } },
+  MOD: { args: [2, 2], fn: ([number, divisor]) => {
+    const d = toNumber(divisor, 'MOD()');
+    if (d === 0) {
+      throw formulaError('FORMULA_ERROR', 'Division by zero in MOD()');
+    }
+    return d === null ? null : math(number, 'MOD()', n => n % d);
+  } },
+  MAX: { args: [1, Infinity], fn: (values) => {
+    const numbers = values.map(value => toNumber(value, 'MAX()'));
+    return numbers.includes(null) ? null : Math.max(...numbers);
+  } },
+  MIN: { args: [1, Infinity], fn: (values) => {
+    const numbers = values.map(value => toNumber(value, 'MIN()'));
+    return numbers.includes(null) ? null : Math.min(...numbers);
+  } },
+  SQRT: { args: [1, 1], fn: ([number]) => math(number, 'SQRT()', n => {
+    if (n < 0) throw formulaError('FORMULA_ERROR', 'SQRT() of a negative number');
+    return Math.sqrt(n);
+  }) },
+  EXP: { args: [1, 1], fn: ([number]) => math(number, 'EXP()', Math.exp) },
+  LN: { args: [1, 1], fn: ([number]) => math(number, 'LN()', n => {
+    if (n <= 0) throw formulaError('FORMULA_ERROR', 'LN() of a number that is not positive');
+    return Math.log(n);
+  }) },
+  LOG: { args: [1, 1], fn: ([number]) => math(number, 'LOG()', n => {
+    if (n <= 0) throw formulaError('FORMULA_ERROR', 'LOG() of a number that is not positive');
+    return Math.log10(n);
+  }) },
+
+  // Date and time
+  TODAY: { args: [0, 0], fn: (values, ctx) =>
+    temporal('date', Date.UTC(ctx.now.getFullYear(), ctx.now.getMonth(), ctx.now.getDate())) },
+  NOW: { args: [0, 0], fn: (values, ctx) => temporal('datetime', ctx.now.getTime()) },
+  TIMENOW: { args: [0, 0], fn: (values, ctx) => temporal('time', ctx.now.getTime() % DAY_MS) },
+  DATE: { args: [3, 3], fn: ([year, month, day]) => {
+    const parts = [toNumber(year, 'DATE()'), toNumber(month, 'DATE()'), toNumber(day, 'DATE()')];
+    if (parts.includes(null)) return null;
+    const date = parseDate(`${parts[0]}-${parts[1]}-${parts[2]}`);
+    if (!date || parts[2] > daysInMonth(parts[0], parts[1] - 1)) {
+      throw formulaError('FORMULA_ERROR', `DATE(${parts.join(', ')}) is not a valid date`);
+    }
+    return date;
+  } },
+  DATEVALUE: { args: [1, 1], fn: ([value]) => {
+    const kind = kindOf(value);
+    if (kind === 'null') return null;
+    if (kind === 'date') return value;
+    if (kind === 'datetime') return temporal('date', Math.floor(value.ms / DAY_MS) * DAY_MS);
+    const date = parseDate(toText(value, 'DATEVALUE()'));
+    if (!date) {
+      throw formulaError('FORMULA_ERROR', `DATEVALUE() could not convert "${formatValue(value)}" to a date`);
+    }
+    return date;
+  } },
+  DATETIMEVALUE: { args: [1, 1], fn: ([value]) => {
+    const kind = kindOf(value);
+    if (kind === 'null') return null;
+    if (kind === 'datetime') return value;
+    if (kind === 'date') return temporal('datetime', value.ms);
+    const dateTime = parseDateTime(toText(value, 'DATETIMEVALUE()'));
+    if (!dateTime) {
+      throw formulaError('FORMULA_ERROR', `DATETIMEVALUE() could not convert "${formatValue(value)}" to a date/time`);
+    }
+    return dateTime;
+  } },
+  TIMEVALUE: { args: [1, 1], fn: ([value]) => {
+    const kind = kindOf(value);
+    if (kind === 'null') return null;
+    if (kind === 'time') return value;
+    if (kind === 'datetime') return temporal('time', ((value.ms % DAY_MS) + DAY_MS) % DAY_MS);
+    const time = parseTime(toText(value, 'TIMEVALUE()'));
+    if (!time) {
+      throw formulaError('FORMULA_ERROR', `TIMEVALUE() could not convert "${formatValue(value)}" to a time`);
+    }
+    return time;
+  } },
+  YEAR: { args: [1, 1], fn: ([value]) => datePart(value, 'YEAR()', date => date.getUTCFullYear()) },
+  MONTH: { args: [1, 1], fn: ([value]) => datePart(value, 'MONTH()', date => date.getUTCMonth() + 1) },
+  DAY: { args: [1, 1], fn: ([value]) => datePart(value, 'DAY()', date => date.getUTCDate()) },
+  WEEKDAY: { args: [1, 1], fn: ([value]) => datePart(value, 'WEEKDAY()', date => date.getUTCDay() + 1) },
+  DAYOFYEAR: { args: [1, 1], fn: ([value]) =>
+    datePart(value, 'DAYOFYEAR()', date => Math.round((date.getTime() - Date.UTC(date.getUTCFullYear(), 0, 1)) / DAY_MS) + 1) },
+  ADDMONTHS: { args: [2, 2], fn: ([value, months]) => {
+    const count = toNumber(months, 'ADDMONTHS()');
+    const kind = kindOf(value) === 'datetime' ? 'datetime' : 'date';
+    const start = toTemporal(value, kind, 'ADDMONTHS()');
+    if (start === null || count === null) return null;
+
+    const date = new Date(start.ms);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const target = new Date(Date.UTC(year, month + Math.trunc(count), 1));
+    const lastDay = daysInMonth(target.getUTCFullYear(), target.getUTCMonth());
+    // The last day of a month stays the last day of the month
+    const day = date.getUTCDate() === daysInMonth(year, month) ? lastDay : Math.min(date.getUTCDate(), lastDay);
+    return temporal(kind, Date.UTC(target.getUTCFullYear(), target.getUTCMonth(), day) + start.ms % DAY_MS);
+  } },
+  HOUR: { args: [1, 1], fn: ([value]) => timePart(value, 'HOUR()', ms => Math.floor(ms / 3600000)) },
+  MINUTE: { args: [1, 1], fn: ([value]) => timePart(value, 'MINUTE()', ms => Math.floor(ms / 60000) % 60) },
+  SECOND: { args: [1, 1], fn: ([value]) => timePart(value, 'SECOND()', ms => Math.floor(ms / 1000) % 60) },
+  MILLISECOND: { args: [1, 1], fn: ([value]) => timePart(value, 'MILLISECOND()', ms => ms % 1000) }
+};
+
+function math(value, where, operation) {
+  const number = toNumber(value, where);
+  return number === null ? null : operation(number);
+}
+
+function padText(text, length, padding, where) {
+  const value = toText(text, where);
+  const size = Math.max(0, toNumber(length, where) || 0);
+  const fill = padding === undefined ? ' ' : toText(padding, where);
+
+  if (value.length >= size || !fill) return value.slice(0, size);
+  return where === 'LPAD()' ? value.padStart(size, fill) : value.padEnd(size, fill);
+}
+
+function datePart(value, where, part) {
+  const date = toTemporal(value, 'date', where);
+  return date === null ? null : part(new Date(date.ms));
+}
+
+function timePart(value, where, part) {
+  const time = toTemporal(value, 'time', where);
+  return time === null ? null : part(time.ms);
+}
+
+// ==========================================
+// PARSER
+// ==========================================
+
+const TOKEN_PATTERNS = [
+  ['space', /\s+/y],
+  ['comment', /\/\*[\s\S]*?\*\//y],
+  ['number', /(?:\d+(?:\.\d*)?|\.\d+)/y],
+  ['string', /"(?:[^"\\]|\\[\s\S])*"|'(?:[^'\\]|\\[\s\S])*'/y],
+  ['name', /\$?[A-Za-z_][A-Za-z0-9_]*(?:\.\$?[A-Za-z_][A-Za-z0-9_]*)*/y],
+  ['op', /==|!=|<>|<=|>=|&&|\|\||[+\-*/^&=<>!(),]/y]
+];
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+
+function tokenize(formula) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < formula.length) {
+    if (formula.startsWith('/*', position) && !formula.includes('*/', position + 2)) {
+      throw formulaError('FORMULA_SYNTAX', 'Syntax error: comment is missing its closing */', position);
+    }
+
+    let matched = null;
+    for (const [type, pattern] of TOKEN_PATTERNS) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(formula);
+      if (match) {
+        matched = { type, text: match[0], position };
+        break;
+      }
+    }
+
+    if (!matched) {
+      const char = formula[position];
+      if (char === '"' || char === "'") {
+        throw formulaError('FORMULA_SYNTAX', 'Syntax error: text is missing its closing quote', position);
+      }
+      throw formulaError('FORMULA_SYNTAX', `Syntax error: unexpected character "${char}"`, position);
+    }
+
+    if (matched.type !== 'space' && matched.type !== 'comment') {
+      tokens.push(matched);
+    }
+    position += matched.text.length;
+  }
+
+  tokens.push({ type: 'end', text: '', position: formula.length });
+  return tokens;
+}
+
+/**
+ * Recursive descent parser; precedence from lowest: ||, &&, equality, comparison, + - &, * /, unary, ^
+ */
+function parseTokens(tokens) {
+  let index = 0;
+  const peek = () => tokens[index];
+  const isOp = (...ops) => peek().type === 'op' && ops.includes(peek().text);
+
+  const expect = (text) => {
+    const token = peek();
+    if (token.type !== 'op' || token.text !== text) {
+      throw formulaError('FORMULA_SYNTAX',
+        token.type === 'end' ? `Syntax error: missing '${text}'` : `Syntax error: expected '${text}' but found '${token.text}'`,
+        token.position);
+    }
+    index++;
+  };
+
+  const binaryLevel = (ops, next) => () => {
+    let node = next();
+    while (isOp(...ops)) {
+      const token = tokens[index++];
+      node = { type: 'binary', op: token.text, left: node, right: next(), position: token.position };
+    }
+    return node;
+  };
+
+  const primary = () => {
+    const token = tokens[index++];
+
+    if (token.type === 'number') {
+      return { type: 'literal', value: Number(token.text) };
+    }
+
+    if (token.type === 'string') {
+      const value = token.text.slice(1, -1).replace(/\\([\s\S])/g, (match, char) => ESCAPES[char] ?? char);
+      return { type: 'literal', value };
+    }
+
+    if (token.type === 'name') {
+      if (isOp('(')) {
+        index++;
+        const args = [];
+        if (!isOp(')')) {
+          args.push(expression());
+          while (isOp(',')) {
+            index++;
+            args.push(expression());
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.text.toUpperCase(), args, position: token.position };
+      }
+
+      const upper = token.text.toUpperCase();
+      if (upper === 'TRUE' || upper === 'FALSE') return { type: 'literal', value: upper === 'TRUE' };
+      if (upper === 'NULL') return { type: 'literal', value: null };
+      return { type: 'field', path: token.text, position: token.position };
+    }
+
+    if (token.type === 'op' && token.text === '(') {
+      const node = expression();
+      expect(')');
+      return node;
+    }
+
+    throw formulaError('FORMULA_SYNTAX',
+      token.type === 'end' ? 'Syntax error: formula ends unexpectedly' : `Syntax error: unexpected '${token.text}'`,
+      token.position);
+  };
+
+  // ^ is right-associative and binds tighter than unary minus
+  const power = () => {
+    const base = primary();
+    if (isOp('^')) {
+      const token = tokens[index++];
+      return { type: 'binary', op: '^', left: base, right: unary(), position: token.position };
+    }
+    return base;
+  };
+
+  const unary = () => {
+    if (isOp('-', '+', '!')) {
+      const token = tokens[index++];
+      return { type: 'unary', op: token.text, operand: unary(), position: token.position };
+    }
+    return power();
+  };
+
+  const multiplicative = binaryLevel(['*', '/'], unary);
+  const additive = binaryLevel(['+', '-', '&'], multiplicative);
+  const comparison = binaryLevel(['<', '>', '<=', '>='], additive);
+  const equality = binaryLevel(['=', '==', '!=', '<>'], comparison);
+  const and = binaryLevel(['&&'], equality);
+  const expression = binaryLevel(['||'], and);
+
+  const ast = expression();
+  if (peek().type !== 'end') {
+    throw formulaError('FORMULA_SYNTAX', `Syntax error: unexpected '${peek().text}'`, peek().position);
+  }
+  return ast;
+}
+
+function walk(node, visit) {
+  visit(node);
+  if (node.type === 'call') node.args.forEach(arg => walk(arg, visit));
+  if (node.type === 'binary') {
+    walk(node.left, visit);
+    walk(node.right, visit);
+  }
+  if (node.type === 'unary') walk(node.operand, visit);
+}
+
+// ==========================================
+// EVALUATION
+// ==========================================
+
+function evaluateNode(node, ctx) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'field':
+      return ctx.resolve(node.path);
+
+    case 'unary': {
+      const value = evaluateNode(node.operand, ctx);
+      if (node.op === '!') return !isTrue(value, "operator '!'");
+      const number = toNumber(value, `operator '${node.op}'`);
+      return number === null ? null : node.op === '-' ? -number : number;
+    }
+
+    case 'binary': {
+      const where = `operator '${node.op}'`;
+      if (node.op === '&&') return isTrue(evaluateNode(node.left, ctx), where) && isTrue(evaluateNode(node.right, ctx), where);
+      if (node.op === '||') return isTrue(evaluateNode(node.left, ctx), where) || isTrue(evaluateNode(node.right, ctx), where);
+
+      const left = evaluateNode(node.left, ctx);
+      const right = evaluateNode(node.right, ctx);
+
+      switch (node.op) {
+        case '=':
+        case '==':
+          return valuesEqual(left, right, where);
+        case '!=':
+        case '<>':
+          return !valuesEqual(left, right, where);
+        case '<':
+        case '>':
+        case '<=':
+        case '>=': {
+          const order = compareValues(left, right, where);
+          if (order === null) return null;
+          return { '<': order < 0, '>': order > 0, '<=': order <= 0, '>=': order >= 0 }[node.op];
+        }
+        case '+':
+          return add(left, right, where);
+        case '-':
+          return subtract(left, right, where);
+        case '&':
+          return toText(left, where) + toText(right, where);
+        default:
+          return arithmetic(node.op, left, right, where);
+      }
+    }
+
+    case 'call': {
+      const definition = FUNCTIONS[node.name];
+      const args = definition.lazy ? node.args : node.args.map(arg => evaluateNode(arg, ctx));
+      return definition.fn(args, ctx);
+    }
+
+    default:
+      throw formulaError('FORMULA_ERROR', `Unknown formula element ${node.type}`);
+  }
+}
+
+/**
+ * Turn a sample value into a typed value using the field's describe type
+ */
+function typedValue(value, fieldType, path) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number' || typeof value === 'boolean') return value;
+  if (value instanceof Date) return temporal('datetime', value.getTime());
+
+  const text = String(value);
+  const kind = FIELD_KINDS[fieldType];
+
+  if (!fieldType) return text === '' ? null : raw(text);
+  if (!kind) return text;
+  if (text === '') return kind === 'picklist' || kind === 'multipicklist' ? { kind, value: '' } : null;
+  return coerceRaw(raw(text), kind, path);
+}
+
+/**
+ * Lowercase the keys of a flat or nested object into a map of dotted paths
+ */
+function flattenKeys(object, prefix = '', target = new Map()) {
+  Object.entries(object || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value)) {
+      flattenKeys(value, path, target);
+    } else {
+      target.set(path.toLowerCase(), value);
+    }
+  });
+  return target;
+}
+
+const FormulaEvaluator = {
+  UNSUPPORTED_FUNCTIONS,
+
+  /**
+   * Names of every function the editor can offer (evaluated and unsupported)
+   * @returns {Array} Sorted function names
+   */
+  getFunctionNames() {
+    return [...Object.keys(FUNCTIONS), ...UNSUPPORTED_FUNCTIONS].sort();
+  },
+
+  /**
+   * Parse a formula into a syntax tree
+   * @param {string} formula - Formula source
+   * @returns {object} AST node
+   * @throws {Error} code FORMULA_SYNTAX with a character position
+   */
+  parse(formula) {
+    if (!formula || !formula.trim()) {
+      throw formulaError('FORMULA_SYNTAX', 'Formula is empty');
+    }
+    return parseTokens(tokenize(formula));
+  },
+
+  /**
+   * Parse a formula and check its functions without evaluating it
+   * @param {string} formula - Formula source
+   * @returns {object} { ast, references, functions, diagnostics: [{ code, message, position }] }
+   *   code is FORMULA_SYNTAX, UNKNOWN_FUNCTION or UNSUPPORTED_FUNCTION
+   */
+  analyze(formula) {
+    const result = { ast: null, references: [], functions: [], diagnostics: [] };
+
+    try {
+      result.ast = this.parse(formula);
+    } catch (error) {
+      result.diagnostics.push({ code: error.code, message: error.message, position: error.position });
+      return result;
+    }
+
+    const references = new Set();
+    const functions = new Set();
+
+    walk(result.ast, node => {
+      if (node.type === 'field') {
+        references.add(node.path);
+      }
+      if (node.type !== 'call') return;
+
+      functions.add(node.name);
+      const definition = FUNCTIONS[node.name];
+
+      if (!definition) {
+        const unsupported = UNSUPPORTED_FUNCTIONS.includes(node.name);
+        result.diagnostics.push({
+          code: unsupported ? 'UNSUPPORTED_FUNCTION' : 'UNKNOWN_FUNCTION',
+          message: unsupported
+            ? `${node.name}() cannot be evaluated outside Salesforce (character ${node.position + 1})`
+            : `Unknown function ${node.name}() (character ${node.position + 1})`,
+          position: node.position
+        });
+        return;
+      }
+
+      const [min, max] = definition.args;
+      const count = node.args.length;
+      if (count < min || count > max || (node.name === 'CASE' && count % 2 !== 0)) {
+        const expected = node.name === 'CASE'
+          ? 'an expression, value/result pairs and an else result'
+          : min === max ? `${min} argument${min === 1 ? '' : 's'}` : max === Infinity ? `at least ${min} arguments` : `${min} to ${max} arguments`;
+        result.diagnostics.push({
+          code: 'FORMULA_SYNTAX',
+          message: `${node.name}() expects ${expected}, received ${count} (character ${node.position + 1})`,
+          position: node.position
+        });
+      }
+
+      if (definition.field && node.args[0] && node.args[0].type !== 'field') {
+        result.diagnostics.push({
+          code: 'FORMULA_SYNTAX',
+          message: `${node.name}() expects a field (character ${node.position + 1})`,
+          position: node.position
+        });
+      }
+    });
+
+    result.references = [...references];
+    result.functions = [...functions];
+    return result;
+  },
+
+  /**
+   * Build an evaluation context from a sample record
+   * Special keys in the record: `$User.Id`-style globals, `PRIORVALUE(Field)` prior values,
+   * and `ISNEW()` / `ISCLONE()` flags
+   * @param {object} record - Sample record (flat `Account.Name` keys or nested objects)
+   * @param {object} options - { fieldTypes: { FieldName: describe type }, globals: { $User: {...} }, priorRecord, isNew, now }
+   * @returns {object} Context for evaluate()
+   */
+  buildContext(record, options = {}) {
+    const values = new Map();
+    const prior = flattenKeys(options.priorRecord);
+    const globals = flattenKeys(options.globals);
+    let isNew = !!options.isNew;
+    let isClone = !!options.isClone;
+
+    flattenKeys(record).forEach((value, key) => {
+      const priorMatch = key.match(/^priorvalue\((.+)\)$/);
+      if (key.startsWith('$')) {
+        globals.set(key, value);
+      } else if (priorMatch) {
+        prior.set(priorMatch[1].trim(), value);
+      } else if (key === 'isnew()') {
+        isNew = /^(true|1)$/i.test(String(value).trim());
+      } else if (key === 'isclone()') {
+        isClone = /^(true|1)$/i.test(String(value).trim());
+      } else {
+        values.set(key, value);
+      }
+    });
+
+    const fieldTypes = new Map(Object.entries(options.fieldTypes || {}).map(([name, type]) => [name.toLowerCase(), type]));
+    const warnings = new Set();
+
+    return {
+      isNew,
+      isClone,
+      now: options.now || new Date(),
+      warnings,
+      resolve(path) {
+        const key = path.toLowerCase();
+        const source = key.startsWith('$') ? globals : values;
+        if (!source.has(key)) {
+          warnings.add(`No value for ${path}; treated as blank`);
+          return null;
+        }
+        return typedValue(source.get(key), fieldTypes.get(key), path);
+      },
+      hasPrior(path) {
+        return prior.has(path.toLowerCase());
+      },
+      resolvePrior(path) {
+        const key = path.toLowerCase();
+        return typedValue(prior.get(key), fieldTypes.get(key), `PRIORVALUE(${path})`);
+      }
+    };
+  },
+
+  /**
+   * Evaluate a formula against a sample record
+   * @param {string} formula - Formula source
+   * @param {object} record - Sample record
+   * @param {object} options - See buildContext
+   * @returns {object} { value, text, references, warnings }
+   * @throws {Error} code FORMULA_SYNTAX, UNKNOWN_FUNCTION, UNSUPPORTED_FUNCTION, TYPE_ERROR or FORMULA_ERROR
+   */
+  evaluate(formula, record, options = {}) {
+    const analysis = this.analyze(formula);
+    if (analysis.diagnostics.length > 0) {
+      const [first] = analysis.diagnostics;
+      const error = new Error(first.message);
+      error.code = first.code;
+      error.position = first.position;
+      error.diagnostics = analysis.diagnostics;
+      throw error;
+    }
+
+    const ctx = this.buildContext(record, options);
+    const value = evaluateNode(analysis.ast, ctx);
+
+    return {
+      value: kindOf(value) === 'raw' ? resolveRaw(value) : value,
+      text: formatValue(value),
+      references: analysis.references,
+      warnings: [...ctx.warnings]
+    };
+  },
+
+  /**
+   * Evaluate an already parsed formula, or part of one, without checking its functions first
+   * @param {object} ast - AST node from parse()
+   * @param {object} record - Sample record
+   * @param {object} options - See buildContext
+   * @returns {*} Value (null, boolean, number, text, or a typed value such as { kind: 'date', ms })
+   */
+  evaluateAst(ast, record = {}, options = {}) {
+    const value = evaluateNode(ast, this.buildContext(record, options));
+    return kindOf(value) === 'raw' ? resolveRaw(value) : value;
+  },
+
+  /**
+   * Evaluate a validation rule's error condition; the rule fires when the formula is true
+   * @param {string} formula - Error condition formula
+   * @param {object} record - Sample record
+   * @param {object} options - See buildContext
+   * @returns {object} { result: true | false | null, fires, references, values, warnings }
+   */
+  evaluateCondition(formula, record, options = {}) {
+    const evaluation = this.evaluate(formula, record, options);
+    const kind = kindOf(evaluation.value);
+    if (kind !== 'boolean' && kind !== 'null') {
+      throw formulaError('TYPE_ERROR',
+        `Formula result is data type (${TYPE_NAMES[kind]}), incompatible with expected data type (true or false)`);
+    }
+    const result = evaluation.value;
+
+    // Sample values as the formula read them; fields in branches that were not taken may not convert
+    const ctx = this.buildContext(record, options);
+    const values = {};
+    evaluation.references.forEach(path => {
+      try {
+        values[path] = formatValue(ctx.resolve(path));
+      } catch (error) {
+        values[path] = `(${error.message})`;
+      }
+    });
+
+    return {
+      result,
+      fires: result === true,
+      references: evaluation.references,
+      values,
+      warnings: evaluation.warnings
+    };
+  },
+
+  formatValue
+};
+
+export default FormulaEvaluator;
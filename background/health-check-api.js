@@ -1,5 +1,6 @@
 // Health Check API - Performs 8 validations on Salesforce org health
 import SessionManager from './session-manager.js';
+import RequestClient from './request-client.js';
 
 // Hard-coded expected values for health checks
 const EXPECTED_VALUES = {
@@ -25,10 +26,11 @@ const EXPECTED_VALUES = {
 
 class HealthCheckAPI {
   /**
-   * Execute API call with session using fetch API (service worker compatible)
+   * Execute API call with the current session via the shared RequestClient (service worker compatible)
+   * Pass a session to query another org, e.g. for scheduled checks run by the service worker.
    */
-  static async executeQuery(endpoint, method = 'GET') {
-    const session = await SessionManager.getCurrentSession();
+  static async executeQuery(endpoint, method = 'GET', body = null, targetSession = null) {
+    const session = targetSession || await SessionManager.getCurrentSession();
 
     // Check if session is an error object
     if (session && session.error) {
@@ -39,71 +41,61 @@ class HealthCheckAPI {
       throw new Error('No active Salesforce session. Please refresh the page.');
     }
 
-    const fullUrl = new URL(endpoint, session.instanceUrl);
-
     try {
-      const response = await fetch(fullUrl.toString(), {
-        method: method,
-        headers: {
-          'Authorization': 'Bearer ' + session.sessionId,
-          'Accept': 'application/json; charset=UTF-8',
-          'Content-Type': 'application/json; charset=UTF-8'
-        },
-        signal: AbortSignal.timeout(30000) // 30 second timeout
-      });
-
-      if (!response.ok) {
-        if (response.status === 401) {
-          throw new Error('Session expired. Please refresh the Salesforce page.');
-        } else if (response.status === 403) {
-          throw new Error('Access denied. Check your permissions.');
-        } else {
-          const errorText = await response.text();
-          throw new Error(`API Error ${response.status}: ${errorText}`);
-        }
-      }
-
-      return await response.json();
+      return await RequestClient.request(session, endpoint, { method, body, timeout: 30000 });
     } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new Error('Request timeout');
+      if (error.code === 'SESSION_EXPIRED') {
+        throw new Error('Session expired. Please refresh the Salesforce page.');
+      } else if (error.code === 'ACCESS_DENIED') {
+        throw new Error('Access denied. Check your permissions.');
       }
       throw error;
     }
   }
 
   /**
-   * Execute SOQL query
+   * Execute SOQL query (all pages are read via nextRecordsUrl)
    */
-  static async soqlQuery(query) {
+  static async soqlQuery(query, session = null) {
     const encodedQuery = encodeURIComponent(query);
-    return await this.executeQuery(`/services/data/v59.0/query?q=${encodedQuery}`);
+    return await this.executeQuery(`/services/data/v59.0/query?q=${encodedQuery}`, 'GET', null, session);
+  }
+
+  /**
+   * Stream a SOQL query record by record, for queries whose pages should not all be held in memory
+   */
+  static async *queryRecords(query, session = null) {
+    const activeSession = session || await SessionManager.getCurrentSession();
+    if (!activeSession || activeSession.error || !activeSession.sessionId) {
+      throw new Error(activeSession?.message || 'No active Salesforce session. Please refresh the page.');
+    }
+    yield* RequestClient.queryRecords(activeSession, query);
   }
 
   /**
-   * Execute Tooling API query
+   * Execute Tooling API query (all pages are read via nextRecordsUrl)
    */
-  static async toolingQuery(query) {
+  static async toolingQuery(query, session = null) {
     const encodedQuery = encodeURIComponent(query);
-    return await this.executeQuery(`/services/data/v59.0/tooling/query?q=${encodedQuery}`);
+    return await this.executeQuery(`/services/data/v59.0/tooling/query?q=${encodedQuery}`, 'GET', null, session);
   }
 
   /**
    * Get org limits
    */
-  static async getOrgLimits() {
-    return await this.executeQuery('/services/data/v63.0/limits');
+  static async getOrgLimits(session = null) {
+    return await this.executeQuery('/services/data/v63.0/limits', 'GET', null, session);
   }
 
   /**
    * Validation 1: System Information
    * Checks org-level configuration flags and email deliverability
    */
-  static async validateEnvironmentSettings() {
+  static async validateEnvironmentSettings(session = null) {
     try {
       // Query Organization object for standard settings
       const query = `SELECT Name, OrganizationType, IsSandbox, InstanceName, NamespacePrefix FROM Organization LIMIT 1`;
-      const result = await this.soqlQuery(query);
+      const result = await this.soqlQuery(query, session);
 
       if (!result.records || result.records.length === 0) {
         return {
@@ -168,10 +160,10 @@ class HealthCheckAPI {
    * Validation 2: Security Settings
    * Checks session security settings including Locker Service
    */
-  static async validateSecuritySettings() {
+  static async validateSecuritySettings(session = null) {
     try {
       const query = "SELECT Metadata FROM SecuritySettings";
-      const result = await this.toolingQuery(query);
+      const result = await this.toolingQuery(query, session);
 
       if (!result.records || result.records.length === 0) {
         return {
@@ -234,9 +226,9 @@ class HealthCheckAPI {
    * Validation 3: Org Limits
    * Checks file and data storage usage
    */
-  static async validateOrgLimits() {
+  static async validateOrgLimits(session = null) {
     try {
-      const limits = await this.getOrgLimits();
+      const limits = await this.getOrgLimits(session);
 
       const fileStorage = limits.FileStorageMB;
       const dataStorage = limits.DataStorageMB;
@@ -285,9 +277,9 @@ class HealthCheckAPI {
    * Validation 4: API Usage
    * Checks API call limits and usage
    */
-  static async validateAPIUsage() {
+  static async validateAPIUsage(session = null) {
     try {
-      const limits = await this.getOrgLimits();
+      const limits = await this.getOrgLimits(session);
 
       const apiCalls = limits.DailyApiRequests;
       const usedPercent = ((apiCalls.Max - apiCalls.Remaining) / apiCalls.Max) * 100;
@@ -327,20 +319,20 @@ class HealthCheckAPI {
    * Validation 5: Environment Settings (Custom Object)
    * Validates Closed System, Lock Life Cycle, DOT Help URL, and Email Deliverability
    */
-  static async validateESignatureSettings() {
+  static async validateESignatureSettings(session = null) {
     try {
-      // Get current session to determine the org URL
-      const session = await SessionManager.getCurrentSession();
-      const expectedLoginUrl = session.instanceUrl;
-      const expectedHelpUrl = `${session.instanceUrl}/lightning/app/dotcomp__Dot_Community`;
+      // The checked org's session determines the expected URLs
+      const activeSession = session || await SessionManager.getCurrentSession();
+      const expectedLoginUrl = activeSession.instanceUrl;
+      const expectedHelpUrl = `${activeSession.instanceUrl}/lightning/app/dotcomp__Dot_Community`;
 
       // Query Environment Settings for system configuration
       const envQuery = `SELECT CompSuite__Closed_System__c, CompSuite__Lock_Life_Cycle__c, CompSuite__Dot_Help_URL__c FROM CompSuite__Environment_Settings__c WHERE Name = 'System Settings' LIMIT 1`;
-      const envResult = await this.soqlQuery(envQuery);
+      const envResult = await this.soqlQuery(envQuery, activeSession);
 
       // Query E-Signature Settings for Login URL
       const esigQuery = `SELECT Name, CompSuite__Value__c FROM CompSuite__E_Signature_Settings__c WHERE Name = 'Login URL' LIMIT 1`;
-      const esigResult = await this.soqlQuery(esigQuery);
+      const esigResult = await this.soqlQuery(esigQuery, activeSession);
 
       const fields = [];
 
@@ -401,7 +393,7 @@ class HealthCheckAPI {
       // Email Deliverability Check
       try {
         const emailQuery = "SELECT Metadata FROM EmailAdministrationSettings";
-        const emailResult = await this.toolingQuery(emailQuery);
+        const emailResult = await this.toolingQuery(emailQuery, activeSession);
 
         if (emailResult.records && emailResult.records.length > 0) {
           const emailRecord = emailResult.records[0];
@@ -464,14 +456,14 @@ class HealthCheckAPI {
    * Validation 6: Data Migration
    * Validates data integrity including requirement revisions, orphaned documents, and content links
    */
-  static async validateDataMigration() {
+  static async validateDataMigration(session = null) {
     try {
       const fields = [];
 
       // Check 1: Opened Requirement Revisions
       try {
         const reqQuery = `SELECT count(id) FROM CompSuite__Requirement_Revision__c WHERE CompSuite__State__r.Name = 'Opened'`;
-        const reqResult = await this.soqlQuery(reqQuery);
+        const reqResult = await this.soqlQuery(reqQuery, session);
         const reqCount = reqResult.records && reqResult.records[0] ? (reqResult.records[0].cnt || reqResult.records[0].expr0 || 0) : 0;
 
         fields.push({
@@ -494,7 +486,7 @@ class HealthCheckAPI {
       // Check 2: Orphaned Document Revisions
       try {
         const orphanQuery = `SELECT count(id) FROM CompSuite__Document_Revision__c WHERE Id NOT IN (SELECT CompSuite__Document_Revision__c FROM CompSuite__Document_Revision_Logs__c)`;
-        const orphanResult = await this.soqlQuery(orphanQuery);
+        const orphanResult = await this.soqlQuery(orphanQuery, session);
         const orphanCount = orphanResult.records && orphanResult.records[0] ? (orphanResult.records[0].cnt || orphanResult.records[0].expr0 || 0) : 0;
 
         fields.push({
@@ -523,7 +515,7 @@ class HealthCheckAPI {
           WHERE CompSuite__Action__c = 'Check In'
             AND CompSuite__Document_Revision__r.CompSuite__Data_Migration_Record__c = true
         `;
-        const revisionLogs = await this.soqlQuery(revisionLogsQuery);
+        const revisionLogs = await this.soqlQuery(revisionLogsQuery, session);
 
         if (!revisionLogs.records || revisionLogs.records.length === 0) {
           fields.push({
@@ -567,7 +559,7 @@ class HealthCheckAPI {
               const chunk = versionIdsArray.slice(i, i + chunkSize);
               const idsString = chunk.map(id => `'${id}'`).join(',');
               const versionQuery = `SELECT Id, ContentDocumentId FROM ContentVersion WHERE Id IN (${idsString})`;
-              const versionResult = await this.soqlQuery(versionQuery);
+              const versionResult = await this.soqlQuery(versionQuery, session);
 
               if (versionResult.records) {
                 versionResult.records.forEach(ver => {
@@ -586,14 +578,11 @@ class HealthCheckAPI {
             const chunk = revisionLogIds.slice(i, i + chunkSize);
             const idsString = chunk.map(id => `'${id}'`).join(',');
             const linkQuery = `SELECT LinkedEntityId, ContentDocumentId FROM ContentDocumentLink WHERE LinkedEntityId IN (${idsString})`;
-            const linkResult = await this.soqlQuery(linkQuery);
 
-            if (linkResult.records) {
-              linkResult.records.forEach(rec => {
-                if (rec.LinkedEntityId && rec.ContentDocumentId) {
-                  existingKeys.add(`${rec.LinkedEntityId}_${rec.ContentDocumentId}`);
-                }
-              });
+            for await (const rec of this.queryRecords(linkQuery, session)) {
+              if (rec.LinkedEntityId && rec.ContentDocumentId) {
+                existingKeys.add(`${rec.LinkedEntityId}_${rec.ContentDocumentId}`);
+              }
             }
           }
 
@@ -660,9 +649,9 @@ class HealthCheckAPI {
   /**
    * Execute a custom health check
    */
-  static async executeCustomCheck(customCheck) {
+  static async executeCustomCheck(customCheck, session = null) {
     try {
-      const result = await this.soqlQuery(customCheck.query);
+      const result = await this.soqlQuery(customCheck.query, session);
 
       // Handle different result types
       let fields = [];
@@ -1076,7 +1065,6 @@ class HealthCheckAPI {
 
 
       // Create ContentDocumentLink records using REST API
-      const session = await SessionManager.getCurrentSession();
       const createdLinks = [];
 
       for (const link of linksToCreate) {
@@ -1087,26 +1075,9 @@ class HealthCheckAPI {
           Visibility: 'AllUsers' // AllUsers visibility
         };
 
-        const createUrl = new URL('/services/data/v59.0/sobjects/ContentDocumentLink', session.instanceUrl);
-
         try {
-          const response = await fetch(createUrl.toString(), {
-            method: 'POST',
-            headers: {
-              'Authorization': 'Bearer ' + session.sessionId,
-              'Accept': 'application/json; charset=UTF-8',
-              'Content-Type': 'application/json; charset=UTF-8'
-            },
-            body: JSON.stringify(linkData)
-          });
-
-          if (!response.ok) {
-            const errorText = await response.text();
-            console.error('[HealthCheckAPI] Failed to create link for', link.type, ':', errorText);
-            throw new Error(`Failed to create link for ${link.type}: ${errorText}`);
-          }
+          const result = await this.executeQuery('/services/data/v59.0/sobjects/ContentDocumentLink', 'POST', linkData);
 
-          const result = await response.json();
           createdLinks.push({
             type: link.type,
             title: link.title,
@@ -1115,8 +1086,8 @@ class HealthCheckAPI {
           });
 
         } catch (error) {
-          console.error('[HealthCheckAPI] Error creating link:', error);
-          throw error;
+          console.error('[HealthCheckAPI] Failed to create link for', link.type, ':', error.message);
+          throw new Error(`Failed to create link for ${link.type}: ${error.message}`);
         }
       }
 
@@ -1142,36 +1113,37 @@ class HealthCheckAPI {
    * Run a single health check by name
    * @param {string} checkName - Name of the check to run
    * @param {object} customCheck - Custom check object (if checkName is 'custom')
+   * @param {object} session - Session of the org to check (defaults to the current session)
    * @returns {Promise<object>} - Check result
    */
-  static async runSingleCheck(checkName, customCheck = null) {
+  static async runSingleCheck(checkName, customCheck = null, session = null) {
 
     try {
       // Map check names to validation methods
       switch (checkName) {
         case 'System Information':
-          return await this.validateEnvironmentSettings();
+          return await this.validateEnvironmentSettings(session);
 
         case 'Security Settings':
-          return await this.validateSecuritySettings();
+          return await this.validateSecuritySettings(session);
 
         case 'Org Limits':
-          return await this.validateOrgLimits();
+          return await this.validateOrgLimits(session);
 
         case 'API Usage':
-          return await this.validateAPIUsage();
+          return await this.validateAPIUsage(session);
 
         case 'Environment Settings':
-          return await this.validateESignatureSettings();
+          return await this.validateESignatureSettings(session);
 
         case 'Data Migration':
-          return await this.validateDataMigration();
+          return await this.validateDataMigration(session);
 
         case 'custom':
           if (!customCheck) {
             throw new Error('Custom check object is required for custom checks');
           }
-          return await this.executeCustomCheck(customCheck);
+          return await this.executeCustomCheck(customCheck, session);
 
         default:
           throw new Error(`Unknown check name: ${checkName}`);
@@ -0,0 +1,284 @@
+// Health Check History
+// Keeps every health check run per org so limits, security settings and custom check values can be
+// compared between runs. One run per org can be chosen as the baseline that later runs are measured against.
+
+class HealthCheckHistory {
+  // Storage key for run history: { [orgId]: { baselineRunId, runs: [newest first] } }
+  static STORAGE_KEY = 'healthCheckHistory';
+  static MAX_RUNS_PER_ORG = 50; // The baseline run is kept even when it is older than this
+
+  /**
+   * Store a completed run
+   * @param {object} run - { orgId, orgName, orgUrl, timestamp, duration, checks, source: 'manual' | 'scheduled' }
+   * @returns {Promise<object>} Stored run
+   */
+  static async recordRun(run) {
+    if (!run.orgId) {
+      throw new Error('Cannot record a health check run without an org ID');
+    }
+
+    const orgId = run.orgId.substring(0, 15);
+    const all = await this.loadAll();
+    const history = all[orgId] || { baselineRunId: null, runs: [] };
+
+    const record = {
+      id: this.generateRunId(),
+      orgId,
+      orgName: run.orgName || null,
+      orgUrl: run.orgUrl || null,
+      timestamp: run.timestamp || new Date().toISOString(),
+      duration: run.duration ?? null,
+      source: run.source || 'manual',
+      checks: (run.checks || []).map(check => this.snapshotCheck(check))
+    };
+
+    history.runs.unshift(record);
+    history.runs = history.runs.filter((r, index) =>
+      index < this.MAX_RUNS_PER_ORG || r.id === history.baselineRunId
+    );
+
+    all[orgId] = history;
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: all });
+
+    console.log('[HealthCheckHistory] Recorded run:', record.id, `(${orgId}, ${history.runs.length} stored)`);
+    return record;
+  }
+
+  /**
+   * Get the stored runs and baseline of an org
+   * @param {string} orgId - Salesforce org ID
+   * @returns {Promise<object>} { baselineRunId, runs } with runs newest first
+   */
+  static async getHistory(orgId) {
+    if (!orgId) return { baselineRunId: null, runs: [] };
+    const all = await this.loadAll();
+    return all[orgId.substring(0, 15)] || { baselineRunId: null, runs: [] };
+  }
+
+  /**
+   * Get the baseline run of an org
+   * @param {string} orgId - Salesforce org ID
+   * @returns {Promise<object|null>} Baseline run
+   */
+  static async getBaseline(orgId) {
+    const history = await this.getHistory(orgId);
+    return history.runs.find(run => run.id === history.baselineRunId) || null;
+  }
+
+  /**
+   * Choose the baseline run of an org
+   * @param {string} orgId - Salesforce org ID
+   * @param {string|null} runId - Run to use as baseline, or null to clear it
+   * @returns {Promise<object>} Updated history
+   */
+  static async setBaseline(orgId, runId) {
+    const all = await this.loadAll();
+    const history = all[orgId.substring(0, 15)];
+
+    if (!history) {
+      throw new Error('No health check history for this org');
+    }
+    if (runId && !history.runs.some(run => run.id === runId)) {
+      const error = new Error('Health check run not found');
+      error.code = 'RUN_NOT_FOUND';
+      throw error;
+    }
+
+    history.baselineRunId = runId || null;
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: all });
+
+    console.log('[HealthCheckHistory] Baseline for', orgId, runId ? `set to ${runId}` : 'cleared');
+    return history;
+  }
+
+  /**
+   * Delete a stored run; deleting the baseline run clears the baseline
+   * @param {string} orgId - Salesforce org ID
+   * @param {string} runId - Run ID
+   * @returns {Promise<object>} Updated history
+   */
+  static async deleteRun(orgId, runId) {
+    const all = await this.loadAll();
+    const key = orgId.substring(0, 15);
+    const history = all[key] || { baselineRunId: null, runs: [] };
+
+    history.runs = history.runs.filter(run => run.id !== runId);
+    if (history.baselineRunId === runId) {
+      history.baselineRunId = null;
+    }
+
+    if (history.runs.length === 0) {
+      delete all[key];
+    } else {
+      all[key] = history;
+    }
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: all });
+    return history;
+  }
+
+  // ==========================================================================
+  // Comparison
+  // ==========================================================================
+
+  /**
+   * Flatten one check result into comparable values, one per field
+   * Org Limits reports storage rather than fields, so each storage type becomes a value too.
+   * @param {object} check - Check result ({ name, status, message, fields, storage })
+   * @returns {Array} [{ key, check, label, value, match }] in field order, storage values last
+   */
+  static flattenCheck(check) {
+    if (check.status === 'error') {
+      return [{ key: `${check.name}::Error`, check: check.name, label: 'Error', value: check.message || 'Unknown error', match: false }];
+    }
+
+    const entries = [];
+    const seen = new Map();
+    const add = (label, value, match) => {
+      // Custom checks can repeat a label once per returned record
+      const count = (seen.get(label) || 0) + 1;
+      seen.set(label, count);
+      const uniqueLabel = count > 1 ? `${label} (${count})` : label;
+      entries.push({
+        key: `${check.name}::${uniqueLabel}`,
+        check: check.name,
+        label: uniqueLabel,
+        value: value === null || value === undefined ? '' : String(value),
+        match: match ?? null
+      });
+    };
+
+    (check.fields || []).forEach(field => add(field.label, field.value, field.match));
+
+    if (check.storage) {
+      [['file', 'File Storage'], ['data', 'Data Storage']].forEach(([type, label]) => {
+        const storage = check.storage[type];
+        if (storage) {
+          add(label, `${storage.used} / ${storage.max} MB (${storage.usedPercent}%)`, storage.status === 'ok');
+        }
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Flatten every check of a run
+   * @param {object} run - Stored run
+   * @returns {Map} key -> { key, check, label, value, match }
+   */
+  static flattenRun(run) {
+    const values = new Map();
+    (run?.checks || []).forEach(check => {
+      this.flattenCheck(check).forEach(entry => values.set(entry.key, entry));
+    });
+    return values;
+  }
+
+  /**
+   * List the values that differ between two runs
+   * @param {object} fromRun - Earlier run (or the baseline)
+   * @param {object} toRun - Later run
+   * @returns {Array} [{ key, check, label, before, after, change: 'changed' | 'added' | 'removed' }]
+   */
+  static compareRuns(fromRun, toRun) {
+    const before = this.flattenRun(fromRun);
+    const after = this.flattenRun(toRun);
+    const changes = [];
+
+    after.forEach((entry, key) => {
+      const previous = before.get(key);
+      if (!previous) {
+        changes.push({ key, check: entry.check, label: entry.label, before: null, after: entry.value, change: 'added' });
+      } else if (previous.value !== entry.value) {
+        changes.push({ key, check: entry.check, label: entry.label, before: previous.value, after: entry.value, change: 'changed' });
+      }
+    });
+
+    before.forEach((entry, key) => {
+      if (!after.has(key)) {
+        changes.push({ key, check: entry.check, label: entry.label, before: entry.value, after: null, change: 'removed' });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Lay out runs side by side, keeping only values that changed between runs or deviate from the baseline
+   * @param {Array} runs - Runs, oldest first
+   * @param {object|null} baseline - Baseline run
+   * @returns {Array} [{ key, check, label, cells: [{ value, changed, drift }] }]
+   *   changed: differs from the previous run; drift: differs from the baseline
+   */
+  static buildTimeline(runs, baseline = null) {
+    const flattened = runs.map(run => this.flattenRun(run));
+    const baselineValues = baseline ? this.flattenRun(baseline) : null;
+
+    const rows = new Map();
+    flattened.forEach(values => {
+      values.forEach((entry, key) => {
+        if (!rows.has(key)) rows.set(key, { key, check: entry.check, label: entry.label });
+      });
+    });
+
+    return [...rows.values()]
+      .map(row => {
+        const cells = flattened.map((values, index) => {
+          const value = values.get(row.key)?.value ?? null;
+          const previous = index > 0 ? (flattened[index - 1].get(row.key)?.value ?? null) : value;
+          const baselineValue = baselineValues ? (baselineValues.get(row.key)?.value ?? null) : value;
+          return { value, changed: value !== previous, drift: value !== baselineValue };
+        });
+        return { ...row, cells };
+      })
+      .filter(row => row.cells.some(cell => cell.changed || cell.drift));
+  }
+
+  /**
+   * Count the outcome of a run
+   * @param {object} run - Stored run
+   * @returns {object} { checks, errors, mismatches }
+   */
+  static summarizeRun(run) {
+    const checks = run.checks || [];
+    return {
+      checks: checks.length,
+      errors: checks.filter(check => check.status === 'error').length,
+      mismatches: checks.reduce((count, check) =>
+        count + this.flattenCheck(check).filter(entry => entry.match === false && check.status !== 'error').length, 0)
+    };
+  }
+
+  // ==========================================================================
+  // Helpers
+  // ==========================================================================
+
+  /**
+   * Keep what is needed to compare runs; help texts and expected values are not stored
+   */
+  static snapshotCheck(check) {
+    const snapshot = {
+      name: check.name,
+      status: check.status,
+      fields: (check.fields || []).map(field => ({
+        label: field.label,
+        value: field.value ?? null,
+        match: field.match ?? null
+      }))
+    };
+    if (check.message) snapshot.message = check.message;
+    if (check.storage) snapshot.storage = check.storage;
+    return snapshot;
+  }
+
+  static async loadAll() {
+    const result = await chrome.storage.local.get(this.STORAGE_KEY);
+    return result[this.STORAGE_KEY] || {};
+  }
+
+  static generateRunId() {
+    return `hc_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  }
+}
+
+export default HealthCheckHistory;
@@ -0,0 +1,488 @@
+/**
+ * Health Check Scheduler
+ * Runs the health checks of an org daily or weekly from the service worker. Each run is stored in the
+ * health check history and compared with the previous run: a check that stops matching, or a storage
+ * limit crossing the schedule's threshold, raises a desktop notification and counts on the toolbar badge
+ * until the report for that org is opened.
+ */
+
+import HealthCheckAPI from './health-check-api.js';
+import HealthCheckHistory from './health-check-history.js';
+import SessionRegistry from './session-registry.js';
+
+const SCHEDULES_KEY = 'healthCheckSchedules';
+const ALERTS_KEY = 'healthCheckAlerts';
+const ALARM_PREFIX = 'healthCheck_';
+const NOTIFICATION_PREFIX = 'healthCheck_';
+const BADGE_COLOR = '#DD0087';
+const DEFAULT_LIMIT_THRESHOLD = 90;
+
+const FREQUENCIES = {
+  daily: { label: 'Daily', days: 1 },
+  weekly: { label: 'Weekly', days: 7 }
+};
+
+const STANDARD_CHECKS = [
+  'System Information',
+  'Security Settings',
+  'Org Limits',
+  'API Usage',
+  'Environment Settings',
+  'Data Migration'
+];
+
+const STORAGE_LIMITS = [['file', 'File Storage'], ['data', 'Data Storage']];
+
+class HealthCheckScheduler {
+  static FREQUENCIES = FREQUENCIES;
+  static STORAGE_KEY = SCHEDULES_KEY;
+  static ALERTS_KEY = ALERTS_KEY;
+  static DEFAULT_LIMIT_THRESHOLD = DEFAULT_LIMIT_THRESHOLD;
+
+  // Orgs being checked by this instance; a catch-up run and the alarm can arrive together
+  static runningOrgIds = new Set();
+
+  /**
+   * Create or update the schedule of an org
+   * @param {string} orgId - Salesforce org ID
+   * @param {Object} settings - { frequency: 'daily' | 'weekly', hour: 0-23, dayOfWeek: 0-6 (weekly), limitThreshold: percent }
+   * @returns {Promise<Object>} Saved schedule
+   */
+  static async saveSchedule(orgId, { frequency, hour, dayOfWeek = 0, limitThreshold = DEFAULT_LIMIT_THRESHOLD }) {
+    if (!orgId) {
+      throw this.invalidSchedule('missing org ID');
+    }
+    if (!FREQUENCIES[frequency]) {
+      throw this.invalidSchedule(`unknown frequency ${frequency}`);
+    }
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      throw this.invalidSchedule('hour must be between 0 and 23');
+    }
+    if (frequency === 'weekly' && (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6)) {
+      throw this.invalidSchedule('day of week must be between 0 (Sunday) and 6 (Saturday)');
+    }
+    if (!Number.isFinite(limitThreshold) || limitThreshold <= 0 || limitThreshold > 100) {
+      throw this.invalidSchedule('limit threshold must be a percentage between 1 and 100');
+    }
+
+    const key = orgId.substring(0, 15);
+    const schedules = await this.getSchedules();
+    const existing = schedules[key];
+    const session = await SessionRegistry.get(key);
+
+    const schedule = {
+      orgId: key,
+      orgName: session ? SessionRegistry.getDisplayName(session) : (existing?.orgName || key),
+      orgUrl: session?.instanceUrl || existing?.orgUrl || null,
+      frequency,
+      hour,
+      dayOfWeek: frequency === 'weekly' ? dayOfWeek : null,
+      limitThreshold,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      lastAttemptAt: existing?.lastAttemptAt || null,
+      lastRunAt: existing?.lastRunAt || null,
+      lastRunId: existing?.lastRunId || null,
+      lastStatus: existing?.lastStatus || null,
+      lastError: existing?.lastError || null
+    };
+    schedule.nextRunAt = new Date(this.nextRunTime(schedule)).toISOString();
+
+    schedules[key] = schedule;
+    await chrome.storage.local.set({ [SCHEDULES_KEY]: schedules });
+    await chrome.alarms.create(ALARM_PREFIX + key, { when: new Date(schedule.nextRunAt).getTime() });
+
+    console.log('[HealthCheckScheduler] Scheduled', schedule.orgName, frequency, 'next run', schedule.nextRunAt);
+    return schedule;
+  }
+
+  /**
+   * Stop scheduled checks for an org
+   * @param {string} orgId - Salesforce org ID
+   */
+  static async deleteSchedule(orgId) {
+    const key = orgId.substring(0, 15);
+    const schedules = await this.getSchedules();
+    delete schedules[key];
+
+    await chrome.storage.local.set({ [SCHEDULES_KEY]: schedules });
+    await chrome.alarms.clear(ALARM_PREFIX + key);
+    console.log('[HealthCheckScheduler] Removed schedule for', key);
+  }
+
+  /**
+   * Run the health checks of a scheduled org and raise alerts for what got worse since the previous run
+   * @param {string} orgId - Salesforce org ID
+   * @returns {Promise<Object|null>} { run, alerts }, or null when the org was skipped
+   */
+  static async runScheduledCheck(orgId) {
+    if (this.runningOrgIds.has(orgId)) {
+      return null;
+    }
+    this.runningOrgIds.add(orgId);
+
+    try {
+      const schedule = await this.getSchedule(orgId);
+      if (!schedule) {
+        return null;
+      }
+      await this.updateSchedule(orgId, { lastAttemptAt: new Date().toISOString() });
+
+      const session = await this.findSession(orgId);
+      if (!session) {
+        // Only tell the user the first time, not on every missed run
+        if (schedule.lastStatus !== 'skipped') {
+          this.notify(orgId, `Health check skipped: ${schedule.orgName}`,
+            'No active session for this org. Log in to it in a browser tab so scheduled checks can run.');
+        }
+        await this.updateSchedule(orgId, {
+          lastStatus: 'skipped',
+          lastError: 'No active session for this org'
+        });
+        return null;
+      }
+
+      const startTime = Date.now();
+      const previousRun = (await HealthCheckHistory.getHistory(orgId)).runs[0] || null;
+
+      const checks = [];
+      for (const checkName of STANDARD_CHECKS) {
+        checks.push(await HealthCheckAPI.runSingleCheck(checkName, null, session));
+      }
+      const customChecks = (await HealthCheckAPI.loadCustomChecks()).filter(check => check.enabled);
+      for (const customCheck of customChecks) {
+        checks.push(await HealthCheckAPI.runSingleCheck('custom', customCheck, session));
+      }
+
+      // An expired session fails every check; that says nothing about the org, so it is not stored
+      if (checks.every(check => check.status === 'error')) {
+        throw new Error(checks[0]?.message || 'All health checks failed');
+      }
+
+      const run = await HealthCheckHistory.recordRun({
+        orgId,
+        orgName: schedule.orgName,
+        orgUrl: session.instanceUrl,
+        timestamp: new Date(startTime).toISOString(),
+        duration: ((Date.now() - startTime) / 1000).toFixed(2),
+        checks,
+        source: 'scheduled'
+      });
+
+      const alerts = this.detectAlerts(previousRun, run, schedule.limitThreshold);
+      if (alerts.length > 0) {
+        await this.addAlerts(orgId, schedule.orgName, run, alerts);
+        this.notify(orgId, `Health check alert: ${schedule.orgName}`, this.describeAlerts(alerts));
+      }
+
+      await this.updateSchedule(orgId, {
+        lastRunAt: run.timestamp,
+        lastRunId: run.id,
+        lastStatus: alerts.length > 0 ? 'alert' : 'ok',
+        lastError: null
+      });
+
+      console.log('[HealthCheckScheduler] Checked', schedule.orgName, `${alerts.length} alert(s)`);
+      return { run, alerts };
+    } catch (error) {
+      console.error('[HealthCheckScheduler] Scheduled check failed:', orgId, error);
+      await this.updateSchedule(orgId, { lastStatus: 'failed', lastError: error.message });
+      return null;
+    } finally {
+      this.runningOrgIds.delete(orgId);
+    }
+  }
+
+  /**
+   * Compare a run with the previous one
+   * @param {Object|null} previousRun - Previous stored run of the org
+   * @param {Object} run - New run
+   * @param {number} limitThreshold - Storage usage percent that raises an alert when reached
+   * @returns {Array} [{ key, type: 'mismatch' | 'limit', check, label, before, after }]
+   */
+  static detectAlerts(previousRun, run, limitThreshold = DEFAULT_LIMIT_THRESHOLD) {
+    const alerts = [];
+
+    if (previousRun) {
+      const before = HealthCheckHistory.flattenRun(previousRun);
+      HealthCheckHistory.flattenRun(run).forEach((entry, key) => {
+        // Storage is measured against the threshold below instead
+        if (entry.check === 'Org Limits') return;
+
+        const previous = before.get(key);
+        if (previous?.match === true && entry.match === false) {
+          alerts.push({ key, type: 'mismatch', check: entry.check, label: entry.label, before: previous.value, after: entry.value });
+        }
+      });
+    }
+
+    const limits = run.checks.find(check => check.name === 'Org Limits' && check.storage);
+    const previousLimits = previousRun?.checks.find(check => check.name === 'Org Limits' && check.storage);
+
+    if (limits) {
+      STORAGE_LIMITS.forEach(([type, label]) => {
+        const usedPercent = parseFloat(limits.storage[type]?.usedPercent);
+        const previousPercent = parseFloat(previousLimits?.storage[type]?.usedPercent);
+
+        if (usedPercent >= limitThreshold && !(previousPercent >= limitThreshold)) {
+          alerts.push({
+            key: `Org Limits::${label}`,
+            type: 'limit',
+            check: 'Org Limits',
+            label,
+            before: Number.isNaN(previousPercent) ? null : `${previousPercent}%`,
+            after: `${usedPercent}%`,
+            threshold: limitThreshold
+          });
+        }
+      });
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Recreate alarms that were lost and catch up on runs missed while the browser was closed
+   */
+  static async resumeAll() {
+    const schedules = Object.values(await this.getSchedules());
+    const now = Date.now();
+
+    for (const schedule of schedules) {
+      const alarmName = ALARM_PREFIX + schedule.orgId;
+      const nextRun = this.nextRunTime(schedule, now);
+      const lastDue = nextRun - FREQUENCIES[schedule.frequency].days * 24 * 60 * 60 * 1000;
+      const lastActivity = Math.max(
+        new Date(schedule.lastAttemptAt || 0).getTime(),
+        new Date(schedule.updatedAt).getTime()
+      );
+
+      if (!(await chrome.alarms.get(alarmName))) {
+        await chrome.alarms.create(alarmName, { when: nextRun });
+      }
+      if (lastActivity < lastDue) {
+        this.runScheduledCheck(schedule.orgId).catch(error => {
+          console.error('[HealthCheckScheduler] Catch-up check failed:', error);
+        });
+      }
+    }
+
+    await this.updateBadge();
+
+    if (schedules.length > 0) {
+      console.log('[HealthCheckScheduler] Checked', schedules.length, 'schedule(s)');
+    }
+  }
+
+  /**
+   * Handle a chrome.alarms event
+   * @param {Object} alarm - Alarm
+   * @returns {boolean} Whether the alarm belonged to a health check schedule
+   */
+  static handleAlarm(alarm) {
+    if (!alarm.name.startsWith(ALARM_PREFIX)) {
+      return false;
+    }
+
+    const orgId = alarm.name.substring(ALARM_PREFIX.length);
+    this.scheduleNextRun(orgId)
+      .then(() => this.runScheduledCheck(orgId))
+      .catch(error => {
+        console.error('[HealthCheckScheduler] Scheduled check failed:', error);
+      });
+    return true;
+  }
+
+  /**
+   * Handle a notification click by opening the health check report of the org
+   * @param {string} notificationId - Notification ID
+   * @returns {boolean} Whether the notification belonged to a health check schedule
+   */
+  static handleNotificationClick(notificationId) {
+    if (!notificationId.startsWith(NOTIFICATION_PREFIX)) {
+      return false;
+    }
+
+    this.openReport(notificationId.substring(NOTIFICATION_PREFIX.length)).catch(error => {
+      console.error('[HealthCheckScheduler] Could not open the health check report:', error);
+    });
+    chrome.notifications.clear(notificationId);
+    return true;
+  }
+
+  // ==========================================================================
+  // Alerts and badge
+  // ==========================================================================
+
+  /**
+   * Get unacknowledged alerts
+   * @returns {Promise<Object>} { [orgId]: { orgName, runId, timestamp, items } }
+   */
+  static async getAlerts() {
+    const result = await chrome.storage.local.get(ALERTS_KEY);
+    return result[ALERTS_KEY] || {};
+  }
+
+  /**
+   * Add alerts of a run; an alert for the same field replaces the older one
+   */
+  static async addAlerts(orgId, orgName, run, items) {
+    const alerts = await this.getAlerts();
+    const existing = alerts[orgId]?.items || [];
+    const keys = new Set(items.map(item => item.key));
+
+    alerts[orgId] = {
+      orgName,
+      runId: run.id,
+      timestamp: run.timestamp,
+      items: [...existing.filter(item => !keys.has(item.key)), ...items]
+    };
+
+    await chrome.storage.local.set({ [ALERTS_KEY]: alerts });
+    await this.updateBadge();
+  }
+
+  /**
+   * Clear the alerts of an org, e.g. once its report has been opened
+   * @param {string} orgId - Salesforce org ID
+   */
+  static async acknowledgeAlerts(orgId) {
+    if (!orgId) return;
+
+    const key = orgId.substring(0, 15);
+    const alerts = await this.getAlerts();
+    if (!alerts[key]) return;
+
+    delete alerts[key];
+    await chrome.storage.local.set({ [ALERTS_KEY]: alerts });
+    chrome.notifications.clear(NOTIFICATION_PREFIX + key);
+    await this.updateBadge();
+  }
+
+  /**
+   * Show the number of unacknowledged alerts on the toolbar icon
+   */
+  static async updateBadge() {
+    const alerts = await this.getAlerts();
+    const count = Object.values(alerts).reduce((sum, orgAlerts) => sum + orgAlerts.items.length, 0);
+
+    await chrome.action.setBadgeText({ text: count > 0 ? String(count) : '' });
+    if (count > 0) {
+      await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
+    }
+  }
+
+  // ==========================================================================
+  // Storage
+  // ==========================================================================
+
+  /**
+   * Get all schedules
+   * @returns {Promise<Object>} { [orgId]: schedule }
+   */
+  static async getSchedules() {
+    const result = await chrome.storage.local.get(SCHEDULES_KEY);
+    return result[SCHEDULES_KEY] || {};
+  }
+
+  /**
+   * Get the schedule of an org
+   * @param {string} orgId - Salesforce org ID
+   * @returns {Promise<Object|null>} Schedule
+   */
+  static async getSchedule(orgId) {
+    if (!orgId) return null;
+    const schedules = await this.getSchedules();
+    return schedules[orgId.substring(0, 15)] || null;
+  }
+
+  static async updateSchedule(orgId, changes) {
+    const schedules = await this.getSchedules();
+    if (!schedules[orgId]) return;
+
+    schedules[orgId] = { ...schedules[orgId], ...changes };
+    await chrome.storage.local.set({ [SCHEDULES_KEY]: schedules });
+  }
+
+  // ==========================================================================
+  // Helpers
+  // ==========================================================================
+
+  /**
+   * Next time a schedule is due, at the scheduled hour in local time
+   * @param {Object} schedule - Schedule
+   * @param {number} from - Timestamp to start from
+   * @returns {number} Timestamp
+   */
+  static nextRunTime(schedule, from = Date.now()) {
+    const next = new Date(from);
+    next.setHours(schedule.hour, 0, 0, 0);
+
+    if (schedule.frequency === 'weekly') {
+      next.setDate(next.getDate() + ((schedule.dayOfWeek - next.getDay() + 7) % 7));
+    }
+    while (next.getTime() <= from) {
+      next.setDate(next.getDate() + FREQUENCIES[schedule.frequency].days);
+    }
+
+    return next.getTime();
+  }
+
+  static async scheduleNextRun(orgId) {
+    const schedule = await this.getSchedule(orgId);
+    if (!schedule) return;
+
+    const nextRun = this.nextRunTime(schedule);
+    await chrome.alarms.create(ALARM_PREFIX + orgId, { when: nextRun });
+    await this.updateSchedule(orgId, { nextRunAt: new Date(nextRun).toISOString() });
+  }
+
+  static async findSession(orgId) {
+    const session = await SessionRegistry.get(orgId);
+    if (session) {
+      return session;
+    }
+
+    try {
+      await SessionRegistry.discover();
+    } catch (error) {
+      console.warn('[HealthCheckScheduler] Could not scan tabs for sessions:', error.message);
+    }
+    return SessionRegistry.get(orgId);
+  }
+
+  static async openReport(orgId) {
+    // The report runs against the org in its URL, leaving the current session alone
+    await chrome.tabs.create({ url: chrome.runtime.getURL(`health-check/health-check.html?orgId=${encodeURIComponent(orgId)}`) });
+  }
+
+  static describeAlerts(alerts) {
+    const lines = alerts.slice(0, 3).map(alert => alert.type === 'limit'
+      ? `${alert.label} reached ${alert.after} (threshold ${alert.threshold}%)`
+      : `${alert.check} › ${alert.label}: ${alert.before} → ${alert.after}`);
+
+    if (alerts.length > 3) {
+      lines.push(`and ${alerts.length - 3} more`);
+    }
+    return lines.join('\n');
+  }
+
+  static notify(orgId, title, message) {
+    chrome.notifications.create(NOTIFICATION_PREFIX + orgId, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title,
+      message,
+      priority: 1,
+      requireInteraction: true
+    });
+  }
+
+  static invalidSchedule(reason) {
+    const error = new Error(`Invalid health check schedule: ${reason}`);
+    error.code = 'INVALID_SCHEDULE';
+    return error;
+  }
+}
+
+export default HealthCheckScheduler;
@@ -0,0 +1,297 @@
+/**
+ * Lookup Remapper
+ * Configurable matching rules that translate lookup values from source org IDs to target org IDs
+ * (Name, external ID or composite key matching), plus saved rule profiles
+ */
+
+import RequestClient from './request-client.js';
+
+const PROFILES_KEY = 'recordMigratorLookupProfiles';
+const ID_CHUNK_SIZE = 200;
+const KEY_SEPARATOR = '\u0001';
+
+const STRATEGIES = {
+  KEEP: 'keep',
+  NAME: 'name',
+  EXTERNAL_ID: 'externalId',
+  COMPOSITE_KEY: 'compositeKey',
+  NULL: 'null'
+};
+
+// Lookups with a sensible default across orgs; everything else keeps the source value
+const DEFAULT_RULES = {
+  RecordTypeId: { strategy: STRATEGIES.COMPOSITE_KEY, matchFields: ['SobjectType', 'DeveloperName'] },
+  CompSuite__State__c: { strategy: STRATEGIES.NAME, matchFields: ['Name'] }
+};
+
+const LookupRemapper = {
+
+  STRATEGIES,
+
+  /**
+   * Get the lookup fields of an object that can be remapped
+   * @param {Array} fields - Describe fields
+   * @returns {Array} Array of { field, label, referenceTo }
+   */
+  getLookupFields(fields) {
+    return (fields || [])
+      .filter(field => field.type === 'reference' && field.createable && (field.referenceTo || []).length > 0)
+      .map(field => ({
+        field: field.name,
+        label: field.label,
+        referenceTo: field.referenceTo
+      }));
+  },
+
+  /**
+   * Build the default rule set for an object's lookup fields
+   * @param {Array} fields - Describe fields
+   * @returns {Array} Array of rules ({ field, referenceTo, strategy, matchFields })
+   */
+  buildDefaultRules(fields) {
+    return this.getLookupFields(fields).map(lookup => ({
+      field: lookup.field,
+      referenceTo: lookup.referenceTo,
+      ...(DEFAULT_RULES[lookup.field] || { strategy: STRATEGIES.KEEP, matchFields: [] })
+    }));
+  },
+
+  /**
+   * Get the match fields used by a strategy when none are configured
+   * @param {string} strategy - Strategy name
+   * @returns {Array} Default match fields
+   */
+  getDefaultMatchFields(strategy) {
+    return strategy === STRATEGIES.NAME ? ['Name'] : [];
+  },
+
+  /**
+   * Check a rule is complete before it is used
+   * @param {Object} rule - Lookup rule
+   * @returns {string|null} Error message, or null when valid
+   */
+  validateRule(rule) {
+    if (rule.strategy === STRATEGIES.EXTERNAL_ID && rule.matchFields.length !== 1) {
+      return `${rule.field}: external ID matching needs exactly one external ID field`;
+    }
+    if (rule.strategy === STRATEGIES.COMPOSITE_KEY && rule.matchFields.length < 1) {
+      return `${rule.field}: composite key matching needs at least one field`;
+    }
+    return null;
+  },
+
+  /**
+   * Resolve every matching rule into a source ID -> target ID map
+   * Rules that cannot be resolved (bad field, query error) are skipped so the lookup keeps its source value
+   * @param {Object} sourceSession - Source session
+   * @param {Object} targetSession - Target session
+   * @param {Array} records - Source records containing the lookup values
+   * @param {Array} rules - Lookup rules for the records' object
+   * @returns {Promise<Object>} { mappings: { [field]: { strategy, values } }, warnings: [] }
+   */
+  async buildMappings(sourceSession, targetSession, records, rules) {
+    const mappings = {};
+    const warnings = [];
+
+    for (const rule of rules) {
+      if (!rule || rule.strategy === STRATEGIES.KEEP) {
+        continue;
+      }
+
+      if (rule.strategy === STRATEGIES.NULL) {
+        mappings[rule.field] = { strategy: rule.strategy, values: {} };
+        continue;
+      }
+
+      const matchFields = rule.matchFields && rule.matchFields.length > 0
+        ? rule.matchFields
+        : this.getDefaultMatchFields(rule.strategy);
+      const validationError = this.validateRule({ ...rule, matchFields });
+      if (validationError) {
+        warnings.push(validationError);
+        continue;
+      }
+
+      const sourceIds = Array.from(new Set(records.map(r => r[rule.field]).filter(Boolean)));
+      if (sourceIds.length === 0) {
+        continue;
+      }
+
+      const values = {};
+      for (const objectName of rule.referenceTo || []) {
+        try {
+          Object.assign(values, await this.matchRecords(sourceSession, targetSession, objectName, sourceIds, matchFields, warnings));
+        } catch (error) {
+          console.warn('[LookupRemapper] Could not match', rule.field, 'on', objectName, error.message);
+          warnings.push(`${rule.field} (${objectName}): ${error.message}`);
+        }
+      }
+
+      mappings[rule.field] = { strategy: rule.strategy, values };
+      console.log('[LookupRemapper] Mapped', Object.keys(values).length, 'of', sourceIds.length, rule.field, 'values by', matchFields.join(' + '));
+    }
+
+    return { mappings, warnings };
+  },
+
+  /**
+   * Match source records of one object to target records by the given fields
+   * @returns {Promise<Object>} Source ID -> target ID
+   */
+  async matchRecords(sourceSession, targetSession, objectName, sourceIds, matchFields, warnings) {
+    const fieldList = ['Id', ...matchFields.filter(f => f !== 'Id')].join(', ');
+    const sourceKeys = new Map(); // sourceId -> key
+
+    for (let i = 0; i < sourceIds.length; i += ID_CHUNK_SIZE) {
+      const idList = sourceIds.slice(i, i + ID_CHUNK_SIZE).map(id => `'${id}'`).join(',');
+      const result = await RequestClient.query(sourceSession, `SELECT ${fieldList} FROM ${objectName} WHERE Id IN (${idList})`);
+      (result.records || []).forEach(record => {
+        const key = this.buildKey(record, matchFields);
+        if (key !== null) {
+          sourceKeys.set(record.Id, key);
+        }
+      });
+    }
+
+    if (sourceKeys.size === 0) {
+      return {};
+    }
+
+    // Narrow the target query by the first match field, then compare full keys
+    const firstValues = Array.from(new Set(
+      Array.from(sourceKeys.values()).map(key => key.split(KEY_SEPARATOR)[0])
+    ));
+    const targetIdsByKey = new Map();
+    const ambiguousKeys = new Set();
+
+    for (let i = 0; i < firstValues.length; i += ID_CHUNK_SIZE) {
+      const valueList = firstValues.slice(i, i + ID_CHUNK_SIZE).map(v => this.toSoqlLiteral(v)).join(',');
+      const result = await RequestClient.query(targetSession, `SELECT ${fieldList} FROM ${objectName} WHERE ${matchFields[0]} IN (${valueList})`);
+      (result.records || []).forEach(record => {
+        const key = this.buildKey(record, matchFields);
+        if (key === null) return;
+        if (targetIdsByKey.has(key)) {
+          ambiguousKeys.add(key);
+        }
+        targetIdsByKey.set(key, record.Id);
+      });
+    }
+
+    const values = {};
+    sourceKeys.forEach((key, sourceId) => {
+      if (ambiguousKeys.has(key)) {
+        warnings.push(`${objectName}: more than one target record matches ${key.split(KEY_SEPARATOR).join(' + ')}; left unmapped`);
+      } else if (targetIdsByKey.has(key)) {
+        values[sourceId] = targetIdsByKey.get(key);
+      }
+    });
+
+    return values;
+  },
+
+  /**
+   * Build a match key from a record, following relationship paths like Parent__r.Name
+   * @returns {string|null} Key, or null when any part is empty
+   */
+  buildKey(record, matchFields) {
+    const parts = matchFields.map(path => path.split('.').reduce((value, part) => (value ? value[part] : null), record));
+    if (parts.some(part => part === null || part === undefined || part === '')) {
+      return null;
+    }
+    return parts.map(String).join(KEY_SEPARATOR);
+  },
+
+  toSoqlLiteral(value) {
+    if (value === 'true' || value === 'false' || /^-?\d+(\.\d+)?$/.test(value)) {
+      return value;
+    }
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  },
+
+  /**
+   * Apply resolved mappings to a prepared record
+   * Values without a match are cleared rather than left pointing at a source-org ID
+   * @param {Object} cleanRecord - Prepared record (modified in place)
+   * @param {Object} mappings - Mappings from buildMappings
+   * @param {Array} unmatched - Optional array collecting { field, sourceId } for values with no match
+   */
+  applyMappings(cleanRecord, mappings = {}, unmatched = null) {
+    Object.entries(mappings).forEach(([field, mapping]) => {
+      const sourceValue = cleanRecord[field];
+      if (!sourceValue) {
+        return;
+      }
+
+      if (mapping.strategy === STRATEGIES.NULL) {
+        cleanRecord[field] = null;
+      } else if (mapping.values[sourceValue]) {
+        cleanRecord[field] = mapping.values[sourceValue];
+      } else {
+        cleanRecord[field] = null;
+        if (unmatched) {
+          unmatched.push({ field, sourceId: sourceValue });
+        }
+      }
+    });
+  },
+
+  // ==========================================================================
+  // Saved profiles
+  // ==========================================================================
+
+  /**
+   * Get all saved lookup rule profiles
+   * @returns {Promise<Array>} Array of { name, objectName, rules, savedAt }
+   */
+  async loadProfiles() {
+    const result = await chrome.storage.local.get(PROFILES_KEY);
+    return result[PROFILES_KEY] || [];
+  },
+
+  /**
+   * Save (or overwrite by name) a lookup rule profile
+   * @param {string} name - Profile name
+   * @param {string} objectName - Object the rules were built for
+   * @param {Array} rules - Lookup rules
+   * @returns {Promise<Array>} Updated profiles
+   */
+  async saveProfile(name, objectName, rules) {
+    const profiles = (await this.loadProfiles()).filter(p => p.name !== name);
+    profiles.push({
+      name,
+      objectName,
+      rules: rules.map(({ field, strategy, matchFields }) => ({ field, strategy, matchFields })),
+      savedAt: new Date().toISOString()
+    });
+    profiles.sort((a, b) => a.name.localeCompare(b.name));
+
+    await chrome.storage.local.set({ [PROFILES_KEY]: profiles });
+    return profiles;
+  },
+
+  /**
+   * Delete a saved profile
+   * @param {string} name - Profile name
+   * @returns {Promise<Array>} Updated profiles
+   */
+  async deleteProfile(name) {
+    const profiles = (await this.loadProfiles()).filter(p => p.name !== name);
+    await chrome.storage.local.set({ [PROFILES_KEY]: profiles });
+    return profiles;
+  },
+
+  /**
+   * Apply a saved profile to the current rules; fields not in the profile are left unchanged
+   * @param {Array} rules - Current rules
+   * @param {Object} profile - Saved profile
+   * @returns {Array} Updated rules
+   */
+  applyProfile(rules, profile) {
+    const saved = new Map(profile.rules.map(rule => [rule.field, rule]));
+    return rules.map(rule => saved.has(rule.field)
+      ? { ...rule, strategy: saved.get(rule.field).strategy, matchFields: [...saved.get(rule.field).matchFields] }
+      : rule);
+  }
+};
+
+export default LookupRemapper;
@@ -1,6 +1,21 @@
 class MetadataAPI {
   static METADATA_API_VERSION = '59.0';
 
+  // Value set metadata types: XML element holding each value, package folder and file suffix
+  static VALUE_SET_TYPES = {
+    GlobalValueSet: { valueElement: 'customValue', folder: 'globalValueSets', suffix: 'globalValueSet' },
+    StandardValueSet: { valueElement: 'standardValue', folder: 'standardValueSets', suffix: 'standardValueSet' }
+  };
+
+  // Translation metadata types deployed as raw XML: package folder and file suffix
+  static TRANSLATION_TYPES = {
+    CustomObjectTranslation: { folder: 'objectTranslations', suffix: 'objectTranslation' },
+    StandardValueSetTranslation: { folder: 'standardValueSetTranslations', suffix: 'standardValueSetTranslation' }
+  };
+
+  // CustomValue elements in schema order; anything else (closed, won, probability...) follows alphabetically
+  static VALUE_ELEMENT_ORDER = ['fullName', 'color', 'default', 'description', 'isActive', 'label'];
+
   static async readObject(session, objectName) {
     const soapRequest = this.buildReadRequest(session.sessionId, objectName);
     const endpoint = `${session.instanceUrl}/services/Soap/m/${this.METADATA_API_VERSION}`;
@@ -22,7 +37,85 @@ class MetadataAPI {
     return this.parseReadResponse(xmlText);
   }
 
-  static buildReadRequest(sessionId, objectName) {
+  /**
+   * Read a GlobalValueSet or StandardValueSet
+   * Every element of each value is kept (e.g. closed/won/probability on standard sets), so a
+   * deploy built from the result does not drop attributes the extension does not edit
+   * @param {object} session - Salesforce session
+   * @param {string} type - 'GlobalValueSet' or 'StandardValueSet'
+   * @param {string} fullName - Value set name (e.g. 'CaseStatus')
+   * @returns {Promise<object>} { type, fullName, masterLabel, description, sorted, values }
+   */
+  static async readValueSet(session, type, fullName) {
+    if (!this.VALUE_SET_TYPES[type]) {
+      throw new Error(`Unsupported value set type: ${type}`);
+    }
+
+    const soapRequest = this.buildReadRequest(session.sessionId, fullName, type);
+    const endpoint = `${session.instanceUrl}/services/Soap/m/${this.METADATA_API_VERSION}`;
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'text/xml',
+        'SOAPAction': '""'
+      },
+      body: soapRequest
+    });
+
+    if (!response.ok) {
+      throw new Error(`Metadata API read failed: ${response.status}`);
+    }
+
+    const xmlText = await response.text();
+    return this.parseValueSetResponse(xmlText, type, fullName);
+  }
+
+  static parseValueSetResponse(xmlText, type, fullName) {
+    const parser = new DOMParser();
+    const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
+
+    const faultNode = xmlDoc.querySelector('faultstring');
+    if (faultNode) {
+      throw new Error(`Metadata API error: ${faultNode.textContent}`);
+    }
+
+    const recordNode = xmlDoc.querySelector('records');
+    if (!recordNode || !this.childText(recordNode, 'fullName')) {
+      const error = new Error(`${type} ${fullName} not found`);
+      error.code = 'VALUE_SET_NOT_FOUND';
+      throw error;
+    }
+
+    const valueElement = this.VALUE_SET_TYPES[type].valueElement;
+    const values = Array.from(recordNode.children)
+      .filter(child => child.localName === valueElement)
+      .map(valueNode => {
+        const value = {};
+        Array.from(valueNode.children).forEach(child => {
+          value[child.localName] = child.textContent;
+        });
+        value.default = value.default === 'true';
+        value.isActive = value.isActive !== 'false';
+        return value;
+      });
+
+    return {
+      type,
+      fullName: this.childText(recordNode, 'fullName'),
+      masterLabel: this.childText(recordNode, 'masterLabel'),
+      description: this.childText(recordNode, 'description'),
+      sorted: this.childText(recordNode, 'sorted') === 'true',
+      values
+    };
+  }
+
+  static childText(node, localName) {
+    const child = Array.from(node.children).find(c => c.localName === localName);
+    return child ? child.textContent : null;
+  }
+
+  static buildReadRequest(sessionId, objectName, type = 'CustomObject') {
     return `<?xml version="1.0" encoding="utf-8"?>
 <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
                   xmlns:met="http://soap.sforce.com/2006/04/metadata">
@@ -33,8 +126,8 @@ class MetadataAPI {
   </soapenv:Header>
   <soapenv:Body>
     <met:readMetadata>
-      <met:type>CustomObject</met:type>
-      <met:fullNames>${objectName}</met:fullNames>
+      <met:type>${type}</met:type>
+      <met:fullNames>${this.escapeXml(objectName)}</met:fullNames>
     </met:readMetadata>
   </soapenv:Body>
 </soapenv:Envelope>`;
@@ -75,6 +168,11 @@ class MetadataAPI {
       recordTypes.push({
         fullName: rtNode.querySelector('fullName')?.textContent,
         label: rtNode.querySelector('label')?.textContent,
+        // Kept so a record type can be deployed back without clearing its other settings
+        active: this.childText(rtNode, 'active') === 'true',
+        businessProcess: this.childText(rtNode, 'businessProcess'),
+        compactLayoutAssignment: this.childText(rtNode, 'compactLayoutAssignment'),
+        description: this.childText(rtNode, 'description'),
         picklistValues: this.parseRecordTypePicklists(rtNode)
       });
     });
@@ -137,9 +235,18 @@ class MetadataAPI {
     return picklistValues;
   }
 
-  static async deploy(session, metadataChanges) {
+  /**
+   * Start a Metadata API deployment
+   * @param {object} session - Salesforce session
+   * @param {object} metadataChanges - { objectName: { fieldName: field } } CustomField changes
+   * @param {object} componentChanges - Optional { GlobalValueSet: { name: valueSet }, StandardValueSet: { name: valueSet },
+   *   RecordType: { objectName: { recordTypeName: recordType } }, CustomObjectTranslation: { 'Object-lang': xml },
+   *   StandardValueSetTranslation: { 'ValueSet-lang': xml } }
+   * @returns {Promise<string>} Deployment ID (poll with checkDeployStatus)
+   */
+  static async deploy(session, metadataChanges, componentChanges = {}) {
     // Build deployment package (zip file with package.xml + metadata)
-    const deployPackage = await this.buildDeployPackage(metadataChanges);
+    const deployPackage = await this.buildDeployPackage(metadataChanges, componentChanges);
 
     const soapRequest = this.buildDeployRequest(session.sessionId, deployPackage);
     const endpoint = `${session.instanceUrl}/services/Soap/m/${this.METADATA_API_VERSION}`;
@@ -212,6 +319,33 @@ class MetadataAPI {
     return this.parseStatusResponse(xmlText);
   }
 
+  /**
+   * Poll a deployment until it finishes (2 second interval, 30 attempts)
+   * @param {object} session - Salesforce session
+   * @param {string} deployId - Deployment ID from deploy
+   * @param {Function} onProgress - Optional callback(statusText)
+   * @returns {Promise<object>} Final status; throws when the deployment failed or is still running
+   */
+  static async waitForDeploy(session, deployId, onProgress = null) {
+    for (let attempt = 0; attempt < 30; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+
+      const status = await this.checkDeployStatus(session, deployId);
+      if (onProgress) {
+        onProgress(`Deploying... (${status.numberComponentsDeployed}/${status.numberComponentsTotal} components)`);
+      }
+
+      if (status.done) {
+        if (!status.success) {
+          throw new Error(status.errorMessage || 'Deployment failed');
+        }
+        return status;
+      }
+    }
+
+    throw new Error(`Deployment ${deployId} is still running. Check Deployment Status in Setup.`);
+  }
+
   static buildCheckStatusRequest(sessionId, deployId) {
     return `<?xml version="1.0" encoding="utf-8"?>
 <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
@@ -236,6 +370,12 @@ class MetadataAPI {
 
     const resultNode = xmlDoc.querySelector('result');
 
+    // Component failures carry the actual reason a deployment failed
+    const componentErrors = Array.from(resultNode.querySelectorAll('componentFailures')).map(failure => ({
+      fileName: failure.querySelector('fileName')?.textContent,
+      problem: failure.querySelector('problem')?.textContent
+    }));
+
     return {
       id: resultNode.querySelector('id')?.textContent,
       status: resultNode.querySelector('status')?.textContent,
@@ -244,11 +384,152 @@ class MetadataAPI {
       numberComponentsDeployed: resultNode.querySelector('numberComponentsDeployed')?.textContent,
       numberComponentsTotal: resultNode.querySelector('numberComponentsTotal')?.textContent,
       numberComponentErrors: resultNode.querySelector('numberComponentErrors')?.textContent,
-      errorMessage: resultNode.querySelector('errorMessage')?.textContent
+      errorMessage: resultNode.querySelector('errorMessage')?.textContent ||
+        componentErrors.map(e => `${e.fileName}: ${e.problem}`).join('; ') || undefined,
+      componentErrors
     };
   }
 
-  static async buildDeployPackageBlob(metadataChanges) {
+  /**
+   * Start a retrieve of an unpackaged set of components
+   * @param {object} session - Salesforce session
+   * @param {Array} types - [{ name, members }] as in package.xml
+   * @returns {Promise<string>} Retrieve ID (wait with waitForRetrieve)
+   */
+  static async retrieve(session, types) {
+    const soapRequest = this.buildRetrieveRequest(session.sessionId, types);
+    const endpoint = `${session.instanceUrl}/services/Soap/m/${this.METADATA_API_VERSION}`;
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'text/xml',
+        'SOAPAction': '""'
+      },
+      body: soapRequest
+    });
+
+    if (!response.ok) {
+      throw new Error(`Metadata API retrieve failed: ${response.status}`);
+    }
+
+    const xmlDoc = new DOMParser().parseFromString(await response.text(), 'text/xml');
+    const idNode = xmlDoc.querySelector('id');
+    if (!idNode) {
+      throw new Error(xmlDoc.querySelector('faultstring')?.textContent || 'Failed to get retrieve ID');
+    }
+
+    return idNode.textContent;
+  }
+
+  static buildRetrieveRequest(sessionId, types) {
+    const typesXml = types.map(({ name, members }) => `
+          <met:types>${members.map(member => `
+            <met:members>${this.escapeXml(member)}</met:members>`).join('')}
+            <met:name>${name}</met:name>
+          </met:types>`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
+                  xmlns:met="http://soap.sforce.com/2006/04/metadata">
+  <soapenv:Header>
+    <met:SessionHeader>
+      <met:sessionId>${sessionId}</met:sessionId>
+    </met:SessionHeader>
+  </soapenv:Header>
+  <soapenv:Body>
+    <met:retrieve>
+      <met:retrieveRequest>
+        <met:apiVersion>${this.METADATA_API_VERSION}</met:apiVersion>
+        <met:singlePackage>true</met:singlePackage>
+        <met:unpackaged>${typesXml}
+          <met:version>${this.METADATA_API_VERSION}</met:version>
+        </met:unpackaged>
+      </met:retrieveRequest>
+    </met:retrieve>
+  </soapenv:Body>
+</soapenv:Envelope>`;
+  }
+
+  static async checkRetrieveStatus(session, retrieveId) {
+    const soapRequest = `<?xml version="1.0" encoding="utf-8"?>
+<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
+                  xmlns:met="http://soap.sforce.com/2006/04/metadata">
+  <soapenv:Header>
+    <met:SessionHeader>
+      <met:sessionId>${session.sessionId}</met:sessionId>
+    </met:SessionHeader>
+  </soapenv:Header>
+  <soapenv:Body>
+    <met:checkRetrieveStatus>
+      <met:asyncProcessId>${retrieveId}</met:asyncProcessId>
+      <met:includeZip>true</met:includeZip>
+    </met:checkRetrieveStatus>
+  </soapenv:Body>
+</soapenv:Envelope>`;
+    const endpoint = `${session.instanceUrl}/services/Soap/m/${this.METADATA_API_VERSION}`;
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'text/xml',
+        'SOAPAction': '""'
+      },
+      body: soapRequest
+    });
+
+    const xmlDoc = new DOMParser().parseFromString(await response.text(), 'text/xml');
+    const resultNode = xmlDoc.querySelector('result');
+    if (!resultNode) {
+      throw new Error(xmlDoc.querySelector('faultstring')?.textContent || 'Invalid checkRetrieveStatus response');
+    }
+
+    return {
+      id: this.childText(resultNode, 'id'),
+      status: this.childText(resultNode, 'status'),
+      done: this.childText(resultNode, 'done') === 'true',
+      errorMessage: this.childText(resultNode, 'errorMessage'),
+      zipFile: this.childText(resultNode, 'zipFile'),
+      // Components that could not be retrieved (e.g. a translation that does not exist yet)
+      messages: Array.from(resultNode.children)
+        .filter(node => node.localName === 'messages')
+        .map(node => ({ fileName: this.childText(node, 'fileName'), problem: this.childText(node, 'problem') }))
+    };
+  }
+
+  /**
+   * Poll a retrieve until it finishes (2 second interval, 30 attempts) and open the result
+   * @param {object} session - Salesforce session
+   * @param {string} retrieveId - Retrieve ID from retrieve
+   * @param {Function} onProgress - Optional callback(statusText)
+   * @returns {Promise<object>} { zip (JSZip), messages }
+   */
+  static async waitForRetrieve(session, retrieveId, onProgress = null) {
+    if (typeof JSZip === 'undefined') {
+      throw new Error('JSZip library not loaded. Please ensure jszip.min.js is included in your HTML.');
+    }
+
+    for (let attempt = 0; attempt < 30; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+
+      const status = await this.checkRetrieveStatus(session, retrieveId);
+      if (onProgress) {
+        onProgress(`Retrieving metadata... (${status.status || 'Pending'})`);
+      }
+
+      if (status.done) {
+        if (status.status === 'Failed' || !status.zipFile) {
+          throw new Error(status.errorMessage || 'Retrieve failed');
+        }
+        const zip = await JSZip.loadAsync(status.zipFile, { base64: true });
+        return { zip, messages: status.messages };
+      }
+    }
+
+    throw new Error(`Retrieve ${retrieveId} is still running. Try again with fewer objects.`);
+  }
+
+  static async buildDeployPackageBlob(metadataChanges, componentChanges = {}) {
     // Use globally available JSZip (loaded via script tag in popup/index.html)
     if (typeof JSZip === 'undefined') {
       throw new Error('JSZip library not loaded. Please ensure jszip.min.js is included in your HTML.');
@@ -256,17 +537,33 @@ class MetadataAPI {
     const zip = new JSZip();
 
     // Create package.xml at root
-    const packageXml = this.buildPackageXml(metadataChanges);
+    const packageXml = this.buildPackageXml(metadataChanges, componentChanges);
     zip.file('package.xml', packageXml);
 
-    // Create "objects" folder
-    const objectsFolder = zip.folder('objects');
+    // Add CustomObject files (format: objects/ObjectName.object)
+    // Each .object file contains ALL fields and record types for that object
+    const recordTypeChanges = componentChanges.RecordType || {};
+    const objectNames = [...new Set([...Object.keys(metadataChanges), ...Object.keys(recordTypeChanges)])];
+    if (objectNames.length > 0) {
+      const objectsFolder = zip.folder('objects');
+      for (const objectName of objectNames) {
+        const objectXml = this.buildCustomObjectXml(objectName, metadataChanges[objectName] || {}, recordTypeChanges[objectName] || {});
+        objectsFolder.file(`${objectName}.object`, objectXml);
+      }
+    }
 
-    // Add CustomObject files (format: ObjectName.object)
-    // Each .object file contains ALL fields for that object
-    for (const [objectName, fieldData] of Object.entries(metadataChanges)) {
-      const objectXml = this.buildCustomObjectXml(objectName, fieldData);
-      objectsFolder.file(`${objectName}.object`, objectXml);
+    // Add value set files (format: globalValueSets/Name.globalValueSet, standardValueSets/Name.standardValueSet)
+    for (const [type, { folder, suffix }] of Object.entries(this.VALUE_SET_TYPES)) {
+      for (const [name, valueSet] of Object.entries(componentChanges[type] || {})) {
+        zip.folder(folder).file(`${name}.${suffix}`, this.buildValueSetXml(type, valueSet));
+      }
+    }
+
+    // Add translation files as given (format: objectTranslations/Account-de.objectTranslation)
+    for (const [type, { folder, suffix }] of Object.entries(this.TRANSLATION_TYPES)) {
+      for (const [name, xml] of Object.entries(componentChanges[type] || {})) {
+        zip.folder(folder).file(`${name}.${suffix}`, xml);
+      }
     }
 
     // Generate zip as blob (for download)
@@ -274,9 +571,9 @@ class MetadataAPI {
     return zipBlob;
   }
 
-  static async buildDeployPackage(metadataChanges) {
+  static async buildDeployPackage(metadataChanges, componentChanges = {}) {
     // Build ZIP blob first
-    const zipBlob = await this.buildDeployPackageBlob(metadataChanges);
+    const zipBlob = await this.buildDeployPackageBlob(metadataChanges, componentChanges);
 
     // Convert to base64 for SOAP deployment
     const base64 = await this.blobToBase64(zipBlob);
@@ -284,31 +581,111 @@ class MetadataAPI {
     return base64;
   }
 
-  static buildPackageXml(metadataChanges) {
-    // Build package.xml for CustomField deployments
-    let xml = `<?xml version="1.0" encoding="UTF-8"?>
-<Package xmlns="http://soap.sforce.com/2006/04/metadata">
-  <types>`;
+  static buildPackageXml(metadataChanges, componentChanges = {}) {
+    // Build package.xml for CustomField, RecordType and value set deployments
+    const types = [];
 
     // Add each field as a member (format: ObjectName.FieldName)
+    const fieldMembers = [];
     for (const [objectName, fieldData] of Object.entries(metadataChanges)) {
       for (const fieldName of Object.keys(fieldData)) {
-        xml += `
-    <members>${objectName}.${fieldName}</members>`;
+        fieldMembers.push(`${objectName}.${fieldName}`);
       }
     }
+    if (fieldMembers.length > 0) {
+      types.push({ name: 'CustomField', members: fieldMembers });
+    }
+
+    // Record types are members of their object (format: ObjectName.RecordTypeName)
+    const recordTypeMembers = [];
+    for (const [objectName, recordTypes] of Object.entries(componentChanges.RecordType || {})) {
+      for (const recordTypeName of Object.keys(recordTypes)) {
+        recordTypeMembers.push(`${objectName}.${recordTypeName}`);
+      }
+    }
+    if (recordTypeMembers.length > 0) {
+      types.push({ name: 'RecordType', members: recordTypeMembers });
+    }
+
+    for (const type of [...Object.keys(this.VALUE_SET_TYPES), ...Object.keys(this.TRANSLATION_TYPES)]) {
+      const members = Object.keys(componentChanges[type] || {});
+      if (members.length > 0) {
+        types.push({ name: type, members });
+      }
+    }
+
+    let xml = `<?xml version="1.0" encoding="UTF-8"?>
+<Package xmlns="http://soap.sforce.com/2006/04/metadata">`;
+
+    types.forEach(({ name, members }) => {
+      xml += `
+  <types>`;
+      members.forEach(member => {
+        xml += `
+    <members>${this.escapeXml(member)}</members>`;
+      });
+      xml += `
+    <name>${name}</name>
+  </types>`;
+    });
 
     xml += `
-    <name>CustomField</name>
-  </types>
   <version>${this.METADATA_API_VERSION}</version>
 </Package>`;
 
     return xml;
   }
 
-  static buildCustomObjectXml(objectName, fieldData) {
-    // Build CustomObject metadata XML (wraps all fields)
+  /**
+   * Build GlobalValueSet or StandardValueSet metadata XML
+   * @param {string} type - 'GlobalValueSet' or 'StandardValueSet'
+   * @param {object} valueSet - { masterLabel, description, sorted, values } as returned by readValueSet
+   * @returns {string} Metadata XML
+   */
+  static buildValueSetXml(type, valueSet) {
+    const { valueElement } = this.VALUE_SET_TYPES[type];
+
+    const valuesXml = valueSet.values.map(value => {
+      const extraKeys = Object.keys(value)
+        .filter(key => !this.VALUE_ELEMENT_ORDER.includes(key) && value[key] !== null && value[key] !== undefined)
+        .sort();
+
+      let xml = `
+    <${valueElement}>`;
+
+      [...this.VALUE_ELEMENT_ORDER, ...extraKeys].forEach(key => {
+        let text = value[key];
+        if (key === 'label') text = value.label || value.fullName;
+        if (key === 'default') text = value.default || false;
+        if (key === 'isActive') text = value.isActive === false ? false : null; // Only inactive values need the element
+        if (text === null || text === undefined || text === '') return;
+
+        xml += `
+        <${key}>${this.escapeXml(String(text))}</${key}>`;
+      });
+
+      xml += `
+    </${valueElement}>`;
+      return xml;
+    }).join('');
+
+    if (type === 'GlobalValueSet') {
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<GlobalValueSet xmlns="http://soap.sforce.com/2006/04/metadata">${valuesXml}${valueSet.description ? `
+    <description>${this.escapeXml(valueSet.description)}</description>` : ''}
+    <masterLabel>${this.escapeXml(valueSet.masterLabel || valueSet.fullName)}</masterLabel>
+    <sorted>${valueSet.sorted || false}</sorted>
+</GlobalValueSet>`;
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<StandardValueSet xmlns="http://soap.sforce.com/2006/04/metadata">
+    <sorted>${valueSet.sorted || false}</sorted>${valuesXml}
+</StandardValueSet>`;
+  }
+
+  static buildCustomObjectXml(objectName, fieldData, recordTypes = {}) {
+    // Build CustomObject metadata XML (wraps all fields and record types)
     // Format matches working package (4) - uses CustomObject root with separate <fields> for each field
     let xml = `<?xml version="1.0" encoding="UTF-8"?>
 <CustomObject xmlns="http://soap.sforce.com/2006/04/metadata">`;
@@ -373,12 +750,59 @@ class MetadataAPI {
     </fields>`;
     }
 
+    // Record types follow fields in the CustomObject schema
+    for (const recordType of Object.values(recordTypes)) {
+      xml += this.buildRecordTypeXml(recordType);
+    }
+
     xml += `
 </CustomObject>`;
 
     return xml;
   }
 
+  /**
+   * Build a <recordTypes> element
+   * Every picklist of the record type must be included: its assignments are replaced as a whole
+   * @param {object} recordType - Record type as returned by readObject
+   * @returns {string} XML fragment
+   */
+  static buildRecordTypeXml(recordType) {
+    let xml = `
+    <recordTypes>
+        <fullName>${this.escapeXml(recordType.fullName)}</fullName>
+        <active>${recordType.active !== false}</active>`;
+
+    ['businessProcess', 'compactLayoutAssignment', 'description'].forEach(key => {
+      if (recordType[key]) {
+        xml += `
+        <${key}>${this.escapeXml(recordType[key])}</${key}>`;
+      }
+    });
+
+    xml += `
+        <label>${this.escapeXml(recordType.label || recordType.fullName)}</label>`;
+
+    (recordType.picklistValues || []).forEach(pv => {
+      xml += `
+        <picklistValues>
+            <picklist>${this.escapeXml(pv.picklist)}</picklist>`;
+      pv.values.forEach(value => {
+        xml += `
+            <values>
+                <fullName>${this.escapeXml(value.fullName)}</fullName>
+                <default>${value.default || false}</default>
+            </values>`;
+      });
+      xml += `
+        </picklistValues>`;
+    });
+
+    xml += `
+    </recordTypes>`;
+    return xml;
+  }
+
   static buildFieldXml(fieldName, field) {
     // Build CustomField metadata XML (legacy method - not used for deployment)
     let xml = `<?xml version="1.0" encoding="UTF-8"?>
@@ -0,0 +1,306 @@
+/**
+ * Migration Job Store
+ * Persists Record Migrator runs as jobs with per-batch checkpoints, so a migration cut off by a
+ * closed tab or a recycled service worker can be resumed, and its records rolled back later
+ */
+
+const INDEX_KEY = 'migrationJobs';
+const JOB_KEY_PREFIX = 'migrationJob_';
+const MAX_JOBS = 100;
+
+const STATUS = {
+  RUNNING: 'running',
+  INTERRUPTED: 'interrupted',
+  FAILED: 'failed',
+  COMPLETED: 'completed',
+  ROLLED_BACK: 'rolledBack'
+};
+
+class MigrationJobStore {
+  static STATUS = STATUS;
+
+  // Jobs running in this service worker instance; any other job still marked running was cut off
+  static activeJobIds = new Set();
+
+  // Serializes index updates so concurrent checkpoints don't overwrite each other
+  static writeQueue = Promise.resolve();
+
+  /**
+   * Create and persist a new job for a migration that is about to start
+   * Sessions are not stored - only the org identity needed to find a session again
+   * @param {Object} sourceSession - Source session
+   * @param {Object} targetSession - Target session
+   * @param {Object} config - Migration config passed to RecordMigratorAPI.migrateRecords
+   * @returns {Promise<Object>} Job
+   */
+  static async createJob(sourceSession, targetSession, config) {
+    const now = new Date().toISOString();
+    const job = {
+      id: this.generateJobId(),
+      status: STATUS.RUNNING,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+      objectName: config.objectName,
+      recordCount: config.recordIds.length,
+      sourceOrg: this.describeOrg(sourceSession),
+      targetOrg: this.describeOrg(targetSession),
+      config: config,
+      checkpoint: {
+        stage: 'loading', // loading -> deferred -> done
+        results: null,
+        processedSourceIds: [],
+        deferredUpdates: [],
+        bulkJobs: [] // Bulk API jobs whose results are not merged yet ({ objectName, jobId, sourceIds, snapshots, rowMapping })
+      },
+      error: null,
+      rollback: null
+    };
+
+    this.activeJobIds.add(job.id);
+    await this.saveJob(job);
+
+    console.log('[MigrationJobStore] Created job', job.id);
+    return job;
+  }
+
+  /**
+   * Mark a stored job as running again before resuming it
+   * @param {Object} job - Job loaded with getJob
+   * @returns {Promise<Object>} Job
+   */
+  static async resumeJob(job) {
+    job.status = STATUS.RUNNING;
+    job.error = null;
+    job.completedAt = null;
+
+    this.activeJobIds.add(job.id);
+    await this.saveJob(job);
+
+    console.log('[MigrationJobStore] Resuming job', job.id, 'with', job.checkpoint.processedSourceIds.length, 'records already processed');
+    return job;
+  }
+
+  /**
+   * Save progress after a committed batch or a newly created Bulk API job
+   * @param {Object} job - Job
+   * @param {Object} checkpoint - { stage, results, processedSourceIds, deferredUpdates, bulkJobs }
+   */
+  static async saveCheckpoint(job, { stage, results, processedSourceIds, deferredUpdates, bulkJobs = [] }) {
+    job.checkpoint = {
+      stage,
+      results: this.toStoredResults(results),
+      processedSourceIds,
+      deferredUpdates,
+      bulkJobs
+    };
+    await this.saveJob(job);
+  }
+
+  /**
+   * Record the final state of a job
+   * @param {Object} job - Job
+   * @param {string} status - STATUS.COMPLETED or STATUS.FAILED
+   * @param {string} errorMessage - Optional error for failed jobs
+   */
+  static async finishJob(job, status, errorMessage = null) {
+    job.status = status;
+    job.error = errorMessage;
+    job.completedAt = new Date().toISOString();
+
+    this.activeJobIds.delete(job.id);
+    await this.saveJob(job);
+
+    console.log('[MigrationJobStore] Job', job.id, status);
+  }
+
+  /**
+   * Record a rollback of the job (deleted created records, restored updated ones)
+   * @param {Object} job - Job
+   * @param {Object} rollbackResults - Results from RollbackAPI.rollbackMigration
+   */
+  static async recordRollback(job, rollbackResults) {
+    job.status = STATUS.ROLLED_BACK;
+    job.rollback = {
+      rolledBackAt: new Date().toISOString(),
+      success: rollbackResults.success,
+      failed: rollbackResults.failed,
+      restored: rollbackResults.restored || 0,
+      restoreFailed: rollbackResults.restoreFailed || 0,
+      conflicts: rollbackResults.conflicts || [],
+      errors: rollbackResults.errors.slice(0, 100)
+    };
+    await this.saveJob(job);
+  }
+
+  /**
+   * Mark jobs left "running" by a previous service worker instance as interrupted
+   * Called when the service worker starts
+   * @returns {Promise<number>} Number of jobs marked
+   */
+  static async markInterruptedJobs() {
+    const index = await this.getJobs();
+    const stale = index.filter(summary => summary.status === STATUS.RUNNING && !this.activeJobIds.has(summary.id));
+
+    for (const summary of stale) {
+      const job = await this.getJob(summary.id);
+      if (job) {
+        job.status = STATUS.INTERRUPTED;
+        job.error = 'Migration was interrupted before it finished';
+        await this.saveJob(job);
+      }
+    }
+
+    if (stale.length > 0) {
+      console.log('[MigrationJobStore] Marked', stale.length, 'job(s) as interrupted');
+    }
+    return stale.length;
+  }
+
+  /**
+   * Get job summaries, newest first
+   * @returns {Promise<Array>} Job summaries (no checkpoint data)
+   */
+  static async getJobs() {
+    const result = await chrome.storage.local.get(INDEX_KEY);
+    return result[INDEX_KEY] || [];
+  }
+
+  /**
+   * Get a full job including its checkpoint
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job
+   */
+  static async getJob(jobId) {
+    const key = JOB_KEY_PREFIX + jobId;
+    const result = await chrome.storage.local.get(key);
+    return result[key] || null;
+  }
+
+  /**
+   * Delete a job that is not running
+   * @param {string} jobId - Job ID
+   */
+  static async deleteJob(jobId) {
+    if (this.activeJobIds.has(jobId)) {
+      const error = new Error('Cannot delete a migration job while it is running');
+      error.code = 'JOB_RUNNING';
+      throw error;
+    }
+
+    await this.enqueue(async () => {
+      const index = (await this.getJobs()).filter(summary => summary.id !== jobId);
+      await chrome.storage.local.remove(JOB_KEY_PREFIX + jobId);
+      await chrome.storage.local.set({ [INDEX_KEY]: index });
+    });
+
+    console.log('[MigrationJobStore] Deleted job', jobId);
+  }
+
+  /**
+   * Persist a job and refresh its summary in the index
+   * Jobs beyond MAX_JOBS are dropped oldest first, never while running
+   * @param {Object} job - Job
+   */
+  static async saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+
+    await this.enqueue(async () => {
+      const index = (await this.getJobs()).filter(summary => summary.id !== job.id);
+      index.unshift(this.buildSummary(job));
+      index.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+      const removed = [];
+      while (index.length > MAX_JOBS) {
+        const oldest = index.findLastIndex(s => s.status !== STATUS.RUNNING);
+        if (oldest < 0) break;
+        removed.push(index.splice(oldest, 1)[0].id);
+      }
+
+      await chrome.storage.local.set({
+        [JOB_KEY_PREFIX + job.id]: job,
+        [INDEX_KEY]: index
+      });
+
+      if (removed.length > 0) {
+        await chrome.storage.local.remove(removed.map(id => JOB_KEY_PREFIX + id));
+      }
+    });
+  }
+
+  /**
+   * Build the index entry shown in the migration history list
+   * @param {Object} job - Job
+   * @returns {Object} Summary
+   */
+  static buildSummary(job) {
+    const results = job.checkpoint.results || {};
+
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      completedAt: job.completedAt,
+      objectName: job.objectName,
+      recordCount: job.recordCount,
+      sourceOrg: job.sourceOrg,
+      targetOrg: job.targetOrg,
+      stage: job.checkpoint.stage,
+      parentSuccess: results.parentSuccess || 0,
+      parentFailed: results.parentFailed || 0,
+      childSuccess: results.childSuccess || 0,
+      childFailed: results.childFailed || 0,
+      createdCount: (results.createdRecordIds || []).length,
+      updatedCount: (results.updatedRecords || []).length,
+      error: job.error,
+      rollback: job.rollback
+        ? {
+          rolledBackAt: job.rollback.rolledBackAt,
+          success: job.rollback.success,
+          failed: job.rollback.failed,
+          restored: job.rollback.restored || 0,
+          conflicts: (job.rollback.conflicts || []).length
+        }
+        : null
+    };
+  }
+
+  /**
+   * Strip migration results down to what a resume or rollback needs
+   * Record bodies in migratedRecords are dropped; the report only needs the IDs and names
+   * @param {Object} results - Migration results
+   * @returns {Object} Storable results
+   */
+  static toStoredResults(results) {
+    const { plan, migratedRecords, ...rest } = results;
+    return {
+      ...rest,
+      migratedRecords: (migratedRecords || []).map(({ sourceId, targetId, name }) => ({ sourceId, targetId, name }))
+    };
+  }
+
+  static describeOrg(session) {
+    return {
+      orgId: session.orgId || session.sessionId.substring(0, 15),
+      orgName: session.orgName || null,
+      instanceUrl: session.instanceUrl
+    };
+  }
+
+  static enqueue(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Generate unique job ID
+   * @returns {string} Job ID
+   */
+  static generateJobId() {
+    return `mig_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  }
+}
+
+export default MigrationJobStore;
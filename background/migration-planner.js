@@ -0,0 +1,163 @@
+/**
+ * Migration Planner
+ * Builds the object dependency graph for a Record Migrator run and decides insert order
+ */
+
+const MigrationPlanner = {
+
+  /**
+   * Build a migration plan from the root object and the selected relationships
+   * Relationships may be nested (grandchildren and deeper) via parentSObject; relationships
+   * without a parentSObject hang off the root object
+   * @param {string} rootObject - Root object API name
+   * @param {Array} relationships - Selected relationships ({ childSObject, field, parentSObject })
+   * @param {Object} fieldMetadataByObject - Describe fields keyed by object API name
+   * @returns {Object} Plan { rootObject, objects, exportSteps, insertOrder, lookupFields, deferredLookups, hasCycles, warnings }
+   */
+  buildPlan(rootObject, relationships, fieldMetadataByObject) {
+    const exportSteps = this.orderExportSteps(rootObject, relationships);
+    const objects = [rootObject];
+    exportSteps.forEach(rel => {
+      if (!objects.includes(rel.childSObject)) {
+        objects.push(rel.childSObject);
+      }
+    });
+
+    const lookupFields = this.getLookupFields(objects, fieldMetadataByObject);
+    const { insertOrder, deferredLookups, warnings } = this.sortObjects(objects, lookupFields);
+
+    const plan = {
+      rootObject,
+      objects,
+      exportSteps,
+      insertOrder,
+      lookupFields,
+      deferredLookups,
+      hasCycles: deferredLookups.length > 0,
+      warnings
+    };
+
+    console.log('[MigrationPlanner] Insert order:', insertOrder.join(' → '));
+    if (deferredLookups.length > 0) {
+      console.log('[MigrationPlanner] Deferred lookups:', deferredLookups.map(l => `${l.objectName}.${l.field}`).join(', '));
+    }
+
+    return plan;
+  },
+
+  /**
+   * Order relationships so each one is exported after the object its lookup points to
+   * Relationships whose parent object is never reached are dropped with a warning
+   * @param {string} rootObject - Root object API name
+   * @param {Array} relationships - Selected relationships
+   * @returns {Array} Relationships in export order, each with parentSObject set
+   */
+  orderExportSteps(rootObject, relationships) {
+    const pending = relationships.map(rel => ({ ...rel, parentSObject: rel.parentSObject || rootObject }));
+    const reached = new Set([rootObject]);
+    const ordered = [];
+
+    let progress = true;
+    while (pending.length > 0 && progress) {
+      progress = false;
+      for (let i = 0; i < pending.length; i++) {
+        if (reached.has(pending[i].parentSObject)) {
+          const [rel] = pending.splice(i, 1);
+          ordered.push(rel);
+          reached.add(rel.childSObject);
+          progress = true;
+          i--;
+        }
+      }
+    }
+
+    pending.forEach(rel => {
+      console.warn('[MigrationPlanner] Skipping relationship - parent object not in migration:', `${rel.childSObject}.${rel.field}`, '→', rel.parentSObject);
+    });
+
+    return ordered;
+  },
+
+  /**
+   * Collect createable lookup fields that point to other objects in the migration
+   * @param {Array} objects - Object API names in the migration
+   * @param {Object} fieldMetadataByObject - Describe fields keyed by object API name
+   * @returns {Object} Lookup fields keyed by object ({ field, referenceTo, nillable })
+   */
+  getLookupFields(objects, fieldMetadataByObject) {
+    const lookupFields = {};
+
+    objects.forEach(objectName => {
+      const fields = fieldMetadataByObject[objectName] || [];
+      lookupFields[objectName] = fields
+        .filter(field => field.type === 'reference' && field.createable)
+        .map(field => ({
+          field: field.name,
+          referenceTo: (field.referenceTo || []).filter(ref => objects.includes(ref)),
+          nillable: field.nillable !== false
+        }))
+        .filter(lookup => lookup.referenceTo.length > 0);
+    });
+
+    return lookupFields;
+  },
+
+  /**
+   * Topologically sort objects so referenced objects are inserted first
+   * Self-lookups are always deferred. When a cycle blocks progress, the object whose
+   * blocking lookups are all nillable is inserted next and those lookups are deferred
+   * to a second-pass update
+   * @param {Array} objects - Object API names in discovery order
+   * @param {Object} lookupFields - Lookup fields keyed by object
+   * @returns {Object} { insertOrder, deferredLookups, warnings }
+   */
+  sortObjects(objects, lookupFields) {
+    const insertOrder = [];
+    const deferredLookups = [];
+    const warnings = [];
+    const placed = new Set();
+
+    const defer = (objectName, lookup, reason) => {
+      if (!deferredLookups.some(d => d.objectName === objectName && d.field === lookup.field)) {
+        deferredLookups.push({ objectName, field: lookup.field, referenceTo: lookup.referenceTo, reason });
+      }
+    };
+
+    const isDeferred = (objectName, field) => deferredLookups.some(d => d.objectName === objectName && d.field === field);
+
+    // Lookups that still point at unplaced objects (other than itself) and are not deferred
+    const blockingLookups = (objectName) => lookupFields[objectName].filter(lookup =>
+      !isDeferred(objectName, lookup.field) &&
+      lookup.referenceTo.some(ref => ref !== objectName && !placed.has(ref))
+    );
+
+    objects.forEach(objectName => {
+      lookupFields[objectName]
+        .filter(lookup => lookup.referenceTo.includes(objectName))
+        .forEach(lookup => defer(objectName, lookup, 'self-reference'));
+    });
+
+    while (insertOrder.length < objects.length) {
+      const remaining = objects.filter(o => !placed.has(o));
+      let next = remaining.find(o => blockingLookups(o).length === 0);
+
+      if (!next) {
+        // Cycle - break it at the first object whose blocking lookups can be left empty for now
+        next = remaining.find(o => blockingLookups(o).every(lookup => lookup.nillable)) || remaining[0];
+        blockingLookups(next).forEach(lookup => {
+          defer(next, lookup, 'cycle');
+          if (!lookup.nillable) {
+            warnings.push(`${next}.${lookup.field} is required but part of a cycle; records referencing not-yet-created ${lookup.referenceTo.join('/')} records will fail`);
+          }
+        });
+      }
+
+      insertOrder.push(next);
+      placed.add(next);
+    }
+
+    return { insertOrder, deferredLookups, warnings };
+  }
+};
+
+export default MigrationPlanner;
@@ -0,0 +1,283 @@
+/**
+ * Migration Templates
+ * Saved Record Migrator configurations (object, filter, relationships, mapping overrides, external ID)
+ * that can be exported as JSON, imported elsewhere and replayed against another org pair.
+ * Each template keeps a snapshot of the schemas it was built against so a replay can show what changed.
+ */
+
+const TEMPLATES_KEY = 'recordMigratorTemplates';
+const TEMPLATE_FORMAT = 'record-migrator-template';
+const TEMPLATE_VERSION = 1;
+
+const PICKLIST_TYPES = ['picklist', 'multipicklist'];
+
+const MigrationTemplates = {
+
+  /**
+   * Build a template from the current wizard configuration
+   * @param {string} name - Template name
+   * @param {Object} settings - { objectName, soqlWhere, relationships, picklistMappings, lookupRules,
+   *   externalIdField, bulkThreshold, sourceFields, targetFields, sourceOrgName, targetOrgName }
+   * @returns {Object} Template
+   */
+  buildTemplate(name, settings) {
+    return {
+      format: TEMPLATE_FORMAT,
+      version: TEMPLATE_VERSION,
+      name,
+      savedAt: new Date().toISOString(),
+      savedFrom: {
+        sourceOrgName: settings.sourceOrgName || null,
+        targetOrgName: settings.targetOrgName || null
+      },
+      objectName: settings.objectName,
+      soqlWhere: settings.soqlWhere || '',
+      relationships: (settings.relationships || []).map(rel => ({
+        relationshipName: rel.relationshipName,
+        childSObject: rel.childSObject,
+        field: rel.field,
+        parentSObject: rel.parentSObject,
+        depth: rel.depth,
+        parentKey: rel.parentKey,
+        key: rel.key
+      })),
+      picklistMappings: settings.picklistMappings || {},
+      lookupRules: (settings.lookupRules || []).map(({ field, strategy, matchFields }) => ({ field, strategy, matchFields })),
+      externalIdField: settings.externalIdField || null,
+      bulkThreshold: settings.bulkThreshold,
+      schema: {
+        source: this.snapshotFields(settings.sourceFields),
+        target: this.snapshotFields(settings.targetFields)
+      }
+    };
+  },
+
+  /**
+   * Reduce describe fields to what the schema diff compares
+   * @param {Array} fields - Describe fields
+   * @returns {Array} Array of { name, type, referenceTo, externalId, picklistValues }
+   */
+  snapshotFields(fields) {
+    return (fields || []).map(field => ({
+      name: field.name,
+      type: field.type,
+      referenceTo: field.referenceTo || [],
+      externalId: field.externalId || false,
+      picklistValues: PICKLIST_TYPES.includes(field.type)
+        ? (field.picklistValues || []).filter(pv => pv.active).map(pv => pv.value)
+        : []
+    }));
+  },
+
+  // ==========================================================================
+  // Schema diff
+  // ==========================================================================
+
+  /**
+   * Compare a schema snapshot with an object's current fields
+   * @param {Array} snapshot - Fields from snapshotFields at save time
+   * @param {Array} currentFields - Current describe fields
+   * @returns {Object} { added, removed, changed } where changed is an array of { name, changes }
+   */
+  diffFields(snapshot, currentFields) {
+    const before = new Map((snapshot || []).map(field => [field.name, field]));
+    const after = new Map(this.snapshotFields(currentFields).map(field => [field.name, field]));
+
+    const diff = { added: [], removed: [], changed: [] };
+
+    after.forEach((field, name) => {
+      if (!before.has(name)) {
+        diff.added.push(name);
+      }
+    });
+
+    before.forEach((oldField, name) => {
+      const newField = after.get(name);
+      if (!newField) {
+        diff.removed.push(name);
+        return;
+      }
+
+      const changes = [];
+      if (oldField.type !== newField.type) {
+        changes.push(`type ${oldField.type} → ${newField.type}`);
+      }
+      if (oldField.referenceTo.join(',') !== newField.referenceTo.join(',')) {
+        changes.push(`references ${oldField.referenceTo.join(', ') || 'nothing'} → ${newField.referenceTo.join(', ') || 'nothing'}`);
+      }
+      if (oldField.externalId !== newField.externalId) {
+        changes.push(newField.externalId ? 'now an external ID' : 'no longer an external ID');
+      }
+
+      const addedValues = newField.picklistValues.filter(value => !oldField.picklistValues.includes(value));
+      const removedValues = oldField.picklistValues.filter(value => !newField.picklistValues.includes(value));
+      if (addedValues.length > 0) {
+        changes.push(`picklist values added: ${addedValues.join(', ')}`);
+      }
+      if (removedValues.length > 0) {
+        changes.push(`picklist values removed: ${removedValues.join(', ')}`);
+      }
+
+      if (changes.length > 0) {
+        diff.changed.push({ name, changes });
+      }
+    });
+
+    return diff;
+  },
+
+  /**
+   * Check a template against the orgs it is being replayed on
+   * @param {Object} template - Template
+   * @param {Object} current - { sourceFields, targetFields, externalIdFields }
+   * @returns {Object} { source, target, issues } - field diffs per side, plus configuration the
+   *   template relies on that no longer applies
+   */
+  compareSchema(template, { sourceFields, targetFields, externalIdFields = null }) {
+    const source = this.diffFields(template.schema.source, sourceFields);
+    const target = this.diffFields(template.schema.target, targetFields);
+    const issues = [];
+
+    const targetByName = new Map(targetFields.map(field => [field.name, field]));
+
+    template.lookupRules.forEach(rule => {
+      if (!sourceFields.some(field => field.name === rule.field)) {
+        issues.push(`Lookup rule for ${rule.field} no longer applies: field is missing in the source org`);
+      }
+    });
+
+    Object.entries(template.picklistMappings).forEach(([fieldName, valueMap]) => {
+      const targetField = targetByName.get(fieldName);
+      if (!targetField) {
+        issues.push(`Picklist mapping for ${fieldName} no longer applies: field is missing in the target org`);
+        return;
+      }
+
+      const activeValues = (targetField.picklistValues || []).filter(pv => pv.active).map(pv => pv.value);
+      const unavailable = [...new Set(Object.values(valueMap))].filter(value => value && !activeValues.includes(value));
+      if (unavailable.length > 0) {
+        issues.push(`Picklist mapping for ${fieldName} targets values that are no longer active in the target org: ${unavailable.join(', ')}`);
+      }
+    });
+
+    if (template.externalIdField) {
+      const stillExternalId = externalIdFields
+        ? externalIdFields.some(field => field.name === template.externalIdField)
+        : targetByName.get(template.externalIdField)?.externalId;
+      if (!stillExternalId) {
+        issues.push(`External ID field ${template.externalIdField} is not an external ID text field in the target org`);
+      }
+    }
+
+    return { source, target, issues };
+  },
+
+  /**
+   * Check whether a schema comparison found anything worth reviewing
+   * @param {Object} comparison - Result of compareSchema
+   * @returns {boolean} True when something changed
+   */
+  hasChanges(comparison) {
+    return comparison.issues.length > 0 ||
+      [comparison.source, comparison.target].some(diff => diff.added.length + diff.removed.length + diff.changed.length > 0);
+  },
+
+  // ==========================================================================
+  // Saved templates
+  // ==========================================================================
+
+  /**
+   * Get all saved templates
+   * @returns {Promise<Array>} Templates sorted by name
+   */
+  async loadTemplates() {
+    const result = await chrome.storage.local.get(TEMPLATES_KEY);
+    return result[TEMPLATES_KEY] || [];
+  },
+
+  /**
+   * Save (or overwrite by name) a template
+   * @param {Object} template - Template
+   * @returns {Promise<Array>} Updated templates
+   */
+  async saveTemplate(template) {
+    const templates = (await this.loadTemplates()).filter(t => t.name !== template.name);
+    templates.push(template);
+    templates.sort((a, b) => a.name.localeCompare(b.name));
+
+    await chrome.storage.local.set({ [TEMPLATES_KEY]: templates });
+    return templates;
+  },
+
+  /**
+   * Delete a saved template
+   * @param {string} name - Template name
+   * @returns {Promise<Array>} Updated templates
+   */
+  async deleteTemplate(name) {
+    const templates = (await this.loadTemplates()).filter(t => t.name !== name);
+    await chrome.storage.local.set({ [TEMPLATES_KEY]: templates });
+    return templates;
+  },
+
+  // ==========================================================================
+  // Import / export
+  // ==========================================================================
+
+  /**
+   * Serialize a template for sharing
+   * @param {Object} template - Template
+   * @returns {string} JSON
+   */
+  exportTemplate(template) {
+    return JSON.stringify(template, null, 2);
+  },
+
+  /**
+   * Parse and validate an exported template
+   * @param {string} json - Template JSON
+   * @returns {Object} Template
+   */
+  parseTemplate(json) {
+    let template;
+    try {
+      template = JSON.parse(json);
+    } catch (error) {
+      throw this.invalidTemplate(`not valid JSON (${error.message})`);
+    }
+
+    if (!template || template.format !== TEMPLATE_FORMAT) {
+      throw this.invalidTemplate('not a Record Migrator template');
+    }
+    if (template.version > TEMPLATE_VERSION) {
+      throw this.invalidTemplate(`template version ${template.version} is newer than this extension supports`);
+    }
+    if (!template.name || typeof template.name !== 'string') {
+      throw this.invalidTemplate('missing template name');
+    }
+    if (!template.objectName || typeof template.objectName !== 'string') {
+      throw this.invalidTemplate('missing object name');
+    }
+
+    return {
+      ...template,
+      soqlWhere: template.soqlWhere || '',
+      relationships: Array.isArray(template.relationships) ? template.relationships : [],
+      picklistMappings: template.picklistMappings || {},
+      lookupRules: Array.isArray(template.lookupRules) ? template.lookupRules : [],
+      externalIdField: template.externalIdField || null,
+      schema: {
+        source: template.schema?.source || [],
+        target: template.schema?.target || []
+      }
+    };
+  },
+
+  invalidTemplate(reason) {
+    const error = new Error(`Invalid migration template: ${reason}`);
+    error.code = 'INVALID_TEMPLATE';
+    return error;
+  }
+};
+
+export default MigrationTemplates;
@@ -1,52 +1,19 @@
 // Org Compare API Client
 // Provides methods to detect active Salesforce sessions and compare metadata across orgs
-// Uses Chrome APIs for tab/session detection and XMLHttpRequest for Salesforce API calls
+// Uses SessionRegistry for session detection and RequestClient for Salesforce API calls
 
-import SessionManager from './session-manager.js';
+import SessionRegistry from './session-registry.js';
+import RequestClient from './request-client.js';
 import MetadataAPI from './metadata-api.js';
 
 class OrgCompareAPI {
   /**
    * Get all active Salesforce sessions from open tabs
-   * Scans Chrome tabs for Salesforce domains and extracts session info
+   * Delegates to the shared SessionRegistry
    * @returns {Promise<Array>} Array of session objects with org info
    */
   static async getAllActiveSessions() {
-
-    const sessions = [];
-    const seenOrgs = new Set();
-
-    try {
-      // Query all tabs for Salesforce domains
-      const tabs = await chrome.tabs.query({});
-
-      const salesforceTabs = tabs.filter(tab => {
-        if (!tab.url) return false;
-        return tab.url.includes('salesforce.com') ||
-               tab.url.includes('force.com') ||
-               tab.url.includes('salesforce-setup.com');
-      });
-
-
-      // Extract session from each tab
-      for (const tab of salesforceTabs) {
-        try {
-          const session = await this.extractSessionFromTab(tab);
-
-          if (session && !seenOrgs.has(session.orgId)) {
-            seenOrgs.add(session.orgId);
-            sessions.push(session);
-          }
-        } catch (error) {
-          console.warn('[OrgCompareAPI] Could not extract session from tab:', tab.url, error.message);
-        }
-      }
-
-      return sessions;
-    } catch (error) {
-      console.error('[OrgCompareAPI] Error getting sessions:', error);
-      throw error;
-    }
+    return SessionRegistry.discover();
   }
 
   /**
@@ -55,123 +22,7 @@ class OrgCompareAPI {
    * @returns {Promise<object>} Session object with org info
    */
   static async extractSessionFromTab(tab) {
-    if (!tab || !tab.url) {
-      throw new Error('No tab URL provided');
-    }
-
-    const url = new URL(tab.url);
-    const originalHostname = url.hostname;
-
-    // Transform hostname for API calls
-    const hostname = SessionManager.getMyDomain(originalHostname);
-    const instanceUrl = `${url.protocol}//${hostname}`;
-
-    // Get session cookie
-    const sidCookie = await chrome.cookies.get({
-      url: instanceUrl,
-      name: 'sid'
-    });
-
-    if (!sidCookie) {
-      // Try broader search
-      const cookies = await chrome.cookies.getAll({
-        name: 'sid',
-        secure: true
-      });
-
-      const matchingCookie = cookies.find(c => {
-        const cookieDomain = c.domain.replace(/^\./, '');
-        return hostname.includes(cookieDomain) ||
-               cookieDomain.includes(hostname.split('.')[0]);
-      });
-
-      if (!matchingCookie) {
-        throw new Error('No session cookie found');
-      }
-
-      // Extract org ID from session ID
-      const sessionId = matchingCookie.value;
-      const orgId = sessionId.substring(0, 15);
-
-      // Get org info
-      const orgInfo = await this.getOrgInfo(instanceUrl, sessionId);
-
-      return {
-        tabId: tab.id,
-        sessionId: sessionId,
-        instanceUrl: instanceUrl,
-        hostname: hostname,
-        orgId: orgId,
-        orgName: orgInfo.orgName || hostname,
-        orgType: orgInfo.orgType || 'Unknown',
-        isSandbox: orgInfo.isSandbox || false,
-        timestamp: Date.now()
-      };
-    }
-
-    // Extract org ID from session ID
-    const sessionId = sidCookie.value;
-    const orgId = sessionId.substring(0, 15);
-
-    // Get org info
-    const orgInfo = await this.getOrgInfo(instanceUrl, sessionId);
-
-    return {
-      tabId: tab.id,
-      sessionId: sessionId,
-      instanceUrl: instanceUrl,
-      hostname: hostname,
-      orgId: orgId,
-      orgName: orgInfo.orgName || hostname,
-      orgType: orgInfo.orgType || 'Unknown',
-      isSandbox: orgInfo.isSandbox || false,
-      timestamp: Date.now()
-    };
-  }
-
-  /**
-   * Get organization information from Salesforce
-   * @param {string} instanceUrl - The instance URL
-   * @param {string} sessionId - The session ID
-   * @returns {Promise<object>} Org info object
-   */
-  static async getOrgInfo(instanceUrl, sessionId) {
-    return new Promise((resolve, reject) => {
-      const query = encodeURIComponent("SELECT Id, Name, OrganizationType, IsSandbox FROM Organization LIMIT 1");
-      const endpoint = `${instanceUrl}/services/data/v59.0/query/?q=${query}`;
-
-      const xhr = new XMLHttpRequest();
-      xhr.open('GET', endpoint, true);
-      xhr.setRequestHeader('Authorization', 'Bearer ' + sessionId);
-      xhr.setRequestHeader('Accept', 'application/json');
-      xhr.responseType = 'json';
-      xhr.timeout = 10000;
-
-      xhr.onreadystatechange = () => {
-        if (xhr.readyState === 4) {
-          if (xhr.status >= 200 && xhr.status < 300 && xhr.response?.records?.[0]) {
-            const org = xhr.response.records[0];
-            resolve({
-              orgName: org.Name,
-              orgType: org.OrganizationType,
-              isSandbox: org.IsSandbox
-            });
-          } else {
-            // Return defaults on error
-            resolve({
-              orgName: null,
-              orgType: null,
-              isSandbox: null
-            });
-          }
-        }
-      };
-
-      xhr.onerror = () => resolve({ orgName: null, orgType: null, isSandbox: null });
-      xhr.ontimeout = () => resolve({ orgName: null, orgType: null, isSandbox: null });
-
-      xhr.send();
-    });
+    return SessionRegistry.registerTab(tab);
   }
 
   /**
@@ -181,37 +32,14 @@ class OrgCompareAPI {
    * @returns {Promise<any>} API response
    */
   static async callOrgAPI(session, endpoint) {
-    return new Promise((resolve, reject) => {
-      const fullUrl = new URL(endpoint, session.instanceUrl);
-
-      const xhr = new XMLHttpRequest();
-      xhr.open('GET', fullUrl.toString(), true);
-      xhr.setRequestHeader('Authorization', 'Bearer ' + session.sessionId);
-      xhr.setRequestHeader('Accept', 'application/json');
-      xhr.setRequestHeader('Content-Type', 'application/json');
-      xhr.responseType = 'json';
-      xhr.timeout = 30000;
-
-      xhr.onreadystatechange = () => {
-        if (xhr.readyState === 4) {
-          if (xhr.status >= 200 && xhr.status < 300) {
-            resolve(xhr.response);
-          } else if (xhr.status === 401) {
-            reject(new Error('Session expired for this org. Please refresh the Salesforce tab.'));
-          } else {
-            const errorMessage = xhr.response
-              ? JSON.stringify(xhr.response)
-              : xhr.statusText;
-            reject(new Error(`API Error ${xhr.status}: ${errorMessage}`));
-          }
-        }
-      };
-
-      xhr.onerror = () => reject(new Error('Network error'));
-      xhr.ontimeout = () => reject(new Error('Request timeout'));
-
-      xhr.send();
-    });
+    try {
+      return await RequestClient.request(session, endpoint);
+    } catch (error) {
+      if (error.code === 'SESSION_EXPIRED') {
+        throw new Error('Session expired for this org. Please refresh the Salesforce tab.');
+      }
+      throw error;
+    }
   }
 
   /**
@@ -611,18 +439,27 @@ class OrgCompareAPI {
       FROM FieldPermissions
       WHERE ParentId = '${permissionSetId}'
       ORDER BY SobjectType, Field
-      LIMIT 2000
     `;
 
-    const endpoint = `/services/data/v59.0/query/?q=${encodeURIComponent(query)}`;
-    const response = await this.callOrgAPI(session, endpoint);
+    // Large permission sets have tens of thousands of rows - keep only the mapped entries, page by page
+    const permissions = [];
+    try {
+      for await (const perm of RequestClient.queryRecords(session, query)) {
+        permissions.push({
+          field: perm.Field,
+          object: perm.SobjectType,
+          read: perm.PermissionsRead,
+          edit: perm.PermissionsEdit
+        });
+      }
+    } catch (error) {
+      if (error.code === 'SESSION_EXPIRED') {
+        throw new Error('Session expired for this org. Please refresh the Salesforce tab.');
+      }
+      throw error;
+    }
 
-    return (response.records || []).map(perm => ({
-      field: perm.Field,
-      object: perm.SobjectType,
-      read: perm.PermissionsRead,
-      edit: perm.PermissionsEdit
-    }));
+    return permissions;
   }
 
   /**
@@ -9,9 +9,10 @@ class PermissionsAPI {
    * Query all Profiles
    * @param {object} options - Query options
    * @param {number} options.limit - Maximum number of records to return (default 200)
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<Array>} Array of profile records
    */
-  static async getProfiles(options = {}) {
+  static async getProfiles(options = {}, session = null) {
 
     const { limit = 200 } = options;
 
@@ -25,7 +26,7 @@ class PermissionsAPI {
     const endpoint = `/services/data/v59.0/query/?q=${encodeURIComponent(query)}`;
 
     try {
-      const response = await SalesforceAPI.callAPI(endpoint);
+      const response = await SalesforceAPI.callAPI(endpoint, { session });
       return response.records || [];
     } catch (error) {
       console.error('[PermissionsAPI] Error querying profiles:', error);
@@ -37,9 +38,10 @@ class PermissionsAPI {
    * Query all Permission Sets (excluding those associated with profiles)
    * @param {object} options - Query options
    * @param {number} options.limit - Maximum number of records to return (default 200)
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<Array>} Array of permission set records
    */
-  static async getPermissionSets(options = {}) {
+  static async getPermissionSets(options = {}, session = null) {
 
     const { limit = 200 } = options;
 
@@ -55,7 +57,7 @@ class PermissionsAPI {
     const endpoint = `/services/data/v59.0/query/?q=${encodeURIComponent(query)}`;
 
     try {
-      const response = await SalesforceAPI.callAPI(endpoint);
+      const response = await SalesforceAPI.callAPI(endpoint, { session });
       return response.records || [];
     } catch (error) {
       console.error('[PermissionsAPI] Error querying permission sets:', error);
@@ -66,9 +68,10 @@ class PermissionsAPI {
   /**
    * Get the Permission Set ID for a Profile
    * @param {string} profileId - The Profile ID
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<string>} The PermissionSet ID
    */
-  static async getPermissionSetIdForProfile(profileId) {
+  static async getPermissionSetIdForProfile(profileId, session = null) {
 
     const query = `
       SELECT Id
@@ -80,7 +83,7 @@ class PermissionsAPI {
     const endpoint = `/services/data/v59.0/query/?q=${encodeURIComponent(query)}`;
 
     try {
-      const response = await SalesforceAPI.callAPI(endpoint);
+      const response = await SalesforceAPI.callAPI(endpoint, { session });
       if (response.records && response.records.length > 0) {
         return response.records[0].Id;
       }
@@ -94,9 +97,10 @@ class PermissionsAPI {
   /**
    * Get Field Permissions for a Permission Set or Profile
    * @param {string} permissionSetId - The PermissionSet ID (or the PermissionSet associated with a Profile)
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<Array>} Array of field permission records
    */
-  static async getFieldPermissions(permissionSetId) {
+  static async getFieldPermissions(permissionSetId, session = null) {
 
     const query = `
       SELECT Id, Field, SobjectType, PermissionsEdit, PermissionsRead, ParentId
@@ -108,7 +112,7 @@ class PermissionsAPI {
     const endpoint = `/services/data/v59.0/query/?q=${encodeURIComponent(query)}`;
 
     try {
-      const response = await SalesforceAPI.callAPI(endpoint);
+      const response = await SalesforceAPI.callAPI(endpoint, { session });
       return response.records || [];
     } catch (error) {
       console.error('[PermissionsAPI] Error querying field permissions:', error);
@@ -119,9 +123,10 @@ class PermissionsAPI {
   /**
    * Get Object Permissions for a Permission Set or Profile
    * @param {string} permissionSetId - The PermissionSet ID
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<Array>} Array of object permission records
    */
-  static async getObjectPermissions(permissionSetId) {
+  static async getObjectPermissions(permissionSetId, session = null) {
 
     const query = `
       SELECT Id, SobjectType, ParentId,
@@ -135,7 +140,7 @@ class PermissionsAPI {
     const endpoint = `/services/data/v59.0/query/?q=${encodeURIComponent(query)}`;
 
     try {
-      const response = await SalesforceAPI.callAPI(endpoint);
+      const response = await SalesforceAPI.callAPI(endpoint, { session });
       return response.records || [];
     } catch (error) {
       console.error('[PermissionsAPI] Error querying object permissions:', error);
@@ -147,21 +152,22 @@ class PermissionsAPI {
    * Get all permissions for a Profile or Permission Set
    * @param {string} id - The Profile or PermissionSet ID
    * @param {string} type - 'Profile' or 'PermissionSet'
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<object>} Object containing field and object permissions
    */
-  static async getAllPermissions(id, type) {
+  static async getAllPermissions(id, type, session = null) {
 
     let permissionSetId = id;
 
     // If it's a Profile, get the associated PermissionSet
     if (type === 'Profile') {
-      permissionSetId = await this.getPermissionSetIdForProfile(id);
+      permissionSetId = await this.getPermissionSetIdForProfile(id, session);
     }
 
     // Fetch field and object permissions in parallel
     const [fieldPermissions, objectPermissions] = await Promise.all([
-      this.getFieldPermissions(permissionSetId),
-      this.getObjectPermissions(permissionSetId)
+      this.getFieldPermissions(permissionSetId, session),
+      this.getObjectPermissions(permissionSetId, session)
     ]);
 
     return {
@@ -175,14 +181,15 @@ class PermissionsAPI {
    * Compare permissions between two profiles/permission sets
    * @param {object} source - Source permissions {id, type, name}
    * @param {object} target - Target permissions {id, type, name}
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<object>} Comparison results
    */
-  static async comparePermissions(source, target) {
+  static async comparePermissions(source, target, session = null) {
 
     // Get all permissions for both
     const [sourcePerms, targetPerms] = await Promise.all([
-      this.getAllPermissions(source.id, source.type),
-      this.getAllPermissions(target.id, target.type)
+      this.getAllPermissions(source.id, source.type, session),
+      this.getAllPermissions(target.id, target.type, session)
     ]);
 
     // Compare object permissions
@@ -428,14 +435,15 @@ class PermissionsAPI {
   }
 
   /**
-   * Export permissions to CSV format
+   * Build export rows for permissions: a header row, then one row per permission
+   * Shared by the CSV and Excel exports so both have the same columns
    * @param {Array} profiles - Selected profiles
    * @param {Array} permissionSets - Selected permission sets
    * @param {object} permissionsData - Permissions data keyed by ID
    * @param {string} exportType - 'object' or 'field'
-   * @returns {string} CSV string
+   * @returns {Array} Rows (arrays of cells) including the header
    */
-  static exportToCSV(profiles, permissionSets, permissionsData, exportType = 'object') {
+  static toRows(profiles, permissionSets, permissionsData, exportType = 'object') {
 
     const rows = [];
 
@@ -530,6 +538,20 @@ class PermissionsAPI {
       });
     }
 
+    return rows;
+  }
+
+  /**
+   * Export permissions to CSV format
+   * @param {Array} profiles - Selected profiles
+   * @param {Array} permissionSets - Selected permission sets
+   * @param {object} permissionsData - Permissions data keyed by ID
+   * @param {string} exportType - 'object' or 'field'
+   * @returns {string} CSV string
+   */
+  static exportToCSV(profiles, permissionSets, permissionsData, exportType = 'object') {
+    const rows = this.toRows(profiles, permissionSets, permissionsData, exportType);
+
     // Convert to CSV string
     const csv = rows.map(row =>
       row.map(cell => {
@@ -656,11 +678,24 @@ class PermissionsAPI {
       throw new Error('CSV file is empty or has no data rows');
     }
 
-    const headers = this.parseCSVLine(lines[0]);
+    return this.parseImportRows(lines.map(line => this.parseCSVLine(line)));
+  }
+
+  /**
+   * Parse imported permission data from spreadsheet rows (CSV lines or an Excel sheet)
+   * @param {Array} rows - Rows (arrays of cells) including the header
+   * @returns {object} Parsed permission data
+   */
+  static parseImportRows(rows) {
+    if (rows.length < 2) {
+      throw new Error('File is empty or has no data rows');
+    }
+
+    const headers = rows[0].map(header => String(header).trim());
     const data = [];
 
-    for (let i = 1; i < lines.length; i++) {
-      const values = this.parseCSVLine(lines[i]);
+    for (let i = 1; i < rows.length; i++) {
+      const values = rows[i];
       const row = {};
       headers.forEach((header, index) => {
         row[header] = values[index] || '';
@@ -716,13 +751,14 @@ class PermissionsAPI {
   /**
    * Get permission summary statistics
    * @param {string} permissionSetId - The PermissionSet ID
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<object>} Summary statistics
    */
-  static async getPermissionSummary(permissionSetId) {
+  static async getPermissionSummary(permissionSetId, session = null) {
 
     const [fieldPerms, objectPerms] = await Promise.all([
-      this.getFieldPermissions(permissionSetId),
-      this.getObjectPermissions(permissionSetId)
+      this.getFieldPermissions(permissionSetId, session),
+      this.getObjectPermissions(permissionSetId, session)
     ]);
 
     // Calculate object stats
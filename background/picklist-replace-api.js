@@ -0,0 +1,276 @@
+// Picklist Replace API
+// Guided rename / replace of a picklist value: create or relabel the new value, move records from the old
+// value to the new one with Bulk API, then deactivate the old value - logged as one deployment
+
+import RequestClient from './request-client.js';
+import ToolingAPI from './tooling-api.js';
+import BulkAPI from './bulk-api.js';
+import RecordTypePicklistAPI from './record-type-picklist-api.js';
+import DeploymentHistoryAPI from './deployment-history-api.js';
+
+class PicklistReplaceAPI {
+  /**
+   * Count records per value of a picklist field
+   * Single-select picklists are grouped in one aggregate query; multi-select picklists cannot be
+   * grouped, so each value is counted with INCLUDES
+   * @param {object} session - Salesforce session
+   * @param {string} objectName - Object API name
+   * @param {object} field - Describe field ({ name, type, picklistValues })
+   * @returns {Promise<object>} { valueName: count } (records without a value are not counted)
+   */
+  static async countRecordsByValue(session, objectName, field) {
+    const counts = {};
+    (field.picklistValues || []).forEach(pv => {
+      counts[pv.value] = 0;
+    });
+
+    if (field.type === 'multipicklist') {
+      for (const valueName of Object.keys(counts)) {
+        const result = await RequestClient.query(session,
+          `SELECT COUNT() FROM ${objectName} WHERE ${field.name} INCLUDES ('${this.escapeSoql(valueName)}')`);
+        counts[valueName] = result.totalSize || 0;
+      }
+      return counts;
+    }
+
+    const result = await RequestClient.query(session,
+      `SELECT ${field.name} value, COUNT(Id) total FROM ${objectName} WHERE ${field.name} != null GROUP BY ${field.name}`);
+
+    // Records can hold values that are no longer in the picklist (inactive or unrestricted)
+    (result.records || []).forEach(record => {
+      counts[record.value] = record.total;
+    });
+
+    return counts;
+  }
+
+  /**
+   * Work out what a rename or replace will do before running it
+   * @param {object} session - Salesforce session
+   * @param {object} options - { objectName, fieldName, oldValue, newValue, newLabel, deactivateOld, updateRecordTypes }
+   * @returns {Promise<object>} Plan for runReplace ({ ...options, field, newValueExists, labelChange, countsBefore, recordCount, steps })
+   */
+  static async planReplace(session, options) {
+    const { objectName, fieldName, oldValue } = options;
+    const newValue = (options.newValue || oldValue).trim();
+
+    const describe = await RequestClient.request(session, `/services/data/v59.0/sobjects/${objectName}/describe`);
+    const field = describe.fields.find(f => f.name === fieldName);
+    if (!field || (field.type !== 'picklist' && field.type !== 'multipicklist')) {
+      throw this.replaceError(`${objectName}.${fieldName} is not a picklist field`);
+    }
+
+    const oldEntry = field.picklistValues.find(pv => pv.value === oldValue);
+    if (!oldEntry) {
+      throw this.replaceError(`${oldValue} is not a value of ${objectName}.${fieldName}`);
+    }
+
+    const newEntry = field.picklistValues.find(pv => pv.value.toLowerCase() === newValue.toLowerCase());
+    const moveRecords = newValue !== oldValue;
+    const newLabel = (options.newLabel || '').trim() || newEntry?.label || (moveRecords ? newValue : oldEntry.label);
+    const labelChange = newEntry ? newEntry.label !== newLabel : moveRecords;
+
+    if (!moveRecords && !labelChange) {
+      throw this.replaceError('Nothing to change: the new API name and label are the same as the old ones');
+    }
+
+    const countsBefore = await this.countRecordsByValue(session, objectName, field);
+    const recordCount = moveRecords ? countsBefore[oldValue] || 0 : 0;
+
+    const steps = [];
+    if (!newEntry) {
+      steps.push(`Create value "${newLabel}" (${newValue})`);
+    } else if (labelChange) {
+      steps.push(`Relabel ${newEntry.value}: "${newEntry.label}" → "${newLabel}"`);
+    }
+    if (moveRecords && options.updateRecordTypes) {
+      steps.push(`Make ${newValue} available on every record type that offers ${oldValue}`);
+    }
+    if (moveRecords) {
+      steps.push(recordCount > 0
+        ? `Update ${recordCount} ${objectName} record${recordCount === 1 ? '' : 's'} from ${oldValue} to ${newValue} (Bulk API)`
+        : `No ${objectName} records use ${oldValue}`);
+    }
+    if (moveRecords && options.deactivateOld) {
+      steps.push(`Deactivate ${oldValue} once every record is updated`);
+    }
+
+    return {
+      objectName,
+      fieldName,
+      oldValue,
+      oldLabel: oldEntry.label,
+      newValue: newEntry ? newEntry.value : newValue,
+      newLabel,
+      newValueDefault: !!newEntry?.defaultValue,
+      deactivateOld: moveRecords && !!options.deactivateOld,
+      updateRecordTypes: moveRecords && !!options.updateRecordTypes,
+      field,
+      newValueExists: !!newEntry,
+      labelChange,
+      moveRecords,
+      countsBefore,
+      recordCount,
+      steps
+    };
+  }
+
+  /**
+   * Run a plan from planReplace and log it as one Deployment History entry
+   * The old value is only deactivated when every record was moved off it
+   * @param {object} session - Salesforce session
+   * @param {object} plan - Result of planReplace
+   * @param {Function} onStep - Optional callback(message)
+   * @returns {Promise<object>} { countsBefore, countsAfter, updated, failed, errors, deactivated, recordTypesUpdated }
+   */
+  static async runReplace(session, plan, onStep = null) {
+    const step = message => {
+      console.log('[PicklistReplaceAPI]', message);
+      if (onStep) onStep(message);
+    };
+
+    const result = {
+      countsBefore: plan.countsBefore,
+      countsAfter: null,
+      updated: 0,
+      failed: 0,
+      errors: [],
+      deactivated: false,
+      recordTypesUpdated: 0
+    };
+
+    try {
+      if (!plan.newValueExists || plan.labelChange) {
+        step(plan.newValueExists ? `Relabelling ${plan.newValue}...` : `Creating ${plan.newValue}...`);
+        await ToolingAPI.updatePicklist(session, plan.objectName, plan.fieldName,
+          [{ fullName: plan.newValue, label: plan.newLabel, default: plan.newValueDefault }], false);
+      }
+
+      if (plan.updateRecordTypes) {
+        step('Updating record types...');
+        result.recordTypesUpdated = await this.addToRecordTypesWithValue(session, plan);
+      }
+
+      if (plan.moveRecords) {
+        const records = await this.findRecords(session, plan);
+        if (records.length > 0) {
+          step(`Updating ${records.length} records...`);
+          const bulkResults = await BulkAPI.runIngestJob(session, {
+            objectName: plan.objectName,
+            operation: 'update',
+            records
+          }, (processed, total) => step(`Updating records... (${processed}/${total})`));
+
+          result.updated = bulkResults.successful.length;
+          result.failed = bulkResults.failed.length + bulkResults.unprocessed.length;
+          result.errors = bulkResults.failed.slice(0, 100).map(({ key, error }) =>
+            `${key}: ${error.statusCode ? `${error.statusCode}: ` : ''}${error.message}`);
+        }
+      }
+
+      if (plan.deactivateOld) {
+        if (result.failed > 0) {
+          step(`${plan.oldValue} left active: ${result.failed} records could not be updated`);
+        } else {
+          step(`Deactivating ${plan.oldValue}...`);
+          await ToolingAPI.updatePicklist(session, plan.objectName, plan.fieldName,
+            [{ fullName: plan.oldValue, label: plan.oldLabel, active: false }], false);
+          result.deactivated = true;
+        }
+      }
+
+      step('Recounting records...');
+      result.countsAfter = await this.countRecordsByValue(session, plan.objectName, plan.field);
+
+      await DeploymentHistoryAPI.logForSession(session, {
+        ...this.buildLogEntry(plan, result),
+        status: result.failed > 0 ? 'failure' : 'success',
+        errorMessage: result.failed > 0 ? `${result.failed} records could not be updated` : null
+      });
+      return result;
+    } catch (error) {
+      console.error('[PicklistReplaceAPI] Replace failed:', error);
+      result.countsAfter = await this.countRecordsByValue(session, plan.objectName, plan.field).catch(() => null);
+      await DeploymentHistoryAPI.logForSession(session, { ...this.buildLogEntry(plan, result), status: 'failure', errorMessage: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Build Bulk API update rows for every record that holds the old value
+   * Multi-select values are rewritten in place, keeping the record's other selections
+   */
+  static async findRecords(session, plan) {
+    const { objectName, fieldName, oldValue, newValue } = plan;
+    const multiSelect = plan.field.type === 'multipicklist';
+    const condition = multiSelect
+      ? `${fieldName} INCLUDES ('${this.escapeSoql(oldValue)}')`
+      : `${fieldName} = '${this.escapeSoql(oldValue)}'`;
+
+    const records = [];
+    for await (const record of RequestClient.queryRecords(session, `SELECT Id, ${fieldName} FROM ${objectName} WHERE ${condition}`)) {
+      let value = newValue;
+      if (multiSelect) {
+        const selections = record[fieldName].split(';').map(selection => selection === oldValue ? newValue : selection);
+        value = [...new Set(selections)].join(';');
+      }
+      records.push({ key: record.Id, record: { Id: record.Id, [fieldName]: value } });
+    }
+    return records;
+  }
+
+  static async addToRecordTypesWithValue(session, plan) {
+    const matrix = await RecordTypePicklistAPI.loadMatrix(session, plan.objectName, plan.fieldName);
+    const assignments = RecordTypePicklistAPI.toAssignments(matrix);
+
+    Object.values(assignments).forEach(assignment => {
+      if (assignment.values.has(plan.oldValue)) {
+        assignment.values.add(plan.newValue);
+      }
+    });
+
+    const changes = await RecordTypePicklistAPI.deployAssignments(session, matrix, assignments);
+    return changes.length;
+  }
+
+  /**
+   * Describe the whole workflow as one Picklist deployment with record counts before and after
+   */
+  static buildLogEntry(plan, result) {
+    const summarize = counts => counts
+      ? { [plan.oldValue]: counts[plan.oldValue] || 0, [plan.newValue]: counts[plan.newValue] || 0 }
+      : null;
+
+    return {
+      metadataType: 'Picklist',
+      action: 'update',
+      objectName: plan.objectName,
+      componentName: plan.fieldName,
+      before: {
+        operation: plan.moveRecords ? 'replace' : 'relabel',
+        oldValue: { fullName: plan.oldValue, label: plan.oldLabel, active: true },
+        recordCounts: summarize(result.countsBefore)
+      },
+      after: {
+        newValue: { fullName: plan.newValue, label: plan.newLabel },
+        oldValueActive: !result.deactivated,
+        recordsUpdated: result.updated,
+        recordsFailed: result.failed,
+        recordTypesUpdated: result.recordTypesUpdated,
+        recordCounts: summarize(result.countsAfter)
+      }
+    };
+  }
+
+  static escapeSoql(value) {
+    return value.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+  }
+
+  static replaceError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_REPLACE';
+    return error;
+  }
+}
+
+export default PicklistReplaceAPI;
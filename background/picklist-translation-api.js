@@ -0,0 +1,411 @@
+// Picklist Translation API
+// Retrieves picklist values with their Translation Workbench labels (CustomObjectTranslation and
+// StandardValueSetTranslation) and deploys translated labels loaded from CSV
+
+import MetadataAPI from './metadata-api.js';
+import RequestClient from './request-client.js';
+import ValueSetAPI from './value-set-api.js';
+import DeploymentHistoryAPI from './deployment-history-api.js';
+
+const METADATA_NS = 'http://soap.sforce.com/2006/04/metadata';
+
+// CustomObjectTranslation children in schema order, used to place a new <fields> element
+const OBJECT_TRANSLATION_ORDER = [
+  'caseValues', 'fieldSets', 'fields', 'gender', 'layouts', 'nameFieldLabel', 'quickActions', 'recordTypes',
+  'sharingReasons', 'standardFields', 'startsWith', 'validationRules', 'webLinks', 'workflowTasks'
+];
+
+// CustomFieldTranslation children in schema order
+const FIELD_TRANSLATION_ORDER = [
+  'caseValues', 'gender', 'help', 'label', 'lookupFilter', 'name', 'picklistValues', 'relationshipLabel', 'startsWith'
+];
+
+class PicklistTranslationAPI {
+  /**
+   * List the languages enabled in Translation Workbench
+   * @param {object} session - Salesforce session
+   * @param {Function} onProgress - Optional callback(statusText)
+   * @returns {Promise<Array>} Language codes (e.g. ['de', 'fr', 'pt_BR'])
+   */
+  static async listLanguages(session, onProgress = null) {
+    const retrieveId = await MetadataAPI.retrieve(session, [{ name: 'Translations', members: ['*'] }]);
+    const { zip } = await MetadataAPI.waitForRetrieve(session, retrieveId, onProgress);
+
+    return [...(await this.readZipFolder(zip, 'translations')).keys()].sort();
+  }
+
+  /**
+   * Export picklist values of several objects with master labels and translations
+   * Master labels come from the retrieved metadata: describe returns labels in the running user's language
+   * @param {object} session - Salesforce session
+   * @param {Array} objectNames - Object API names
+   * @param {Function} onProgress - Optional callback(statusText)
+   * @returns {Promise<object>} { exportDate, languages, objects: { objectName: { label, picklistFields: { fieldName:
+   *   { label, type, required, values: [{ value, label, active, translations: { lang: label } }] } } } } }
+   */
+  static async retrievePicklists(session, objectNames, onProgress = null) {
+    const progress = text => {
+      if (onProgress) onProgress(text);
+    };
+
+    const exportData = { exportDate: new Date().toISOString(), languages: [], objects: {} };
+
+    for (const objectName of objectNames) {
+      progress(`Describing ${objectName}...`);
+      try {
+        const describe = await RequestClient.request(session, `/services/data/v59.0/sobjects/${objectName}/describe`);
+        const picklistFields = {};
+        describe.fields
+          .filter(field => field.type === 'picklist' || field.type === 'multipicklist')
+          .forEach(field => {
+            picklistFields[field.name] = {
+              label: field.label,
+              type: field.type,
+              required: field.nillable === false,
+              values: (field.picklistValues || []).map(pv => ({ value: pv.value, label: pv.label, active: pv.active, translations: {} }))
+            };
+          });
+        exportData.objects[objectName] = { label: describe.label || objectName, picklistFields };
+      } catch (error) {
+        console.error('[PicklistTranslationAPI] Error describing', objectName, error);
+        exportData.objects[objectName] = { error: error.message };
+      }
+    }
+
+    progress('Reading Translation Workbench languages...');
+    exportData.languages = await this.listLanguages(session, onProgress);
+
+    const fieldMembers = [];
+    const standardSets = new Set();
+    Object.entries(exportData.objects).forEach(([objectName, objectData]) => {
+      Object.keys(objectData.picklistFields || {}).forEach(fieldName => {
+        fieldMembers.push(`${objectName}.${fieldName}`);
+        const standardSet = this.standardValueSetFor(objectName, fieldName);
+        if (standardSet) standardSets.add(standardSet);
+      });
+    });
+
+    if (fieldMembers.length === 0) {
+      return exportData;
+    }
+
+    // Object translations only include the fields retrieved alongside them
+    const retrievedObjects = Object.keys(exportData.objects).filter(objectName => !exportData.objects[objectName].error);
+    const types = [{ name: 'CustomField', members: fieldMembers }];
+    if (standardSets.size > 0) {
+      types.push({ name: 'StandardValueSet', members: [...standardSets] });
+    }
+    if (exportData.languages.length > 0) {
+      types.push({
+        name: 'CustomObjectTranslation',
+        members: retrievedObjects.flatMap(objectName => exportData.languages.map(lang => `${objectName}-${lang}`))
+      });
+      if (standardSets.size > 0) {
+        types.push({
+          name: 'StandardValueSetTranslation',
+          members: [...standardSets].flatMap(name => exportData.languages.map(lang => `${name}-${lang}`))
+        });
+      }
+    }
+
+    const retrieveId = await MetadataAPI.retrieve(session, types);
+    const { zip } = await MetadataAPI.waitForRetrieve(session, retrieveId, onProgress);
+    progress('Reading retrieved metadata...');
+
+    const objectFiles = await this.readZipFolder(zip, 'objects');
+    const standardSetFiles = await this.readZipFolder(zip, 'standardValueSets');
+    const objectTranslationFiles = await this.readZipFolder(zip, 'objectTranslations');
+    const standardSetTranslationFiles = await this.readZipFolder(zip, 'standardValueSetTranslations');
+
+    retrievedObjects.forEach(objectName => {
+      const masterValues = objectFiles.has(objectName) ? this.parseObjectValues(objectFiles.get(objectName)) : {};
+
+      Object.entries(exportData.objects[objectName].picklistFields).forEach(([fieldName, fieldData]) => {
+        const standardSet = this.standardValueSetFor(objectName, fieldName);
+        const retrievedValues = standardSet && standardSetFiles.has(standardSet)
+          ? this.parseValues(this.parseXml(standardSetFiles.get(standardSet)).documentElement, 'standardValue')
+          : masterValues[fieldName];
+
+        // Fields on global value sets have no values in the field metadata; describe labels are kept
+        if (retrievedValues && retrievedValues.length > 0) {
+          fieldData.values = retrievedValues.map(value => ({ ...value, translations: {} }));
+        }
+
+        exportData.languages.forEach(lang => {
+          const translations = standardSet
+            ? this.parseStandardValueSetTranslation(standardSetTranslationFiles.get(`${standardSet}-${lang}`))
+            : this.parseObjectTranslation(objectTranslationFiles.get(`${objectName}-${lang}`))[fieldName] || {};
+
+          fieldData.values.forEach(value => {
+            if (translations[value.label]) {
+              value.translations[lang] = translations[value.label];
+            }
+          });
+        });
+      });
+    });
+
+    return exportData;
+  }
+
+  /**
+   * Deploy translated labels for values of one picklist field
+   * Existing translation files are retrieved first and deployed back with the new labels merged in,
+   * so translations of other values and fields are kept
+   * @param {object} session - Salesforce session
+   * @param {string} objectName - Object API name
+   * @param {string} fieldName - Picklist field API name
+   * @param {Array} values - [{ label, fullName, translations: { lang: label } }]; label is the master label
+   * @param {Function} onProgress - Optional callback(statusText)
+   * @returns {Promise<object>} { languages, count } - languages deployed and number of translated labels
+   */
+  static async deployTranslations(session, objectName, fieldName, values, onProgress = null) {
+    const languages = [...new Set(values.flatMap(value => Object.keys(value.translations || {})))].sort();
+    if (languages.length === 0) {
+      return { languages, count: 0 };
+    }
+
+    const standardSet = this.standardValueSetFor(objectName, fieldName);
+    const type = standardSet ? 'StandardValueSetTranslation' : 'CustomObjectTranslation';
+    const { folder } = MetadataAPI.TRANSLATION_TYPES[type];
+    const fileName = lang => standardSet ? `${standardSet}-${lang}` : `${objectName}-${lang}`;
+
+    const types = [{ name: type, members: languages.map(fileName) }];
+    if (!standardSet) {
+      types.push({ name: 'CustomField', members: [`${objectName}.${fieldName}`] });
+    }
+
+    const retrieveId = await MetadataAPI.retrieve(session, types);
+    const { zip } = await MetadataAPI.waitForRetrieve(session, retrieveId, onProgress);
+    const existingFiles = await this.readZipFolder(zip, folder);
+
+    const files = {};
+    const before = {};
+    const after = {};
+    let count = 0;
+
+    languages.forEach(lang => {
+      const existingXml = existingFiles.get(fileName(lang));
+      const existing = standardSet
+        ? this.parseStandardValueSetTranslation(existingXml)
+        : this.parseObjectTranslation(existingXml)[fieldName] || {};
+
+      const labels = {};
+      values.forEach(value => {
+        if (value.translations?.[lang]) labels[value.label] = value.translations[lang];
+      });
+      count += Object.keys(labels).length;
+
+      before[lang] = Object.fromEntries(Object.keys(labels).map(masterLabel => [masterLabel, existing[masterLabel] || null]));
+      after[lang] = labels;
+
+      files[fileName(lang)] = standardSet
+        ? this.mergeStandardValueSetTranslation(existingXml, labels)
+        : this.mergeObjectTranslation(existingXml, fieldName, labels);
+    });
+
+    const logEntry = { metadataType: type, action: 'update', objectName, componentName: fieldName, before, after };
+    let deployId = null;
+    try {
+      console.log('[PicklistTranslationAPI] Deploying', count, 'translations for', `${objectName}.${fieldName}`, 'in', languages.join(', '));
+
+      deployId = await MetadataAPI.deploy(session, {}, { [type]: files });
+      await MetadataAPI.waitForDeploy(session, deployId, onProgress);
+
+      await DeploymentHistoryAPI.logForSession(session, { ...logEntry, status: 'success', deploymentId: deployId });
+      return { languages, count };
+    } catch (error) {
+      console.error('[PicklistTranslationAPI] Deploy failed:', error);
+      await DeploymentHistoryAPI.logForSession(session, { ...logEntry, status: 'failure', deploymentId: deployId, errorMessage: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Name of the standard value set behind a standard picklist field, if any
+   * @returns {string|null} e.g. 'CaseStatus' for Case.Status
+   */
+  static standardValueSetFor(objectName, fieldName) {
+    const fullName = `${objectName}.${fieldName}`;
+    const entry = Object.entries(ValueSetAPI.STANDARD_VALUE_SETS).find(([, fields]) => fields.includes(fullName));
+    return entry ? entry[0] : null;
+  }
+
+  // ==========================================================================
+  // Parsing
+  // ==========================================================================
+
+  /**
+   * Read the files of one package folder
+   * @returns {Promise<Map>} File name without suffix → XML text
+   */
+  static async readZipFolder(zip, folder) {
+    const files = new Map();
+    const pattern = new RegExp(`(^|/)${folder}/([^/]+)\\.[^./]+$`);
+
+    for (const [path, file] of Object.entries(zip.files)) {
+      const match = path.match(pattern);
+      if (match && !file.dir) {
+        files.set(match[2], await file.async('string'));
+      }
+    }
+    return files;
+  }
+
+  static parseXml(xmlText) {
+    return new DOMParser().parseFromString(xmlText, 'text/xml');
+  }
+
+  static children(node, localName) {
+    return Array.from(node.children).filter(child => child.localName === localName);
+  }
+
+  static parseValues(parentNode, valueElement) {
+    return this.children(parentNode, valueElement).map(valueNode => ({
+      value: MetadataAPI.childText(valueNode, 'fullName'),
+      label: MetadataAPI.childText(valueNode, 'label') || MetadataAPI.childText(valueNode, 'fullName'),
+      active: MetadataAPI.childText(valueNode, 'isActive') !== 'false'
+    }));
+  }
+
+  /**
+   * Master values of each picklist field in a retrieved .object file
+   * @returns {object} { fieldName: [{ value, label, active }] }
+   */
+  static parseObjectValues(xmlText) {
+    const result = {};
+    this.children(this.parseXml(xmlText).documentElement, 'fields').forEach(fieldNode => {
+      const valueSet = this.children(fieldNode, 'valueSet')[0];
+      const definition = valueSet && this.children(valueSet, 'valueSetDefinition')[0];
+      if (definition) {
+        result[MetadataAPI.childText(fieldNode, 'fullName')] = this.parseValues(definition, 'value');
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Picklist value translations in a CustomObjectTranslation file
+   * @returns {object} { fieldName: { masterLabel: translation } }
+   */
+  static parseObjectTranslation(xmlText) {
+    const result = {};
+    if (!xmlText) return result;
+
+    this.children(this.parseXml(xmlText).documentElement, 'fields').forEach(fieldNode => {
+      const translations = {};
+      this.children(fieldNode, 'picklistValues').forEach(valueNode => {
+        const translation = MetadataAPI.childText(valueNode, 'translation');
+        if (translation) translations[MetadataAPI.childText(valueNode, 'masterLabel')] = translation;
+      });
+      result[MetadataAPI.childText(fieldNode, 'name')] = translations;
+    });
+    return result;
+  }
+
+  /**
+   * Value translations in a StandardValueSetTranslation file
+   * @returns {object} { masterLabel: translation }
+   */
+  static parseStandardValueSetTranslation(xmlText) {
+    const result = {};
+    if (!xmlText) return result;
+
+    this.children(this.parseXml(xmlText).documentElement, 'valueTranslation').forEach(valueNode => {
+      const translation = MetadataAPI.childText(valueNode, 'translation');
+      if (translation) result[MetadataAPI.childText(valueNode, 'masterLabel')] = translation;
+    });
+    return result;
+  }
+
+  // ==========================================================================
+  // Building
+  // ==========================================================================
+
+  /**
+   * Set picklist value translations of one field in a CustomObjectTranslation file
+   * @param {string|undefined} xmlText - Retrieved file (undefined when the language has no translations yet)
+   * @param {string} fieldName - Field API name
+   * @param {object} labels - { masterLabel: translation }
+   * @returns {string} Updated XML
+   */
+  static mergeObjectTranslation(xmlText, fieldName, labels) {
+    const doc = this.parseXml(xmlText || `<?xml version="1.0" encoding="UTF-8"?><CustomObjectTranslation xmlns="${METADATA_NS}"/>`);
+    const root = doc.documentElement;
+
+    let fieldNode = this.children(root, 'fields').find(node => MetadataAPI.childText(node, 'name') === fieldName);
+    if (!fieldNode) {
+      fieldNode = doc.createElementNS(METADATA_NS, 'fields');
+      this.appendText(doc, fieldNode, 'name', fieldName);
+      this.insertInOrder(root, fieldNode, OBJECT_TRANSLATION_ORDER);
+    }
+
+    Object.entries(labels).forEach(([masterLabel, translation]) => {
+      const valueNode = this.children(fieldNode, 'picklistValues').find(node => MetadataAPI.childText(node, 'masterLabel') === masterLabel);
+      if (valueNode) {
+        this.setText(doc, valueNode, 'translation', translation);
+      } else {
+        const newNode = doc.createElementNS(METADATA_NS, 'picklistValues');
+        this.appendText(doc, newNode, 'masterLabel', masterLabel);
+        this.appendText(doc, newNode, 'translation', translation);
+        this.insertInOrder(fieldNode, newNode, FIELD_TRANSLATION_ORDER);
+      }
+    });
+
+    return this.serialize(doc);
+  }
+
+  /**
+   * Set value translations in a StandardValueSetTranslation file
+   * @param {string|undefined} xmlText - Retrieved file (undefined when the language has no translations yet)
+   * @param {object} labels - { masterLabel: translation }
+   * @returns {string} Updated XML
+   */
+  static mergeStandardValueSetTranslation(xmlText, labels) {
+    const doc = this.parseXml(xmlText || `<?xml version="1.0" encoding="UTF-8"?><StandardValueSetTranslation xmlns="${METADATA_NS}"/>`);
+    const root = doc.documentElement;
+
+    Object.entries(labels).forEach(([masterLabel, translation]) => {
+      const valueNode = this.children(root, 'valueTranslation').find(node => MetadataAPI.childText(node, 'masterLabel') === masterLabel);
+      if (valueNode) {
+        this.setText(doc, valueNode, 'translation', translation);
+      } else {
+        const newNode = doc.createElementNS(METADATA_NS, 'valueTranslation');
+        this.appendText(doc, newNode, 'masterLabel', masterLabel);
+        this.appendText(doc, newNode, 'translation', translation);
+        root.appendChild(newNode);
+      }
+    });
+
+    return this.serialize(doc);
+  }
+
+  static appendText(doc, parent, localName, text) {
+    const node = doc.createElementNS(METADATA_NS, localName);
+    node.textContent = text;
+    parent.appendChild(node);
+  }
+
+  static setText(doc, parent, localName, text) {
+    const node = this.children(parent, localName)[0];
+    if (node) {
+      node.textContent = text;
+    } else {
+      this.appendText(doc, parent, localName, text);
+    }
+  }
+
+  // Insert after the last sibling that sorts before or with the node, so the file stays in schema order
+  static insertInOrder(parent, node, order) {
+    const rank = order.indexOf(node.localName);
+    const next = Array.from(parent.children).find(child => order.indexOf(child.localName) > rank);
+    parent.insertBefore(node, next || null);
+  }
+
+  static serialize(doc) {
+    const xml = new XMLSerializer().serializeToString(doc);
+    return xml.startsWith('<?xml') ? xml : `<?xml version="1.0" encoding="UTF-8"?>\n${xml}`;
+  }
+}
+
+export default PicklistTranslationAPI;
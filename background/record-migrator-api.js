@@ -3,51 +3,35 @@
  * Handles backend logic for migrating records between Salesforce orgs
  */
 
-import SessionManager from './session-manager.js';
+import SessionRegistry from './session-registry.js';
+import RequestClient from './request-client.js';
 import SalesforceAPI from './api-client.js';
+import BulkAPI from './bulk-api.js';
+import MigrationPlanner from './migration-planner.js';
+import LookupRemapper from './lookup-remapper.js';
+import FieldMapper from './field-mapper.js';
+import PicklistMapper from './picklist-mapper.js';
+import RollbackAPI from './rollback-api.js';
+import MigrationJobStore from './migration-job-store.js';
+
+// Record sets at or above this size are loaded with Bulk API 2.0 instead of the composite API
+const DEFAULT_BULK_THRESHOLD = 2000;
+
+// Dry runs stand in this prefix for target IDs of records that were never committed
+const SIMULATED_ID_PREFIX = 'simulated:';
+
+// Record ID that never exists; deleting it fails and forces the allOrNone rollback of a dry run save
+const ROLLBACK_SENTINEL_ID = '000000000000000AAA';
 
 const RecordMigratorAPI = {
 
   /**
    * Get all active Salesforce sessions from open tabs
+   * Delegates to the shared SessionRegistry
    * @returns {Promise<Array>} Array of session objects
    */
   async getAllActiveSessions() {
-    const sessions = [];
-    const seenOrgs = new Set();
-
-    try {
-      // Query all tabs for Salesforce domains
-      const tabs = await chrome.tabs.query({});
-
-      const salesforceTabs = tabs.filter(tab => {
-        if (!tab.url) return false;
-        return tab.url.includes('salesforce.com') ||
-               tab.url.includes('force.com') ||
-               tab.url.includes('salesforce-setup.com');
-      });
-
-      // Extract session from each tab
-      for (const tab of salesforceTabs) {
-        try {
-          const session = await this.extractSessionFromTab(tab);
-
-          if (session && !seenOrgs.has(session.orgId)) {
-            seenOrgs.add(session.orgId);
-            sessions.push(session);
-          }
-        } catch (error) {
-          console.warn('[RecordMigratorAPI] Could not extract session from tab:', tab.url, error.message);
-        }
-      }
-
-      console.log('[RecordMigratorAPI] Found', sessions.length, 'unique sessions');
-      return sessions;
-
-    } catch (error) {
-      console.error('[RecordMigratorAPI] Error getting active sessions:', error);
-      throw error;
-    }
+    return SessionRegistry.discover();
   },
 
   /**
@@ -56,123 +40,7 @@ const RecordMigratorAPI = {
    * @returns {Promise<object>} Session object with org info
    */
   async extractSessionFromTab(tab) {
-    if (!tab || !tab.url) {
-      throw new Error('No tab URL provided');
-    }
-
-    const url = new URL(tab.url);
-    const originalHostname = url.hostname;
-
-    // Transform hostname for API calls
-    const hostname = SessionManager.getMyDomain(originalHostname);
-    const instanceUrl = `${url.protocol}//${hostname}`;
-
-    // Get session cookie
-    const sidCookie = await chrome.cookies.get({
-      url: instanceUrl,
-      name: 'sid'
-    });
-
-    if (!sidCookie) {
-      // Try broader search
-      const cookies = await chrome.cookies.getAll({
-        name: 'sid',
-        secure: true
-      });
-
-      const matchingCookie = cookies.find(c => {
-        const cookieDomain = c.domain.replace(/^\./, '');
-        return hostname.includes(cookieDomain) ||
-               cookieDomain.includes(hostname.split('.')[0]);
-      });
-
-      if (!matchingCookie) {
-        throw new Error('No session cookie found');
-      }
-
-      // Extract org ID from session ID
-      const sessionId = matchingCookie.value;
-      const orgId = sessionId.substring(0, 15);
-
-      // Get org info
-      const orgInfo = await this.getOrgInfo(instanceUrl, sessionId);
-
-      return {
-        tabId: tab.id,
-        sessionId: sessionId,
-        instanceUrl: instanceUrl,
-        hostname: hostname,
-        orgId: orgId,
-        orgName: orgInfo.orgName || hostname,
-        orgType: orgInfo.orgType || 'Unknown',
-        isSandbox: orgInfo.isSandbox || false,
-        timestamp: Date.now()
-      };
-    }
-
-    // Extract org ID from session ID
-    const sessionId = sidCookie.value;
-    const orgId = sessionId.substring(0, 15);
-
-    // Get org info
-    const orgInfo = await this.getOrgInfo(instanceUrl, sessionId);
-
-    return {
-      tabId: tab.id,
-      sessionId: sessionId,
-      instanceUrl: instanceUrl,
-      hostname: hostname,
-      orgId: orgId,
-      orgName: orgInfo.orgName || hostname,
-      orgType: orgInfo.orgType || 'Unknown',
-      isSandbox: orgInfo.isSandbox || false,
-      timestamp: Date.now()
-    };
-  },
-
-  /**
-   * Get organization information from Salesforce
-   * @param {string} instanceUrl - The instance URL
-   * @param {string} sessionId - The session ID
-   * @returns {Promise<object>} Org info object
-   */
-  async getOrgInfo(instanceUrl, sessionId) {
-    return new Promise((resolve, reject) => {
-      const query = encodeURIComponent("SELECT Id, Name, OrganizationType, IsSandbox FROM Organization LIMIT 1");
-      const endpoint = `${instanceUrl}/services/data/v59.0/query/?q=${query}`;
-
-      const xhr = new XMLHttpRequest();
-      xhr.open('GET', endpoint, true);
-      xhr.setRequestHeader('Authorization', 'Bearer ' + sessionId);
-      xhr.setRequestHeader('Accept', 'application/json');
-      xhr.responseType = 'json';
-      xhr.timeout = 10000;
-
-      xhr.onreadystatechange = () => {
-        if (xhr.readyState === 4) {
-          if (xhr.status >= 200 && xhr.status < 300 && xhr.response?.records?.[0]) {
-            const org = xhr.response.records[0];
-            resolve({
-              orgName: org.Name,
-              orgType: org.OrganizationType,
-              isSandbox: org.IsSandbox
-            });
-          } else {
-            // Return defaults on error
-            resolve({
-              orgName: null,
-              orgType: null,
-              isSandbox: null
-            });
-          }
-        }
-      };
-
-      xhr.onerror = () => resolve({ orgName: null, orgType: null, isSandbox: null });
-      xhr.ontimeout = () => resolve({ orgName: null, orgType: null, isSandbox: null });
-
-      xhr.send();
-    });
+    return SessionRegistry.registerTab(tab);
   },
 
   /**
@@ -182,20 +50,7 @@ const RecordMigratorAPI = {
    */
   async getObjects(session) {
     try {
-      const endpoint = `${session.instanceUrl}/services/data/v59.0/sobjects`;
-
-      const response = await fetch(endpoint, {
-        headers: {
-          'Authorization': `Bearer ${session.sessionId}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to get objects: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
+      const data = await RequestClient.request(session, '/services/data/v59.0/sobjects');
       return data.sobjects || [];
 
     } catch (error) {
@@ -206,6 +61,7 @@ const RecordMigratorAPI = {
 
   /**
    * Execute SOQL query
+   * Follows nextRecordsUrl so every matching record is returned
    * @param {Object} session - Session object
    * @param {string} soql - SOQL query
    * @returns {Promise<Object>} Query results
@@ -213,21 +69,7 @@ const RecordMigratorAPI = {
   async queryRecords(session, soql) {
     try {
       const encodedQuery = encodeURIComponent(soql);
-      const endpoint = `${session.instanceUrl}/services/data/v59.0/query?q=${encodedQuery}`;
-
-      const response = await fetch(endpoint, {
-        headers: {
-          'Authorization': `Bearer ${session.sessionId}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Query failed: ${response.status} - ${errorText}`);
-      }
-
-      return await response.json();
+      return await RequestClient.request(session, `/services/data/v59.0/query?q=${encodedQuery}`);
 
     } catch (error) {
       console.error('[RecordMigratorAPI] Error querying records:', error);
@@ -235,6 +77,20 @@ const RecordMigratorAPI = {
     }
   },
 
+  /**
+   * Describe an object
+   * @param {Object} session - Session object
+   * @param {string} objectName - API name of the object
+   * @returns {Promise<Object>} Describe result
+   */
+  async describeObject(session, objectName) {
+    try {
+      return await RequestClient.request(session, `/services/data/v59.0/sobjects/${objectName}/describe`);
+    } catch (error) {
+      throw new Error(`Failed to describe ${objectName}: ${error.message}`);
+    }
+  },
+
   /**
    * Get child relationships for an object
    * @param {Object} session - Session object
@@ -243,20 +99,7 @@ const RecordMigratorAPI = {
    */
   async getChildRelationships(session, objectName) {
     try {
-      const endpoint = `${session.instanceUrl}/services/data/v59.0/sobjects/${objectName}/describe`;
-
-      const response = await fetch(endpoint, {
-        headers: {
-          'Authorization': `Bearer ${session.sessionId}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to describe ${objectName}: ${response.status}`);
-      }
-
-      const describe = await response.json();
+      const describe = await this.describeObject(session, objectName);
       const childRelationships = describe.childRelationships || [];
 
       // Filter out unwanted relationships
@@ -292,20 +135,7 @@ const RecordMigratorAPI = {
    */
   async getObjectFields(session, objectName) {
     try {
-      const endpoint = `${session.instanceUrl}/services/data/v59.0/sobjects/${objectName}/describe`;
-
-      const response = await fetch(endpoint, {
-        headers: {
-          'Authorization': `Bearer ${session.sessionId}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to describe ${objectName}: ${response.status}`);
-      }
-
-      const describe = await response.json();
+      const describe = await this.describeObject(session, objectName);
       const fields = describe.fields || [];
 
       // Filter out non-createable fields, but always include Id and Name
@@ -338,20 +168,7 @@ const RecordMigratorAPI = {
    */
   async getObjectFieldMetadata(session, objectName) {
     try {
-      const endpoint = `${session.instanceUrl}/services/data/v59.0/sobjects/${objectName}/describe`;
-
-      const response = await fetch(endpoint, {
-        headers: {
-          'Authorization': `Bearer ${session.sessionId}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to describe ${objectName}: ${response.status}`);
-      }
-
-      const describe = await response.json();
+      const describe = await this.describeObject(session, objectName);
       return describe.fields || [];
 
     } catch (error) {
@@ -360,88 +177,6 @@ const RecordMigratorAPI = {
     }
   },
 
-  /**
-   * Build State ID mapping between source and target orgs
-   * Maps State record IDs by Name field
-   * @param {Object} sourceSession - Source session
-   * @param {Object} targetSession - Target session
-   * @param {Array} records - Records that may contain CompSuite__State__c
-   * @returns {Promise<Object>} Mapping of source State IDs to target State IDs
-   */
-  async buildStateIdMapping(sourceSession, targetSession, records) {
-    try {
-      console.log('[RecordMigratorAPI] buildStateIdMapping called with', records.length, 'records');
-
-      // Collect all unique State IDs from records
-      const stateIds = new Set();
-      records.forEach(record => {
-        console.log('[RecordMigratorAPI] Record fields:', Object.keys(record));
-        if (record.CompSuite__State__c) {
-          console.log('[RecordMigratorAPI] Found State ID:', record.CompSuite__State__c);
-          stateIds.add(record.CompSuite__State__c);
-        }
-      });
-
-      console.log('[RecordMigratorAPI] Collected', stateIds.size, 'unique State IDs:', Array.from(stateIds));
-
-      if (stateIds.size === 0) {
-        console.log('[RecordMigratorAPI] No CompSuite__State__c fields found in records');
-        return {};
-      }
-
-      console.log('[RecordMigratorAPI] Building State ID mapping for', stateIds.size, 'states...');
-
-      // Query State records from source org to get Names
-      const stateIdList = Array.from(stateIds).map(id => `'${id}'`).join(',');
-      const sourceQuery = `SELECT Id, Name FROM CompSuite__State__c WHERE Id IN (${stateIdList})`;
-      const sourceStates = await this.queryRecords(sourceSession, sourceQuery);
-
-      if (!sourceStates.records || sourceStates.records.length === 0) {
-        console.warn('[RecordMigratorAPI] No State records found in source org');
-        return {};
-      }
-
-      // Build Name -> ID mapping for source
-      const stateNames = sourceStates.records.map(s => s.Name);
-      const stateNameList = stateNames.map(name => `'${name.replace(/'/g, "\\'")}'`).join(',');
-
-      // Query State records from target org by Name
-      const targetQuery = `SELECT Id, Name FROM CompSuite__State__c WHERE Name IN (${stateNameList})`;
-      const targetStates = await this.queryRecords(targetSession, targetQuery);
-
-      if (!targetStates.records || targetStates.records.length === 0) {
-        console.warn('[RecordMigratorAPI] No matching State records found in target org');
-        return {};
-      }
-
-      // Build Name -> target ID mapping
-      const targetStateMap = {};
-      targetStates.records.forEach(state => {
-        targetStateMap[state.Name] = state.Id;
-      });
-
-      // Build source ID -> target ID mapping
-      const stateIdMapping = {};
-      sourceStates.records.forEach(sourceState => {
-        const targetId = targetStateMap[sourceState.Name];
-        if (targetId) {
-          stateIdMapping[sourceState.Id] = targetId;
-          console.log(`[RecordMigratorAPI] Mapped State: ${sourceState.Name} (${sourceState.Id} -> ${targetId})`);
-        } else {
-          console.warn(`[RecordMigratorAPI] No matching State found in target org for: ${sourceState.Name}`);
-        }
-      });
-
-      console.log('[RecordMigratorAPI] State ID mapping complete:', Object.keys(stateIdMapping).length, 'states mapped');
-      return stateIdMapping;
-
-    } catch (error) {
-      console.error('[RecordMigratorAPI] Error building State ID mapping:', error);
-      // Return empty mapping on error - migration can continue without State remapping
-      return {};
-    }
-  },
-
   /**
    * Export parent records from source org
    * @param {Object} sourceSession - Source session
@@ -486,266 +221,102 @@ const RecordMigratorAPI = {
       // Get all createable fields for the child object
       const fields = await this.getObjectFields(sourceSession, relationship.childSObject);
 
-      // Build SOQL query
+      // Build SOQL query - parent IDs are chunked to stay under the SOQL length limit
       const fieldList = fields.join(', ');
-      const idList = parentIds.map(id => `'${id}'`).join(',');
-      const soql = `SELECT ${fieldList} FROM ${relationship.childSObject} WHERE ${relationship.field} IN (${idList})`;
-
-      const result = await this.queryRecords(sourceSession, soql);
-      console.log('[RecordMigratorAPI] Exported', result.records.length, 'child records');
-
-      return result.records || [];
-
-    } catch (error) {
-      console.error('[RecordMigratorAPI] Error exporting child records:', error);
-      throw error;
-    }
-  },
-
-  /**
-   * Upsert parent records to target org
-   * @param {Object} targetSession - Target session
-   * @param {string} objectName - Object API name
-   * @param {Array} records - Records to upsert
-   * @param {string} externalIdField - Optional external ID field to store source IDs
-   * @param {Object} stateIdMapping - Optional State ID mapping (source -> target)
-   * @returns {Promise<Object>} Upsert results with ID mapping
-   */
-  async upsertParentRecords(targetSession, objectName, records, externalIdField = null, stateIdMapping = {}) {
-    try {
-      console.log('[RecordMigratorAPI] Upserting', records.length, 'parent records...');
-      if (externalIdField) {
-        console.log('[RecordMigratorAPI] Using external ID field:', externalIdField);
-      }
-      if (Object.keys(stateIdMapping).length > 0) {
-        console.log('[RecordMigratorAPI] Using State ID mapping for', Object.keys(stateIdMapping).length, 'states');
-      }
-
-      const results = {
-        success: 0,
-        failed: 0,
-        errors: [],
-        idMapping: {} // sourceId -> targetId
-      };
-
-      // Process in batches of 200 (API limit)
-      const batchSize = 200;
-      for (let i = 0; i < records.length; i += batchSize) {
-        const batch = records.slice(i, i + batchSize);
-
-        // Prepare records for insert (remove Id and attributes)
-        const recordsToInsert = batch.map(record => {
-          const sourceId = record.Id;
-          const sourceName = record.Name; // Store for reporting
-          const cleanRecord = { ...record };
-          delete cleanRecord.Id;
-          delete cleanRecord.attributes;
-
-          // Remove system fields and read-only fields
-          delete cleanRecord.CreatedDate;
-          delete cleanRecord.CreatedById;
-          delete cleanRecord.LastModifiedDate;
-          delete cleanRecord.LastModifiedById;
-          delete cleanRecord.SystemModstamp;
-          delete cleanRecord.Name; // Name is queried for reporting but often read-only on target
-
-          // Store source ID in external ID field if specified
-          if (externalIdField) {
-            cleanRecord[externalIdField] = sourceId;
-          }
-
-          // Remap CompSuite__State__c field if present and mapping exists
-          if (cleanRecord.CompSuite__State__c && stateIdMapping[cleanRecord.CompSuite__State__c]) {
-            const originalStateId = cleanRecord.CompSuite__State__c;
-            cleanRecord.CompSuite__State__c = stateIdMapping[originalStateId];
-            console.log(`[RecordMigratorAPI] Remapped State ID: ${originalStateId} -> ${cleanRecord.CompSuite__State__c}`);
-          }
-
-          return { sourceId, sourceName, record: cleanRecord };
-        });
-
-        // Use SObject Collection API for batch insert
-        const endpoint = `${targetSession.instanceUrl}/services/data/v59.0/composite/sobjects`;
-
-        const requestBody = {
-          allOrNone: false,
-          records: recordsToInsert.map(r => ({
-            attributes: { type: objectName },
-            ...r.record
-          }))
-        };
-
-        const response = await fetch(endpoint, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${targetSession.sessionId}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(requestBody)
-        });
-
-        if (!response.ok) {
-          throw new Error(`Upsert failed: ${response.status} ${response.statusText}`);
-        }
-
-        const batchResults = await response.json();
-
-        // Process results and build ID mapping
-        batchResults.forEach((result, index) => {
-          if (result.success) {
-            results.success++;
-            results.idMapping[recordsToInsert[index].sourceId] = result.id;
-          } else {
-            results.failed++;
-            results.errors.push(`Record ${index + 1}: ${result.errors.map(e => e.message).join(', ')}`);
-          }
-        });
-      }
-
-      console.log('[RecordMigratorAPI] Parent upsert complete:', results.success, 'success,', results.failed, 'failed');
-      return results;
-
-    } catch (error) {
-      console.error('[RecordMigratorAPI] Error upserting parent records:', error);
-      throw error;
-    }
-  },
-
-  /**
-   * Upsert child records to target org
-   * @param {Object} targetSession - Target session
-   * @param {Object} relationship - Relationship metadata
-   * @param {Array} records - Child records to upsert
-   * @param {Object} idMapping - Parent ID mapping (sourceId -> targetId)
-   * @param {Object} stateIdMapping - Optional State ID mapping (source -> target)
-   * @returns {Promise<Object>} Upsert results
-   */
-  async upsertChildRecords(targetSession, relationship, records, idMapping, stateIdMapping = {}) {
-    try {
-      console.log('[RecordMigratorAPI] Upserting', records.length, 'child records for', relationship.childSObject);
-
-      const results = {
-        success: 0,
-        failed: 0,
-        errors: []
-      };
-
-      // Process in batches
-      const batchSize = 200;
-      for (let i = 0; i < records.length; i += batchSize) {
-        const batch = records.slice(i, i + batchSize);
-
-        // Remap parent IDs and prepare records
-        const recordsToInsert = batch.map(record => {
-          const cleanRecord = { ...record };
-          delete cleanRecord.Id;
-          delete cleanRecord.attributes;
-
-          // Remove system fields
-          delete cleanRecord.CreatedDate;
-          delete cleanRecord.CreatedById;
-          delete cleanRecord.LastModifiedDate;
-          delete cleanRecord.LastModifiedById;
-          delete cleanRecord.SystemModstamp;
-
-          // Remap parent lookup field
-          const oldParentId = record[relationship.field];
-          const newParentId = idMapping[oldParentId];
-
-          if (newParentId) {
-            cleanRecord[relationship.field] = newParentId;
-          } else {
-            console.warn('[RecordMigratorAPI] No mapping found for parent ID:', oldParentId);
-          }
-
-          // Remap CompSuite__State__c field if present and mapping exists
-          if (cleanRecord.CompSuite__State__c && stateIdMapping[cleanRecord.CompSuite__State__c]) {
-            const originalStateId = cleanRecord.CompSuite__State__c;
-            cleanRecord.CompSuite__State__c = stateIdMapping[originalStateId];
-            console.log(`[RecordMigratorAPI] Remapped State ID in child record: ${originalStateId} -> ${cleanRecord.CompSuite__State__c}`);
-          }
-
-          return cleanRecord;
-        });
+      const chunkSize = 500;
+      const records = [];
 
-        // Use SObject Collection API for batch insert
-        const endpoint = `${targetSession.instanceUrl}/services/data/v59.0/composite/sobjects`;
+      for (let i = 0; i < parentIds.length; i += chunkSize) {
+        const idList = parentIds.slice(i, i + chunkSize).map(id => `'${id}'`).join(',');
+        const soql = `SELECT ${fieldList} FROM ${relationship.childSObject} WHERE ${relationship.field} IN (${idList})`;
 
-        const requestBody = {
-          allOrNone: false,
-          records: recordsToInsert.map(record => ({
-            attributes: { type: relationship.childSObject },
-            ...record
-          }))
-        };
-
-        const response = await fetch(endpoint, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${targetSession.sessionId}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(requestBody)
-        });
-
-        if (!response.ok) {
-          throw new Error(`Upsert failed: ${response.status} ${response.statusText}`);
-        }
-
-        const batchResults = await response.json();
-
-        // Process results
-        batchResults.forEach((result, index) => {
-          if (result.success) {
-            results.success++;
-          } else {
-            results.failed++;
-            results.errors.push(`${relationship.childSObject} record ${index + 1}: ${result.errors.map(e => e.message).join(', ')}`);
-          }
-        });
+        const result = await this.queryRecords(sourceSession, soql);
+        records.push(...(result.records || []));
       }
 
-      console.log('[RecordMigratorAPI] Child upsert complete:', results.success, 'success,', results.failed, 'failed');
-      return results;
+      console.log('[RecordMigratorAPI] Exported', records.length, 'child records');
+      return records;
 
     } catch (error) {
-      console.error('[RecordMigratorAPI] Error upserting child records:', error);
+      console.error('[RecordMigratorAPI] Error exporting child records:', error);
       throw error;
     }
   },
 
   /**
    * Main migration function - orchestrates the entire migration process
+   * Exports the root records and every selected relationship (any depth), then inserts
+   * objects in dependency order, remapping lookups through one global ID mapping.
+   * Lookups that form a cycle are left empty on insert and filled in a second pass.
+   * With config.dryRun every write is rolled back and the results describe what would happen.
+   * Real runs are saved as a job (MigrationJobStore) with a checkpoint after every committed
+   * batch; passing options.job resumes that job, skipping records it already processed.
    * @param {Object} sourceSession - Source session
    * @param {Object} targetSession - Target session
    * @param {Object} config - Migration configuration
    * @param {Function} onProgress - Optional progress callback (step, current, total, message)
+   * @param {Object} options - Optional { job } to resume
    * @returns {Promise<Object>} Migration results
    */
-  async migrateRecords(sourceSession, targetSession, config, onProgress = null) {
+  async migrateRecords(sourceSession, targetSession, config, onProgress = null, options = {}) {
+    let job = null;
+    let saveCheckpoint = async () => {};
+
     try {
-      console.log('[RecordMigratorAPI] Starting migration...');
+      console.log('[RecordMigratorAPI]', options.job ? `Resuming migration job ${options.job.id}...` : 'Starting migration...');
       console.log('[RecordMigratorAPI] Config:', config);
 
+      const resumeFrom = options.job ? options.job.checkpoint : null;
+
       const results = {
         parentSuccess: 0,
         parentFailed: 0,
         childSuccess: 0,
         childFailed: 0,
+        deferredLookupSuccess: 0,
+        deferredLookupFailed: 0,
         errors: [],
         detailedErrors: [], // Enhanced error tracking
         idMapping: {},
         createdRecordIds: [], // For rollback capability
-        migratedRecords: [] // Full record data for report (sourceId, targetId, name, record)
+        updatedRecords: [], // Pre-update snapshots so rollback can restore upserted records
+        migratedRecords: [], // Full record data for report (sourceId, targetId, name, record)
+        lookupWarnings: [], // Lookup values that could not be matched in the target org
+        ...(resumeFrom?.results || {}),
+        simulated: !!config.dryRun,
+        plan: null,
+        jobId: null
       };
 
+      // Source IDs already sent to the target (succeeded or failed) and lookups still to fill in
+      const processedSourceIds = new Set(resumeFrom?.processedSourceIds || []);
+      const deferredUpdates = [...(resumeFrom?.deferredUpdates || [])];
+      // Bulk API jobs created but whose results are not in the checkpoint yet
+      let bulkJobs = [...(resumeFrom?.bulkJobs || [])];
+
+      if (config.dryRun) {
+        console.log('[RecordMigratorAPI] Dry run - no records will be committed');
+      } else {
+        job = options.job
+          ? await MigrationJobStore.resumeJob(options.job)
+          : await MigrationJobStore.createJob(sourceSession, targetSession, config);
+        results.jobId = job.id;
+        saveCheckpoint = (stage = 'loading') => MigrationJobStore.saveCheckpoint(job, {
+          stage,
+          results,
+          processedSourceIds: Array.from(processedSourceIds),
+          deferredUpdates,
+          bulkJobs
+        });
+      }
+
       // Calculate total operations for progress tracking
       const totalParentRecords = config.recordIds.length;
       let estimatedChildRecords = 0;
       if (config.relationships && config.relationships.length > 0) {
         estimatedChildRecords = config.relationships.reduce((sum, rel) => sum + (rel.estimatedCount || 0), 0);
       }
-      const totalOperations = totalParentRecords + estimatedChildRecords;
+      let totalOperations = totalParentRecords + estimatedChildRecords;
 
       // Helper function to send progress updates
       const sendProgress = (step, current, total, message) => {
@@ -755,8 +326,19 @@ const RecordMigratorAPI = {
         }
       };
 
-      // Step 1: Export parent records
-      console.log('[RecordMigratorAPI] Step 1: Exporting parent records...');
+      // Step 1: Plan the object graph
+      console.log('[RecordMigratorAPI] Step 1: Planning object graph...');
+      sendProgress('Planning Migration', 0, totalOperations, 'Analyzing object dependencies...');
+
+      const plan = await this.planMigration(sourceSession, config.objectName, config.relationships || []);
+      results.plan = {
+        insertOrder: plan.insertOrder,
+        deferredLookups: plan.deferredLookups,
+        warnings: plan.warnings
+      };
+
+      // Step 2: Export root records
+      console.log('[RecordMigratorAPI] Step 2: Exporting records...');
       sendProgress('Exporting Parent Records', 0, totalOperations, `Exporting ${totalParentRecords} parent records...`);
 
       const parentRecords = await this.exportParentRecords(
@@ -769,182 +351,601 @@ const RecordMigratorAPI = {
         throw new Error('No parent records found to migrate');
       }
 
+      const recordsByObject = { [config.objectName]: new Map(parentRecords.map(r => [r.Id, r])) };
       sendProgress('Exporting Parent Records', totalParentRecords, totalOperations, `Exported ${parentRecords.length} parent records`);
 
-      // Step 1.5: Build State ID mapping if CompSuite__State__c field exists
-      console.log('[RecordMigratorAPI] Step 1.5: Building State ID mapping...');
-      sendProgress('Building ID Mapping', totalParentRecords, totalOperations, 'Building State ID mapping...');
-
-      const stateIdMapping = await this.buildStateIdMapping(
-        sourceSession,
-        targetSession,
-        parentRecords
-      );
+      // Step 2b: Export each relationship level from the records collected so far
+      for (const relationship of plan.exportSteps) {
+        try {
+          sendProgress('Exporting Child Records', totalParentRecords, totalOperations, `Exporting ${relationship.childSObject}...`);
 
-      // Step 2: Upsert parent records to target org
-      console.log('[RecordMigratorAPI] Step 2: Upserting parent records...');
-      const parentResults = await this.upsertParentRecordsWithProgress(
-        targetSession,
-        config.objectName,
-        parentRecords,
-        config.externalIdField,
-        stateIdMapping,
-        (current, total) => {
-          sendProgress('Upserting Parent Records', current, totalOperations, `Upserting parent records (${current}/${total})`);
-        }
-      );
+          const parentIds = Array.from((recordsByObject[relationship.parentSObject] || new Map()).keys());
+          if (parentIds.length === 0) {
+            continue;
+          }
 
-      results.parentSuccess = parentResults.success;
-      results.parentFailed = parentResults.failed;
-      results.errors.push(...parentResults.errors);
-      results.detailedErrors.push(...parentResults.detailedErrors);
-      results.idMapping = parentResults.idMapping;
-      results.createdRecordIds.push(...parentResults.createdRecordIds);
-      results.migratedRecords.push(...(parentResults.migratedRecords || []));
+          const childRecords = await this.exportChildRecords(sourceSession, relationship, parentIds);
+          if (childRecords.length === 0) {
+            console.log('[RecordMigratorAPI] No child records found for', relationship.childSObject);
+            continue;
+          }
 
-      // Step 3: Process child relationships (if any)
-      if (config.relationships && config.relationships.length > 0) {
-        console.log('[RecordMigratorAPI] Step 3: Processing child relationships...');
+          if (!recordsByObject[relationship.childSObject]) {
+            recordsByObject[relationship.childSObject] = new Map();
+          }
+          childRecords.forEach(record => recordsByObject[relationship.childSObject].set(record.Id, record));
 
-        let processedChildCount = 0;
+        } catch (error) {
+          console.error('[RecordMigratorAPI] Error exporting relationship:', relationship.childSObject, error);
+          results.errors.push(`Failed to migrate ${relationship.childSObject}: ${error.message}`);
+          results.detailedErrors.push({
+            code: 'RELATIONSHIP_MIGRATION_FAILED',
+            relationship: relationship.childSObject,
+            message: error.message
+          });
+        }
+      }
 
-        for (const relationship of config.relationships) {
-          try {
-            // Export child records
-            sendProgress('Exporting Child Records', totalParentRecords + processedChildCount, totalOperations, `Exporting ${relationship.childSObject}...`);
+      // A resumed job skips records an earlier run already sent
+      if (processedSourceIds.size > 0) {
+        Object.values(recordsByObject).forEach(records => {
+          processedSourceIds.forEach(id => records.delete(id));
+        });
+      }
 
-            const childRecords = await this.exportChildRecords(
-              sourceSession,
-              relationship,
-              config.recordIds
-            );
+      // Re-base progress on what was actually exported
+      totalOperations = Object.values(recordsByObject).reduce((sum, records) => sum + records.size, 0);
 
-            if (childRecords.length === 0) {
-              console.log('[RecordMigratorAPI] No child records found for', relationship.childSObject);
-              continue;
-            }
+      // Step 3: Resolve lookup matching rules (record types, owners, reference data) per object
+      console.log('[RecordMigratorAPI] Step 3: Resolving lookup mappings...');
+      sendProgress('Building ID Mapping', 0, totalOperations, 'Matching lookup values in target org...');
 
-            // Upsert child records with remapped parent IDs and State IDs
-            const childResults = await this.upsertChildRecordsWithProgress(
-              targetSession,
-              relationship,
-              childRecords,
-              results.idMapping,
-              stateIdMapping,
-              (current, total) => {
-                sendProgress('Upserting Child Records', totalParentRecords + processedChildCount + current, totalOperations, `Upserting ${relationship.childSObject} (${current}/${total})`);
-              }
-            );
-
-            results.childSuccess += childResults.success;
-            results.childFailed += childResults.failed;
-            results.errors.push(...childResults.errors);
-            results.detailedErrors.push(...childResults.detailedErrors);
-            results.createdRecordIds.push(...childResults.createdRecordIds);
-
-            processedChildCount += childRecords.length;
-
-          } catch (error) {
-            console.error('[RecordMigratorAPI] Error processing relationship:', relationship.childSObject, error);
-            const errorDetail = {
-              code: 'RELATIONSHIP_MIGRATION_FAILED',
-              relationship: relationship.childSObject,
-              message: error.message
-            };
-            results.errors.push(`Failed to migrate ${relationship.childSObject}: ${error.message}`);
-            results.detailedErrors.push(errorDetail);
-          }
+      const lookupMappingsByObject = {};
+      const graphLookupMappingsByObject = {};
+      for (const objectName of plan.insertOrder) {
+        const records = Array.from((recordsByObject[objectName] || new Map()).values());
+        if (records.length === 0) {
+          continue;
         }
+
+        const rules = config.lookupRules?.[objectName] || LookupRemapper.buildDefaultRules(plan.fieldMetadataByObject[objectName]);
+        const { mappings, warnings } = await LookupRemapper.buildMappings(sourceSession, targetSession, records, rules);
+        results.lookupWarnings.push(...warnings.map(w => `${objectName}: ${w}`));
+
+        // Lookups between migrated records are handled by the planner (remapLookups); their matching
+        // rules only apply to values that point outside this migration
+        const graphLookupFields = new Set((plan.lookupFields[objectName] || []).map(l => l.field));
+        lookupMappingsByObject[objectName] = {};
+        graphLookupMappingsByObject[objectName] = {};
+        Object.entries(mappings).forEach(([field, mapping]) => {
+          const target = graphLookupFields.has(field) ? graphLookupMappingsByObject : lookupMappingsByObject;
+          target[objectName][field] = mapping;
+        });
       }
 
-      // Send completion progress
-      sendProgress('Migration Complete', totalOperations, totalOperations, 'Migration completed successfully!');
+      // Source ID -> object for every record in this migration, so lookups between
+      // migrated records can be told apart from lookups to existing target data
+      const pendingSourceIds = new Map();
+      Object.entries(recordsByObject).forEach(([objectName, records]) => {
+        records.forEach((record, id) => pendingSourceIds.set(id, objectName));
+      });
 
-      console.log('[RecordMigratorAPI] Migration complete!');
-      console.log('[RecordMigratorAPI] Results:', results);
+      // Step 4: Insert objects in dependency order
+      console.log('[RecordMigratorAPI] Step 4: Upserting records in order:', plan.insertOrder.join(' → '));
+      let processedCount = 0;
 
-      return results;
+      for (const objectName of plan.insertOrder) {
+        const records = Array.from((recordsByObject[objectName] || new Map()).values());
+        if (records.length === 0) {
+          continue;
+        }
 
-    } catch (error) {
-      console.error('[RecordMigratorAPI] Migration failed:', error);
-      throw error;
-    }
-  },
+        const isRoot = objectName === config.objectName;
+        const stepLabel = isRoot ? 'Upserting Parent Records' : 'Upserting Child Records';
 
-  /**
-   * Upsert parent records with progress tracking
-   * Uses UPSERT via external ID field when available, otherwise uses INSERT
-   * @param {Object} targetSession - Target session
-   * @param {string} objectName - Object API name
-   * @param {Array} records - Records to upsert
-   * @param {string} externalIdField - Optional external ID field for upsert
-   * @param {Object} stateIdMapping - Optional State ID mapping
-   * @param {Function} onProgress - Progress callback (current, total)
-   * @returns {Promise<Object>} Upsert results with ID mapping
-   */
-  async upsertParentRecordsWithProgress(targetSession, objectName, records, externalIdField = null, stateIdMapping = {}, onProgress = null) {
-    try {
-      console.log('[RecordMigratorAPI] Upserting', records.length, 'parent records...');
+        try {
+          const targetFields = await this.getObjectFieldMetadata(targetSession, objectName);
+          const lookupMappings = lookupMappingsByObject[objectName] || {};
+          const unmatched = [];
+          const prepared = records.map(record => {
+            const preparedRecord = isRoot
+              ? this.prepareParentRecord(record, config.externalIdField, lookupMappings, unmatched)
+              : this.prepareChildRecord(record, null, results.idMapping, lookupMappings, unmatched);
+
+            this.remapLookups(record, preparedRecord.record, objectName, plan.lookupFields[objectName], {
+              idMapping: results.idMapping,
+              pendingSourceIds,
+              deferredUpdates,
+              fallbackMappings: graphLookupMappingsByObject[objectName] || {},
+              unmatched
+            });
+
+            // Drop fields the target can't take and translate picklist values (configured for the root object)
+            preparedRecord.record = this.applyFieldMappings(preparedRecord.record, targetFields, isRoot ? config.picklistMappings : null);
+            return preparedRecord;
+          });
+          results.lookupWarnings.push(...this.summarizeUnmatchedLookups(objectName, unmatched));
+
+          const loadOptions = {
+            externalIdField: isRoot ? config.externalIdField : null,
+            bulkThreshold: config.bulkThreshold,
+            errorLabel: isRoot ? 'Record' : `${objectName} record`,
+            onProgress: (current, total) => {
+              sendProgress(stepLabel, processedCount + current, totalOperations, `${config.dryRun ? 'Simulating' : 'Upserting'} ${objectName} (${current}/${total})`);
+            },
+            // Results are merged batch by batch so the checkpoint always matches what was committed
+            onBatchComplete: async (batchResults, sourceIds, bulkJobId = null) => {
+              this.mergeLoadResults(results, batchResults, isRoot);
+              sourceIds.forEach(id => processedSourceIds.add(id));
+              if (bulkJobId) {
+                bulkJobs = bulkJobs.filter(bulkJob => bulkJob.jobId !== bulkJobId);
+              }
+              await saveCheckpoint();
+            },
+            // A Bulk API job is checkpointed before its data is uploaded, so a resume can find it
+            onBulkJobCreated: async (bulkJob) => {
+              bulkJobs.push({ objectName, ...bulkJob });
+              await saveCheckpoint();
+            }
+          };
+          if (config.dryRun) {
+            await this.simulateLoad(targetSession, objectName, prepared, loadOptions);
+          } else {
+            // Bulk API jobs of an interrupted run may have committed; take their results instead of sending again
+            const pendingBulkJobs = bulkJobs.filter(bulkJob => bulkJob.objectName === objectName);
+            const toLoad = pendingBulkJobs.length > 0
+              ? await this.reconcileBulkJobs(targetSession, objectName, prepared, pendingBulkJobs, loadOptions)
+              : prepared;
+            await this.loadRecordsWithProgress(targetSession, objectName, toLoad, loadOptions);
+          }
+
+        } catch (error) {
+          if (isRoot) {
+            throw error;
+          }
+          console.error('[RecordMigratorAPI] Error loading', objectName, error);
+          const unprocessed = records.filter(record => !processedSourceIds.has(record.Id));
+          unprocessed.forEach(record => processedSourceIds.add(record.Id));
+          results.childFailed += unprocessed.length;
+          results.errors.push(`Failed to migrate ${objectName}: ${error.message}`);
+          results.detailedErrors.push({
+            code: 'RELATIONSHIP_MIGRATION_FAILED',
+            relationship: objectName,
+            message: error.message
+          });
+          await saveCheckpoint();
+        }
+
+        // Records of this object are no longer pending, whether they loaded or not
+        records.forEach(record => pendingSourceIds.delete(record.Id));
+        processedCount += records.length;
+      }
+
+      // Step 5: Second pass for lookups deferred because of cycles
+      if (deferredUpdates.length > 0 && config.dryRun) {
+        // Nothing was committed, so count the updates that would have a record on both ends
+        results.deferredLookupSuccess = deferredUpdates.filter(u => results.idMapping[u.sourceId] && results.idMapping[u.sourceRefId]).length;
+        results.deferredLookupFailed = deferredUpdates.filter(u => results.idMapping[u.sourceId] && !results.idMapping[u.sourceRefId]).length;
+      } else if (deferredUpdates.length > 0) {
+        await saveCheckpoint('deferred');
+        console.log('[RecordMigratorAPI] Step 5: Applying', deferredUpdates.length, 'deferred lookup updates...');
+        sendProgress('Updating Deferred Lookups', totalOperations, totalOperations, `Updating ${deferredUpdates.length} deferred lookups...`);
+
+        const deferredResults = await this.applyDeferredLookups(targetSession, deferredUpdates, results.idMapping);
+        results.deferredLookupSuccess = deferredResults.success;
+        results.deferredLookupFailed = deferredResults.failed;
+        results.errors.push(...deferredResults.errors);
+        results.detailedErrors.push(...deferredResults.detailedErrors);
+
+        // Updated records touched here have a newer SystemModstamp than the one taken at load,
+        // so stamp them again or a rollback would see the deferred update as a conflict
+        const touchedIds = new Set(deferredResults.updatedIds);
+        const touchedByObject = {};
+        results.updatedRecords.filter(r => touchedIds.has(r.id)).forEach(r => {
+          (touchedByObject[r.objectName] = touchedByObject[r.objectName] || []).push(r);
+        });
+        for (const [objectName, touched] of Object.entries(touchedByObject)) {
+          await this.stampUpdatedRecords(targetSession, objectName, touched);
+        }
+      }
+
+      // Send completion progress
+      sendProgress('Migration Complete', totalOperations, totalOperations,
+        config.dryRun ? 'Simulation complete - no records were saved' : 'Migration completed successfully!');
+
+      if (job) {
+        await saveCheckpoint('done');
+        await MigrationJobStore.finishJob(job, MigrationJobStore.STATUS.COMPLETED);
+      }
+
+      console.log('[RecordMigratorAPI] Migration complete!');
+      console.log('[RecordMigratorAPI] Results:', results);
+
+      return results;
+
+    } catch (error) {
+      console.error('[RecordMigratorAPI] Migration failed:', error);
+      if (job) {
+        // The last checkpoint is kept so the job can be resumed or rolled back
+        await MigrationJobStore.finishJob(job, MigrationJobStore.STATUS.FAILED, error.message)
+          .catch(storeError => console.error('[RecordMigratorAPI] Could not save failed job:', storeError));
+        error.jobId = job.id;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Resume an interrupted or failed migration job from its last checkpoint
+   * @param {string} jobId - Job ID
+   * @param {Function} onProgress - Optional progress callback (step, current, total, message)
+   * @returns {Promise<Object>} Migration results (including the earlier runs of the job)
+   */
+  async resumeMigration(jobId, onProgress = null) {
+    const job = await this.getResumableJob(jobId);
+    const { sourceSession, targetSession } = await this.getJobSessions(job);
+
+    return this.migrateRecords(sourceSession, targetSession, job.config, onProgress, { job });
+  },
+
+  /**
+   * Undo a past migration job in the target org
+   * Created records are deleted children first (reverse insert order); records the job updated
+   * through an external ID upsert are restored unless they changed again since.
+   * Bulk API jobs whose results the job never merged are collected first, so their records are undone too.
+   * @param {string} jobId - Job ID
+   * @param {Function} onProgress - Optional progress callback (current, total, percentage)
+   * @returns {Promise<Object>} Rollback results
+   */
+  async rollbackJob(jobId, onProgress = null) {
+    const job = await MigrationJobStore.getJob(jobId);
+    if (!job) {
+      const error = new Error('Migration job not found');
+      error.code = 'JOB_NOT_FOUND';
+      throw error;
+    }
+    if (MigrationJobStore.activeJobIds.has(jobId)) {
+      const error = new Error('Migration job is still running');
+      error.code = 'JOB_RUNNING';
+      throw error;
+    }
+    if (job.status === MigrationJobStore.STATUS.ROLLED_BACK) {
+      const error = new Error('Migration job has already been rolled back');
+      error.code = 'JOB_ROLLED_BACK';
+      throw error;
+    }
+
+    const { targetSession } = await this.getJobSessions(job, { sourceRequired: false });
+    const pending = await this.collectPendingBulkJobs(targetSession, job.checkpoint.bulkJobs || []);
+    const recordIds = [...(job.checkpoint.results?.createdRecordIds || []), ...pending.createdRecordIds].reverse();
+    const updatedRecords = [...(job.checkpoint.results?.updatedRecords || []), ...pending.updatedRecords];
+
+    const rollbackResults = await RollbackAPI.rollbackMigration(targetSession, recordIds, onProgress, { updatedRecords });
+    rollbackResults.errors.unshift(...pending.errors);
+    await MigrationJobStore.recordRollback(job, rollbackResults);
+
+    return rollbackResults;
+  },
+
+  /**
+   * Collect the records committed by Bulk API jobs whose results an interrupted run never merged
+   * A job whose results can't be collected is reported in errors, as its records are not rolled back.
+   * @param {Object} targetSession - Target session
+   * @param {Array} bulkJobs - Checkpointed jobs ({ objectName, jobId, sourceIds, snapshots, rowMapping })
+   * @returns {Promise<Object>} { createdRecordIds, updatedRecords, errors }
+   */
+  async collectPendingBulkJobs(targetSession, bulkJobs) {
+    const pending = { createdRecordIds: [], updatedRecords: [], errors: [] };
+
+    for (const bulkJob of bulkJobs) {
+      try {
+        const jobResults = await BulkAPI.resumeIngestJob(targetSession, bulkJob.jobId, bulkJob.rowMapping);
+        if (!jobResults) continue;
+
+        const outcome = await this.collectBulkResults(targetSession, bulkJob.objectName, jobResults, new Map(), new Map(bulkJob.snapshots || []));
+        pending.createdRecordIds.push(...outcome.createdRecordIds);
+        pending.updatedRecords.push(...outcome.updatedRecords);
+        console.log('[RecordMigratorAPI] Collected', outcome.success, bulkJob.objectName, 'records of bulk job', bulkJob.jobId, 'for rollback');
+      } catch (error) {
+        console.error('[RecordMigratorAPI] Could not collect results of bulk job', bulkJob.jobId, error);
+        pending.errors.push(`Bulk job ${bulkJob.jobId} (${bulkJob.objectName}): results could not be collected, so the records it loaded were not rolled back: ${error.message}`);
+      }
+    }
+
+    return pending;
+  },
+
+  /**
+   * Load a job and check it can be resumed
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} Job
+   */
+  async getResumableJob(jobId) {
+    const job = await MigrationJobStore.getJob(jobId);
+    const { STATUS } = MigrationJobStore;
+
+    if (!job) {
+      const error = new Error('Migration job not found');
+      error.code = 'JOB_NOT_FOUND';
+      throw error;
+    }
+    if (MigrationJobStore.activeJobIds.has(jobId)) {
+      const error = new Error('Migration job is already running');
+      error.code = 'JOB_RUNNING';
+      throw error;
+    }
+    if (job.status !== STATUS.INTERRUPTED && job.status !== STATUS.FAILED && job.status !== STATUS.RUNNING) {
+      const error = new Error(`Only interrupted or failed migration jobs can be resumed (job is ${job.status})`);
+      error.code = 'JOB_NOT_RESUMABLE';
+      throw error;
+    }
+
+    return job;
+  },
+
+  /**
+   * Find live sessions for the orgs of a stored job
+   * Rescans open tabs once when an org is not registered
+   * @param {Object} job - Job
+   * @param {Object} options - { sourceRequired } (default true)
+   * @returns {Promise<Object>} { sourceSession, targetSession }
+   */
+  async getJobSessions(job, { sourceRequired = true } = {}) {
+    let sourceSession = sourceRequired ? await SessionRegistry.get(job.sourceOrg.orgId) : null;
+    let targetSession = await SessionRegistry.get(job.targetOrg.orgId);
+
+    if ((sourceRequired && !sourceSession) || !targetSession) {
+      await SessionRegistry.discover();
+      sourceSession = sourceRequired ? await SessionRegistry.get(job.sourceOrg.orgId) : null;
+      targetSession = await SessionRegistry.get(job.targetOrg.orgId);
+    }
+
+    const missing = [
+      sourceRequired && !sourceSession ? job.sourceOrg : null,
+      !targetSession ? job.targetOrg : null
+    ].filter(Boolean);
+
+    if (missing.length > 0) {
+      const error = new Error(`No active session for ${missing.map(org => org.orgName || org.instanceUrl).join(' and ')}. Log in to the org in a browser tab and try again.`);
+      error.code = 'ORG_SESSION_NOT_FOUND';
+      throw error;
+    }
+
+    return { sourceSession, targetSession };
+  },
+
+  /**
+   * Add one batch of load results to the overall migration results
+   * @param {Object} results - Migration results (modified in place)
+   * @param {Object} loadResults - Batch results from a loader
+   * @param {boolean} isRoot - Whether the batch belongs to the root object
+   */
+  mergeLoadResults(results, loadResults, isRoot) {
+    if (isRoot) {
+      results.parentSuccess += loadResults.success;
+      results.parentFailed += loadResults.failed;
+      results.migratedRecords.push(...loadResults.migratedRecords);
+    } else {
+      results.childSuccess += loadResults.success;
+      results.childFailed += loadResults.failed;
+    }
+    results.errors.push(...loadResults.errors);
+    results.detailedErrors.push(...loadResults.detailedErrors);
+    results.createdRecordIds.push(...loadResults.createdRecordIds);
+    results.updatedRecords.push(...loadResults.updatedRecords);
+    Object.assign(results.idMapping, loadResults.idMapping);
+  },
+
+  /**
+   * Describe every object reachable through the selected relationships and build the insert plan
+   * @param {Object} sourceSession - Source session
+   * @param {string} rootObject - Root object API name
+   * @param {Array} relationships - Selected relationships (any depth)
+   * @returns {Promise<Object>} Plan from MigrationPlanner.buildPlan plus the describe fields per object
+   */
+  async planMigration(sourceSession, rootObject, relationships) {
+    const objectNames = new Set([rootObject]);
+    relationships.forEach(rel => objectNames.add(rel.childSObject));
+
+    const fieldMetadataByObject = {};
+    for (const objectName of objectNames) {
+      fieldMetadataByObject[objectName] = await this.getObjectFieldMetadata(sourceSession, objectName);
+    }
+
+    return {
+      ...MigrationPlanner.buildPlan(rootObject, relationships, fieldMetadataByObject),
+      fieldMetadataByObject
+    };
+  },
+
+  /**
+   * Summarize lookup values that had no match, one line per field
+   * @param {string} objectName - Object API name
+   * @param {Array} unmatched - Array of { field, sourceId }
+   * @returns {Array<string>} Warning messages
+   */
+  summarizeUnmatchedLookups(objectName, unmatched) {
+    const byField = {};
+    unmatched.forEach(({ field, sourceId }) => {
+      byField[field] = byField[field] || new Set();
+      byField[field].add(sourceId);
+    });
+
+    return Object.entries(byField).map(([field, ids]) =>
+      `${objectName}.${field}: ${ids.size} value(s) had no match in the target org and were left empty`
+    );
+  },
+
+  /**
+   * Remap lookups that point at other records in this migration
+   * Lookups to records already created are rewritten to the target ID; lookups to records
+   * that are not created yet (cycles, self-lookups) are cleared and queued for a second pass.
+   * Values pointing at records outside this migration go through the field's matching rule,
+   * and are cleared when there is none, so no source org ID is ever sent to the target
+   * @param {Object} sourceRecord - Original source record
+   * @param {Object} cleanRecord - Prepared record (modified in place)
+   * @param {string} objectName - Object API name
+   * @param {Array} lookupFields - Lookup fields for this object from the plan
+   * @param {Object} context - { idMapping, pendingSourceIds, deferredUpdates, fallbackMappings, unmatched }
+   */
+  remapLookups(sourceRecord, cleanRecord, objectName, lookupFields = [], context) {
+    lookupFields.forEach(({ field }) => {
+      const sourceRefId = sourceRecord[field];
+      if (!sourceRefId || !(field in cleanRecord)) {
+        return;
+      }
+
+      if (context.idMapping[sourceRefId]) {
+        cleanRecord[field] = context.idMapping[sourceRefId];
+      } else if (context.pendingSourceIds.has(sourceRefId)) {
+        cleanRecord[field] = null;
+        context.deferredUpdates.push({
+          objectName,
+          sourceId: sourceRecord.Id,
+          field,
+          sourceRefId
+        });
+      } else if (context.fallbackMappings?.[field]) {
+        LookupRemapper.applyMappings(cleanRecord, { [field]: context.fallbackMappings[field] }, context.unmatched);
+      } else {
+        cleanRecord[field] = null;
+        context.unmatched?.push({ field, sourceId: sourceRefId });
+      }
+    });
+  },
+
+  /**
+   * Fill in lookups that were left empty during insert because of cycles
+   * @param {Object} targetSession - Target session
+   * @param {Array} deferredUpdates - Array of { objectName, sourceId, field, sourceRefId }
+   * @param {Object} idMapping - Global ID mapping (sourceId -> targetId)
+   * @returns {Promise<Object>} { success, failed, errors, detailedErrors, updatedIds }
+   */
+  async applyDeferredLookups(targetSession, deferredUpdates, idMapping) {
+    const results = {
+      success: 0,
+      failed: 0,
+      errors: [],
+      detailedErrors: [],
+      updatedIds: []
+    };
+
+    // One update per target record, combining all of its deferred fields
+    const updatesByRecord = new Map();
+    deferredUpdates.forEach(update => {
+      const targetId = idMapping[update.sourceId];
+      const targetRefId = idMapping[update.sourceRefId];
+
+      if (!targetId) {
+        // Record itself failed to load - its error is already reported
+        return;
+      }
+
+      if (!targetRefId) {
+        const message = `${update.field} not set: referenced record ${update.sourceRefId} was not migrated`;
+        results.failed++;
+        results.errors.push(`${update.objectName} record ${update.sourceId}: ${message}`);
+        results.detailedErrors.push({
+          code: 'LOOKUP_NOT_FOUND',
+          recordId: update.sourceId,
+          objectType: update.objectName,
+          message,
+          errors: [{ message }]
+        });
+        return;
+      }
+
+      if (!updatesByRecord.has(targetId)) {
+        updatesByRecord.set(targetId, { objectName: update.objectName, sourceId: update.sourceId, fields: {} });
+      }
+      updatesByRecord.get(targetId).fields[update.field] = targetRefId;
+    });
+
+    const updates = Array.from(updatesByRecord.entries());
+    const batchSize = 200;
+
+    for (let i = 0; i < updates.length; i += batchSize) {
+      const batch = updates.slice(i, i + batchSize);
+
+      const batchResults = await RequestClient.request(targetSession, '/services/data/v59.0/composite/sobjects', {
+        method: 'PATCH',
+        body: {
+          allOrNone: false,
+          records: batch.map(([targetId, update]) => ({
+            attributes: { type: update.objectName },
+            Id: targetId,
+            ...update.fields
+          }))
+        }
+      });
+
+      batchResults.forEach((result, index) => {
+        const [targetId, update] = batch[index];
+        if (result.success) {
+          results.success++;
+          results.updatedIds.push(targetId);
+        } else {
+          const errorMessage = result.errors.map(e => e.message).join(', ');
+          results.failed++;
+          results.errors.push(`${update.objectName} record ${update.sourceId}: deferred lookup update failed: ${errorMessage}`);
+          results.detailedErrors.push({
+            code: this.categorizeError(result.errors[0]),
+            recordId: update.sourceId,
+            objectType: update.objectName,
+            message: errorMessage,
+            errors: result.errors
+          });
+        }
+      });
+    }
+
+    console.log('[RecordMigratorAPI] Deferred lookup updates complete:', results.success, 'success,', results.failed, 'failed');
+    return results;
+  },
+
+  /**
+   * Load prepared records into the target org with progress tracking
+   * Uses UPSERT via external ID field when given, otherwise INSERT via the composite API,
+   * switching to Bulk API 2.0 at or above the bulk threshold.
+   * Before an upsert the matching target records are snapshotted, so records that were updated
+   * rather than created can be restored by a rollback (updatedRecords).
+   * @param {Object} targetSession - Target session
+   * @param {string} objectName - Object API name
+   * @param {Array} prepared - Array of { sourceId, sourceName, record }
+   * @param {Object} options - { externalIdField, onProgress, bulkThreshold, errorLabel, onBatchComplete, onBulkJobCreated }
+   *   onBatchComplete(batchResults, sourceIds, bulkJobId) is awaited after each committed batch (once per ingest job for Bulk API)
+   *   onBulkJobCreated is passed on to loadRecordsViaBulk
+   * @returns {Promise<Object>} { success, failed, errors, detailedErrors, idMapping, createdRecordIds, updatedRecords, migratedRecords }
+   */
+  async loadRecordsWithProgress(targetSession, objectName, prepared, { externalIdField = null, onProgress = null, bulkThreshold, errorLabel = 'Record', onBatchComplete = null, onBulkJobCreated = null } = {}) {
+    if (this.shouldUseBulkApi(prepared.length, bulkThreshold)) {
+      return this.loadRecordsViaBulk(targetSession, objectName, prepared, { externalIdField, onProgress, errorLabel, onBatchComplete, onBulkJobCreated });
+    }
+
+    try {
+      console.log('[RecordMigratorAPI] Upserting', prepared.length, objectName, 'records...');
       if (externalIdField) {
         console.log('[RecordMigratorAPI] Using UPSERT with external ID field:', externalIdField);
       } else {
         console.log('[RecordMigratorAPI] Using INSERT (no external ID field)');
       }
-      if (Object.keys(stateIdMapping).length > 0) {
-        console.log('[RecordMigratorAPI] Using State ID mapping for', Object.keys(stateIdMapping).length, 'states');
-      }
 
-      const results = {
-        success: 0,
-        failed: 0,
-        errors: [],
-        detailedErrors: [],
-        idMapping: {},
-        createdRecordIds: [],
-        migratedRecords: [] // Store full record data for report
-      };
+      const results = this.createLoadResults();
 
       // Process in batches of 200 (API limit)
       const batchSize = 200;
       let processedCount = 0;
 
-      for (let i = 0; i < records.length; i += batchSize) {
-        const batch = records.slice(i, i + batchSize);
-
-        // Prepare records for upsert/insert (remove Id and attributes)
-        const recordsToProcess = batch.map(record => {
-          const sourceId = record.Id;
-          const sourceName = record.Name; // Store for reporting
-          const cleanRecord = { ...record };
-          delete cleanRecord.Id;
-          delete cleanRecord.attributes;
-
-          // Remove system fields and read-only fields
-          delete cleanRecord.CreatedDate;
-          delete cleanRecord.CreatedById;
-          delete cleanRecord.LastModifiedDate;
-          delete cleanRecord.LastModifiedById;
-          delete cleanRecord.SystemModstamp;
-          delete cleanRecord.Name; // Name is queried for reporting but often read-only on target
-
-          // Store source ID in external ID field if specified
-          if (externalIdField) {
-            cleanRecord[externalIdField] = sourceId;
-          }
-
-          // Remap CompSuite__State__c field if present and mapping exists
-          if (cleanRecord.CompSuite__State__c && stateIdMapping[cleanRecord.CompSuite__State__c]) {
-            const originalStateId = cleanRecord.CompSuite__State__c;
-            cleanRecord.CompSuite__State__c = stateIdMapping[originalStateId];
-            console.log(`[RecordMigratorAPI] Remapped State ID: ${originalStateId} -> ${cleanRecord.CompSuite__State__c}`);
-          }
-
-          return { sourceId, sourceName, record: cleanRecord };
-        });
+      for (let i = 0; i < prepared.length; i += batchSize) {
+        const recordsToProcess = prepared.slice(i, i + batchSize);
 
         let batchResults;
+        let snapshots = new Map();
 
         if (externalIdField) {
+          // Capture the current values of records the upsert will overwrite
+          snapshots = await this.snapshotExistingRecords(targetSession, objectName, recordsToProcess, externalIdField);
+
           // Use UPSERT via individual API calls for each record
           // This is more reliable for external ID upserts
           batchResults = [];
@@ -963,30 +964,21 @@ const RecordMigratorAPI = {
               }
 
               // Use UPSERT endpoint: PATCH /sobjects/{objectName}/{externalIdField}/{externalIdValue}
-              const upsertEndpoint = `${targetSession.instanceUrl}/services/data/v59.0/sobjects/${objectName}/${externalIdField}/${encodeURIComponent(externalIdValue)}`;
+              const upsertEndpoint = `/services/data/v59.0/sobjects/${objectName}/${externalIdField}/${encodeURIComponent(externalIdValue)}`;
 
-              const upsertResponse = await fetch(upsertEndpoint, {
+              const upsertResponse = await RequestClient.fetch(targetSession, upsertEndpoint, {
                 method: 'PATCH',
-                headers: {
-                  'Authorization': `Bearer ${targetSession.sessionId}`,
-                  'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(recordToProcess.record)
+                body: recordToProcess.record
               });
 
               if (upsertResponse.ok) {
-                // PATCH response includes the created/updated record ID
-                const upsertResult = await upsertResponse.json();
-                batchResults.push({
-                  success: true,
-                  id: upsertResult.id || recordToProcess.sourceId
-                });
-              } else if (upsertResponse.status === 201 || upsertResponse.status === 200) {
-                // Record created or updated successfully
-                const upsertResult = await upsertResponse.json();
+                // 201 = created, 200 = updated (with body); older API versions answer an update with 204 and no body
+                const upsertResult = upsertResponse.status === 204 ? {} : await upsertResponse.json();
+                const snapshot = snapshots.get(this.getExternalIdKey(externalIdValue));
                 batchResults.push({
                   success: true,
-                  id: upsertResult.id || recordToProcess.sourceId
+                  id: upsertResult.id || snapshot?.id || null,
+                  created: upsertResponse.status === 201 || upsertResult.created === true
                 });
               } else {
                 // Error occurred
@@ -1022,8 +1014,6 @@ const RecordMigratorAPI = {
           }
         } else {
           // Use composite/sobjects API for batch INSERT when no external ID field
-          const endpoint = `${targetSession.instanceUrl}/services/data/v59.0/composite/sobjects`;
-
           const requestBody = {
             allOrNone: false,
             records: recordsToProcess.map(r => ({
@@ -1032,193 +1022,674 @@ const RecordMigratorAPI = {
             }))
           };
 
-          const response = await fetch(endpoint, {
+          batchResults = await RequestClient.request(targetSession, '/services/data/v59.0/composite/sobjects', {
             method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${targetSession.sessionId}`,
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(requestBody)
+            body: requestBody
           });
-
-          if (!response.ok) {
-            throw new Error(`INSERT failed: ${response.status} ${response.statusText}`);
-          }
-
-          batchResults = await response.json();
         }
 
         // Process results and build ID mapping
+        const batchOutcome = this.createLoadResults();
         batchResults.forEach((result, index) => {
+          const processedRecord = recordsToProcess[index];
           if (result.success) {
-            results.success++;
-            const processedRecord = recordsToProcess[index];
-            results.idMapping[processedRecord.sourceId] = result.id;
-            results.createdRecordIds.push(result.id);
+            batchOutcome.success++;
+            batchOutcome.idMapping[processedRecord.sourceId] = result.id;
+            // Only records this load created may be deleted on rollback; updated ones are restored instead
+            if (result.created !== false) {
+              batchOutcome.createdRecordIds.push(result.id);
+            } else {
+              const snapshot = snapshots.get(this.getExternalIdKey(processedRecord.record[externalIdField]));
+              this.collectUpdatedRecord(batchOutcome, objectName, processedRecord.sourceId, snapshot);
+            }
             // Store full record data for report
-            results.migratedRecords.push({
+            batchOutcome.migratedRecords.push({
               sourceId: processedRecord.sourceId,
               targetId: result.id,
               name: processedRecord.sourceName || processedRecord.sourceId,
               record: processedRecord.record // The cleaned record that was inserted
             });
           } else {
-            results.failed++;
+            batchOutcome.failed++;
             const errorMessage = result.errors.map(e => e.message).join(', ');
             const errorCode = this.categorizeError(result.errors[0]);
 
             const detailedError = {
               code: errorCode,
-              recordId: recordsToProcess[index].sourceId,
+              recordId: processedRecord.sourceId,
               objectType: objectName,
               message: errorMessage,
               errors: result.errors
             };
 
-            results.errors.push(`Record ${recordsToProcess[index].sourceId}: ${errorMessage}`);
-            results.detailedErrors.push(detailedError);
+            batchOutcome.errors.push(`${errorLabel} ${processedRecord.sourceId}: ${errorMessage}`);
+            batchOutcome.detailedErrors.push(detailedError);
           }
         });
 
-        processedCount += batch.length;
+        await this.stampUpdatedRecords(targetSession, objectName, batchOutcome.updatedRecords);
+
+        this.appendLoadResults(results, batchOutcome);
+        if (onBatchComplete) {
+          await onBatchComplete(batchOutcome, recordsToProcess.map(r => r.sourceId));
+        }
+
+        processedCount += recordsToProcess.length;
         if (onProgress) {
-          onProgress(processedCount, records.length);
+          onProgress(processedCount, prepared.length);
         }
       }
 
-      console.log('[RecordMigratorAPI] Parent upsert complete:', results.success, 'success,', results.failed, 'failed');
+      console.log('[RecordMigratorAPI]', objectName, 'upsert complete:', results.success, 'success,', results.failed, 'failed');
       return results;
 
     } catch (error) {
-      console.error('[RecordMigratorAPI] Error upserting parent records:', error);
+      console.error('[RecordMigratorAPI] Error upserting', objectName, 'records:', error);
       throw error;
     }
   },
 
   /**
-   * Upsert child records with progress tracking
-   * @param {Object} targetSession - Target session
-   * @param {Object} relationship - Relationship metadata
-   * @param {Array} records - Child records to upsert
+   * Strip system fields from a parent record and apply external ID / lookup remapping
+   * @param {Object} record - Source record
+   * @param {string} externalIdField - Optional external ID field to store the source ID in
+   * @param {Object} lookupMappings - Resolved lookup rules from LookupRemapper.buildMappings
+   * @param {Array} unmatched - Optional array collecting lookup values with no match in the target org
+   * @returns {Object} { sourceId, sourceName, record }
+   */
+  prepareParentRecord(record, externalIdField, lookupMappings = {}, unmatched = null) {
+    const sourceId = record.Id;
+    const sourceName = record.Name; // Store for reporting
+    const cleanRecord = { ...record };
+    delete cleanRecord.Id;
+    delete cleanRecord.attributes;
+
+    // Remove system fields and read-only fields
+    delete cleanRecord.CreatedDate;
+    delete cleanRecord.CreatedById;
+    delete cleanRecord.LastModifiedDate;
+    delete cleanRecord.LastModifiedById;
+    delete cleanRecord.SystemModstamp;
+    delete cleanRecord.Name; // Name is queried for reporting but often read-only on target
+
+    // Store source ID in external ID field if specified
+    if (externalIdField) {
+      cleanRecord[externalIdField] = sourceId;
+    }
+
+    // Translate lookups to reference data (record types, users, config records) into target IDs
+    LookupRemapper.applyMappings(cleanRecord, lookupMappings, unmatched);
+
+    return { sourceId, sourceName, record: cleanRecord };
+  },
+
+  /**
+   * Strip system fields from a child record and remap its parent lookup and other lookups
+   * @param {Object} record - Source child record
+   * @param {Object} relationship - Relationship metadata (null when lookups are remapped by the planner)
    * @param {Object} idMapping - Parent ID mapping (sourceId -> targetId)
-   * @param {Object} stateIdMapping - Optional State ID mapping
-   * @param {Function} onProgress - Progress callback (current, total)
-   * @returns {Promise<Object>} Upsert results
+   * @param {Object} lookupMappings - Resolved lookup rules from LookupRemapper.buildMappings
+   * @param {Array} unmatched - Optional array collecting lookup values with no match in the target org
+   * @returns {Object} { sourceId, sourceName, record }
    */
-  async upsertChildRecordsWithProgress(targetSession, relationship, records, idMapping, stateIdMapping = {}, onProgress = null) {
-    try {
-      console.log('[RecordMigratorAPI] Upserting', records.length, 'child records for', relationship.childSObject);
+  prepareChildRecord(record, relationship, idMapping, lookupMappings = {}, unmatched = null) {
+    const cleanRecord = { ...record };
+    delete cleanRecord.Id;
+    delete cleanRecord.attributes;
+
+    // Remove system fields
+    delete cleanRecord.CreatedDate;
+    delete cleanRecord.CreatedById;
+    delete cleanRecord.LastModifiedDate;
+    delete cleanRecord.LastModifiedById;
+    delete cleanRecord.SystemModstamp;
+
+    // Remap parent lookup field
+    if (relationship) {
+      const oldParentId = record[relationship.field];
+      const newParentId = idMapping[oldParentId];
+
+      if (newParentId) {
+        cleanRecord[relationship.field] = newParentId;
+      } else {
+        console.warn('[RecordMigratorAPI] No mapping found for parent ID:', oldParentId);
+      }
+    }
 
-      const results = {
-        success: 0,
-        failed: 0,
-        errors: [],
-        detailedErrors: [],
-        createdRecordIds: []
-      };
+    LookupRemapper.applyMappings(cleanRecord, lookupMappings, unmatched);
 
-      // Process in batches
-      const batchSize = 200;
-      let processedCount = 0;
+    return { sourceId: record.Id, sourceName: record.Name, record: cleanRecord };
+  },
 
-      for (let i = 0; i < records.length; i += batchSize) {
-        const batch = records.slice(i, i + batchSize);
+  /**
+   * Apply the field and picklist mappings from the field mapping step to a prepared record
+   * @param {Object} record - Prepared record
+   * @param {Array} targetFields - Target describe fields for the object
+   * @param {Object} picklistMappings - Optional picklist mappings (fieldName -> { sourceValue: targetValue })
+   * @returns {Object} Mapped record
+   */
+  applyFieldMappings(record, targetFields, picklistMappings = null) {
+    let mapped = FieldMapper.mapRecordFields(record, null, targetFields);
 
-        // Remap parent IDs and prepare records
-        const recordsToInsert = batch.map(record => {
-          const cleanRecord = { ...record };
-          delete cleanRecord.Id;
-          delete cleanRecord.attributes;
+    if (picklistMappings && Object.keys(picklistMappings).length > 0) {
+      mapped = PicklistMapper.mapPicklistValues(mapped, picklistMappings);
+    }
 
-          // Remove system fields
-          delete cleanRecord.CreatedDate;
-          delete cleanRecord.CreatedById;
-          delete cleanRecord.LastModifiedDate;
-          delete cleanRecord.LastModifiedById;
-          delete cleanRecord.SystemModstamp;
+    return mapped;
+  },
 
-          // Remap parent lookup field
-          const oldParentId = record[relationship.field];
-          const newParentId = idMapping[oldParentId];
+  /**
+   * Validate prepared records against the target org without committing them
+   * Each record is saved in its own allOrNone composite request followed by a delete that
+   * always fails (as in ValidationRuleAPI.trySaveRecord), so Salesforce runs required field,
+   * type, picklist and validation rule checks on that record and then rolls it back.
+   * A record that would have saved comes back as PROCESSING_HALTED; the rest carry their real errors.
+   * With an external ID field, records that match an existing target record are reported as
+   * updates (with their pre-update snapshot) and only the remaining inserts are sent.
+   * @param {Object} targetSession - Target session
+   * @param {string} objectName - Object API name
+   * @param {Array} prepared - Array of { sourceId, sourceName, record }
+   * @param {Object} options - { externalIdField, onProgress, errorLabel, onBatchComplete }
+   * @returns {Promise<Object>} Same shape as loadRecordsWithProgress; target IDs of inserts are simulated
+   */
+  async simulateLoad(targetSession, objectName, prepared, { externalIdField = null, onProgress = null, errorLabel = 'Record', onBatchComplete = null } = {}) {
+    console.log('[RecordMigratorAPI] Simulating load of', prepared.length, objectName, 'records');
 
-          if (newParentId) {
-            cleanRecord[relationship.field] = newParentId;
-          } else {
-            console.warn('[RecordMigratorAPI] No mapping found for parent ID:', oldParentId);
-          }
+    const results = this.createLoadResults();
 
-          // Remap CompSuite__State__c field if present and mapping exists
-          if (cleanRecord.CompSuite__State__c && stateIdMapping[cleanRecord.CompSuite__State__c]) {
-            const originalStateId = cleanRecord.CompSuite__State__c;
-            cleanRecord.CompSuite__State__c = stateIdMapping[originalStateId];
-            console.log(`[RecordMigratorAPI] Remapped State ID in child record: ${originalStateId} -> ${cleanRecord.CompSuite__State__c}`);
-          }
+    const batchSize = 25; // Records are sent one request each, so batches only pace progress and checkpoints
+    const committedIds = [];
+    let processedCount = 0;
 
-          return { sourceId: record.Id, record: cleanRecord };
-        });
+    for (let i = 0; i < prepared.length; i += batchSize) {
+      const batch = prepared.slice(i, i + batchSize);
+      const batchOutcome = this.createLoadResults();
 
-        // Use SObject Collection API for batch insert
-        const endpoint = `${targetSession.instanceUrl}/services/data/v59.0/composite/sobjects`;
+      // An upsert updates the records its external ID matches; only the rest would be inserted
+      const inserts = externalIdField
+        ? await this.simulateUpdates(targetSession, objectName, batch, externalIdField, errorLabel, batchOutcome)
+        : batch;
 
-        const requestBody = {
-          allOrNone: false,
-          records: recordsToInsert.map(r => ({
-            attributes: { type: relationship.childSObject },
-            ...r.record
-          }))
-        };
-
-        const response = await fetch(endpoint, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${targetSession.sessionId}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(requestBody)
-        });
+      // Lookups to records that only exist in this simulation can't be sent; clear them and
+      // ignore "required field" errors that are caused only by that
+      const clearedFields = inserts.map(({ record }) => this.clearSimulatedReferences(record));
+
+      const batchResults = [];
+      for (const { record } of clearedFields) {
+        batchResults.push(await this.simulateInsert(targetSession, objectName, record));
+      }
+
+      inserts.forEach((processedRecord, index) => {
+        const result = batchResults[index];
+        const errors = result.errors;
+        const wouldSucceed = errors.length === 0 ||
+          this.isOnlyMissingClearedFields(errors, clearedFields[index].fields);
 
-        if (!response.ok) {
-          throw new Error(`Upsert failed: ${response.status} ${response.statusText}`);
+        if (result.committedId) {
+          // Should never happen - the failing delete guarantees a rollback
+          committedIds.push(result.committedId);
         }
 
-        const batchResults = await response.json();
+        if (wouldSucceed) {
+          const simulatedId = `${SIMULATED_ID_PREFIX}${processedRecord.sourceId}`;
+          batchOutcome.success++;
+          batchOutcome.idMapping[processedRecord.sourceId] = simulatedId;
+          batchOutcome.migratedRecords.push({
+            sourceId: processedRecord.sourceId,
+            targetId: null,
+            name: processedRecord.sourceName || processedRecord.sourceId,
+            record: processedRecord.record
+          });
+        } else {
+          const errorMessage = errors.map(e => e.message).join(', ');
+          batchOutcome.failed++;
+          batchOutcome.errors.push(`${errorLabel} ${processedRecord.sourceId}: ${errorMessage}`);
+          batchOutcome.detailedErrors.push({
+            code: this.categorizeError(errors[0]),
+            recordId: processedRecord.sourceId,
+            objectType: objectName,
+            message: errorMessage,
+            errors
+          });
+        }
+      });
 
-        // Process results
-        batchResults.forEach((result, index) => {
-          if (result.success) {
-            results.success++;
-            results.createdRecordIds.push(result.id);
-          } else {
-            results.failed++;
-            const errorMessage = result.errors.map(e => e.message).join(', ');
-            const errorCode = this.categorizeError(result.errors[0]);
+      this.appendLoadResults(results, batchOutcome);
+      if (onBatchComplete) {
+        await onBatchComplete(batchOutcome, batch.map(r => r.sourceId));
+      }
 
-            const detailedError = {
-              code: errorCode,
-              recordId: recordsToInsert[index].sourceId,
-              objectType: relationship.childSObject,
-              message: errorMessage,
-              errors: result.errors
-            };
+      processedCount += batch.length;
+      if (onProgress) {
+        onProgress(processedCount, prepared.length);
+      }
+    }
+
+    if (committedIds.length > 0) {
+      console.warn('[RecordMigratorAPI] Dry run unexpectedly committed', committedIds.length, objectName, 'records - deleting them');
+      await RollbackAPI.rollbackMigration(targetSession, committedIds);
+    }
+
+    console.log('[RecordMigratorAPI]', objectName, 'simulation complete:', results.success, 'would succeed,', results.failed, 'would fail');
+    return results;
+  },
+
+  /**
+   * Save one record in an allOrNone composite request that is always rolled back
+   * The second subrequest deletes a record that never exists, so a save that passed every check
+   * comes back as PROCESSING_HALTED and anything else is a real error for this record.
+   * @param {Object} targetSession - Target session
+   * @param {string} objectName - Object API name
+   * @param {Object} record - Record fields to insert
+   * @returns {Promise<Object>} { errors, committedId } - errors in sObject Collections shape; committedId if the rollback did not happen
+   */
+  async simulateInsert(targetSession, objectName, record) {
+    const sobjectUrl = `/services/data/v59.0/sobjects/${objectName}`;
+
+    const response = await RequestClient.request(targetSession, '/services/data/v59.0/composite', {
+      method: 'POST',
+      body: {
+        allOrNone: true,
+        compositeRequest: [
+          { method: 'POST', url: sobjectUrl, referenceId: 'simulatedRecord', body: record },
+          { method: 'DELETE', url: `${sobjectUrl}/${ROLLBACK_SENTINEL_ID}`, referenceId: 'rollback' }
+        ]
+      }
+    });
+
+    const [saveResponse] = response.compositeResponse || [];
+    if (!saveResponse) {
+      throw new Error('Composite response did not include the simulated record');
+    }
+
+    if (saveResponse.httpStatusCode >= 200 && saveResponse.httpStatusCode < 300) {
+      return { errors: [], committedId: saveResponse.body?.id || null };
+    }
+
+    const errors = (Array.isArray(saveResponse.body) ? saveResponse.body : [])
+      .filter(error => error.errorCode !== 'PROCESSING_HALTED')
+      .map(error => ({ statusCode: error.errorCode, message: error.message, fields: error.fields || [] }));
+    return { errors, committedId: null };
+  },
+
+  /**
+   * Report the records of a simulated upsert batch that match an existing target record as updates
+   * Matches are looked up by external ID and not sent, so nothing is written to them.
+   * @param {Object} targetSession - Target session
+   * @param {string} objectName - Object API name
+   * @param {Array} batch - Array of { sourceId, sourceName, record }
+   * @param {string} externalIdField - External ID field used for matching
+   * @param {string} errorLabel - Prefix for error messages
+   * @param {Object} batchOutcome - Load results to add the updates and failures to
+   * @returns {Promise<Array>} Records that would be inserted
+   */
+  async simulateUpdates(targetSession, objectName, batch, externalIdField, errorLabel, batchOutcome) {
+    const snapshots = await this.snapshotExistingRecords(targetSession, objectName, batch, externalIdField);
+    const inserts = [];
+
+    batch.forEach(processedRecord => {
+      const externalIdValue = processedRecord.record[externalIdField];
+
+      if (!externalIdValue) {
+        const message = `External ID field '${externalIdField}' is empty`;
+        batchOutcome.failed++;
+        batchOutcome.errors.push(`${errorLabel} ${processedRecord.sourceId}: ${message}`);
+        batchOutcome.detailedErrors.push({
+          code: this.categorizeError({ message }),
+          recordId: processedRecord.sourceId,
+          objectType: objectName,
+          message,
+          errors: [{ message }]
+        });
+        return;
+      }
+
+      const snapshot = snapshots.get(this.getExternalIdKey(externalIdValue));
+      if (!snapshot) {
+        inserts.push(processedRecord);
+        return;
+      }
+
+      batchOutcome.success++;
+      batchOutcome.idMapping[processedRecord.sourceId] = snapshot.id;
+      this.collectUpdatedRecord(batchOutcome, objectName, processedRecord.sourceId, snapshot);
+      batchOutcome.migratedRecords.push({
+        sourceId: processedRecord.sourceId,
+        targetId: snapshot.id,
+        name: processedRecord.sourceName || processedRecord.sourceId,
+        record: processedRecord.record,
+        updated: true
+      });
+    });
+
+    return inserts;
+  },
+
+  /**
+   * Clear lookup values that point at simulated target IDs
+   * @param {Object} record - Prepared record
+   * @returns {Object} { record, fields } - Copy of the record and the cleared field names
+   */
+  clearSimulatedReferences(record) {
+    const cleared = { ...record };
+    const fields = [];
+
+    Object.entries(record).forEach(([field, value]) => {
+      if (typeof value === 'string' && value.startsWith(SIMULATED_ID_PREFIX)) {
+        cleared[field] = null;
+        fields.push(field);
+      }
+    });
 
-            results.errors.push(`${relationship.childSObject} record ${recordsToInsert[index].sourceId}: ${errorMessage}`);
-            results.detailedErrors.push(detailedError);
+    return { record: cleared, fields };
+  },
+
+  /**
+   * Check whether a record's errors are only "required field missing" for lookups cleared by the simulation
+   */
+  isOnlyMissingClearedFields(errors, clearedFields) {
+    return clearedFields.length > 0 && errors.length > 0 && errors.every(e =>
+      e.statusCode === 'REQUIRED_FIELD_MISSING' &&
+      (e.fields || []).length > 0 &&
+      e.fields.every(field => clearedFields.includes(field))
+    );
+  },
+
+  /**
+   * Snapshot the target records an external ID upsert is about to update
+   * Only the fields the upsert writes are captured
+   * @param {Object} targetSession - Target session
+   * @param {string} objectName - Object API name
+   * @param {Array} prepared - Array of { sourceId, sourceName, record }
+   * @param {string} externalIdField - External ID field used for matching
+   * @returns {Promise<Map>} External ID key -> { id, values }
+   */
+  async snapshotExistingRecords(targetSession, objectName, prepared, externalIdField) {
+    const snapshots = new Map();
+    const fields = new Set([externalIdField]);
+    prepared.forEach(({ record }) => Object.keys(record).forEach(field => {
+      if (field !== 'attributes') fields.add(field);
+    }));
+    fields.delete('Id');
+
+    const externalIds = Array.from(new Set(
+      prepared.map(p => p.record[externalIdField]).filter(value => value !== null && value !== undefined && value !== '')
+    ));
+    const fieldList = ['Id', ...fields].join(', ');
+
+    for (let i = 0; i < externalIds.length; i += 200) {
+      const valueList = externalIds.slice(i, i + 200)
+        .map(value => (typeof value === 'number' ? value : `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`))
+        .join(',');
+
+      const result = await RequestClient.query(targetSession, `SELECT ${fieldList} FROM ${objectName} WHERE ${externalIdField} IN (${valueList})`);
+      (result.records || []).forEach(record => {
+        const values = {};
+        fields.forEach(field => {
+          if (field !== externalIdField) {
+            values[field] = record[field] ?? null;
           }
         });
+        snapshots.set(this.getExternalIdKey(record[externalIdField]), { id: record.Id, values });
+      });
+    }
 
-        processedCount += batch.length;
-        if (onProgress) {
-          onProgress(processedCount, records.length);
+    if (snapshots.size > 0) {
+      console.log('[RecordMigratorAPI] Snapshotted', snapshots.size, 'existing', objectName, 'records before upsert');
+    }
+    return snapshots;
+  },
+
+  /**
+   * External ID matching is case-insensitive in Salesforce
+   */
+  getExternalIdKey(value) {
+    return String(value).toLowerCase();
+  },
+
+  /**
+   * Add the pre-update snapshot of an upserted record to the load results
+   * @param {Object} results - Load results
+   * @param {string} objectName - Object API name
+   * @param {string} sourceId - Source record ID
+   * @param {Object} snapshot - Snapshot from snapshotExistingRecords, if one was taken
+   */
+  collectUpdatedRecord(results, objectName, sourceId, snapshot) {
+    if (!snapshot) {
+      console.warn('[RecordMigratorAPI] No snapshot for updated record', sourceId, '- it cannot be restored on rollback');
+      return;
+    }
+
+    results.updatedRecords.push({
+      objectName,
+      id: snapshot.id,
+      sourceId,
+      values: snapshot.values,
+      modstamp: null
+    });
+  },
+
+  /**
+   * Record the SystemModstamp each updated record had right after the migration
+   * Rollback compares it to detect records that were changed again since
+   * @param {Object} targetSession - Target session
+   * @param {string} objectName - Object API name
+   * @param {Array} updatedRecords - Snapshots from collectUpdatedRecord (modified in place)
+   */
+  async stampUpdatedRecords(targetSession, objectName, updatedRecords) {
+    for (let i = 0; i < updatedRecords.length; i += 200) {
+      const batch = updatedRecords.slice(i, i + 200);
+      const idList = batch.map(r => `'${r.id}'`).join(',');
+      const result = await RequestClient.query(targetSession, `SELECT Id, SystemModstamp FROM ${objectName} WHERE Id IN (${idList})`);
+      const modstamps = new Map((result.records || []).map(r => [r.Id, r.SystemModstamp]));
+      batch.forEach(record => {
+        record.modstamp = modstamps.get(record.id) || null;
+      });
+    }
+  },
+
+  /**
+   * Empty result object shared by the loaders
+   * @returns {Object} { success, failed, errors, detailedErrors, idMapping, createdRecordIds, migratedRecords }
+   */
+  createLoadResults() {
+    return {
+      success: 0,
+      failed: 0,
+      errors: [],
+      detailedErrors: [],
+      idMapping: {},
+      createdRecordIds: [],
+      updatedRecords: [], // Pre-update snapshots of existing records the load overwrote
+      migratedRecords: [] // Store full record data for report
+    };
+  },
+
+  /**
+   * Add one batch's results to a loader's running totals
+   */
+  appendLoadResults(results, batchOutcome) {
+    results.success += batchOutcome.success;
+    results.failed += batchOutcome.failed;
+    results.errors.push(...batchOutcome.errors);
+    results.detailedErrors.push(...batchOutcome.detailedErrors);
+    results.createdRecordIds.push(...batchOutcome.createdRecordIds);
+    results.updatedRecords.push(...batchOutcome.updatedRecords);
+    results.migratedRecords.push(...batchOutcome.migratedRecords);
+    Object.assign(results.idMapping, batchOutcome.idMapping);
+  },
+
+  /**
+   * Decide whether a record set is large enough to go through Bulk API 2.0
+   * @param {number} recordCount - Number of records to load
+   * @param {number} bulkThreshold - Configured threshold (0 disables Bulk API, undefined uses the default)
+   * @returns {boolean}
+   */
+  shouldUseBulkApi(recordCount, bulkThreshold) {
+    const threshold = bulkThreshold ?? DEFAULT_BULK_THRESHOLD;
+    return threshold > 0 && recordCount >= threshold;
+  },
+
+  /**
+   * Load prepared records through Bulk API 2.0 ingest jobs
+   * Produces the same result shape as loadRecordsWithProgress. Each ingest job is reported through
+   * onBulkJobCreated as soon as it exists and through onBatchComplete once its results are in,
+   * so an interrupted run can pick up the job's results instead of uploading its records again.
+   * @param {Object} options - { externalIdField, onProgress, errorLabel, onBatchComplete, onBulkJobCreated }
+   *   onBulkJobCreated receives { jobId, sourceIds, snapshots, rowMapping }; onBatchComplete also receives the job ID
+   * @returns {Promise<Object>} Load results with ID mapping
+   */
+  async loadRecordsViaBulk(targetSession, objectName, prepared, { externalIdField = null, onProgress = null, errorLabel = 'Record', onBatchComplete = null, onBulkJobCreated = null } = {}) {
+    console.log('[RecordMigratorAPI] Using Bulk API 2.0 for', prepared.length, objectName, 'records');
+
+    const bySourceId = new Map(prepared.map(p => [p.sourceId, p]));
+    const snapshots = externalIdField
+      ? await this.snapshotExistingRecords(targetSession, objectName, prepared, externalIdField)
+      : new Map();
+
+    const results = this.createLoadResults();
+
+    await BulkAPI.runIngestJob(targetSession, {
+      objectName: objectName,
+      operation: externalIdField ? 'upsert' : 'insert',
+      externalIdField: externalIdField,
+      records: prepared.map(p => ({ key: p.sourceId, record: p.record }))
+    }, onProgress, {
+      onJobCreated: async (jobId, sourceIds, rowMapping) => {
+        if (!onBulkJobCreated) return;
+        // Snapshots must be taken before the upsert runs, so the ones for this job are kept with it
+        const jobSnapshots = externalIdField
+          ? sourceIds
+            .map(id => this.getExternalIdKey(bySourceId.get(id).record[externalIdField]))
+            .filter(key => snapshots.has(key))
+            .map(key => [key, snapshots.get(key)])
+          : [];
+        await onBulkJobCreated({ jobId, sourceIds, snapshots: jobSnapshots, rowMapping });
+      },
+      onJobComplete: async (jobId, jobResults, sourceIds) => {
+        const batchOutcome = await this.collectBulkResults(targetSession, objectName, jobResults, bySourceId, snapshots, { errorLabel });
+        this.appendLoadResults(results, batchOutcome);
+        if (onBatchComplete) {
+          await onBatchComplete(batchOutcome, sourceIds, jobId);
         }
       }
+    });
 
-      console.log('[RecordMigratorAPI] Child upsert complete:', results.success, 'success,', results.failed, 'failed');
-      return results;
+    console.log('[RecordMigratorAPI]', objectName, 'bulk load complete:', results.success, 'success,', results.failed, 'failed');
+    return results;
+  },
 
-    } catch (error) {
-      console.error('[RecordMigratorAPI] Error upserting child records:', error);
-      throw error;
+  /**
+   * Collect the results of Bulk API jobs an interrupted run created but never recorded
+   * Records a job processed are reported through onBatchComplete like any other batch;
+   * records of jobs that never started processing are returned to be loaded again.
+   * @param {Object} targetSession - Target session
+   * @param {string} objectName - Object API name
+   * @param {Array} prepared - Array of { sourceId, sourceName, record }
+   * @param {Array} bulkJobs - Checkpointed jobs ({ jobId, sourceIds, snapshots, rowMapping })
+   * @param {Object} options - { errorLabel, onBatchComplete }
+   * @returns {Promise<Array>} Prepared records that still have to be loaded
+   */
+  async reconcileBulkJobs(targetSession, objectName, prepared, bulkJobs, { errorLabel = 'Record', onBatchComplete = null } = {}) {
+    const bySourceId = new Map(prepared.map(p => [p.sourceId, p]));
+    const reconciled = new Set();
+
+    for (const bulkJob of bulkJobs) {
+      const jobResults = await BulkAPI.resumeIngestJob(targetSession, bulkJob.jobId, bulkJob.rowMapping);
+
+      let batchOutcome = this.createLoadResults();
+      let sourceIds = [];
+      if (jobResults) {
+        console.log('[RecordMigratorAPI] Recovered results of bulk job', bulkJob.jobId, 'for', bulkJob.sourceIds.length, objectName, 'records');
+        batchOutcome = await this.collectBulkResults(targetSession, objectName, jobResults, bySourceId, new Map(bulkJob.snapshots || []), { errorLabel });
+        sourceIds = bulkJob.sourceIds;
+        sourceIds.forEach(id => reconciled.add(id));
+      } else {
+        console.log('[RecordMigratorAPI] Bulk job', bulkJob.jobId, 'processed no records - sending its', objectName, 'records again');
+      }
+
+      if (onBatchComplete) {
+        await onBatchComplete(batchOutcome, sourceIds, bulkJob.jobId);
+      }
     }
+
+    return prepared.filter(p => !reconciled.has(p.sourceId));
+  },
+
+  /**
+   * Turn the per-record results of one Bulk API job into load results
+   * Result keys are source IDs and updated records are matched to their snapshot by target ID,
+   * so IDs and snapshots are recorded even for records missing from bySourceId.
+   * @param {Object} targetSession - Target session
+   * @param {string} objectName - Object API name
+   * @param {Object} jobResults - { successful, failed, unprocessed } from BulkAPI
+   * @param {Map} bySourceId - Source ID -> prepared record
+   * @param {Map} snapshots - External ID key -> pre-upsert snapshot
+   * @param {Object} options - { errorLabel }
+   * @returns {Promise<Object>} Load results
+   */
+  async collectBulkResults(targetSession, objectName, jobResults, bySourceId, snapshots, { errorLabel = 'Record' } = {}) {
+    const results = this.createLoadResults();
+    const snapshotsById = new Map(Array.from(snapshots.values()).map(snapshot => [snapshot.id, snapshot]));
+
+    jobResults.successful.forEach(result => {
+      const processedRecord = bySourceId.get(result.key);
+      results.success++;
+      if (result.created) {
+        results.createdRecordIds.push(result.id);
+      } else {
+        this.collectUpdatedRecord(results, objectName, result.key, snapshotsById.get(result.id));
+      }
+      if (result.key) {
+        results.idMapping[result.key] = result.id;
+        results.migratedRecords.push({
+          sourceId: result.key,
+          targetId: result.id,
+          name: processedRecord?.sourceName || result.key,
+          record: processedRecord?.record
+        });
+      }
+    });
+
+    this.collectBulkFailures(jobResults, objectName, errorLabel, results);
+    await this.stampUpdatedRecords(targetSession, objectName, results.updatedRecords);
+
+    return results;
+  },
+
+  /**
+   * Convert failed and unprocessed Bulk API rows into errors/detailedErrors entries
+   * @param {Object} bulkResults - Results from BulkAPI.runIngestJob
+   * @param {string} objectType - Object API name
+   * @param {string} label - Prefix for the error message (e.g. "Record")
+   * @param {Object} results - Results object to append to
+   */
+  collectBulkFailures(bulkResults, objectType, label, results) {
+    bulkResults.failed.forEach(result => {
+      const errorCode = this.categorizeError(result.error);
+      results.failed++;
+      results.errors.push(`${label} ${result.key || 'unknown'}: ${result.error.message}`);
+      results.detailedErrors.push({
+        code: errorCode,
+        recordId: result.key,
+        objectType: objectType,
+        message: result.error.message,
+        errors: [result.error]
+      });
+    });
+
+    bulkResults.unprocessed.forEach(result => {
+      const message = 'Record was not processed because the bulk job failed or was aborted';
+      results.failed++;
+      results.errors.push(`${label} ${result.key || 'unknown'}: ${message}`);
+      results.detailedErrors.push({
+        code: 'BULK_RECORD_UNPROCESSED',
+        recordId: result.key,
+        objectType: objectType,
+        message: message,
+        errors: [{ message }]
+      });
+    });
   },
 
   /**
@@ -1237,8 +1708,14 @@ const RecordMigratorAPI = {
       return 'REQUIRED_FIELD_MISSING';
     }
 
+    // Picklist value inactive or missing in a restricted picklist
+    if (statusCode === 'INVALID_OR_NULL_FOR_RESTRICTED_PICKLIST' || message.includes('bad value for restricted picklist')) {
+      return 'INACTIVE_PICKLIST_VALUE';
+    }
+
     // Field type mismatch
-    if (message.includes('invalid field') || message.includes('type mismatch')) {
+    if (['INVALID_TYPE_ON_FIELD_IN_RECORD', 'STRING_TOO_LONG', 'NUMBER_OUTSIDE_VALID_RANGE'].includes(statusCode) ||
+        message.includes('invalid field') || message.includes('type mismatch')) {
       return 'FIELD_TYPE_MISMATCH';
     }
 
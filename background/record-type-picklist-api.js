@@ -0,0 +1,304 @@
+// Record Type Picklist API
+// Reads and deploys which picklist values are available on each record type (RecordType.picklistValues)
+
+import MetadataAPI from './metadata-api.js';
+import RequestClient from './request-client.js';
+import DeploymentHistoryAPI from './deployment-history-api.js';
+
+class RecordTypePicklistAPI {
+  /**
+   * Load the record type × value matrix of a picklist field
+   * @param {object} session - Salesforce session
+   * @param {string} objectName - Object API name
+   * @param {string} fieldName - Picklist field API name
+   * @returns {Promise<object>} { objectName, fieldName, values, recordTypes, metadataRecordTypes }
+   *   values: [{ fullName, label, active }] from describe
+   *   recordTypes: [{ fullName, label, active, values: [fullName], defaultValue }]
+   *   metadataRecordTypes: record types as read from the Metadata API (needed to deploy)
+   */
+  static async loadMatrix(session, objectName, fieldName) {
+    const [metadata, describe] = await Promise.all([
+      MetadataAPI.readObject(session, objectName),
+      RequestClient.request(session, `/services/data/v59.0/sobjects/${objectName}/describe`)
+    ]);
+
+    const field = describe.fields.find(f => f.name === fieldName);
+    if (!field || (field.type !== 'picklist' && field.type !== 'multipicklist')) {
+      const error = new Error(`${objectName}.${fieldName} is not a picklist field`);
+      error.code = 'FIELD_NOT_FOUND';
+      throw error;
+    }
+
+    const recordTypes = metadata.recordTypes.map(rt => {
+      const assignment = rt.picklistValues.find(pv => pv.picklist === fieldName);
+      const values = (assignment?.values || []).map(value => ({
+        fullName: this.decodeValueName(value.fullName),
+        default: value.default
+      }));
+
+      return {
+        fullName: rt.fullName,
+        label: rt.label,
+        active: rt.active,
+        values: values.map(value => value.fullName),
+        defaultValue: values.find(value => value.default)?.fullName || null
+      };
+    });
+
+    return {
+      objectName,
+      fieldName,
+      values: (field.picklistValues || []).map(pv => ({ fullName: pv.value, label: pv.label, active: pv.active })),
+      recordTypes,
+      metadataRecordTypes: metadata.recordTypes
+    };
+  }
+
+  // Record type assignments store value names URL-encoded (e.g. "Closed%2C Won")
+  static decodeValueName(name) {
+    try {
+      return decodeURIComponent(name);
+    } catch {
+      return name;
+    }
+  }
+
+  static encodeValueName(name) {
+    return encodeURIComponent(name)
+      .replace(/%20/g, ' ')
+      .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  }
+
+  /**
+   * Copy a matrix's assignments so they can be edited without touching the loaded state
+   * @param {object} matrix - Result of loadMatrix
+   * @returns {object} { recordTypeName: { values: Set, defaultValue } }
+   */
+  static toAssignments(matrix) {
+    const assignments = {};
+    matrix.recordTypes.forEach(rt => {
+      assignments[rt.fullName] = { values: new Set(rt.values), defaultValue: rt.defaultValue };
+    });
+    return assignments;
+  }
+
+  // ==========================================================================
+  // CSV
+  // ==========================================================================
+
+  /**
+   * Build CSV rows: one row per value, one column per record type ("Default", "Yes" or empty)
+   * @param {object} matrix - Result of loadMatrix
+   * @param {object} assignments - Result of toAssignments (possibly edited)
+   * @returns {Array} Rows (arrays of cells) including the header
+   */
+  static toCSVRows(matrix, assignments) {
+    const rows = [['API Name', 'Label', ...matrix.recordTypes.map(rt => rt.fullName)]];
+
+    matrix.values.forEach(value => {
+      rows.push([
+        value.fullName,
+        value.label,
+        ...matrix.recordTypes.map(rt => {
+          const assignment = assignments[rt.fullName];
+          if (assignment.defaultValue === value.fullName) return 'Default';
+          return assignment.values.has(value.fullName) ? 'Yes' : '';
+        })
+      ]);
+    });
+
+    return rows;
+  }
+
+  /**
+   * Read assignments from CSV rows in the toCSVRows layout
+   * Record type columns and values missing from the CSV keep their current assignments
+   * @param {object} matrix - Result of loadMatrix
+   * @param {object} assignments - Current assignments (not modified)
+   * @param {Array} rows - Parsed CSV rows including the header
+   * @returns {object} { assignments, warnings }
+   */
+  static applyCSVRows(matrix, assignments, rows) {
+    const [header, ...dataRows] = rows;
+    const warnings = [];
+    const result = {};
+
+    Object.entries(assignments).forEach(([name, assignment]) => {
+      result[name] = { values: new Set(assignment.values), defaultValue: assignment.defaultValue };
+    });
+
+    if (!header || header.length < 3) {
+      throw new Error('CSV must have API Name, Label and at least one record type column');
+    }
+
+    const columns = header.slice(2).map((name, index) => {
+      const trimmed = name.trim();
+      const recordType = matrix.recordTypes.find(rt => rt.fullName === trimmed || rt.label === trimmed);
+      if (!recordType) {
+        warnings.push(`Unknown record type column "${trimmed}" ignored`);
+      }
+      return { index: index + 2, recordType };
+    }).filter(column => column.recordType);
+
+    const valueNames = new Map(matrix.values.map(value => [value.fullName.toLowerCase(), value.fullName]));
+
+    dataRows.forEach(row => {
+      const fullName = valueNames.get((row[0] || '').trim().toLowerCase());
+      if (!fullName) {
+        if ((row[0] || '').trim()) {
+          warnings.push(`Value "${row[0].trim()}" does not exist on ${matrix.objectName}.${matrix.fieldName} and was ignored`);
+        }
+        return;
+      }
+
+      columns.forEach(({ index, recordType }) => {
+        const cell = (row[index] || '').trim();
+        const assignment = result[recordType.fullName];
+
+        if (/^default$/i.test(cell)) {
+          assignment.values.add(fullName);
+          assignment.defaultValue = fullName;
+        } else if (/^(yes|y|x|1|true)$/i.test(cell)) {
+          assignment.values.add(fullName);
+          if (assignment.defaultValue === fullName) assignment.defaultValue = null;
+        } else {
+          assignment.values.delete(fullName);
+          if (assignment.defaultValue === fullName) assignment.defaultValue = null;
+        }
+      });
+    });
+
+    return { assignments: result, warnings };
+  }
+
+  // ==========================================================================
+  // Diff and deploy
+  // ==========================================================================
+
+  /**
+   * Compare edited assignments with the loaded matrix
+   * @param {object} matrix - Result of loadMatrix
+   * @param {object} assignments - Edited assignments
+   * @returns {Array} Changed record types: [{ recordType, added, removed, defaultBefore, defaultAfter }]
+   */
+  static diffAssignments(matrix, assignments) {
+    return matrix.recordTypes.map(rt => {
+      const edited = assignments[rt.fullName];
+      const before = new Set(rt.values);
+      return {
+        recordType: rt.fullName,
+        label: rt.label,
+        added: [...edited.values].filter(value => !before.has(value)),
+        removed: rt.values.filter(value => !edited.values.has(value)),
+        defaultBefore: rt.defaultValue,
+        defaultAfter: edited.defaultValue
+      };
+    }).filter(change => change.added.length > 0 || change.removed.length > 0 || change.defaultBefore !== change.defaultAfter);
+  }
+
+  /**
+   * Deploy the changed record types and wait for the result; the outcome is added to the deployment history
+   * @param {object} session - Salesforce session
+   * @param {object} matrix - Result of loadMatrix
+   * @param {object} assignments - Edited assignments
+   * @param {Function} onProgress - Optional callback(statusText)
+   * @returns {Promise<Array>} Deployed changes (diffAssignments result)
+   */
+  static async deployAssignments(session, matrix, assignments, onProgress = null) {
+    const changes = this.diffAssignments(matrix, assignments);
+    if (changes.length === 0) {
+      return changes;
+    }
+
+    const emptied = changes.filter(change => assignments[change.recordType].values.size === 0);
+    if (emptied.length > 0) {
+      const error = new Error(`Every record type needs at least one value: ${emptied.map(change => change.label).join(', ')}`);
+      error.code = 'EMPTY_ASSIGNMENT';
+      throw error;
+    }
+
+    const recordTypes = {};
+    changes.forEach(change => {
+      const metadataRecordType = matrix.metadataRecordTypes.find(rt => rt.fullName === change.recordType);
+      recordTypes[change.recordType] = this.buildRecordType(metadataRecordType, matrix.fieldName, assignments[change.recordType]);
+    });
+
+    const before = {};
+    const after = {};
+    changes.forEach(change => {
+      const rt = matrix.recordTypes.find(r => r.fullName === change.recordType);
+      before[change.recordType] = { values: rt.values, default: rt.defaultValue };
+      after[change.recordType] = { values: [...assignments[change.recordType].values], default: assignments[change.recordType].defaultValue };
+    });
+
+    const logEntry = {
+      metadataType: 'RecordType',
+      action: 'update',
+      objectName: matrix.objectName,
+      componentName: matrix.fieldName,
+      before,
+      after
+    };
+    let deployId = null;
+    try {
+      console.log('[RecordTypePicklistAPI] Deploying', changes.length, 'record type(s) for', `${matrix.objectName}.${matrix.fieldName}`);
+
+      deployId = await MetadataAPI.deploy(session, {}, { RecordType: { [matrix.objectName]: recordTypes } });
+      await MetadataAPI.waitForDeploy(session, deployId, onProgress);
+
+      await DeploymentHistoryAPI.logForSession(session, { ...logEntry, status: 'success', deploymentId: deployId });
+      return changes;
+    } catch (error) {
+      console.error('[RecordTypePicklistAPI] Deploy failed:', error);
+      await DeploymentHistoryAPI.logForSession(session, { ...logEntry, status: 'failure', deploymentId: deployId, errorMessage: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Make values available on every record type of the field's object
+   * Used after the Picklist Loader adds values, which Salesforce leaves off all record types
+   * @param {object} session - Salesforce session
+   * @param {string} objectName - Object API name
+   * @param {string} fieldName - Picklist field API name
+   * @param {Array} valueNames - Value API names to add
+   * @param {Function} onProgress - Optional callback(statusText)
+   * @returns {Promise<number>} Number of record types updated
+   */
+  static async addValuesToAllRecordTypes(session, objectName, fieldName, valueNames, onProgress = null) {
+    const matrix = await this.loadMatrix(session, objectName, fieldName);
+    const assignments = this.toAssignments(matrix);
+
+    Object.values(assignments).forEach(assignment => {
+      valueNames.forEach(valueName => assignment.values.add(valueName));
+    });
+
+    const changes = await this.deployAssignments(session, matrix, assignments, onProgress);
+    return changes.length;
+  }
+
+  /**
+   * Rebuild a Metadata API record type with new assignments for one picklist
+   * Other picklists and settings are kept as read, and existing value names keep their encoding
+   * @param {object} metadataRecordType - Record type from MetadataAPI.readObject
+   * @param {string} fieldName - Picklist field API name
+   * @param {object} assignment - { values: Set, defaultValue }
+   * @returns {object} Record type for MetadataAPI.buildRecordTypeXml
+   */
+  static buildRecordType(metadataRecordType, fieldName, assignment) {
+    const existing = metadataRecordType.picklistValues.find(pv => pv.picklist === fieldName);
+    const encodedNames = new Map((existing?.values || []).map(value => [this.decodeValueName(value.fullName), value.fullName]));
+
+    const values = [...assignment.values].map(valueName => ({
+      fullName: encodedNames.get(valueName) || this.encodeValueName(valueName),
+      default: valueName === assignment.defaultValue
+    }));
+
+    const picklistValues = metadataRecordType.picklistValues.filter(pv => pv.picklist !== fieldName);
+    picklistValues.push({ picklist: fieldName, values });
+
+    return { ...metadataRecordType, picklistValues };
+  }
+}
+
+export default RecordTypePicklistAPI;
@@ -0,0 +1,427 @@
+// Org-scoped Request Client - Shared HTTP layer for every Salesforce API class
+// Adds per-org concurrency limits, retry with backoff, Sforce-Limit-Info tracking, session refresh
+// and transparent query pagination via nextRecordsUrl
+
+import SessionManager from './session-manager.js';
+import SessionRegistry from './session-registry.js';
+
+const DEFAULT_OPTIONS = {
+  maxConcurrent: 4,         // Parallel requests per org
+  maxRetries: 4,            // Retries for 503 / REQUEST_LIMIT_EXCEEDED / network errors (idempotent methods)
+  baseDelay: 1000,          // First backoff delay (ms), doubled on each retry
+  maxDelay: 30000,          // Backoff ceiling (ms)
+  timeout: 120000,          // Per-request timeout (ms)
+  throttleAtPercent: 90     // Drop to one request at a time once this much of the daily API limit is used
+};
+
+const RETRYABLE_STATUS = new Set([502, 503, 504]);
+
+// A request that timed out may still have been processed, so only these are sent again by default
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+// Per-org state keyed by instance URL: { active, queue, limitInfo }
+const orgState = new Map();
+
+class RequestClient {
+  /**
+   * Make an authenticated REST call and parse the response
+   * @param {object} session - Session object with sessionId and instanceUrl
+   * @param {string} endpoint - API endpoint (relative or absolute)
+   * @param {object} options - Request options
+   * @param {string} options.method - HTTP method
+   * @param {object|string} options.body - JSON body, or a raw string when contentType is set
+   * @param {object} options.headers - Additional headers
+   * @param {string} options.contentType - Content-Type for raw string bodies (e.g. 'text/csv')
+   * @param {string} options.responseType - 'json' (default) or 'text'
+   * @param {boolean} options.followNextRecords - Read every page of a query result (default true)
+   * @param {boolean} options.retryUnsafe - Also retry network errors, timeouts, 502s and 504s for non-idempotent
+   *   methods (POST, PATCH); only for calls that are safe to send twice, e.g. read-only POSTs
+   * @returns {Promise<any>} Parsed response ({ success: true } for empty JSON responses)
+   */
+  static async request(session, endpoint, options = {}) {
+    const response = await this.fetch(session, endpoint, options);
+
+    if (!response.ok) {
+      throw await this.buildError(response);
+    }
+
+    if (options.responseType === 'text') {
+      return response.text();
+    }
+
+    // PATCH/DELETE often return 204 No Content
+    const contentType = response.headers.get('content-type');
+    if (response.status === 204 || response.headers.get('content-length') === '0' || !contentType?.includes('json')) {
+      return { success: true };
+    }
+
+    const text = await response.text();
+    if (!text || text.trim().length === 0) {
+      return { success: true };
+    }
+
+    const result = JSON.parse(text);
+
+    // Query results are capped at 2000 rows per page - transparently read the rest
+    if (options.followNextRecords !== false && this.hasMoreRecords(result)) {
+      return this.readRemainingPages(session, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Run a SOQL query and return every record across all pages
+   * @param {object} session - Session object
+   * @param {string} soql - SOQL query
+   * @param {object} options - { tooling: boolean, apiVersion: string }
+   * @returns {Promise<object>} Query result with all records and done: true
+   */
+  static async query(session, soql, options = {}) {
+    return this.request(session, this.buildQueryEndpoint(soql, options));
+  }
+
+  /**
+   * Stream a SOQL query page by page without holding the full result in memory
+   * @param {object} session - Session object
+   * @param {string} soql - SOQL query
+   * @param {object} options - { tooling: boolean, apiVersion: string }
+   * @yields {Array} Records of each page
+   */
+  static async *queryPages(session, soql, options = {}) {
+    let endpoint = this.buildQueryEndpoint(soql, options);
+
+    while (endpoint) {
+      const page = await this.request(session, endpoint, { followNextRecords: false });
+      yield page.records || [];
+      endpoint = this.hasMoreRecords(page) ? page.nextRecordsUrl : null;
+    }
+  }
+
+  /**
+   * Stream a SOQL query record by record
+   * @param {object} session - Session object
+   * @param {string} soql - SOQL query
+   * @param {object} options - { tooling: boolean, apiVersion: string }
+   * @yields {object} Each record
+   */
+  static async *queryRecords(session, soql, options = {}) {
+    for await (const records of this.queryPages(session, soql, options)) {
+      yield* records;
+    }
+  }
+
+  static buildQueryEndpoint(soql, { tooling = false, apiVersion = '59.0' } = {}) {
+    const base = tooling ? `/services/data/v${apiVersion}/tooling/query/` : `/services/data/v${apiVersion}/query/`;
+    return `${base}?q=${encodeURIComponent(soql)}`;
+  }
+
+  static hasMoreRecords(result) {
+    return !!result && result.done === false && !!result.nextRecordsUrl && Array.isArray(result.records);
+  }
+
+  /**
+   * Follow nextRecordsUrl until done, merging all records into the first page
+   * @param {object} session - Session object
+   * @param {object} firstPage - First query result page
+   * @returns {Promise<object>} Merged query result
+   */
+  static async readRemainingPages(session, firstPage) {
+    const records = [...firstPage.records];
+    let page = firstPage;
+
+    while (this.hasMoreRecords(page)) {
+      page = await this.request(session, page.nextRecordsUrl, { followNextRecords: false });
+      records.push(...(page.records || []));
+    }
+
+    console.log(`[RequestClient] Read ${records.length} of ${firstPage.totalSize} records across multiple pages`);
+
+    return {
+      ...firstPage,
+      records: records,
+      done: true,
+      nextRecordsUrl: undefined
+    };
+  }
+
+  /**
+   * Make an authenticated call and return the raw Response
+   * Retries, throttling and session refresh are applied; non-2xx responses are returned, not thrown
+   * @param {object} session - Session object with sessionId and instanceUrl
+   * @param {string} endpoint - API endpoint (relative or absolute)
+   * @param {object} options - Same options as request()
+   * @returns {Promise<Response>}
+   */
+  static async fetch(session, endpoint, options = {}) {
+    if (!session || session.error) {
+      throw new Error(session?.message || 'No active Salesforce session. Please open this extension from a Salesforce tab.');
+    }
+
+    if (!session.sessionId || !session.instanceUrl) {
+      throw new Error('Invalid session: missing session ID.');
+    }
+
+    const url = new URL(endpoint, session.instanceUrl).toString();
+    const canResend = this.canResend(options);
+    let sessionRefreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+
+      try {
+        response = await this.throttled(session, () => this.send(session, url, options));
+      } catch (error) {
+        // Network failures and timeouts are retried like a 503, unless the request may already have been applied
+        if (canResend && attempt < DEFAULT_OPTIONS.maxRetries) {
+          const delay = this.getBackoffDelay(attempt);
+          console.warn(`[RequestClient] ${error.message} - retrying in ${delay}ms (attempt ${attempt + 1}/${DEFAULT_OPTIONS.maxRetries})`);
+          await this.sleep(delay);
+          continue;
+        }
+        throw error;
+      }
+
+      this.recordLimitInfo(session, response);
+
+      // Expired session: pick up a fresh sid cookie once, then retry
+      if (response.status === 401 && !sessionRefreshed) {
+        sessionRefreshed = true;
+        if (await this.refreshSession(session)) {
+          continue;
+        }
+        return response;
+      }
+
+      if (attempt < DEFAULT_OPTIONS.maxRetries && await this.isRetryable(response, canResend)) {
+        const delay = this.getRetryAfter(response) ?? this.getBackoffDelay(attempt);
+        console.warn(`[RequestClient] ${response.status} from ${session.instanceUrl} - retrying in ${delay}ms (attempt ${attempt + 1}/${DEFAULT_OPTIONS.maxRetries})`);
+        await this.sleep(delay);
+        continue;
+      }
+
+      return response;
+    }
+  }
+
+  /**
+   * Issue a single HTTP request
+   */
+  static async send(session, url, { method = 'GET', body = null, headers = {}, contentType = null, timeout = DEFAULT_OPTIONS.timeout } = {}) {
+    const fetchOptions = {
+      method: method,
+      headers: {
+        'Authorization': 'Bearer ' + session.sessionId,
+        'Accept': 'application/json; charset=UTF-8',
+        'Content-Type': contentType || 'application/json; charset=UTF-8',
+        'Sforce-Call-Options': 'client=Salesforce Picklist Manager',
+        ...headers
+      },
+      signal: AbortSignal.timeout(timeout)
+    };
+
+    if (body !== null && body !== undefined && method !== 'GET') {
+      fetchOptions.body = typeof body === 'string' ? body : JSON.stringify(body);
+    }
+
+    try {
+      return await fetch(url, fetchOptions);
+    } catch (error) {
+      if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        throw new Error('Request timeout');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run a request inside the org's concurrency slot
+   * Concurrency drops to 1 once the org nears its daily API limit
+   */
+  static async throttled(session, task) {
+    const state = this.getOrgState(session);
+
+    while (state.active >= this.getConcurrencyLimit(state)) {
+      await new Promise(resolve => state.queue.push(resolve));
+    }
+
+    state.active++;
+    try {
+      return await task();
+    } finally {
+      state.active--;
+      const next = state.queue.shift();
+      if (next) next();
+    }
+  }
+
+  static getConcurrencyLimit(state) {
+    const limit = state.limitInfo;
+    if (limit && limit.max > 0 && (limit.used / limit.max) * 100 >= DEFAULT_OPTIONS.throttleAtPercent) {
+      return 1;
+    }
+    return DEFAULT_OPTIONS.maxConcurrent;
+  }
+
+  static getOrgState(session) {
+    if (!orgState.has(session.instanceUrl)) {
+      orgState.set(session.instanceUrl, { active: 0, queue: [], limitInfo: null });
+    }
+    return orgState.get(session.instanceUrl);
+  }
+
+  /**
+   * Parse the Sforce-Limit-Info header (e.g. "api-usage=1520/15000")
+   */
+  static recordLimitInfo(session, response) {
+    const header = response.headers.get('Sforce-Limit-Info');
+    const match = header && header.match(/api-usage=(\d+)\/(\d+)/);
+    if (!match) return;
+
+    const state = this.getOrgState(session);
+    state.limitInfo = {
+      used: parseInt(match[1], 10),
+      max: parseInt(match[2], 10),
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Last known API usage for an org
+   * @param {object} session - Session object
+   * @returns {object|null} { used, max, remaining, percentUsed, timestamp }
+   */
+  static getLimitInfo(session) {
+    const limit = orgState.get(session?.instanceUrl)?.limitInfo;
+    if (!limit) return null;
+
+    return {
+      ...limit,
+      remaining: limit.max - limit.used,
+      percentUsed: Math.round((limit.used / limit.max) * 100)
+    };
+  }
+
+  /**
+   * Whether a request whose outcome is unknown (network error, timeout, 502, 504) can be sent again
+   */
+  static canResend({ method = 'GET', retryUnsafe = false } = {}) {
+    return retryUnsafe || IDEMPOTENT_METHODS.has(method.toUpperCase());
+  }
+
+  /**
+   * 502/503/504 and REQUEST_LIMIT_EXCEEDED (sent as 403) are transient
+   * A 502 or 504 comes from a gateway and may arrive after the request was committed, so it is retried only when resendable
+   */
+  static async isRetryable(response, canResend = true) {
+    if (response.status === 502 || response.status === 504) {
+      return canResend;
+    }
+
+    if (RETRYABLE_STATUS.has(response.status) || response.status === 429) {
+      return true;
+    }
+
+    if (response.status === 403) {
+      const text = await response.clone().text().catch(() => '');
+      return text.includes('REQUEST_LIMIT_EXCEEDED');
+    }
+
+    return false;
+  }
+
+  static getRetryAfter(response) {
+    const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+    return Number.isFinite(retryAfter) ? Math.min(retryAfter * 1000, DEFAULT_OPTIONS.maxDelay) : null;
+  }
+
+  static getBackoffDelay(attempt) {
+    const delay = DEFAULT_OPTIONS.baseDelay * Math.pow(2, attempt);
+    const jitter = Math.random() * DEFAULT_OPTIONS.baseDelay;
+    return Math.min(delay + jitter, DEFAULT_OPTIONS.maxDelay);
+  }
+
+  /**
+   * Re-read the sid cookie for the session's instance
+   * Updates the session object in place so callers holding it pick up the new ID
+   * @param {object} session - Session object
+   * @returns {Promise<boolean>} True if a different, usable session ID was found
+   */
+  static async refreshSession(session) {
+    try {
+      const hostname = session.hostname || new URL(session.instanceUrl).hostname;
+      const cookie = await SessionRegistry.findSessionCookie(session.instanceUrl, hostname);
+
+      if (!cookie || cookie.value === session.sessionId) {
+        return false;
+      }
+
+      console.log('[RequestClient] Session refreshed for', session.instanceUrl);
+      session.sessionId = cookie.value;
+      session.timestamp = Date.now();
+
+      await SessionRegistry.register({ ...session, cookieDomain: cookie.domain });
+
+      const { currentSession } = await chrome.storage.session.get('currentSession');
+      if (currentSession && currentSession.instanceUrl === session.instanceUrl) {
+        await SessionManager.setCurrentSession({ ...currentSession, sessionId: cookie.value, timestamp: session.timestamp });
+      }
+
+      return true;
+    } catch (error) {
+      console.warn('[RequestClient] Session refresh failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Build an Error from a failed response, keeping the messages and codes callers already rely on
+   * @param {Response} response - Failed response
+   * @returns {Promise<Error>}
+   */
+  static async buildError(response) {
+    let error;
+
+    if (response.status === 401) {
+      error = new Error('Session expired or invalid. Please refresh the Salesforce page and try again.');
+      error.code = 'SESSION_EXPIRED';
+    } else {
+      let errorMessage = response.statusText;
+      let errorCode = null;
+
+      try {
+        const text = await response.text();
+        const errorBody = text ? JSON.parse(text) : null;
+        // Salesforce API errors are often arrays
+        if (Array.isArray(errorBody)) {
+          errorMessage = errorBody.map(err => err?.message || JSON.stringify(err)).join(', ');
+          errorCode = errorBody[0]?.errorCode || null;
+        } else if (errorBody?.message) {
+          errorMessage = errorBody.message;
+          errorCode = errorBody.errorCode || null;
+        } else if (errorBody) {
+          errorMessage = JSON.stringify(errorBody);
+        }
+      } catch (e) {
+        // Ignore if response is not JSON
+      }
+
+      if (response.status === 403 && errorCode !== 'REQUEST_LIMIT_EXCEEDED') {
+        error = new Error('Access denied. Check your Salesforce permissions.');
+        error.code = 'ACCESS_DENIED';
+      } else {
+        error = new Error(`API Error ${response.status}: ${errorMessage}`);
+        error.code = errorCode;
+      }
+    }
+
+    error.status = response.status;
+    return error;
+  }
+
+  static sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+export default RequestClient;
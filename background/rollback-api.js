@@ -3,27 +3,41 @@
  * Handles rollback operations for failed migrations
  */
 
+import RequestClient from './request-client.js';
+
 const RollbackAPI = {
 
   /**
-   * Rollback migration by deleting created records
+   * Rollback migration by deleting created records and restoring updated ones
    * @param {Object} targetSession - Target session where records were created
    * @param {Array} recordIds - Array of record IDs to delete
    * @param {Function} onProgress - Optional progress callback
-   * @returns {Promise<Object>} Rollback results
+   * @param {Object} options - Optional { updatedRecords } pre-update snapshots to restore (see restoreUpdatedRecords)
+   * @returns {Promise<Object>} Rollback results ({ success, failed, errors, restored, restoreFailed, conflicts })
    */
-  async rollbackMigration(targetSession, recordIds, onProgress = null) {
+  async rollbackMigration(targetSession, recordIds, onProgress = null, { updatedRecords = [] } = {}) {
     try {
       console.log('[RollbackAPI] Starting rollback for', recordIds.length, 'records...');
 
       const results = {
         success: 0,
         failed: 0,
-        errors: []
+        errors: [],
+        restored: 0,
+        restoreFailed: 0,
+        conflicts: []
       };
 
+      if (updatedRecords.length > 0) {
+        const restoreResults = await this.restoreUpdatedRecords(targetSession, updatedRecords);
+        results.restored = restoreResults.restored;
+        results.restoreFailed = restoreResults.failed;
+        results.conflicts = restoreResults.conflicts;
+        results.errors.push(...restoreResults.errors);
+      }
+
       if (recordIds.length === 0) {
-        console.log('[RollbackAPI] No records to rollback');
+        console.log('[RollbackAPI] No records to delete');
         return results;
       }
 
@@ -35,27 +49,15 @@ const RollbackAPI = {
         const batch = recordIds.slice(i, i + batchSize);
 
         // Use SObject Collection API for batch delete
-        const endpoint = `${targetSession.instanceUrl}/services/data/v59.0/composite/sobjects`;
-
         const params = new URLSearchParams({
           ids: batch.join(','),
           allOrNone: 'false'
         });
 
-        const response = await fetch(`${endpoint}?${params}`, {
-          method: 'DELETE',
-          headers: {
-            'Authorization': `Bearer ${targetSession.sessionId}`,
-            'Content-Type': 'application/json'
-          }
+        const batchResults = await RequestClient.request(targetSession, `/services/data/v59.0/composite/sobjects?${params}`, {
+          method: 'DELETE'
         });
 
-        if (!response.ok) {
-          throw new Error(`Rollback delete failed: ${response.status} ${response.statusText}`);
-        }
-
-        const batchResults = await response.json();
-
         // Process results
         batchResults.forEach((result, index) => {
           if (result.success) {
@@ -85,6 +87,97 @@ const RollbackAPI = {
     }
   },
 
+  /**
+   * Put updated records back to their pre-migration values
+   * A record whose SystemModstamp moved on since the migration was changed again by someone
+   * or something else; it is reported as a conflict and left alone
+   * @param {Object} targetSession - Target session
+   * @param {Array} updatedRecords - Array of { objectName, id, sourceId, values, modstamp }
+   * @returns {Promise<Object>} { restored, failed, conflicts, errors }
+   */
+  async restoreUpdatedRecords(targetSession, updatedRecords) {
+    console.log('[RollbackAPI] Restoring', updatedRecords.length, 'updated records...');
+
+    const results = {
+      restored: 0,
+      failed: 0,
+      conflicts: [], // { objectName, id, sourceId, lastModifiedDate, lastModifiedBy }
+      errors: []
+    };
+
+    const byObject = new Map();
+    updatedRecords.forEach(record => {
+      if (!byObject.has(record.objectName)) {
+        byObject.set(record.objectName, []);
+      }
+      byObject.get(record.objectName).push(record);
+    });
+
+    const batchSize = 200;
+
+    for (const [objectName, records] of byObject) {
+      for (let i = 0; i < records.length; i += batchSize) {
+        const batch = records.slice(i, i + batchSize);
+        const idList = batch.map(r => `'${r.id}'`).join(',');
+
+        const current = await RequestClient.query(targetSession,
+          `SELECT Id, SystemModstamp, LastModifiedDate, LastModifiedBy.Name FROM ${objectName} WHERE Id IN (${idList})`);
+        const currentById = new Map((current.records || []).map(r => [r.Id, r]));
+
+        const toRestore = [];
+        batch.forEach(record => {
+          const live = currentById.get(record.id);
+          if (!live) {
+            results.failed++;
+            results.errors.push(`${objectName} ${record.id}: record no longer exists, cannot restore`);
+          } else if (record.modstamp && live.SystemModstamp !== record.modstamp) {
+            results.conflicts.push({
+              objectName,
+              id: record.id,
+              sourceId: record.sourceId,
+              lastModifiedDate: live.LastModifiedDate,
+              lastModifiedBy: live.LastModifiedBy?.Name || null
+            });
+          } else {
+            toRestore.push(record);
+          }
+        });
+
+        if (toRestore.length === 0) {
+          continue;
+        }
+
+        const restoreResults = await RequestClient.request(targetSession, '/services/data/v59.0/composite/sobjects', {
+          method: 'PATCH',
+          body: {
+            allOrNone: false,
+            records: toRestore.map(record => ({
+              attributes: { type: objectName },
+              Id: record.id,
+              ...record.values
+            }))
+          }
+        });
+
+        restoreResults.forEach((result, index) => {
+          if (result.success) {
+            results.restored++;
+          } else {
+            results.failed++;
+            const errorMessage = result.errors.map(e => e.message).join(', ');
+            results.errors.push(`${objectName} ${toRestore[index].id}: restore failed: ${errorMessage}`);
+          }
+        });
+      }
+    }
+
+    if (results.conflicts.length > 0) {
+      console.warn('[RollbackAPI]', results.conflicts.length, 'records changed after the migration and were not restored');
+    }
+    console.log('[RollbackAPI] Restore complete:', results.restored, 'restored,', results.failed, 'failed,', results.conflicts.length, 'conflicts');
+    return results;
+  },
+
   /**
    * Validate if records can be rolled back (checks if they exist and are deletable)
    * @param {Object} targetSession - Target session
@@ -110,14 +203,7 @@ const RollbackAPI = {
       const soql = `SELECT Id, IsDeleted FROM AllRecords WHERE Id IN (${idList}) ALL ROWS`;
 
       const encodedQuery = encodeURIComponent(soql);
-      const endpoint = `${targetSession.instanceUrl}/services/data/v59.0/query?q=${encodedQuery}`;
-
-      const response = await fetch(endpoint, {
-        headers: {
-          'Authorization': `Bearer ${targetSession.sessionId}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await RequestClient.fetch(targetSession, `/services/data/v59.0/query?q=${encodedQuery}`);
 
       if (!response.ok) {
         // If query fails, assume all records are deletable (optimistic approach)
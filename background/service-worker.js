@@ -1,4 +1,5 @@
 import SessionManager from './session-manager.js';
+import SessionRegistry from './session-registry.js';
 import MetadataAPI from './metadata-api.js';
 import ToolingAPI from './tooling-api.js';
 import StorageManager from './storage-manager.js';
@@ -8,6 +9,9 @@ import HealthCheckAPI from './health-check-api.js';
 import DeploymentHistoryAPI from './deployment-history-api.js';
 import RecordMigratorAPI from './record-migrator-api.js';
 import RollbackAPI from './rollback-api.js';
+import MigrationJobStore from './migration-job-store.js';
+import ValidationRuleBypass from './validation-rule-bypass.js';
+import HealthCheckScheduler from './health-check-scheduler.js';
 
 // Initialize on install
 chrome.runtime.onInstalled.addListener(() => {
@@ -20,8 +24,31 @@ chrome.runtime.onStartup.addListener(() => {
   UpdateChecker.initialize();
 });
 
+// Migrations that were running when the previous service worker instance stopped can be resumed
+MigrationJobStore.markInterruptedJobs().catch(error => {
+  console.error('[ServiceWorker] Could not check for interrupted migrations:', error);
+});
+
+// Validation rule bypasses that expired while the browser was closed are restored now
+ValidationRuleBypass.resumeAll().catch(error => {
+  console.error('[ServiceWorker] Could not check validation rule bypasses:', error);
+});
+
+// Scheduled health checks that were missed while the browser was closed run now
+HealthCheckScheduler.resumeAll().catch(error => {
+  console.error('[ServiceWorker] Could not check health check schedules:', error);
+});
+
+// Timed jobs
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (ValidationRuleBypass.handleAlarm(alarm)) return;
+  HealthCheckScheduler.handleAlarm(alarm);
+});
+
 // Handle notification clicks
 chrome.notifications.onClicked.addListener((notificationId) => {
+  if (ValidationRuleBypass.handleNotificationClick(notificationId)) return;
+  if (HealthCheckScheduler.handleNotificationClick(notificationId)) return;
   UpdateChecker.handleNotificationClick(notificationId);
 });
 
@@ -90,6 +117,11 @@ async function handleMessage(request, sender, sendResponse) {
                  tab.url.includes('force.com'))) {
               console.log('[ServiceWorker] Extracting session from Salesforce tab');
               session = await SessionManager.extractSession(tab);
+
+              // Keep the multi-org registry in sync (best-effort, don't block the popup)
+              SessionRegistry.register({ ...session, tabId: tab.id }).catch(error => {
+                console.warn('[ServiceWorker] Failed to register session:', error.message);
+              });
             } else {
               // Not a Salesforce tab, use stored session
               console.log('[ServiceWorker] Using stored session (not Salesforce tab)');
@@ -151,7 +183,8 @@ async function handleMessage(request, sender, sendResponse) {
           request.objectName,
           request.fieldName,
           request.values,
-          request.overwrite
+          request.overwrite,
+          request.orgId
         );
         sendResponse({ success: true, data: picklistUpdateResult });
         break;
@@ -184,7 +217,8 @@ async function handleMessage(request, sender, sendResponse) {
       case 'RUN_SINGLE_HEALTH_CHECK':
         const checkResult = await HealthCheckAPI.runSingleCheck(
           request.checkName,
-          request.customCheck
+          request.customCheck,
+          request.session
         );
         sendResponse({ success: true, result: checkResult });
         break;
@@ -255,6 +289,22 @@ async function handleMessage(request, sender, sendResponse) {
         sendResponse({ success: true, data: sessions });
         break;
 
+      case 'GET_ORG_SESSIONS':
+        const orgSessions = request.refresh
+          ? await SessionRegistry.discover()
+          : await SessionRegistry.getAll();
+        sendResponse({ success: true, data: orgSessions });
+        break;
+
+      case 'SELECT_ORG':
+        const selectedOrg = await SessionRegistry.get(request.orgId);
+        if (!selectedOrg) {
+          throw new Error('Org session not found or expired. Please refresh the Salesforce tab.');
+        }
+        await SessionManager.setCurrentSession(selectedOrg);
+        sendResponse({ success: true, data: selectedOrg });
+        break;
+
       case 'QUERY_RECORDS':
         const queryResult = await RecordMigratorAPI.queryRecords(
           {
@@ -278,35 +328,61 @@ async function handleMessage(request, sender, sendResponse) {
         break;
 
       case 'MIGRATE_RECORDS':
-        // Extract port for progress updates if provided
-        const port = request.progressPort ? chrome.runtime.connect({ name: request.progressPort }) : null;
+        // Bypassed rules come back whether the migration finished or failed
+        try {
+          const migrationResults = await RecordMigratorAPI.migrateRecords(
+            request.sourceSession,
+            request.targetSession,
+            request.config,
+            createMigrationProgressCallback(request.progressPort)
+          );
+          sendResponse({ success: true, data: migrationResults });
+        } finally {
+          if (!request.config.dryRun) {
+            restoreBypassesAfterMigration(request.targetSession);
+          }
+        }
+        break;
 
-        const migrationResults = await RecordMigratorAPI.migrateRecords(
-          request.sourceSession,
-          request.targetSession,
-          request.config,
-          // Progress callback
-          (step, current, total, message, percentage) => {
-            if (port) {
-              try {
-                port.postMessage({
-                  type: 'MIGRATION_PROGRESS',
-                  step: step,
-                  current: current,
-                  total: total,
-                  message: message,
-                  percentage: percentage
-                });
-              } catch (error) {
-                console.warn('[ServiceWorker] Failed to send progress update:', error);
-              }
-            }
-            // Also send via sendResponse for backward compatibility (though this won't work for real-time updates)
-            console.log(`[ServiceWorker] Migration Progress: ${step} - ${message} (${percentage}%)`);
+      case 'GET_MIGRATION_JOBS':
+        const migrationJobs = await MigrationJobStore.getJobs();
+        sendResponse({ success: true, data: migrationJobs });
+        break;
+
+      case 'GET_MIGRATION_JOB':
+        const migrationJob = await MigrationJobStore.getJob(request.jobId);
+        sendResponse({ success: true, data: migrationJob });
+        break;
+
+      case 'RESUME_MIGRATION':
+        // Checked first so a job that can't be resumed (or is still running) leaves the bypasses alone
+        const resumedJob = await RecordMigratorAPI.getResumableJob(request.jobId);
+        try {
+          const resumedResults = await RecordMigratorAPI.resumeMigration(
+            request.jobId,
+            createMigrationProgressCallback(request.progressPort)
+          );
+          sendResponse({ success: true, data: resumedResults });
+        } finally {
+          if (!resumedJob.config.dryRun) {
+            restoreBypassesAfterMigration(resumedJob.targetOrg);
+          }
+        }
+        break;
+
+      case 'ROLLBACK_MIGRATION_JOB':
+        const jobRollbackResults = await RecordMigratorAPI.rollbackJob(
+          request.jobId,
+          (current, total, percentage) => {
+            console.log(`[ServiceWorker] Rollback Progress: ${current}/${total} (${percentage}%)`);
           }
         );
+        sendResponse({ success: true, data: jobRollbackResults });
+        break;
 
-        sendResponse({ success: true, data: migrationResults });
+      case 'DELETE_MIGRATION_JOB':
+        await MigrationJobStore.deleteJob(request.jobId);
+        sendResponse({ success: true });
         break;
 
       case 'ROLLBACK_MIGRATION':
@@ -315,7 +391,8 @@ async function handleMessage(request, sender, sendResponse) {
           request.recordIds,
           (current, total, percentage) => {
             console.log(`[ServiceWorker] Rollback Progress: ${current}/${total} (${percentage}%)`);
-          }
+          },
+          { updatedRecords: request.updatedRecords || [] }
         );
         sendResponse({ success: true, data: rollbackResults });
         break;
@@ -339,6 +416,17 @@ async function handleMessage(request, sender, sendResponse) {
         sendResponse({ success: true, data: fieldMetadata });
         break;
 
+      // Bypasses are started and restored here so every write to the bypass list goes through one queue
+      case 'START_VALIDATION_BYPASS':
+        const bypassStart = await ValidationRuleBypass.start(request.session, request.rules, request.options);
+        sendResponse({ success: true, data: bypassStart });
+        break;
+
+      case 'RESTORE_VALIDATION_BYPASS':
+        const restoredBypass = await ValidationRuleBypass.restore(request.bypassId, request.reason || 'manual');
+        sendResponse({ success: true, data: restoredBypass });
+        break;
+
       default:
         console.error('[ServiceWorker] Unknown action received:', request.action);
         console.error('[ServiceWorker] Full request:', request);
@@ -350,6 +438,47 @@ async function handleMessage(request, sender, sendResponse) {
   }
 }
 
+/**
+ * Reactivate validation rules bypassed until the next migration into the target org
+ * Runs in the background so the migration response is not held up
+ * @param {Object} targetOrg - Target session or stored job org ({ orgId } or { sessionId })
+ */
+function restoreBypassesAfterMigration(targetOrg) {
+  const orgId = targetOrg.orgId || targetOrg.sessionId.substring(0, 15);
+
+  ValidationRuleBypass.endAfterMigration(orgId).catch(error => {
+    console.error('[ServiceWorker] Could not restore bypassed validation rules:', error);
+  });
+}
+
+/**
+ * Build a migration progress callback that forwards updates over a named port, if one was given
+ * @param {string} progressPort - Optional port name
+ * @returns {Function} Progress callback (step, current, total, message, percentage)
+ */
+function createMigrationProgressCallback(progressPort) {
+  const port = progressPort ? chrome.runtime.connect({ name: progressPort }) : null;
+
+  return (step, current, total, message, percentage) => {
+    if (port) {
+      try {
+        port.postMessage({
+          type: 'MIGRATION_PROGRESS',
+          step: step,
+          current: current,
+          total: total,
+          message: message,
+          percentage: percentage
+        });
+      } catch (error) {
+        console.warn('[ServiceWorker] Failed to send progress update:', error);
+      }
+    }
+    // Also send via sendResponse for backward compatibility (though this won't work for real-time updates)
+    console.log(`[ServiceWorker] Migration Progress: ${step} - ${message} (${percentage}%)`);
+  };
+}
+
 async function exportPicklists(objectNames) {
   const session = await SessionManager.getCurrentSession();
   const results = {};
@@ -511,8 +640,23 @@ async function updateFieldDependencies(objectName, dependentField, controllingFi
   };
 }
 
-async function updatePicklistValues(objectName, fieldName, values, overwrite) {
-  const session = await SessionManager.getCurrentSession();
+/**
+ * Update a picklist field through the Tooling API and record it in deployment history
+ * @param {string} objectName - Object API name
+ * @param {string} fieldName - Field API name
+ * @param {Array} values - Array of {fullName, label, default}
+ * @param {boolean} overwrite - If true, only the given values stay active
+ * @param {string} orgId - Optional registered org to deploy to (defaults to the current session)
+ * @returns {Promise<object>} Update result
+ */
+async function updatePicklistValues(objectName, fieldName, values, overwrite, orgId = null) {
+  const session = orgId ? await SessionRegistry.get(orgId) : await SessionManager.getCurrentSession();
+
+  if (!session || session.error) {
+    const error = new Error('Org session not found or expired. Please refresh the Salesforce tab for that org and try again.');
+    error.code = 'ORG_SESSION_NOT_FOUND';
+    throw error;
+  }
 
   console.log('[ServiceWorker] ========== UPDATE PICKLIST VALUES ==========');
   console.log('[ServiceWorker] Object Name:', objectName);
@@ -522,6 +666,7 @@ async function updatePicklistValues(objectName, fieldName, values, overwrite) {
   console.log('[ServiceWorker] Sample Values:', values.slice(0, 3));
   console.log('[ServiceWorker] Session:', {
     instanceUrl: session.instanceUrl,
+    orgId: orgId,
     hasSessionId: !!session.sessionId
   });
   console.log('[ServiceWorker] ================================================');
@@ -538,6 +683,16 @@ async function updatePicklistValues(objectName, fieldName, values, overwrite) {
 
     console.log('[ServiceWorker] Picklist update successful:', result);
 
+    await DeploymentHistoryAPI.logForSession(session, {
+      metadataType: 'Picklist',
+      action: 'update',
+      objectName,
+      componentName: fieldName,
+      before: result.previousValues,
+      after: values,
+      status: 'success'
+    });
+
     return {
       success: true,
       fieldId: result.fieldId,
@@ -546,6 +701,17 @@ async function updatePicklistValues(objectName, fieldName, values, overwrite) {
     };
   } catch (error) {
     console.error('[ServiceWorker] Update picklist values failed:', error);
+
+    await DeploymentHistoryAPI.logForSession(session, {
+      metadataType: 'Picklist',
+      action: 'update',
+      objectName,
+      componentName: fieldName,
+      after: values,
+      status: 'failure',
+      errorMessage: error.message
+    });
+
     throw error;
   }
 }
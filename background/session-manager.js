@@ -290,6 +290,30 @@ class SessionManager {
     }
   }
 
+  /**
+   * Make a registered org the current session for all extension pages
+   * Used by org pickers to target an org other than the active tab
+   * @param {object} session - Org session from SessionRegistry
+   */
+  static async setCurrentSession(session) {
+    if (!session || !session.sessionId || !session.instanceUrl) {
+      throw new Error('Invalid session: missing session ID or instance URL.');
+    }
+
+    await chrome.storage.session.set({
+      currentSession: {
+        sessionId: session.sessionId,
+        instanceUrl: session.instanceUrl,
+        hostname: session.hostname,
+        cookieDomain: session.cookieDomain,
+        orgId: session.orgId,
+        timestamp: session.timestamp || Date.now()
+      }
+    });
+
+    console.log('[SessionManager] Current session switched to', session.instanceUrl);
+  }
+
   static async clearSession() {
     await chrome.storage.session.remove('currentSession');
   }
@@ -0,0 +1,339 @@
+// Session Registry - Tracks every Salesforce org with an open session
+// Replaces the per-tool tab scanning so any page can target any registered org, not only the active tab
+
+import SessionManager from './session-manager.js';
+
+const REGISTRY_KEY = 'orgSessions';
+const DEFAULT_API_VERSION = '59.0';
+const SESSION_MAX_AGE = 2 * 60 * 60 * 1000; // Matches SessionManager's 2 hour refresh window
+
+class SessionRegistry {
+  /**
+   * Scan all open tabs and register every Salesforce org found
+   * Orgs already registered with the same session ID are not re-fetched
+   * @returns {Promise<Array>} Array of registered org sessions (excluding expired ones)
+   */
+  static async discover() {
+    const tabs = await chrome.tabs.query({});
+    const salesforceTabs = tabs.filter(tab => tab.url && SessionManager.isSalesforceUrl(tab.url));
+    const seenOrgs = new Set();
+
+    for (const tab of salesforceTabs) {
+      try {
+        const session = await this.registerTab(tab);
+        seenOrgs.add(session.orgId);
+      } catch (error) {
+        console.warn('[SessionRegistry] Could not extract session from tab:', tab.url, error.message);
+      }
+    }
+
+    console.log('[SessionRegistry] Discovered', seenOrgs.size, 'org(s) from', salesforceTabs.length, 'Salesforce tab(s)');
+
+    await this.pruneExpired();
+    return this.getAll();
+  }
+
+  /**
+   * Extract the session of a Salesforce tab and add it to the registry
+   * @param {object} tab - Chrome tab object
+   * @returns {Promise<object>} Registered org session
+   */
+  static async registerTab(tab) {
+    if (!tab || !tab.url) {
+      throw new Error('No tab URL provided');
+    }
+
+    const url = new URL(tab.url);
+    const hostname = SessionManager.getMyDomain(url.hostname);
+    const instanceUrl = `${url.protocol}//${hostname}`;
+
+    const sidCookie = await this.findSessionCookie(instanceUrl, hostname);
+    if (!sidCookie) {
+      throw new Error('No session cookie found');
+    }
+
+    return this.register({
+      tabId: tab.id,
+      sessionId: sidCookie.value,
+      instanceUrl: instanceUrl,
+      hostname: hostname,
+      cookieDomain: sidCookie.domain,
+      cookieExpiresAt: sidCookie.expirationDate ? Math.round(sidCookie.expirationDate * 1000) : null,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Add or update a session in the registry, enriching it with org and user details
+   * @param {object} session - Session with at least sessionId and instanceUrl
+   * @returns {Promise<object>} Registered org session
+   */
+  static async register(session) {
+    if (!session || !session.sessionId || !session.instanceUrl) {
+      throw new Error('Invalid session: missing session ID or instance URL.');
+    }
+
+    const orgId = session.sessionId.substring(0, 15);
+    const registry = await this.load();
+    const existing = registry[orgId];
+
+    // Same session already enriched - only refresh the volatile bits
+    if (existing && existing.sessionId === session.sessionId && !this.isExpired(existing)) {
+      registry[orgId] = {
+        ...existing,
+        tabId: session.tabId ?? existing.tabId,
+        lastSeen: Date.now()
+      };
+      await this.save(registry);
+      return registry[orgId];
+    }
+
+    const hostname = session.hostname || new URL(session.instanceUrl).hostname;
+
+    const [orgInfo, userInfo, apiVersion] = await Promise.all([
+      this.getOrgInfo(session.instanceUrl, session.sessionId),
+      this.getUserInfo(session.instanceUrl, session.sessionId),
+      this.getLatestApiVersion(session.instanceUrl, session.sessionId)
+    ]);
+
+    const timestamp = session.timestamp || Date.now();
+
+    const entry = {
+      tabId: session.tabId ?? null,
+      sessionId: session.sessionId,
+      instanceUrl: session.instanceUrl,
+      hostname: hostname,
+      cookieDomain: session.cookieDomain || null,
+      orgId: orgId,
+      orgName: orgInfo.orgName || hostname,
+      orgType: orgInfo.orgType || 'Unknown',
+      isSandbox: orgInfo.isSandbox || false,
+      userId: userInfo.userId,
+      username: userInfo.username,
+      userDisplayName: userInfo.displayName,
+      apiVersion: apiVersion,
+      timestamp: timestamp,
+      expiresAt: session.cookieExpiresAt || timestamp + SESSION_MAX_AGE,
+      lastSeen: Date.now()
+    };
+
+    registry[orgId] = entry;
+    await this.save(registry);
+
+    console.log('[SessionRegistry] Registered org:', entry.orgName, `(${entry.orgId})`, entry.isSandbox ? '[Sandbox]' : '[Production]');
+    return entry;
+  }
+
+  /**
+   * Get all registered org sessions that have not expired
+   * Sandboxes are listed after production orgs, each group sorted by name
+   * @returns {Promise<Array>} Array of org sessions
+   */
+  static async getAll() {
+    const registry = await this.load();
+
+    return Object.values(registry)
+      .filter(entry => !this.isExpired(entry))
+      .sort((a, b) => {
+        if (a.isSandbox !== b.isSandbox) return a.isSandbox ? 1 : -1;
+        return (a.orgName || '').localeCompare(b.orgName || '');
+      });
+  }
+
+  /**
+   * Get a registered org session by org ID
+   * Accepts 15 or 18 character org IDs
+   * @param {string} orgId - Salesforce org ID
+   * @returns {Promise<object|null>} Org session, or null if unknown or expired
+   */
+  static async get(orgId) {
+    if (!orgId) return null;
+
+    const registry = await this.load();
+    const entry = registry[orgId.substring(0, 15)];
+
+    if (!entry || this.isExpired(entry)) {
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Remove an org from the registry
+   * @param {string} orgId - Salesforce org ID
+   */
+  static async remove(orgId) {
+    const registry = await this.load();
+    delete registry[orgId.substring(0, 15)];
+    await this.save(registry);
+  }
+
+  /**
+   * Drop expired sessions from the registry
+   */
+  static async pruneExpired() {
+    const registry = await this.load();
+    let removed = 0;
+
+    for (const [orgId, entry] of Object.entries(registry)) {
+      if (this.isExpired(entry)) {
+        delete registry[orgId];
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      console.log('[SessionRegistry] Pruned', removed, 'expired session(s)');
+      await this.save(registry);
+    }
+  }
+
+  /**
+   * Check whether a registered session is past its expiry
+   * @param {object} entry - Registered org session
+   * @returns {boolean}
+   */
+  static isExpired(entry) {
+    return !entry || !entry.expiresAt || entry.expiresAt <= Date.now();
+  }
+
+  /**
+   * Build a display label for an org session (used by org pickers)
+   * e.g. "Acme (Enterprise Edition) [Sandbox] - acme--dev"
+   * @param {object} session - Org session
+   * @returns {string}
+   */
+  static getDisplayName(session) {
+    let displayText = session.orgName || session.hostname || 'Unknown Org';
+
+    if (session.orgType && session.orgType !== 'Unknown') {
+      displayText += ` (${session.orgType})`;
+    }
+    if (session.isSandbox) {
+      displayText += ' [Sandbox]';
+    }
+
+    // Add instance subdomain to differentiate sandboxes with same name
+    const subdomain = session.hostname ? session.hostname.split('.')[0] : '';
+    if (subdomain) {
+      displayText += ` - ${subdomain}`;
+    }
+
+    return displayText;
+  }
+
+  /**
+   * Find the sid cookie for an instance, falling back to a broader domain search
+   * @param {string} instanceUrl - The instance URL
+   * @param {string} hostname - Normalized hostname
+   * @returns {Promise<object|null>} Cookie object
+   */
+  static async findSessionCookie(instanceUrl, hostname) {
+    const sidCookie = await chrome.cookies.get({
+      url: instanceUrl,
+      name: 'sid'
+    });
+
+    if (sidCookie) {
+      return sidCookie;
+    }
+
+    const cookies = await chrome.cookies.getAll({
+      name: 'sid',
+      secure: true
+    });
+
+    return cookies.find(c => {
+      const cookieDomain = c.domain.replace(/^\./, '');
+      return hostname.includes(cookieDomain) ||
+             cookieDomain.includes(hostname.split('.')[0]);
+    }) || null;
+  }
+
+  /**
+   * Get organization information from Salesforce
+   * @param {string} instanceUrl - The instance URL
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<object>} Org info object (null values on error)
+   */
+  static async getOrgInfo(instanceUrl, sessionId) {
+    const query = encodeURIComponent('SELECT Id, Name, OrganizationType, IsSandbox FROM Organization LIMIT 1');
+    const response = await this.fetchJson(instanceUrl, sessionId, `/services/data/v${DEFAULT_API_VERSION}/query/?q=${query}`);
+    const org = response?.records?.[0];
+
+    return {
+      orgName: org?.Name || null,
+      orgType: org?.OrganizationType || null,
+      isSandbox: org ? org.IsSandbox : null
+    };
+  }
+
+  /**
+   * Get the user the session belongs to
+   * @param {string} instanceUrl - The instance URL
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<object>} User info object (null values on error)
+   */
+  static async getUserInfo(instanceUrl, sessionId) {
+    const response = await this.fetchJson(instanceUrl, sessionId, '/services/oauth2/userinfo');
+
+    return {
+      userId: response?.user_id || null,
+      username: response?.preferred_username || null,
+      displayName: response?.name || null
+    };
+  }
+
+  /**
+   * Get the latest REST API version supported by the org
+   * @param {string} instanceUrl - The instance URL
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<string>} API version (e.g. "62.0")
+   */
+  static async getLatestApiVersion(instanceUrl, sessionId) {
+    const versions = await this.fetchJson(instanceUrl, sessionId, '/services/data/');
+
+    if (Array.isArray(versions) && versions.length > 0) {
+      return versions[versions.length - 1].version;
+    }
+
+    return DEFAULT_API_VERSION;
+  }
+
+  /**
+   * GET a JSON resource, resolving to null on any failure
+   * Registry enrichment is best-effort and must not block session discovery
+   */
+  static async fetchJson(instanceUrl, sessionId, endpoint) {
+    try {
+      const response = await fetch(new URL(endpoint, instanceUrl).toString(), {
+        headers: {
+          'Authorization': 'Bearer ' + sessionId,
+          'Accept': 'application/json'
+        },
+        signal: AbortSignal.timeout(10000)
+      });
+
+      if (!response.ok) {
+        return null;
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.warn('[SessionRegistry] Request failed:', endpoint, error.message);
+      return null;
+    }
+  }
+
+  static async load() {
+    const result = await chrome.storage.session.get(REGISTRY_KEY);
+    return result[REGISTRY_KEY] || {};
+  }
+
+  static async save(registry) {
+    await chrome.storage.session.set({ [REGISTRY_KEY]: registry });
+  }
+}
+
+export default SessionRegistry;
@@ -2,7 +2,7 @@
 // Based on proven Python implementation from picklist_loader.py
 // Uses Tooling API for direct CustomField PATCH operations
 
-import SalesforceAPI from './api-client.js';
+import RequestClient from './request-client.js';
 
 class ToolingAPI {
   /**
@@ -22,7 +22,7 @@ class ToolingAPI {
     `;
 
     const endpoint = `/services/data/v59.0/tooling/query/?q=${encodeURIComponent(query)}`;
-    const response = await SalesforceAPI.callAPI(endpoint);
+    const response = await RequestClient.request(session, endpoint);
 
     if (!response.records || response.records.length === 0) {
       throw new Error(`Field ${fieldName} not found on ${objectName}`);
@@ -49,7 +49,7 @@ class ToolingAPI {
     `;
 
     const endpoint = `/services/data/v59.0/tooling/query/?q=${encodeURIComponent(query)}`;
-    const response = await SalesforceAPI.callAPI(endpoint);
+    const response = await RequestClient.request(session, endpoint);
 
     return response.records || [];
   }
@@ -88,7 +88,7 @@ class ToolingAPI {
     `;
 
     const endpoint = `/services/data/v59.0/tooling/query/?q=${encodeURIComponent(query)}`;
-    const response = await SalesforceAPI.callAPI(endpoint);
+    const response = await RequestClient.request(session, endpoint);
 
     if (!response.records || response.records.length === 0) {
       throw new Error(`CustomField not found: ${objectName}.${fieldName}`);
@@ -117,7 +117,7 @@ class ToolingAPI {
    */
   static async getCustomFieldMetadata(session, fieldId) {
     const endpoint = `/services/data/v59.0/tooling/sobjects/CustomField/${fieldId}`;
-    const response = await SalesforceAPI.callAPI(endpoint);
+    const response = await RequestClient.request(session, endpoint);
 
     if (!response) {
       throw new Error(`Failed to fetch CustomField metadata for ${fieldId}`);
@@ -131,7 +131,7 @@ class ToolingAPI {
    * This is the core update method - matches Python implementation
    * @param {object} session - Salesforce session
    * @param {string} fieldId - CustomField record ID
-   * @param {Array} values - Array of picklist values {label, valueName, default}
+   * @param {Array} values - Array of picklist values {label, valueName, default, isActive}
    * @param {object} fieldInfo - Field metadata {label, type}
    * @returns {Promise<object>} PATCH response
    */
@@ -151,7 +151,7 @@ class ToolingAPI {
               color: null,
               default: v.default || false,
               description: null,
-              isActive: null,
+              isActive: v.isActive === false ? false : null, // null keeps the value active
               label: v.label,
               urls: null,
               valueName: v.valueName
@@ -181,7 +181,7 @@ class ToolingAPI {
     console.log('[ToolingAPI] ==========================================');
 
     try {
-      const response = await SalesforceAPI.callAPI(endpoint, {
+      const response = await RequestClient.request(session, endpoint, {
         method: 'PATCH',
         body: body
       });
@@ -265,7 +265,8 @@ class ToolingAPI {
             valuesToUpdate.push({
               label: current.label,
               valueName: current.valueName || current.fullName,
-              default: current.default || false
+              default: current.default || false,
+              isActive: current.isActive
             });
           }
         });
@@ -276,7 +277,8 @@ class ToolingAPI {
         valuesToUpdate.push({
           label: newVal.label,
           valueName: newVal.fullName,
-          default: newVal.default || false
+          default: newVal.default || false,
+          isActive: newVal.active === false ? false : null
         });
       });
 
@@ -297,6 +299,12 @@ class ToolingAPI {
         success: true,
         fieldId: fieldId,
         valuesUpdated: valuesToUpdate.length,
+        previousValues: currentPicklistValues.map(v => ({
+          fullName: v.valueName || v.fullName,
+          label: v.label,
+          default: v.default || false,
+          active: v.isActive !== false
+        })),
         result: result
       };
 
@@ -322,7 +330,7 @@ class ToolingAPI {
     try {
       // Use describe API to get picklist values (more reliable than PicklistValueInfo)
       const endpoint = `/services/data/v59.0/sobjects/${objectName}/describe`;
-      const describe = await SalesforceAPI.callAPI(endpoint);
+      const describe = await RequestClient.request(session, endpoint);
 
       // Find controlling field
       const controllingFieldMeta = describe.fields.find(f => f.name === controllingField);
@@ -407,7 +415,7 @@ class ToolingAPI {
     const endpoint = `/services/data/v59.0/tooling/sobjects/CustomField/${fieldId}`;
 
     try {
-      const response = await SalesforceAPI.callAPI(endpoint, {
+      const response = await RequestClient.request(session, endpoint, {
         method: 'PATCH',
         body: body
       });
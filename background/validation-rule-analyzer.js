@@ -0,0 +1,482 @@
+/**
+ * Validation Rule Analyzer
+ * Finds problems in parsed validation rule formulas, per object: references to fields that no longer exist
+ * (or that the user cannot see), duplicate or overlapping conditions, conditions that always or never fire,
+ * and error display fields that are on no page layout
+ */
+
+import FormulaEvaluator from './formula-evaluator.js';
+
+// Functions whose result depends on the record being saved, not only on their arguments
+const CONTEXT_FUNCTIONS = ['ISNEW', 'ISCLONE', 'ISCHANGED', 'PRIORVALUE', 'TODAY', 'NOW', 'TIMENOW'];
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+const ISSUE_LABELS = {
+  FORMULA_ERROR: 'Formula error',
+  MISSING_FIELD: 'Missing field',
+  ALWAYS_FIRES: 'Always fires',
+  NEVER_FIRES: 'Never fires',
+  DUPLICATE: 'Duplicate condition',
+  OVERLAP: 'Overlapping condition',
+  ERROR_FIELD_MISSING: 'Error field missing',
+  ERROR_FIELD_NOT_ON_LAYOUT: 'Error field not on a layout'
+};
+
+const SWAPPED_COMPARISONS = { '>': '<', '>=': '<=' };
+const COMMUTATIVE_OPS = { '=': '=', '==': '=', '!=': '!=', '<>': '!=', '+': '+', '*': '*' };
+
+const ValidationRuleAnalyzer = {
+  ISSUE_LABELS,
+
+  /**
+   * Parse a rule's formula once for all checks
+   * @param {Object} rule - Validation rule with Metadata.errorConditionFormula
+   * @returns {Object} { rule, formula, analysis, condition } - condition is the folded AST, or null when unparsable
+   */
+  prepareRule(rule) {
+    const formula = rule.Metadata?.errorConditionFormula || '';
+    const analysis = formula ? FormulaEvaluator.analyze(formula) : null;
+    const parsed = analysis?.ast && !analysis.diagnostics.some(d => d.code !== 'UNSUPPORTED_FUNCTION');
+
+    return {
+      rule,
+      formula,
+      analysis,
+      condition: parsed ? this.fold(analysis.ast) : null
+    };
+  },
+
+  /**
+   * Reduce a describe result to what reference checks need
+   * @param {Object} describe - sObject describe
+   * @returns {Object} { name, fields: Map(lowercase name -> { name, type }), relationships: Map(lowercase name -> [object names]) }
+   */
+  buildObjectSchema(describe) {
+    const fields = new Map();
+    const relationships = new Map();
+
+    (describe.fields || []).forEach(field => {
+      fields.set(field.name.toLowerCase(), { name: field.name, type: field.type });
+      if (field.relationshipName && field.referenceTo?.length > 0) {
+        relationships.set(field.relationshipName.toLowerCase(), field.referenceTo);
+      }
+    });
+
+    return { name: describe.name, fields, relationships };
+  },
+
+  /**
+   * Follow a field reference through the object's relationships
+   * @param {string} objectName - Object the rule belongs to
+   * @param {string} path - Reference from the formula (Amount, Account.Owner.Email, $User.Id)
+   * @param {Map} schema - Lowercase object name -> buildObjectSchema() result, or null if the describe failed
+   * @returns {Object} { status: 'ok' } | { status: 'missing', reason } | { status: 'pending', objectName } when a describe is still needed
+   */
+  resolveReference(objectName, path, schema) {
+    // Globals ($User, $Setup, $Label, ...) are not object fields
+    if (path.startsWith('$')) {
+      return { status: 'ok' };
+    }
+
+    const segments = path.split('.');
+    let objectNames = [objectName];
+
+    for (const [index, segment] of segments.entries()) {
+      const last = index === segments.length - 1;
+      const next = [];
+      let inaccessible = null;
+
+      for (const name of objectNames) {
+        const entry = schema.get(name.toLowerCase());
+        if (entry === undefined) {
+          return { status: 'pending', objectName: name };
+        }
+        if (entry === null) {
+          inaccessible = name;
+          continue;
+        }
+        if (last && entry.fields.has(segment.toLowerCase())) {
+          return { status: 'ok' };
+        }
+        if (!last) {
+          next.push(...(entry.relationships.get(segment.toLowerCase()) || []));
+        }
+      }
+
+      if (last || next.length === 0) {
+        const owner = objectNames.join('/');
+        const reason = inaccessible && objectNames.length === 1
+          ? `${inaccessible} is not accessible`
+          : last
+            ? `${segment} does not exist on ${owner} or is not visible to you`
+            : `${segment} is not a relationship on ${owner}`;
+        return { status: 'missing', reason };
+      }
+
+      objectNames = [...new Set(next)];
+    }
+
+    return { status: 'ok' };
+  },
+
+  /**
+   * Objects that still need a describe before the references of these rules can be resolved
+   * @param {string} objectName - Object the rules belong to
+   * @param {Array} preparedRules - prepareRule() results
+   * @param {Map} schema - See resolveReference
+   * @returns {Set} Object names
+   */
+  collectPendingObjects(objectName, preparedRules, schema) {
+    const pending = new Set();
+    preparedRules.forEach(prepared => {
+      (prepared.analysis?.references || []).forEach(path => {
+        const resolution = this.resolveReference(objectName, path, schema);
+        if (resolution.status === 'pending') {
+          pending.add(resolution.objectName);
+        }
+      });
+    });
+    return pending;
+  },
+
+  /**
+   * Analyze the rules of one object
+   * @param {Object} options
+   * @param {string} options.objectName - Object API name
+   * @param {Array} options.rules - prepareRule() results for the object
+   * @param {Map} options.schema - See resolveReference
+   * @param {Set|null} options.layoutFields - Lowercase field names on any page layout, or null if layouts could not be read
+   * @returns {Object} { objectName, ruleCount, activeCount, issues, counts: { error, warning, info } }
+   *   issues: [{ type, severity, ruleId, ruleName, active, relatedRule, message }]
+   */
+  analyzeObject({ objectName, rules, schema, layoutFields = null }) {
+    const issues = [];
+    const addIssue = (prepared, type, severity, message, relatedRule = null) => {
+      issues.push({
+        type,
+        severity,
+        ruleId: prepared.rule.Id,
+        ruleName: prepared.rule.ValidationName,
+        active: !!prepared.rule.Active,
+        relatedRule,
+        message
+      });
+    };
+
+    rules.forEach(prepared => {
+      const { rule, analysis, condition } = prepared;
+
+      if (!prepared.formula) {
+        addIssue(prepared, 'FORMULA_ERROR', 'info', 'Formula could not be read');
+      } else if (!condition) {
+        const diagnostic = analysis.diagnostics.find(d => d.code !== 'UNSUPPORTED_FUNCTION');
+        addIssue(prepared, 'FORMULA_ERROR', 'warning', diagnostic.message);
+      }
+
+      (analysis?.references || []).forEach(path => {
+        const resolution = this.resolveReference(objectName, path, schema);
+        if (resolution.status === 'missing') {
+          addIssue(prepared, 'MISSING_FIELD', rule.Active ? 'error' : 'warning', `References ${path}: ${resolution.reason}`);
+        }
+      });
+
+      if (condition?.type === 'literal') {
+        if (condition.value === true) {
+          addIssue(prepared, 'ALWAYS_FIRES', rule.Active ? 'error' : 'warning',
+            rule.Active ? 'Condition is always true, so every save of this object is blocked' : 'Condition is always true');
+        } else if (condition.value === false || condition.value === null) {
+          addIssue(prepared, 'NEVER_FIRES', 'warning', 'Condition is never true, so the rule never blocks a save');
+        }
+      }
+
+      if (rule.ErrorDisplayField) {
+        const errorField = rule.ErrorDisplayField.toLowerCase();
+        const objectSchema = schema.get(objectName.toLowerCase());
+        if (objectSchema && !objectSchema.fields.has(errorField)) {
+          addIssue(prepared, 'ERROR_FIELD_MISSING', 'warning', `Error display field ${rule.ErrorDisplayField} does not exist or is not visible to you`);
+        } else if (layoutFields && !layoutFields.has(errorField)) {
+          addIssue(prepared, 'ERROR_FIELD_NOT_ON_LAYOUT', rule.Active ? 'warning' : 'info',
+            `Error display field ${rule.ErrorDisplayField} is not on any page layout, so users may not see where the error is`);
+        }
+      }
+    });
+
+    this.compareConditions(rules, addIssue);
+
+    issues.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || a.ruleName.localeCompare(b.ruleName));
+
+    return {
+      objectName,
+      ruleCount: rules.length,
+      activeCount: rules.filter(prepared => prepared.rule.Active).length,
+      issues,
+      counts: {
+        error: issues.filter(issue => issue.severity === 'error').length,
+        warning: issues.filter(issue => issue.severity === 'warning').length,
+        info: issues.filter(issue => issue.severity === 'info').length
+      }
+    };
+  },
+
+  /**
+   * Flag rules with the same condition, and active rules that only fire when another active rule fires too
+   * @param {Array} rules - prepareRule() results of one object
+   * @param {Function} addIssue - (prepared, type, severity, message, relatedRule)
+   */
+  compareConditions(rules, addIssue) {
+    // Constant conditions are reported on their own
+    const comparable = rules.filter(prepared => prepared.condition && prepared.condition.type !== 'literal');
+    const keys = new Map(comparable.map(prepared => [prepared, this.keyOf(prepared.condition)]));
+    const duplicates = new Set();
+
+    comparable.forEach((prepared, index) => {
+      const original = comparable.slice(0, index).find(other => keys.get(other) === keys.get(prepared));
+      if (original) {
+        duplicates.add(prepared);
+        const bothActive = prepared.rule.Active && original.rule.Active;
+        addIssue(prepared, 'DUPLICATE', bothActive ? 'warning' : 'info',
+          `Same condition as ${original.rule.ValidationName}${original.rule.Active ? '' : ' (inactive)'}`,
+          original.rule.ValidationName);
+      }
+    });
+
+    const active = comparable.filter(prepared => prepared.rule.Active && !duplicates.has(prepared));
+    active.forEach(prepared => {
+      active.forEach(other => {
+        if (other === prepared || !this.implies(prepared.condition, other.condition)) return;
+
+        // Equivalent conditions written differently: report once, on the later rule
+        if (this.implies(other.condition, prepared.condition)) {
+          if (active.indexOf(other) < active.indexOf(prepared)) {
+            addIssue(prepared, 'DUPLICATE', 'warning', `Equivalent condition to ${other.rule.ValidationName}`, other.rule.ValidationName);
+          }
+          return;
+        }
+
+        addIssue(prepared, 'OVERLAP', 'info',
+          `Only fires when ${other.rule.ValidationName} also fires, so users always see both messages`,
+          other.rule.ValidationName);
+      });
+    });
+  },
+
+  // ==========================================================================
+  // Condition logic
+  // ==========================================================================
+
+  /**
+   * Simplify a condition: evaluate parts that do not depend on the record, and
+   * drop constant or contradictory operands of AND / OR
+   * @param {Object} node - AST node
+   * @returns {Object} AST node (a literal when the whole condition is constant)
+   */
+  fold(node) {
+    if (this.isConstant(node)) {
+      try {
+        const value = FormulaEvaluator.evaluateAst(node);
+        if (value === null || typeof value === 'boolean') {
+          return { type: 'literal', value };
+        }
+      } catch (error) {
+        // Errors surface when the rule runs in Salesforce; leave the node as written
+      }
+      return node;
+    }
+
+    const logical = this.logicalParts(node);
+    if (logical) {
+      const isAnd = logical.name === 'AND';
+      const args = [];
+      const seen = new Set();
+
+      for (const arg of logical.args.map(a => this.fold(a))) {
+        if (arg.type === 'literal' && typeof arg.value === 'boolean') {
+          // AND(false, ...) / OR(true, ...) decide the result; the other constant is a no-op
+          if (arg.value !== isAnd) return arg;
+          continue;
+        }
+        const key = this.keyOf(arg);
+        const negated = key.startsWith('NOT(') ? key.slice(4, -1) : `NOT(${key})`;
+        if (seen.has(negated)) {
+          // A and NOT(A)
+          return { type: 'literal', value: !isAnd };
+        }
+        if (!seen.has(key)) {
+          seen.add(key);
+          args.push(arg);
+        }
+      }
+
+      if (args.length === 0) return { type: 'literal', value: isAnd };
+      if (args.length === 1) return args[0];
+      return { type: 'call', name: logical.name, args };
+    }
+
+    if (this.isNot(node)) {
+      const operand = this.fold(node.type === 'call' ? node.args[0] : node.operand);
+      if (operand.type === 'literal' && typeof operand.value === 'boolean') {
+        return { type: 'literal', value: !operand.value };
+      }
+      return { type: 'call', name: 'NOT', args: [operand] };
+    }
+
+    if (node.type === 'call' && node.name === 'IF' && node.args.length === 3) {
+      const [test, whenTrue, whenFalse] = node.args.map(arg => this.fold(arg));
+      if (test.type === 'literal' && typeof test.value === 'boolean') {
+        return test.value ? whenTrue : whenFalse;
+      }
+      if (whenTrue.type === 'literal' && whenFalse.type === 'literal' && whenTrue.value === whenFalse.value) {
+        return whenTrue;
+      }
+      return { ...node, args: [test, whenTrue, whenFalse] };
+    }
+
+    return node;
+  },
+
+  /**
+   * Whether a node can be evaluated without a record
+   * @param {Object} node - AST node
+   * @returns {boolean}
+   */
+  isConstant(node) {
+    if (node.type === 'literal') return true;
+    if (node.type === 'field') return false;
+    if (node.type === 'unary') return this.isConstant(node.operand);
+    if (node.type === 'binary') return this.isConstant(node.left) && this.isConstant(node.right);
+
+    return !CONTEXT_FUNCTIONS.includes(node.name) &&
+      !FormulaEvaluator.UNSUPPORTED_FUNCTIONS.includes(node.name) &&
+      node.args.every(arg => this.isConstant(arg));
+  },
+
+  /**
+   * AND / OR in either syntax (AND(a, b) or a && b), flattened
+   * @param {Object} node - AST node
+   * @returns {Object|null} { name: 'AND' | 'OR', args }
+   */
+  logicalParts(node) {
+    let name = null;
+    if (node.type === 'call' && (node.name === 'AND' || node.name === 'OR')) name = node.name;
+    if (node.type === 'binary' && node.op === '&&') name = 'AND';
+    if (node.type === 'binary' && node.op === '||') name = 'OR';
+    if (!name) return null;
+
+    const args = [];
+    const collect = (part) => {
+      const nested = this.logicalParts(part);
+      if (nested && nested.name === name) {
+        nested.args.forEach(collect);
+      } else {
+        args.push(part);
+      }
+    };
+    (node.type === 'call' ? node.args : [node.left, node.right]).forEach(collect);
+
+    return { name, args };
+  },
+
+  isNot(node) {
+    return (node.type === 'call' && node.name === 'NOT' && node.args.length === 1) ||
+      (node.type === 'unary' && node.op === '!');
+  },
+
+  /**
+   * Canonical text of a condition, so equivalent spellings compare equal
+   * (case of field names, operand order of AND / OR / = / + / *, > versus <, && versus AND)
+   * @param {Object} node - AST node
+   * @returns {string} Key
+   */
+  keyOf(node) {
+    if (node.type === 'literal') {
+      return node.value === null ? 'NULL' : typeof node.value === 'boolean' ? String(node.value).toUpperCase() : JSON.stringify(node.value);
+    }
+    if (node.type === 'field') {
+      return node.path.toLowerCase();
+    }
+
+    const logical = this.logicalParts(node);
+    if (logical) {
+      return `${logical.name}(${[...new Set(logical.args.map(arg => this.keyOf(arg)))].sort().join(',')})`;
+    }
+
+    if (this.isNot(node)) {
+      const operand = node.type === 'call' ? node.args[0] : node.operand;
+      const inner = this.keyOf(operand);
+      // NOT(NOT(x)) is x
+      return inner.startsWith('NOT(') && this.isNot(operand) ? inner.slice(4, -1) : `NOT(${inner})`;
+    }
+
+    if (node.type === 'unary') {
+      return `${node.op}(${this.keyOf(node.operand)})`;
+    }
+
+    if (node.type === 'binary') {
+      let left = this.keyOf(node.left);
+      let right = this.keyOf(node.right);
+      let op = node.op;
+
+      if (SWAPPED_COMPARISONS[op]) {
+        [left, right] = [right, left];
+        op = SWAPPED_COMPARISONS[op];
+      } else if (COMMUTATIVE_OPS[op]) {
+        op = COMMUTATIVE_OPS[op];
+        [left, right] = [left, right].sort();
+      }
+      return `(${left}${op}${right})`;
+    }
+
+    return `${node.name}(${node.args.map(arg => this.keyOf(arg)).join(',')})`;
+  },
+
+  /**
+   * Whether condition a being true means condition b is true as well
+   * Checked structurally: every OR branch of a must contain all the AND parts of some OR branch of b
+   * @param {Object} a - Folded condition
+   * @param {Object} b - Folded condition
+   * @returns {boolean}
+   */
+  implies(a, b) {
+    const branches = node => {
+      const logical = this.logicalParts(node);
+      return logical?.name === 'OR' ? logical.args : [node];
+    };
+    const parts = node => {
+      const logical = this.logicalParts(node);
+      return new Set((logical?.name === 'AND' ? logical.args : [node]).map(part => this.keyOf(part)));
+    };
+
+    const bBranches = branches(b).map(parts);
+    return branches(a).every(branch => {
+      const aParts = parts(branch);
+      return bBranches.some(bParts => [...bParts].every(key => aParts.has(key)));
+    });
+  },
+
+  // ==========================================================================
+  // Report
+  // ==========================================================================
+
+  /**
+   * Rows for a spreadsheet report (object name first, for one sheet per object)
+   * @param {Array} reports - analyzeObject() results
+   * @returns {Array} Rows including the header
+   */
+  toRows(reports) {
+    const headers = ['Object', 'Rule Name', 'Active', 'Severity', 'Issue', 'Related Rule', 'Details'];
+    const rows = reports.flatMap(report => report.issues.map(issue => [
+      report.objectName,
+      issue.ruleName,
+      issue.active ? 'TRUE' : 'FALSE',
+      issue.severity,
+      ISSUE_LABELS[issue.type] || issue.type,
+      issue.relatedRule || '',
+      issue.message
+    ]));
+
+    return [headers, ...rows];
+  }
+};
+
+export default ValidationRuleAnalyzer;
@@ -4,8 +4,19 @@
 
 import SalesforceAPI from './api-client.js';
 import SessionManager from './session-manager.js';
+import DeploymentHistoryAPI from './deployment-history-api.js';
+import FormulaEvaluator from './formula-evaluator.js';
+import ValidationRuleAnalyzer from './validation-rule-analyzer.js';
 
 class ValidationRuleAPI {
+  // Salesforce limits for the editable attributes of a rule
+  static MAX_FORMULA_LENGTH = 3900;
+  static MAX_ERROR_MESSAGE_LENGTH = 255;
+  static MAX_DESCRIPTION_LENGTH = 1000;
+
+  // Functions offered by the formula editor's autocomplete
+  static FORMULA_FUNCTIONS = FormulaEvaluator.getFunctionNames();
+
   /**
    * Query ValidationRule records with optional filters
    * @param {object} options - Query options
@@ -13,9 +24,10 @@ class ValidationRuleAPI {
    * @param {boolean} options.activeOnly - Filter by Active status
    * @param {string} options.searchTerm - Search in name, error message, or formula
    * @param {number} options.limit - Maximum number of records to return (default 2000)
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<Array>} Array of validation rule records
    */
-  static async getValidationRules(options = {}) {
+  static async getValidationRules(options = {}, session = null) {
     const { objectName, activeOnly, searchTerm, limit = 2000 } = options;
 
     // Build WHERE clause
@@ -48,7 +60,7 @@ class ValidationRuleAPI {
     const endpoint = `/services/data/v59.0/tooling/query/?q=${encodeURIComponent(query)}`;
 
     try{
-      const response = await SalesforceAPI.callAPI(endpoint);
+      const response = await SalesforceAPI.callAPI(endpoint, { session });
       let rules = response.records || [];
 
       // Fetch object labels for all EntityDefinitionIds
@@ -56,7 +68,7 @@ class ValidationRuleAPI {
       let entityLabels = new Map();
 
       if (entityIds.length > 0) {
-        entityLabels = await this.getEntityDefinitionLabels(entityIds);
+        entityLabels = await this.getEntityDefinitionLabels(entityIds, session);
       }
 
       // Enrich rules with object labels and API names
@@ -98,10 +110,11 @@ class ValidationRuleAPI {
   /**
    * Get validation rules grouped by object
    * @param {object} options - Query options
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<object>} Object grouped by SObject name
    */
-  static async getValidationRulesByObject(options = {}) {
-    const rules = await this.getValidationRules(options);
+  static async getValidationRulesByObject(options = {}, session = null) {
+    const rules = await this.getValidationRules(options, session);
 
     const grouped = {};
     rules.forEach(rule => {
@@ -122,9 +135,10 @@ class ValidationRuleAPI {
   /**
    * Get a single validation rule by ID
    * @param {string} ruleId - The ValidationRule Id
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<object>} Validation rule record
    */
-  static async getValidationRule(ruleId) {
+  static async getValidationRule(ruleId, session = null) {
     const query = `
       SELECT Id, ValidationName, Active, Description,
              ErrorDisplayField, ErrorMessage, EntityDefinitionId,
@@ -137,7 +151,7 @@ class ValidationRuleAPI {
     const endpoint = `/services/data/v59.0/tooling/query/?q=${encodeURIComponent(query)}`;
 
     try {
-      const response = await SalesforceAPI.callAPI(endpoint);
+      const response = await SalesforceAPI.callAPI(endpoint, { session });
       if (!response.records || response.records.length === 0) {
         throw new Error(`Validation rule not found: ${ruleId}`);
       }
@@ -153,9 +167,10 @@ class ValidationRuleAPI {
    * Due to Salesforce limitation, Metadata must be fetched one at a time
    * @param {Array} rules - Array of rule records (with Id)
    * @param {Function} progressCallback - Optional callback for progress updates
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<Array>} Rules with Metadata populated
    */
-  static async fetchMetadataForRules(rules, progressCallback = null) {
+  static async fetchMetadataForRules(rules, progressCallback = null, session = null) {
     const rulesWithMetadata = [];
 
     for (let i = 0; i < rules.length; i++) {
@@ -163,7 +178,7 @@ class ValidationRuleAPI {
 
       try {
         // Fetch individual rule with Metadata
-        const fullRule = await this.getValidationRule(rule.Id);
+        const fullRule = await this.getValidationRule(rule.Id, session);
         rulesWithMetadata.push({
           ...rule,
           Metadata: fullRule.Metadata,
@@ -186,9 +201,10 @@ class ValidationRuleAPI {
 
   /**
    * Get summary statistics for validation rules
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<object>} Summary statistics
    */
-  static async getValidationRuleSummary() {
+  static async getValidationRuleSummary(session = null) {
     try {
       // Query all rules and calculate counts client-side
       // Tooling API has limited support for aggregate functions
@@ -199,7 +215,7 @@ class ValidationRuleAPI {
 
       const endpoint = `/services/data/v59.0/tooling/query/?q=${encodeURIComponent(query)}`;
 
-      const response = await SalesforceAPI.callAPI(endpoint);
+      const response = await SalesforceAPI.callAPI(endpoint, { session });
 
       const summary = {
         active: 0,
@@ -235,9 +251,10 @@ class ValidationRuleAPI {
 
   /**
    * Get list of objects that have validation rules
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<Array>} Array of object names
    */
-  static async getObjectsWithValidationRules() {
+  static async getObjectsWithValidationRules(session = null) {
     // Query all rules and aggregate client-side
     // Avoiding relationship fields that cause 500 errors
     const query = `
@@ -248,7 +265,7 @@ class ValidationRuleAPI {
     const endpoint = `/services/data/v59.0/tooling/query/?q=${encodeURIComponent(query)}`;
 
     try {
-      const response = await SalesforceAPI.callAPI(endpoint);
+      const response = await SalesforceAPI.callAPI(endpoint, { session });
 
       // Aggregate counts client-side by EntityDefinitionId
       const objectMap = new Map();
@@ -272,7 +289,7 @@ class ValidationRuleAPI {
       // Fetch labels for all objects using EntityDefinition IDs
       const entityIds = Array.from(objectMap.keys());
       if (entityIds.length > 0) {
-        const entityLabels = await this.getEntityDefinitionLabels(entityIds);
+        const entityLabels = await this.getEntityDefinitionLabels(entityIds, session);
 
         // Update the map with actual labels and API names
         // Map.forEach receives (value, key) as parameters
@@ -299,9 +316,10 @@ class ValidationRuleAPI {
   /**
    * Get labels for EntityDefinition records
    * @param {Array} entityIds - Array of EntityDefinition record IDs
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<Map>} Map of entityId -> {label, apiName}
    */
-  static async getEntityDefinitionLabels(entityIds) {
+  static async getEntityDefinitionLabels(entityIds, session = null) {
     // Build IN clause for the query - EntityDefinitionId is the record ID
     const inClause = entityIds.map(id => `'${id}'`).join(',');
 
@@ -315,7 +333,7 @@ class ValidationRuleAPI {
     const endpoint = `/services/data/v59.0/query/?q=${encodeURIComponent(query)}`;
 
     try {
-      const response = await SalesforceAPI.callAPI(endpoint);
+      const response = await SalesforceAPI.callAPI(endpoint, { session });
 
       const labelMap = new Map();
       response.records?.forEach(record => {
@@ -338,11 +356,12 @@ class ValidationRuleAPI {
    * Update validation rule active status using Tooling API
    * @param {string} ruleId - The ValidationRule Id
    * @param {boolean} active - New active status
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<object>} Result of update operation
    */
-  static async updateValidationRuleStatus(ruleId, active) {
+  static async updateValidationRuleStatus(ruleId, active, session = null) {
     // First get the full rule metadata
-    const rule = await this.getValidationRule(ruleId);
+    const rule = await this.getValidationRule(ruleId, session);
 
     if (!rule.Metadata) {
       throw new Error('Unable to retrieve rule metadata');
@@ -361,7 +380,8 @@ class ValidationRuleAPI {
         method: 'PATCH',
         body: {
           Metadata: updatedMetadata
-        }
+        },
+        session
       });
 
       return { success: true, ruleId, active };
@@ -374,9 +394,10 @@ class ValidationRuleAPI {
   /**
    * Bulk update validation rule statuses
    * @param {Array} ruleUpdates - Array of {id, active} objects
+   * @param {object} session - Optional org session (defaults to the current one)
    * @returns {Promise<object>} Results of bulk update
    */
-  static async bulkUpdateValidationRuleStatus(ruleUpdates) {
+  static async bulkUpdateValidationRuleStatus(ruleUpdates, session = null) {
     const results = {
       success: [],
       errors: []
@@ -385,7 +406,7 @@ class ValidationRuleAPI {
     // Process updates sequentially to avoid hitting API limits
     for (const update of ruleUpdates) {
       try {
-        await this.updateValidationRuleStatus(update.id, update.active);
+        await this.updateValidationRuleStatus(update.id, update.active, session);
         results.success.push(update.id);
       } catch (error) {
         console.error('[ValidationRuleAPI] Error updating rule', update.id, ':', error);
@@ -399,6 +420,140 @@ class ValidationRuleAPI {
     return results;
   }
 
+  /**
+   * Get the fields of an object for the formula editor (autocomplete and error location)
+   * @param {string} objectName - Object API name
+   * @param {object} session - Optional org session (defaults to the current one)
+   * @returns {Promise<Array>} [{ name, label, type, relationshipName, referenceTo }] sorted by name
+   */
+  static async getObjectFields(objectName, session = null) {
+    const describe = await SalesforceAPI.getObjectMetadata(objectName, session);
+
+    return (describe.fields || [])
+      .map(field => ({
+        name: field.name,
+        label: field.label,
+        type: field.type,
+        relationshipName: field.relationshipName || null,
+        referenceTo: field.referenceTo || []
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Check edited rule attributes against Salesforce's limits before deploying
+   * @param {object} changes - { errorConditionFormula, errorMessage, description }
+   * @returns {Array} Error messages (empty when valid)
+   */
+  static validateRuleChanges(changes) {
+    const errors = [];
+    const formula = (changes.errorConditionFormula || '').trim();
+    const message = (changes.errorMessage || '').trim();
+
+    if (!formula) {
+      errors.push('Error condition formula is required');
+    } else if (formula.length > this.MAX_FORMULA_LENGTH) {
+      errors.push(`Formula is ${formula.length} characters; the limit is ${this.MAX_FORMULA_LENGTH}`);
+    }
+
+    if (!message) {
+      errors.push('Error message is required');
+    } else if (message.length > this.MAX_ERROR_MESSAGE_LENGTH) {
+      errors.push(`Error message is ${message.length} characters; the limit is ${this.MAX_ERROR_MESSAGE_LENGTH}`);
+    }
+
+    if ((changes.description || '').length > this.MAX_DESCRIPTION_LENGTH) {
+      errors.push(`Description is longer than ${this.MAX_DESCRIPTION_LENGTH} characters`);
+    }
+
+    // Functions that only Salesforce can evaluate are valid; syntax errors and unknown functions are not
+    if (formula) {
+      FormulaEvaluator.analyze(formula).diagnostics
+        .filter(diagnostic => diagnostic.code !== 'UNSUPPORTED_FUNCTION')
+        .forEach(diagnostic => errors.push(diagnostic.message));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Update a rule's formula, error message, error location, description and active flag using Tooling API
+   * Every attempt is added to the deployment history with the rule before and after
+   * @param {string} ruleId - The ValidationRule Id
+   * @param {object} changes - { errorConditionFormula, errorMessage, errorDisplayField, description, active }
+   * @param {object} session - Optional org session (defaults to the current one)
+   * @returns {Promise<object>} { success, ruleId, before, after }
+   */
+  static async updateValidationRule(ruleId, changes, session = null) {
+    const errors = this.validateRuleChanges(changes);
+    if (errors.length > 0) {
+      const error = new Error(errors.join('\n'));
+      error.code = 'INVALID_RULE';
+      throw error;
+    }
+
+    // Resolved up front so the deployment history records the org the rule was deployed to
+    const orgSession = await SalesforceAPI.getSession(session);
+    const rule = await this.getValidationRule(ruleId, orgSession);
+
+    if (!rule.Metadata) {
+      throw new Error('Unable to retrieve rule metadata');
+    }
+    if (rule.ManageableState === 'installed') {
+      throw new Error('Validation rules installed by a managed package cannot be edited');
+    }
+
+    const updatedMetadata = {
+      ...rule.Metadata,
+      errorConditionFormula: changes.errorConditionFormula.trim(),
+      errorMessage: changes.errorMessage.trim(),
+      errorDisplayField: changes.errorDisplayField || null,
+      description: changes.description?.trim() || null,
+      active: changes.active
+    };
+
+    const before = this.summarizeRuleMetadata(rule.Metadata);
+    const after = this.summarizeRuleMetadata(updatedMetadata);
+    const endpoint = `/services/data/v59.0/tooling/sobjects/ValidationRule/${ruleId}`;
+    const logEntry = {
+      metadataType: 'ValidationRule',
+      action: 'update',
+      // FullName is Object.RuleName
+      objectName: rule.FullName ? rule.FullName.split('.')[0] : rule.EntityDefinitionId,
+      componentName: rule.ValidationName,
+      before,
+      after
+    };
+
+    try {
+      await SalesforceAPI.callAPI(endpoint, {
+        method: 'PATCH',
+        body: {
+          Metadata: updatedMetadata
+        },
+        session: orgSession
+      });
+
+      await DeploymentHistoryAPI.logForSession(orgSession, { ...logEntry, status: 'success' });
+      console.log('[ValidationRuleAPI] Updated validation rule', rule.FullName || ruleId);
+      return { success: true, ruleId, before, after };
+    } catch (error) {
+      console.error('[ValidationRuleAPI] Error updating validation rule:', error);
+      await DeploymentHistoryAPI.logForSession(orgSession, { ...logEntry, status: 'failure', errorMessage: error.message });
+      throw error;
+    }
+  }
+
+  static summarizeRuleMetadata(metadata) {
+    return {
+      active: metadata.active,
+      errorConditionFormula: metadata.errorConditionFormula || '',
+      errorMessage: metadata.errorMessage || '',
+      errorDisplayField: metadata.errorDisplayField || null,
+      description: metadata.description || null
+    };
+  }
+
   /**
    * Export validation rules to JSON format
    * @param {Array} rules - Array of validation rule records
@@ -424,11 +579,12 @@ class ValidationRuleAPI {
   }
 
   /**
-   * Export validation rules to CSV format
+   * Build export rows for validation rules: a header row, then one row per rule
+   * Shared by the CSV and Excel exports so both have the same columns
    * @param {Array} rules - Array of validation rule records
-   * @returns {string} CSV string
+   * @returns {Array} Rows (arrays of cells) including the header
    */
-  static exportToCSV(rules) {
+  static toRows(rules) {
     const headers = [
       'Object API Name',
       'Object Label',
@@ -448,21 +604,27 @@ class ValidationRuleAPI {
       rule.EntityDefinition?.Label || rule.EntityDefinitionId || '',
       rule.ValidationName || '',
       rule.Active ? 'TRUE' : 'FALSE',
-      this.escapeCSV(rule.Description || ''),
-      this.escapeCSV(rule.Metadata?.errorConditionFormula || ''),
+      rule.Description || '',
+      rule.Metadata?.errorConditionFormula || '',
       rule.ErrorDisplayField || '',
-      this.escapeCSV(rule.ErrorMessage || ''),
+      rule.ErrorMessage || '',
       rule.NamespacePrefix || '',
       rule.LastModifiedDate || '',
       rule.LastModifiedBy?.Name || rule.LastModifiedById || ''
     ]);
 
-    const csv = [
-      headers.join(','),
-      ...rows.map(row => row.join(','))
-    ].join('\n');
+    return [headers, ...rows];
+  }
 
-    return csv;
+  /**
+   * Export validation rules to CSV format
+   * @param {Array} rules - Array of validation rule records
+   * @returns {string} CSV string
+   */
+  static exportToCSV(rules) {
+    return this.toRows(rules)
+      .map(row => row.map(cell => this.escapeCSV(cell)).join(','))
+      .join('\n');
   }
 
   /**
@@ -487,6 +649,12 @@ class ValidationRuleAPI {
   static parseFormulaFields(formula) {
     if (!formula) return [];
 
+    const analysis = FormulaEvaluator.analyze(formula);
+    if (analysis.ast) {
+      return analysis.references;
+    }
+
+    // Formulas that do not parse fall back to matching identifiers
     // Match field references like: FieldName, Object__r.FieldName, $User.Id
     const fieldPattern = /(?:\$[A-Za-z]+\.)?[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*/g;
     const matches = formula.match(fieldPattern) || [];
@@ -508,82 +676,209 @@ class ValidationRuleAPI {
     return [...new Set(fields)];
   }
 
+  /**
+   * Split a formula into tokens for syntax highlighting
+   * Joining the token texts gives back the formula unchanged
+   * @param {string} formula - Formula source
+   * @returns {Array} [{ type, text }] with type one of comment, string, number, function, keyword,
+   *   global, field, operator, punctuation, whitespace, other
+   */
+  static tokenizeFormula(formula) {
+    const patterns = [
+      ['comment', /^\/\*[\s\S]*?(?:\*\/|$)/],
+      ['string', /^"(?:[^"\\]|\\.)*(?:"|$)|^'(?:[^'\\]|\\.)*(?:'|$)/],
+      ['number', /^\d+(?:\.\d+)?/],
+      ['function', /^[A-Za-z_][A-Za-z0-9_]*(?=\s*\()/],
+      ['keyword', /^(?:TRUE|FALSE|NULL)\b/i],
+      ['global', /^\$[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*/],
+      ['field', /^[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*/],
+      ['operator', /^(?:==|!=|<>|<=|>=|&&|\|\||[+\-*\/^&=<>!])/],
+      ['punctuation', /^[(),]/],
+      ['whitespace', /^\s+/]
+    ];
+
+    const tokens = [];
+    let rest = formula || '';
+
+    while (rest.length > 0) {
+      let matched = false;
+      for (const [type, pattern] of patterns) {
+        const match = rest.match(pattern);
+        if (match && match[0].length > 0) {
+          tokens.push({ type, text: match[0] });
+          rest = rest.slice(match[0].length);
+          matched = true;
+          break;
+        }
+      }
+
+      if (!matched) {
+        tokens.push({ type: 'other', text: rest[0] });
+        rest = rest.slice(1);
+      }
+    }
+
+    return tokens;
+  }
+
   /**
    * Test a validation rule formula against sample data
-   * Note: This is a client-side simulation and may not be 100% accurate
+   * The rule fires (the record would be rejected) when the formula evaluates to true
    * @param {string} formula - The ErrorConditionFormula
-   * @param {object} record - Sample record data
-   * @returns {object} Test result with pass/fail and explanation
+   * @param {object} record - Sample record data; may hold `$User.X` globals, `PRIORVALUE(Field)` and `ISNEW()` columns
+   * @param {object} options - { fieldTypes: { FieldName: describe type }, globals: result of getFormulaGlobals }
+   * @returns {object} { tested, formula, result, fires, fieldsUsed, values, warnings, message }
+   *   or { tested: false, formula, error, code, fieldsUsed } when the formula cannot be evaluated
    */
-  static testFormula(formula, record) {
+  static testFormula(formula, record, options = {}) {
     try {
-      // This is a simplified formula evaluator
-      // For production, you'd want to use Salesforce's formula evaluation API
-
-      // Replace field references with values
-      let evaluatedFormula = formula;
-
-      // Get all field references
-      const fields = this.parseFormulaFields(formula);
-
-      // Replace field references with actual values
-      for (const field of fields) {
-        const value = this.getFieldValue(record, field);
-
-        // Handle different value types
-        if (value === null || value === undefined) {
-          evaluatedFormula = evaluatedFormula.replace(new RegExp(this.escapeRegex(field), 'g'), 'null');
-        } else if (typeof value === 'string') {
-          evaluatedFormula = evaluatedFormula.replace(new RegExp(this.escapeRegex(field), 'g'), `"${value}"`);
-        } else if (typeof value === 'boolean') {
-          evaluatedFormula = evaluatedFormula.replace(new RegExp(this.escapeRegex(field), 'g'), value.toString());
-        } else {
-          evaluatedFormula = evaluatedFormula.replace(new RegExp(this.escapeRegex(field), 'g'), value);
-        }
-      }
+      const evaluation = FormulaEvaluator.evaluateCondition(formula, record, options);
 
-      // Return the result
       return {
         tested: true,
         formula: formula,
-        evaluatedFormula: evaluatedFormula,
-        fieldsUsed: fields,
-        message: 'Formula parsed successfully. Server-side evaluation recommended for accuracy.'
+        result: evaluation.result,
+        fires: evaluation.fires,
+        fieldsUsed: evaluation.references,
+        values: evaluation.values,
+        warnings: evaluation.warnings,
+        message: evaluation.fires
+          ? 'Rule fires: the record would be rejected'
+          : 'Rule passes: the record would be saved'
       };
     } catch (error) {
-      console.error('[ValidationRuleAPI] Error testing formula:', error);
+      if (!error.code) {
+        console.error('[ValidationRuleAPI] Error testing formula:', error);
+      }
       return {
         tested: false,
-        error: error.message
+        formula: formula,
+        error: error.message,
+        code: error.code || 'FORMULA_ERROR',
+        fieldsUsed: this.parseFormulaFields(formula)
       };
     }
   }
 
   /**
-   * Get a nested field value from a record
-   * @param {object} record - The record object
-   * @param {string} fieldPath - Field path (e.g., 'Account.Name' or 'Status')
-   * @returns {any} The field value
+   * Get the running user's $User, $Profile, $UserRole and $Organization values for formula tests
+   * @param {object} session - Optional org session (defaults to the current one)
+   * @returns {Promise<object>} { $User: {...}, $Profile: {...}, $UserRole: {...}, $Organization: {...} }
    */
-  static getFieldValue(record, fieldPath) {
-    const parts = fieldPath.split('.');
-    let value = record;
-
-    for (const part of parts) {
-      if (value === null || value === undefined) return null;
-      value = value[part];
+  static async getFormulaGlobals(session = null) {
+    const userInfo = await SalesforceAPI.callAPI('/services/oauth2/userinfo', { session });
+    const result = await SalesforceAPI.query(`
+      SELECT Id, Username, FirstName, LastName, Name, Email, Alias, CommunityNickname, UserType, IsActive,
+             LanguageLocaleKey, LocaleSidKey, TimeZoneSidKey, Department, Division, Title, CompanyName,
+             ProfileId, Profile.Name, UserRoleId, UserRole.Name, UserRole.DeveloperName
+      FROM User
+      WHERE Id = '${userInfo.user_id}'
+    `, session);
+
+    const user = result.records?.[0];
+    if (!user) {
+      throw new Error('Could not read the current user');
     }
 
-    return value;
+    const { attributes, Profile, UserRole, ...userFields } = user;
+
+    return {
+      $User: userFields,
+      $Profile: { Id: user.ProfileId, Name: Profile?.Name || null },
+      $UserRole: { Id: user.UserRoleId, Name: UserRole?.Name || null, DeveloperName: UserRole?.DeveloperName || null },
+      $Organization: { Id: userInfo.organization_id }
+    };
   }
 
   /**
-   * Escape special regex characters
-   * @param {string} string - The string to escape
-   * @returns {string} Escaped string
+   * Get the current org's name and whether it is a sandbox
+   * @param {object} session - Optional org session (defaults to the current one)
+   * @returns {Promise<object>} { id, name, isSandbox, organizationType }
    */
-  static escapeRegex(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  static async getOrganizationInfo(session = null) {
+    const result = await SalesforceAPI.query('SELECT Id, Name, IsSandbox, OrganizationType FROM Organization LIMIT 1', session);
+    const org = result.records?.[0] || {};
+
+    return {
+      id: org.Id || null,
+      name: org.Name || null,
+      isSandbox: !!org.IsSandbox,
+      organizationType: org.OrganizationType || null
+    };
+  }
+
+  /**
+   * Insert or update a record and roll the save back, to see which validation rules fire
+   * The composite request runs with allOrNone and ends with a delete of a record that cannot exist,
+   * so the transaction always fails and nothing is committed (triggers and flows run, but are rolled back too)
+   * @param {string} objectName - Object API name
+   * @param {object} testCase - { operation: 'insert' | 'update', recordId, record }
+   * @param {object} session - Optional org session (defaults to the current one)
+   * @returns {Promise<object>} { saved, validationErrors: [{ message, fields }], otherErrors: [{ errorCode, message, fields }],
+   *   committed, cleanedUp }
+   */
+  static async trySaveRecord(objectName, testCase, session = null) {
+    const { attributes, Id, ...fields } = testCase.record;
+    const update = testCase.operation === 'update';
+    const sobjectUrl = `/services/data/v59.0/sobjects/${objectName}`;
+
+    const response = await SalesforceAPI.callAPI('/services/data/v59.0/composite', {
+      method: 'POST',
+      body: {
+        allOrNone: true,
+        compositeRequest: [
+          {
+            method: update ? 'PATCH' : 'POST',
+            url: update ? `${sobjectUrl}/${testCase.recordId}` : sobjectUrl,
+            referenceId: 'testRecord',
+            body: fields
+          },
+          {
+            method: 'DELETE',
+            url: `${sobjectUrl}/000000000000000AAA`,
+            referenceId: 'rollback'
+          }
+        ]
+      },
+      session
+    });
+
+    const [saveResponse] = response.compositeResponse || [];
+    if (!saveResponse) {
+      throw new Error('Composite response did not include the test record');
+    }
+
+    const result = { saved: false, validationErrors: [], otherErrors: [], committed: false, cleanedUp: false };
+
+    // A successful status means the rollback did not happen; undo an insert by hand
+    if (saveResponse.httpStatusCode >= 200 && saveResponse.httpStatusCode < 300) {
+      console.warn('[ValidationRuleAPI] Test save was not rolled back:', saveResponse.body);
+      result.saved = true;
+      result.committed = true;
+      if (!update && saveResponse.body?.id) {
+        try {
+          await SalesforceAPI.callAPI(`${sobjectUrl}/${saveResponse.body.id}`, { method: 'DELETE', session });
+          result.cleanedUp = true;
+        } catch (error) {
+          console.error('[ValidationRuleAPI] Could not delete test record', saveResponse.body.id, error);
+        }
+      }
+      return result;
+    }
+
+    const errors = Array.isArray(saveResponse.body) ? saveResponse.body : [];
+    errors.forEach(error => {
+      if (error.errorCode === 'PROCESSING_HALTED') {
+        // The save itself succeeded and was rolled back with the rest of the request
+        result.saved = true;
+      } else if (error.errorCode === 'FIELD_CUSTOM_VALIDATION_EXCEPTION') {
+        result.validationErrors.push({ message: error.message, fields: error.fields || [] });
+      } else {
+        result.otherErrors.push({ errorCode: error.errorCode, message: error.message, fields: error.fields || [] });
+      }
+    });
+
+    return result;
   }
 
   /**
@@ -682,7 +977,7 @@ class ValidationRuleAPI {
       }
 
       // Track object coverage
-      const objectName = rule.EntityDefinition?.QualifiedApiName || rule.EntityDefinitionId || 'Unknown';
+      const objectName = rule.ObjectApiName || rule.EntityDefinition?.QualifiedApiName || rule.EntityDefinitionId || 'Unknown';
       if (!analysis.objectCoverage[objectName]) {
         analysis.objectCoverage[objectName] = { total: 0, active: 0 };
       }
@@ -705,6 +1000,116 @@ class ValidationRuleAPI {
 
     return analysis;
   }
+
+  /**
+   * Analyze rule formulas per object: missing or inaccessible fields, duplicate and overlapping conditions,
+   * rules that always or never fire, and error display fields that are on no page layout
+   * Formulas and layouts can only be read one at a time, so this takes a while on orgs with many rules
+   * @param {Array} rules - Validation rules (from getValidationRules)
+   * @param {Function} progressCallback - Optional callback(message)
+   * @param {object} session - Optional org session (defaults to the current one)
+   * @returns {Promise<object>} { analyzedAt, objects: [report per object], counts: { error, warning, info } }
+   */
+  static async analyzeFormulas(rules, progressCallback = null, session = null) {
+    const progress = message => progressCallback && progressCallback(message);
+
+    const rulesWithMetadata = await this.fetchMetadataForRules(rules, (done, total) => {
+      progress(`Reading formulas (${done}/${total})...`);
+    }, session);
+
+    const byObject = new Map();
+    rulesWithMetadata.forEach(rule => {
+      const objectName = rule.ObjectApiName || 'Unknown';
+      if (!byObject.has(objectName)) byObject.set(objectName, []);
+      byObject.get(objectName).push(rule);
+    });
+
+    // Describes are shared between objects (Account, User, ... are reached from many of them)
+    const schema = new Map();
+    const reports = [];
+
+    for (const [objectName, objectRules] of [...byObject.entries()].sort((a, b) => a[0].localeCompare(b[0]))) {
+      progress(`Analyzing ${objectName}...`);
+
+      const prepared = objectRules.map(rule => ValidationRuleAnalyzer.prepareRule(rule));
+      await this.loadAnalysisSchema(objectName, prepared, schema, session);
+
+      let layoutFields = null;
+      try {
+        layoutFields = await this.getLayoutFields(objectRules[0].EntityDefinitionId, session);
+      } catch (error) {
+        console.warn('[ValidationRuleAPI] Could not read page layouts of', objectName, error.message);
+      }
+
+      reports.push(ValidationRuleAnalyzer.analyzeObject({ objectName, rules: prepared, schema, layoutFields }));
+    }
+
+    const counts = { error: 0, warning: 0, info: 0 };
+    reports.forEach(report => {
+      Object.keys(counts).forEach(severity => { counts[severity] += report.counts[severity]; });
+    });
+
+    console.log('[ValidationRuleAPI] Formula analysis:', counts);
+    return { analyzedAt: new Date().toISOString(), objects: reports, counts };
+  }
+
+  /**
+   * Describe an object and every object its rules reach through relationships
+   * @param {string} objectName - Object API name
+   * @param {Array} preparedRules - ValidationRuleAnalyzer.prepareRule() results
+   * @param {Map} schema - Shared describe cache (lowercase object name -> schema, null when not accessible)
+   * @param {object} session - Optional org session (defaults to the current one)
+   */
+  static async loadAnalysisSchema(objectName, preparedRules, schema, session = null) {
+    let pending = new Set([objectName]);
+
+    // Each pass follows one more relationship level; Salesforce allows at most 10
+    for (let depth = 0; pending.size > 0 && depth <= 10; depth++) {
+      for (const name of pending) {
+        if (schema.has(name.toLowerCase())) continue;
+
+        try {
+          const describe = await SalesforceAPI.getObjectMetadata(name, session);
+          schema.set(name.toLowerCase(), ValidationRuleAnalyzer.buildObjectSchema(describe));
+        } catch (error) {
+          console.warn('[ValidationRuleAPI] Could not describe', name, error.message);
+          schema.set(name.toLowerCase(), null);
+        }
+      }
+      pending = ValidationRuleAnalyzer.collectPendingObjects(objectName, preparedRules, schema);
+    }
+  }
+
+  /**
+   * Get every field placed on any page layout of an object
+   * @param {string} tableEnumOrId - Object name for standard objects, object ID for custom ones (a rule's EntityDefinitionId)
+   * @param {object} session - Optional org session (defaults to the current one)
+   * @returns {Promise<Set|null>} Lowercase field names, or null when the object has no layouts to check
+   */
+  static async getLayoutFields(tableEnumOrId, session = null) {
+    const query = `SELECT Id, Name FROM Layout WHERE TableEnumOrId = '${tableEnumOrId}'`;
+    const response = await SalesforceAPI.callAPI(`/services/data/v59.0/tooling/query/?q=${encodeURIComponent(query)}`, { session });
+    const layouts = response.records || [];
+
+    if (layouts.length === 0) {
+      return null;
+    }
+
+    const fields = new Set();
+    for (const layout of layouts) {
+      // Layout Metadata can only be read one record at a time
+      const detail = await SalesforceAPI.callAPI(`/services/data/v59.0/tooling/sobjects/Layout/${layout.Id}`, { session });
+      (detail.Metadata?.layoutSections || []).forEach(section => {
+        (section.layoutColumns || []).forEach(column => {
+          (column.layoutItems || []).forEach(item => {
+            if (item.field) fields.add(item.field.toLowerCase());
+          });
+        });
+      });
+    }
+
+    return fields;
+  }
 }
 
 export default ValidationRuleAPI;
@@ -0,0 +1,417 @@
+/**
+ * Validation Rule Bypass
+ * Time-boxed bypass sessions for data loads: the chosen validation rules are deactivated, and the service
+ * worker reactivates exactly those rules when the window expires or the next migration into the org finishes.
+ * A session is stored before any rule is touched, so the rules are still restored after a browser restart.
+ */
+
+import SessionRegistry from './session-registry.js';
+import RequestClient from './request-client.js';
+
+const BYPASSES_KEY = 'validationRuleBypasses';
+const ALARM_PREFIX = 'validationBypass_';
+const NOTIFICATION_PREFIX = 'validationBypass_';
+const MAX_DURATION_MINUTES = 24 * 60;
+const RETRY_MINUTES = 5;
+const MAX_RETRY_MINUTES = 60; // Rules that fail to reactivate are retried with backoff up to this interval
+const MAX_ENDED = 20;
+
+const STATUS = {
+  ACTIVE: 'active',
+  RESTORED: 'restored',
+  FAILED: 'failed'
+};
+
+class ValidationRuleBypass {
+  static STATUS = STATUS;
+  static STORAGE_KEY = BYPASSES_KEY;
+  static MAX_DURATION_MINUTES = MAX_DURATION_MINUTES;
+
+  // Bypasses being restored by this instance; an expiry alarm and a finished migration can arrive together
+  static restoringIds = new Set();
+
+  // Serializes writes to the bypass list so concurrent starts, restores and retries don't drop each other's records
+  static writeQueue = Promise.resolve();
+
+  /**
+   * Deactivate rules for a limited time
+   * The session is saved and its alarm set first, so the rules come back even if this page closes mid-way
+   * @param {Object} session - Session of the org the rules belong to
+   * @param {Array} rules - Validation rules ({ Id, ValidationName, ObjectApiName, Active })
+   * @param {Object} options - { durationMinutes, untilMigration: also restore when a migration into the org finishes }
+   * @returns {Promise<Object>} { bypass, errors: [{ id, name, error }] } for rules that could not be deactivated
+   */
+  static async start(session, rules, { durationMinutes, untilMigration = false } = {}) {
+    if (!session?.sessionId || !session.instanceUrl) {
+      throw new Error('Invalid session: missing session ID or instance URL.');
+    }
+    if (!Number.isFinite(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_DURATION_MINUTES) {
+      throw this.invalidBypass(`duration must be between 1 and ${MAX_DURATION_MINUTES} minutes`);
+    }
+
+    const activeRules = rules.filter(rule => rule.Active);
+    if (activeRules.length === 0) {
+      throw this.invalidBypass('none of the selected rules are active');
+    }
+
+    const orgId = session.orgId || session.sessionId.substring(0, 15);
+    const alreadyBypassed = new Set((await this.getActiveBypasses(orgId)).flatMap(bypass => bypass.rules.filter(rule => !rule.restored).map(rule => rule.id)));
+    const overlapping = activeRules.filter(rule => alreadyBypassed.has(rule.Id));
+    if (overlapping.length > 0) {
+      const error = new Error(`Already bypassed: ${overlapping.map(rule => rule.ValidationName).join(', ')}`);
+      error.code = 'RULE_ALREADY_BYPASSED';
+      throw error;
+    }
+
+    const now = Date.now();
+    const bypass = {
+      id: this.generateBypassId(),
+      status: STATUS.ACTIVE,
+      org: {
+        orgId,
+        orgName: session.orgName || new URL(session.instanceUrl).hostname,
+        instanceUrl: session.instanceUrl
+      },
+      rules: activeRules.map(rule => ({
+        id: rule.Id,
+        name: rule.ValidationName,
+        objectName: rule.ObjectApiName || null,
+        restored: false,
+        error: null
+      })),
+      durationMinutes,
+      untilMigration,
+      startedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + durationMinutes * 60 * 1000).toISOString(),
+      endedAt: null,
+      endReason: null,
+      lastError: null,
+      restoreAttempts: 0,
+      nextRetryAt: null
+    };
+
+    await this.saveBypass(bypass);
+    await chrome.alarms.create(ALARM_PREFIX + bypass.id, { when: now + durationMinutes * 60 * 1000 });
+
+    const errors = [];
+    for (const rule of bypass.rules) {
+      try {
+        await this.setRuleActive(session, rule.id, false);
+      } catch (error) {
+        console.error('[ValidationRuleBypass] Could not deactivate', rule.name, error);
+        errors.push({ id: rule.id, name: rule.name, error: error.message });
+      }
+    }
+
+    // Rules that stayed active are not part of the bypass
+    const failedIds = new Set(errors.map(error => error.id));
+    bypass.rules = bypass.rules.filter(rule => !failedIds.has(rule.id));
+
+    if (bypass.rules.length === 0) {
+      await this.deleteBypass(bypass.id);
+      const error = new Error(`No rules could be deactivated: ${errors[0].error}`);
+      error.code = 'BYPASS_FAILED';
+      throw error;
+    }
+
+    await this.saveBypass(bypass);
+
+    console.log('[ValidationRuleBypass] Started', bypass.id, 'for', bypass.rules.length, 'rules until', bypass.expiresAt);
+    return { bypass, errors };
+  }
+
+  /**
+   * Reactivate the rules of a bypass
+   * Without a session for the org the attempt is retried every few minutes until someone logs in again;
+   * rules that fail to reactivate keep the bypass FAILED and are retried with backoff until they succeed
+   * @param {string} bypassId - Bypass ID
+   * @param {string} reason - 'expired', 'migration' or 'manual'
+   * @returns {Promise<Object|null>} Updated bypass
+   */
+  static async restore(bypassId, reason = 'manual') {
+    if (this.restoringIds.has(bypassId)) {
+      return this.getBypass(bypassId);
+    }
+
+    this.restoringIds.add(bypassId);
+    try {
+      const bypass = await this.getBypass(bypassId);
+      if (!bypass || bypass.status === STATUS.RESTORED) {
+        return bypass;
+      }
+
+      const session = await this.findSession(bypass.org);
+      if (!session) {
+        const firstMiss = !bypass.lastError;
+        bypass.lastError = `No active session for ${bypass.org.orgName}. Log in to the org in a browser tab to restore the rules.`;
+        await this.scheduleRetry(bypass, RETRY_MINUTES);
+
+        console.warn('[ValidationRuleBypass] No session to restore', bypass.id, '- retrying in', RETRY_MINUTES, 'minutes');
+        if (firstMiss) {
+          this.notify(bypass, 'Validation rules not restored yet', `${bypass.lastError} Retrying every ${RETRY_MINUTES} minutes.`);
+        }
+        return bypass;
+      }
+
+      for (const rule of bypass.rules.filter(r => !r.restored)) {
+        try {
+          await this.setRuleActive(session, rule.id, true);
+          rule.restored = true;
+          rule.error = null;
+        } catch (error) {
+          console.error('[ValidationRuleBypass] Could not reactivate', rule.name, error);
+          rule.error = error.message;
+        }
+      }
+
+      const failed = bypass.rules.filter(rule => !rule.restored);
+      const firstFailure = bypass.status !== STATUS.FAILED;
+      bypass.status = failed.length > 0 ? STATUS.FAILED : STATUS.RESTORED;
+      bypass.endedAt = bypass.endedAt || new Date().toISOString();
+      bypass.endReason = bypass.endReason || reason;
+      bypass.lastError = failed.length > 0 ? `${failed.length} rule(s) could not be reactivated` : null;
+
+      if (failed.length > 0) {
+        bypass.restoreAttempts = (bypass.restoreAttempts || 0) + 1;
+        const delayMinutes = Math.min(RETRY_MINUTES * 2 ** (bypass.restoreAttempts - 1), MAX_RETRY_MINUTES);
+        await this.scheduleRetry(bypass, delayMinutes);
+
+        console.warn('[ValidationRuleBypass]', failed.length, 'rule(s) of', bypass.id, 'still inactive - retrying in', delayMinutes, 'minutes');
+        if (firstFailure) {
+          this.notify(bypass, 'Some validation rules are still inactive',
+            `Could not reactivate ${failed.map(rule => rule.name).join(', ')} in ${bypass.org.orgName}. Retrying automatically, or open Validation Rules to retry now.`);
+        }
+        return bypass;
+      }
+
+      bypass.nextRetryAt = null;
+      await this.saveBypass(bypass);
+      await chrome.alarms.clear(ALARM_PREFIX + bypass.id);
+
+      console.log('[ValidationRuleBypass] Restored', bypass.id, `(${reason})`);
+      this.notify(bypass, 'Validation rules restored',
+        `Reactivated ${bypass.rules.length} validation rule(s) in ${bypass.org.orgName} (${this.describeReason(bypass.endReason)}).`);
+
+      return bypass;
+    } finally {
+      this.restoringIds.delete(bypassId);
+    }
+  }
+
+  /**
+   * Restore the bypasses of an org that were set to end with the next migration
+   * @param {string} orgId - Target org of the finished migration
+   * @returns {Promise<Array>} Restored bypasses
+   */
+  static async endAfterMigration(orgId) {
+    const bypasses = (await this.getActiveBypasses(orgId)).filter(bypass => bypass.untilMigration);
+    const restored = [];
+
+    for (const bypass of bypasses) {
+      restored.push(await this.restore(bypass.id, 'migration'));
+    }
+    return restored;
+  }
+
+  /**
+   * Restore bypasses that expired or were due for a retry while the browser was closed, and re-arm the alarms of the others
+   * Called when the service worker starts
+   */
+  static async resumeAll() {
+    const bypasses = await this.getActiveBypasses();
+
+    for (const bypass of bypasses) {
+      const alarmName = ALARM_PREFIX + bypass.id;
+      const dueAt = new Date(bypass.nextRetryAt || bypass.expiresAt).getTime();
+      if (dueAt <= Date.now()) {
+        await this.restore(bypass.id, 'expired');
+      } else if (!(await chrome.alarms.get(alarmName))) {
+        await chrome.alarms.create(alarmName, { when: dueAt });
+      }
+    }
+
+    if (bypasses.length > 0) {
+      console.log('[ValidationRuleBypass] Checked', bypasses.length, 'open bypass(es)');
+    }
+  }
+
+  /**
+   * Handle a chrome.alarms event
+   * @param {Object} alarm - Alarm
+   * @returns {boolean} Whether the alarm belonged to a bypass
+   */
+  static handleAlarm(alarm) {
+    if (!alarm.name.startsWith(ALARM_PREFIX)) {
+      return false;
+    }
+
+    this.restore(alarm.name.substring(ALARM_PREFIX.length), 'expired').catch(error => {
+      console.error('[ValidationRuleBypass] Restore failed:', error);
+    });
+    return true;
+  }
+
+  /**
+   * Handle a notification click by opening the Validation Rules page
+   * @param {string} notificationId - Notification ID
+   * @returns {boolean} Whether the notification belonged to a bypass
+   */
+  static handleNotificationClick(notificationId) {
+    if (!notificationId.startsWith(NOTIFICATION_PREFIX)) {
+      return false;
+    }
+
+    chrome.tabs.create({ url: chrome.runtime.getURL('validation-rules/validation-rules.html') });
+    chrome.notifications.clear(notificationId);
+    return true;
+  }
+
+  // ==========================================================================
+  // Storage
+  // ==========================================================================
+
+  /**
+   * Get all stored bypasses, newest first
+   * @returns {Promise<Array>} Bypasses
+   */
+  static async getBypasses() {
+    const result = await chrome.storage.local.get(BYPASSES_KEY);
+    return result[BYPASSES_KEY] || [];
+  }
+
+  /**
+   * Get one bypass
+   * @param {string} bypassId - Bypass ID
+   * @returns {Promise<Object|null>} Bypass
+   */
+  static async getBypass(bypassId) {
+    return (await this.getBypasses()).find(bypass => bypass.id === bypassId) || null;
+  }
+
+  /**
+   * Get the bypasses that still have rules to restore
+   * @param {string} orgId - Optional org ID (15 or 18 characters) to limit to
+   * @returns {Promise<Array>} Active and failed bypasses
+   */
+  static async getActiveBypasses(orgId = null) {
+    return (await this.getBypasses()).filter(bypass =>
+      bypass.status !== STATUS.RESTORED &&
+      (!orgId || bypass.org.orgId === orgId.substring(0, 15))
+    );
+  }
+
+  static async saveBypass(bypass) {
+    await this.enqueue(async () => {
+      const others = (await this.getBypasses()).filter(b => b.id !== bypass.id);
+      const bypasses = [bypass, ...others].sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+
+      // Keep every open bypass, but only the most recent finished ones
+      const dropped = new Set(bypasses.filter(b => b.status === STATUS.RESTORED).slice(MAX_ENDED));
+
+      await chrome.storage.local.set({ [BYPASSES_KEY]: bypasses.filter(b => !dropped.has(b)) });
+    });
+  }
+
+  /**
+   * Save a bypass and set its alarm for the next restore attempt
+   * @param {Object} bypass - Bypass (modified in place)
+   * @param {number} delayMinutes - Minutes until the next attempt
+   */
+  static async scheduleRetry(bypass, delayMinutes) {
+    bypass.nextRetryAt = new Date(Date.now() + delayMinutes * 60 * 1000).toISOString();
+    await this.saveBypass(bypass);
+    await chrome.alarms.create(ALARM_PREFIX + bypass.id, { delayInMinutes: delayMinutes });
+  }
+
+  static async deleteBypass(bypassId) {
+    await this.enqueue(async () => {
+      const bypasses = (await this.getBypasses()).filter(bypass => bypass.id !== bypassId);
+      await chrome.storage.local.set({ [BYPASSES_KEY]: bypasses });
+    });
+    await chrome.alarms.clear(ALARM_PREFIX + bypassId);
+  }
+
+  static enqueue(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // ==========================================================================
+  // Helpers
+  // ==========================================================================
+
+  /**
+   * Switch a rule on or off in a specific org (the page's current org may have changed since the bypass began)
+   * @param {Object} session - Org session
+   * @param {string} ruleId - Validation rule ID
+   * @param {boolean} active - New status
+   */
+  static async setRuleActive(session, ruleId, active) {
+    const endpoint = `/services/data/v59.0/tooling/sobjects/ValidationRule/${ruleId}`;
+    const rule = await RequestClient.request(session, endpoint);
+
+    if (!rule.Metadata) {
+      throw new Error('Unable to retrieve rule metadata');
+    }
+
+    await RequestClient.request(session, endpoint, {
+      method: 'PATCH',
+      body: { Metadata: { ...rule.Metadata, active } }
+    });
+  }
+
+  /**
+   * Find a live session for the org of a bypass, rescanning open tabs once
+   * @param {Object} org - { orgId, orgName, instanceUrl }
+   * @returns {Promise<Object|null>} Org session
+   */
+  static async findSession(org) {
+    const session = await SessionRegistry.get(org.orgId);
+    if (session) {
+      return session;
+    }
+
+    try {
+      await SessionRegistry.discover();
+    } catch (error) {
+      console.warn('[ValidationRuleBypass] Could not scan tabs for sessions:', error.message);
+    }
+    return SessionRegistry.get(org.orgId);
+  }
+
+  static notify(bypass, title, message) {
+    chrome.notifications.create(NOTIFICATION_PREFIX + bypass.id, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title,
+      message,
+      priority: 1,
+      requireInteraction: bypass.status !== STATUS.RESTORED
+    });
+  }
+
+  static describeReason(reason) {
+    return {
+      expired: 'bypass window ended',
+      migration: 'migration finished',
+      manual: 'restored manually'
+    }[reason] || reason;
+  }
+
+  static invalidBypass(reason) {
+    const error = new Error(`Invalid bypass: ${reason}`);
+    error.code = 'INVALID_BYPASS';
+    return error;
+  }
+
+  /**
+   * Generate unique bypass ID
+   * @returns {string} Bypass ID
+   */
+  static generateBypassId() {
+    return `byp_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  }
+}
+
+export default ValidationRuleBypass;
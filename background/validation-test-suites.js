@@ -0,0 +1,320 @@
+/**
+ * Validation Test Suites
+ * Saved regression tests for validation rules: sample records for one object with the rules each record
+ * is expected to fire or pass. Suites run against a live org (ideally a sandbox) by saving each record in
+ * a transaction that is always rolled back, and can be exported as JSON to rerun after each release.
+ */
+
+import ValidationRuleAPI from './validation-rule-api.js';
+
+const SUITES_KEY = 'validationRuleTestSuites';
+const SUITE_FORMAT = 'validation-rule-test-suite';
+const SUITE_VERSION = 1;
+
+const OPERATIONS = ['insert', 'update'];
+const EXPECTATIONS = ['fires', 'passes'];
+
+const ValidationTestSuites = {
+
+  /**
+   * Build an empty suite
+   * @param {string} name - Suite name
+   * @param {string} objectName - Object API name the records are saved to
+   * @returns {Object} Suite
+   */
+  buildSuite(name, objectName) {
+    return {
+      format: SUITE_FORMAT,
+      version: SUITE_VERSION,
+      name,
+      objectName,
+      savedAt: new Date().toISOString(),
+      cases: [],
+      lastRun: null
+    };
+  },
+
+  /**
+   * Build a test case
+   * @param {string} name - Case name
+   * @returns {Object} { name, operation, recordId, record, expectations: { RuleName: 'fires' | 'passes' } }
+   */
+  buildCase(name) {
+    return {
+      name,
+      operation: 'insert',
+      recordId: '',
+      record: {},
+      expectations: {}
+    };
+  },
+
+  // ==========================================================================
+  // Saved suites
+  // ==========================================================================
+
+  /**
+   * Get all saved suites
+   * @returns {Promise<Array>} Suites sorted by name
+   */
+  async loadSuites() {
+    const result = await chrome.storage.local.get(SUITES_KEY);
+    return result[SUITES_KEY] || [];
+  },
+
+  /**
+   * Save (or overwrite by name) a suite
+   * @param {Object} suite - Suite
+   * @returns {Promise<Array>} Updated suites
+   */
+  async saveSuite(suite) {
+    const suites = (await this.loadSuites()).filter(s => s.name !== suite.name);
+    suites.push({ ...suite, savedAt: new Date().toISOString() });
+    suites.sort((a, b) => a.name.localeCompare(b.name));
+
+    await chrome.storage.local.set({ [SUITES_KEY]: suites });
+    return suites;
+  },
+
+  /**
+   * Delete a saved suite
+   * @param {string} name - Suite name
+   * @returns {Promise<Array>} Updated suites
+   */
+  async deleteSuite(name) {
+    const suites = (await this.loadSuites()).filter(s => s.name !== name);
+    await chrome.storage.local.set({ [SUITES_KEY]: suites });
+    return suites;
+  },
+
+  // ==========================================================================
+  // Import / export
+  // ==========================================================================
+
+  /**
+   * Serialize a suite for sharing; the last run belongs to the org it ran in and is left out
+   * @param {Object} suite - Suite
+   * @returns {string} JSON
+   */
+  exportSuite(suite) {
+    const { lastRun, ...portable } = suite;
+    return JSON.stringify(portable, null, 2);
+  },
+
+  /**
+   * Parse and validate an exported suite
+   * @param {string} json - Suite JSON
+   * @returns {Object} Suite
+   */
+  parseSuite(json) {
+    let suite;
+    try {
+      suite = JSON.parse(json);
+    } catch (error) {
+      throw this.invalidSuite(`not valid JSON (${error.message})`);
+    }
+
+    if (!suite || suite.format !== SUITE_FORMAT) {
+      throw this.invalidSuite('not a validation rule test suite');
+    }
+    if (suite.version > SUITE_VERSION) {
+      throw this.invalidSuite(`suite version ${suite.version} is newer than this extension supports`);
+    }
+    if (!suite.name || typeof suite.name !== 'string') {
+      throw this.invalidSuite('missing suite name');
+    }
+    if (!suite.objectName || typeof suite.objectName !== 'string') {
+      throw this.invalidSuite('missing object name');
+    }
+    if (!Array.isArray(suite.cases)) {
+      throw this.invalidSuite('missing test cases');
+    }
+
+    return {
+      ...suite,
+      cases: suite.cases.map((testCase, index) => this.validateCase(testCase, index)),
+      lastRun: null
+    };
+  },
+
+  /**
+   * Check one test case of a suite
+   * @param {Object} testCase - Case from an imported or edited suite
+   * @param {number} index - Position, for error messages
+   * @returns {Object} Normalized case
+   */
+  validateCase(testCase, index) {
+    const label = testCase?.name ? `case "${testCase.name}"` : `case ${index + 1}`;
+
+    if (!testCase || typeof testCase.record !== 'object' || testCase.record === null || Array.isArray(testCase.record)) {
+      throw this.invalidSuite(`${label} has no record`);
+    }
+    if (testCase.operation && !OPERATIONS.includes(testCase.operation)) {
+      throw this.invalidSuite(`${label} has unknown operation ${testCase.operation}`);
+    }
+    if (testCase.operation === 'update' && !testCase.recordId) {
+      throw this.invalidSuite(`${label} updates a record but has no record Id`);
+    }
+
+    const expectations = {};
+    Object.entries(testCase.expectations || {}).forEach(([ruleName, expected]) => {
+      if (!EXPECTATIONS.includes(expected)) {
+        throw this.invalidSuite(`${label} expects ${ruleName} to "${expected}" (use fires or passes)`);
+      }
+      expectations[ruleName] = expected;
+    });
+
+    return {
+      name: testCase.name || `Case ${index + 1}`,
+      operation: testCase.operation || 'insert',
+      recordId: testCase.recordId || '',
+      record: testCase.record,
+      expectations
+    };
+  },
+
+  invalidSuite(reason) {
+    const error = new Error(`Invalid test suite: ${reason}`);
+    error.code = 'INVALID_SUITE';
+    return error;
+  },
+
+  // ==========================================================================
+  // Running
+  // ==========================================================================
+
+  /**
+   * Run every case of a suite against an org; nothing is saved
+   * @param {Object} suite - Suite
+   * @param {Function} onProgress - Optional callback(done, total, caseName)
+   * @param {Object} session - Optional org session (defaults to the current one)
+   * @returns {Promise<Object>} { suiteName, objectName, orgName, isSandbox, runAt, results, passed, failed, errors }
+   */
+  async runSuite(suite, onProgress = null, session = null) {
+    const [org, rules] = await Promise.all([
+      ValidationRuleAPI.getOrganizationInfo(session),
+      ValidationRuleAPI.getValidationRules({ objectName: suite.objectName }, session)
+    ]);
+
+    const results = [];
+    for (const [index, testCase] of suite.cases.entries()) {
+      if (onProgress) onProgress(index, suite.cases.length, testCase.name);
+
+      try {
+        const outcome = await ValidationRuleAPI.trySaveRecord(suite.objectName, testCase, session);
+        results.push(this.compareCase(testCase, outcome, rules));
+      } catch (error) {
+        console.error('[ValidationTestSuites] Case failed to run:', testCase.name, error);
+        results.push({
+          caseName: testCase.name,
+          status: 'error',
+          fired: [],
+          unmatched: [],
+          mismatches: [],
+          errors: [error.message]
+        });
+      }
+    }
+    if (onProgress) onProgress(suite.cases.length, suite.cases.length, null);
+
+    const run = {
+      suiteName: suite.name,
+      objectName: suite.objectName,
+      orgName: org.name,
+      isSandbox: org.isSandbox,
+      runAt: new Date().toISOString(),
+      results,
+      passed: results.filter(result => result.status === 'passed').length,
+      failed: results.filter(result => result.status === 'failed').length,
+      errors: results.filter(result => result.status === 'error').length
+    };
+
+    console.log('[ValidationTestSuites] Ran', suite.name, `${run.passed} passed, ${run.failed} failed, ${run.errors} errors`);
+    return run;
+  },
+
+  /**
+   * Attribute validation errors to rules by their error message (and error location when messages repeat)
+   * @param {Array} validationErrors - [{ message, fields }] from trySaveRecord
+   * @param {Array} rules - Validation rules of the object ({ ValidationName, ErrorMessage, ErrorDisplayField })
+   * @returns {Object} { fired: [{ ruleName, message, fields }], unmatched: [{ message, fields }] }
+   *   unmatched errors come from rules whose message could not be read, or from Apex addError()
+   */
+  matchRules(validationErrors, rules) {
+    const fired = [];
+    const unmatched = [];
+
+    validationErrors.forEach(error => {
+      const message = (error.message || '').trim();
+      let candidates = rules.filter(rule => rule.Active && (rule.ErrorMessage || '').trim() === message);
+
+      if (candidates.length > 1) {
+        const byField = candidates.filter(rule => (error.fields || []).includes(rule.ErrorDisplayField));
+        candidates = byField.length > 0 ? byField : candidates;
+      }
+
+      if (candidates.length === 0) {
+        unmatched.push({ message, fields: error.fields || [] });
+        return;
+      }
+
+      candidates.forEach(rule => {
+        fired.push({ ruleName: rule.ValidationName, message, fields: error.fields || [], ambiguous: candidates.length > 1 });
+      });
+    });
+
+    return { fired, unmatched };
+  },
+
+  /**
+   * Compare what happened to a case's record with what the case expects
+   * @param {Object} testCase - Case
+   * @param {Object} outcome - Result of ValidationRuleAPI.trySaveRecord
+   * @param {Array} rules - Validation rules of the object
+   * @returns {Object} { caseName, status: 'passed' | 'failed' | 'error', fired, unmatched, mismatches, errors }
+   */
+  compareCase(testCase, outcome, rules) {
+    const { fired, unmatched } = this.matchRules(outcome.validationErrors, rules);
+    const firedByRule = new Map(fired.map(entry => [entry.ruleName, entry]));
+    const mismatches = [];
+
+    Object.entries(testCase.expectations).forEach(([ruleName, expected]) => {
+      const rule = rules.find(r => r.ValidationName === ruleName);
+      const firedEntry = firedByRule.get(ruleName);
+
+      if (!rule) {
+        mismatches.push(`${ruleName} does not exist in this org`);
+      } else if (expected === 'fires' && !firedEntry) {
+        mismatches.push(`${ruleName} was expected to fire but did not${rule.Active ? '' : ' (the rule is inactive)'}`);
+      } else if (expected === 'passes' && firedEntry) {
+        mismatches.push(`${ruleName} was expected to pass but fired: ${firedEntry.message}`);
+      }
+    });
+
+    const errors = outcome.otherErrors.map(error => `${error.errorCode}: ${error.message}`);
+    if (outcome.committed) {
+      errors.push(`The save was not rolled back${outcome.cleanedUp ? '; the inserted record was deleted again' : ''}`);
+    }
+
+    return {
+      caseName: testCase.name,
+      status: errors.length > 0 ? 'error' : mismatches.length > 0 ? 'failed' : 'passed',
+      fired,
+      unmatched,
+      mismatches,
+      errors
+    };
+  },
+
+  /**
+   * Reduce a run to what is kept with the saved suite
+   * @param {Object} run - Result of runSuite
+   * @returns {Object} { runAt, orgName, isSandbox, passed, failed, errors }
+   */
+  summarizeRun(run) {
+    const { runAt, orgName, isSandbox, passed, failed, errors } = run;
+    return { runAt, orgName, isSandbox, passed, failed, errors };
+  }
+};
+
+export default ValidationTestSuites;
@@ -0,0 +1,207 @@
+// Value Set API
+// Reads and deploys GlobalValueSet and StandardValueSet metadata, and finds the fields that use each set
+
+import MetadataAPI from './metadata-api.js';
+import RequestClient from './request-client.js';
+import DeploymentHistoryAPI from './deployment-history-api.js';
+
+class ValueSetAPI {
+  // Standard value sets and the standard fields that use them
+  // The Metadata API has no dependency query for standard sets, so their consumers are fixed
+  static STANDARD_VALUE_SETS = {
+    AccountOwnership: ['Account.Ownership'],
+    AccountRating: ['Account.Rating', 'Lead.Rating'],
+    AccountType: ['Account.Type'],
+    CampaignStatus: ['Campaign.Status'],
+    CampaignType: ['Campaign.Type'],
+    CaseOrigin: ['Case.Origin'],
+    CasePriority: ['Case.Priority'],
+    CaseReason: ['Case.Reason'],
+    CaseStatus: ['Case.Status'],
+    CaseType: ['Case.Type'],
+    ContractStatus: ['Contract.Status'],
+    Industry: ['Account.Industry', 'Lead.Industry'],
+    LeadSource: ['Lead.LeadSource', 'Contact.LeadSource', 'Opportunity.LeadSource'],
+    LeadStatus: ['Lead.Status'],
+    OpportunityStage: ['Opportunity.StageName'],
+    OpportunityType: ['Opportunity.Type'],
+    OrderStatus: ['Order.Status'],
+    Product2Family: ['Product2.Family'],
+    QuoteStatus: ['Quote.Status'],
+    Salutation: ['Contact.Salutation', 'Lead.Salutation'],
+    SolutionStatus: ['Solution.Status'],
+    TaskPriority: ['Task.Priority'],
+    TaskStatus: ['Task.Status'],
+    TaskType: ['Task.Type']
+  };
+
+  /**
+   * List the org's global value sets
+   * @param {object} session - Salesforce session
+   * @returns {Promise<Array>} [{ id, fullName, label }] sorted by label
+   */
+  static async listGlobalValueSets(session) {
+    const result = await RequestClient.query(session,
+      'SELECT Id, DeveloperName, MasterLabel, NamespacePrefix FROM GlobalValueSet ORDER BY MasterLabel',
+      { tooling: true });
+
+    return (result.records || []).map(record => ({
+      id: record.Id,
+      fullName: record.NamespacePrefix ? `${record.NamespacePrefix}__${record.DeveloperName}` : record.DeveloperName,
+      label: record.MasterLabel
+    }));
+  }
+
+  /**
+   * List the standard value sets this extension knows the consuming fields of
+   * @returns {Array} [{ fullName, label }]
+   */
+  static listStandardValueSets() {
+    return Object.keys(this.STANDARD_VALUE_SETS).map(fullName => ({
+      fullName,
+      label: fullName.replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    }));
+  }
+
+  /**
+   * Find the fields that use a value set
+   * @param {object} session - Salesforce session
+   * @param {string} type - 'GlobalValueSet' or 'StandardValueSet'
+   * @param {object} valueSet - { id, fullName } (id is required for global value sets)
+   * @returns {Promise<Array>} Field names in Object.Field format
+   */
+  static async getConsumingFields(session, type, valueSet) {
+    if (type === 'StandardValueSet') {
+      return this.STANDARD_VALUE_SETS[valueSet.fullName] || [];
+    }
+
+    const dependencies = await RequestClient.query(session,
+      `SELECT MetadataComponentId FROM MetadataComponentDependency ` +
+      `WHERE RefMetadataComponentId = '${valueSet.id}' AND MetadataComponentType = 'CustomField'`,
+      { tooling: true });
+
+    const fieldIds = (dependencies.records || []).map(record => `'${record.MetadataComponentId}'`);
+    if (fieldIds.length === 0) {
+      return [];
+    }
+
+    const fields = await RequestClient.query(session,
+      `SELECT DeveloperName, NamespacePrefix, TableEnumOrId FROM CustomField WHERE Id IN (${fieldIds.join(',')})`,
+      { tooling: true });
+
+    // Custom objects are referenced by ID; standard objects by name
+    const objectIds = [...new Set((fields.records || [])
+      .map(field => field.TableEnumOrId)
+      .filter(tableId => /^01I/.test(tableId)))];
+    const objectNames = new Map();
+
+    if (objectIds.length > 0) {
+      const objects = await RequestClient.query(session,
+        `SELECT Id, DeveloperName, NamespacePrefix FROM CustomObject WHERE Id IN (${objectIds.map(id => `'${id}'`).join(',')})`,
+        { tooling: true });
+      (objects.records || []).forEach(object => {
+        objectNames.set(object.Id, `${this.withNamespace(object)}__c`);
+      });
+    }
+
+    return (fields.records || [])
+      .map(field => `${objectNames.get(field.TableEnumOrId) || field.TableEnumOrId}.${this.withNamespace(field)}__c`)
+      .sort();
+  }
+
+  static withNamespace(record) {
+    return record.NamespacePrefix ? `${record.NamespacePrefix}__${record.DeveloperName}` : record.DeveloperName;
+  }
+
+  /**
+   * Compare loaded values with a value set
+   * Values missing from the list are left alone, as the Picklist Loader does for field values
+   * @param {object} valueSet - Value set from MetadataAPI.readValueSet
+   * @param {Array} values - [{ label, fullName, active }] where active is optional (defaults to true)
+   * @returns {object} { toCreate, toUpdate, unchanged } - toUpdate entries carry { label, fullName, currentLabel, currentActive, active }
+   */
+  static diffValues(valueSet, values) {
+    const currentByName = new Map(valueSet.values.map(value => [value.fullName.toLowerCase(), value]));
+    const diff = { toCreate: [], toUpdate: [], unchanged: [] };
+
+    values.forEach(value => {
+      const active = value.active !== false;
+      const existing = currentByName.get(value.fullName.toLowerCase());
+
+      if (!existing) {
+        diff.toCreate.push({ label: value.label, fullName: value.fullName, active });
+      } else if (existing.label !== value.label || existing.isActive !== active) {
+        diff.toUpdate.push({
+          label: value.label,
+          fullName: existing.fullName,
+          currentLabel: existing.label,
+          currentActive: existing.isActive,
+          active
+        });
+      } else {
+        diff.unchanged.push({ label: existing.label, fullName: existing.fullName });
+      }
+    });
+
+    return diff;
+  }
+
+  /**
+   * Apply a diff to a value set, keeping every attribute of existing values (closed, won, probability...)
+   * @param {object} valueSet - Value set from MetadataAPI.readValueSet
+   * @param {object} diff - Result of diffValues
+   * @returns {object} Value set ready for deployValueSet
+   */
+  static mergeValues(valueSet, diff) {
+    const updates = new Map(diff.toUpdate.map(value => [value.fullName, value]));
+
+    const values = valueSet.values.map(value => {
+      const update = updates.get(value.fullName);
+      return update ? { ...value, label: update.label, isActive: update.active } : value;
+    });
+
+    diff.toCreate.forEach(value => {
+      values.push({ fullName: value.fullName, label: value.label, default: false, isActive: value.active });
+    });
+
+    return { ...valueSet, values };
+  }
+
+  /**
+   * Deploy a value set and wait for the result; the outcome is added to the deployment history
+   * @param {object} session - Salesforce session
+   * @param {object} before - Value set as read before the change
+   * @param {object} after - Value set to deploy
+   * @param {Function} onProgress - Optional callback(statusText)
+   * @returns {Promise<object>} Final deploy status from MetadataAPI.checkDeployStatus
+   */
+  static async deployValueSet(session, before, after, onProgress = null) {
+    const type = after.type;
+    const summarize = valueSet => valueSet.values.map(({ fullName, label, isActive }) => ({ fullName, label, isActive }));
+    const logEntry = {
+      metadataType: type,
+      action: 'update',
+      componentName: after.fullName,
+      before: summarize(before),
+      after: summarize(after)
+    };
+    let deployId = null;
+
+    try {
+      console.log('[ValueSetAPI] Deploying', type, after.fullName, 'with', after.values.length, 'values');
+
+      deployId = await MetadataAPI.deploy(session, {}, { [type]: { [after.fullName]: after } });
+      const status = await MetadataAPI.waitForDeploy(session, deployId, onProgress);
+
+      await DeploymentHistoryAPI.logForSession(session, { ...logEntry, status: 'success', deploymentId: deployId });
+      console.log('[ValueSetAPI] Deployed', type, after.fullName);
+      return status;
+    } catch (error) {
+      console.error('[ValueSetAPI] Deploy failed:', error);
+      await DeploymentHistoryAPI.logForSession(session, { ...logEntry, status: 'failure', deploymentId: deployId, errorMessage: error.message });
+      throw error;
+    }
+  }
+}
+
+export default ValueSetAPI;
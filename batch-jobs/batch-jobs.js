@@ -4,6 +4,7 @@
 import ThemeManager from '../background/theme-manager.js';
 import BatchJobAPI from '../background/batch-job-api.js';
 import SessionManager from '../background/session-manager.js';
+import { initOrgPicker } from '../shared/org-picker.js';
 
 class BatchJobMonitor {
   constructor() {
@@ -37,6 +38,9 @@ class BatchJobMonitor {
     // Job to execute now
     this.jobToExecute = null;
 
+    // Org this page works on
+    this.session = null;
+
     this.init();
   }
 
@@ -52,6 +56,14 @@ class BatchJobMonitor {
     // Load org info
     await this.loadOrgInfo();
 
+    // Org picker - reload jobs for the newly selected org
+    await initOrgPicker(document.getElementById('orgSelect'), async (session) => {
+      this.session = session;
+      this.previousJobStates.clear();
+      await this.loadOrgInfo();
+      await this.loadAllJobs();
+    });
+
     // Setup event listeners
     this.setupEventListeners();
 
@@ -113,7 +125,12 @@ class BatchJobMonitor {
 
   async loadOrgInfo() {
     try {
-      const session = await SessionManager.getCurrentSession();
+      // Start on the current org; the org picker replaces it for this page only
+      if (!this.session) {
+        const current = await SessionManager.getCurrentSession();
+        this.session = current && !current.error ? current : null;
+      }
+      const session = this.session;
       if (session && session.instanceUrl) {
         document.getElementById('orgUrl').textContent = session.instanceUrl;
       }
@@ -231,9 +248,9 @@ class BatchJobMonitor {
 
       // Load all job types in parallel
       const [activeJobs, completedJobs, scheduledJobs] = await Promise.all([
-        BatchJobAPI.getActiveJobs(50, classFilter),
-        BatchJobAPI.getRecentCompletedJobs(this.jobHistoryHours, 50, classFilter),
-        BatchJobAPI.getScheduledJobs(50)
+        BatchJobAPI.getActiveJobs(50, classFilter, this.session),
+        BatchJobAPI.getRecentCompletedJobs(this.jobHistoryHours, 50, classFilter, this.session),
+        BatchJobAPI.getScheduledJobs(50, this.session)
       ]);
 
       this.activeJobs = activeJobs;
@@ -597,7 +614,7 @@ class BatchJobMonitor {
     const className = this.jobToAbort.ApexClass?.Name || 'Unknown';
 
     try {
-      await BatchJobAPI.abortJob(jobId);
+      await BatchJobAPI.abortJob(jobId, this.session);
       this.showNotification('Job Aborted', `${className} has been aborted`, 'info');
       this.closeAbortModal();
       this.loadAllJobs();
@@ -630,7 +647,7 @@ class BatchJobMonitor {
 
     try {
       // Call the API to execute the scheduled job now
-      const result = await BatchJobAPI.executeScheduledJobNow(id, className);
+      const result = await BatchJobAPI.executeScheduledJobNow(id, className, 200, this.session);
 
       this.showNotification('Job Started', `${className} is now running`, 'success');
       this.closeExecuteNowModal();
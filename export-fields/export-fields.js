@@ -3,6 +3,7 @@ import SessionManager from '../background/session-manager.js';
 import ExportFieldsAPI from '../background/export-fields-api.js';
 import FieldUsageAPI from '../background/field-usage-api.js';
 import { escapeHtml } from '../shared/utils.js';
+import { downloadWorkbook, splitRowsBySheet } from '../shared/xlsx.js';
 
 class ExportFieldsManager {
   constructor() {
@@ -539,7 +540,7 @@ class ExportFieldsManager {
     selectAllCheckbox.indeterminate = visibleSelected > 0 && visibleSelected < this.filteredFields.length;
   }
 
-  exportFields() {
+  async exportFields() {
     console.log('[ExportFieldsManager] Exporting fields');
 
     if (this.selectedFields.size === 0) {
@@ -556,6 +557,12 @@ class ExportFieldsManager {
     // Get export format
     const format = document.querySelector('input[name="exportFormat"]:checked').value;
 
+    if (format === 'xlsx') {
+      await downloadWorkbook(splitRowsBySheet(ExportFieldsAPI.toRows(fieldsToExport), 0), 'field-export.xlsx');
+      console.log('[ExportFieldsManager] Exported', fieldsToExport.length, 'fields as', format);
+      return;
+    }
+
     let content, filename, mimeType;
 
     if (format === 'csv') {
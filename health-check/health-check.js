@@ -2,16 +2,35 @@
 // Executes health checks sequentially with real-time UI updates
 
 import ThemeManager from '../background/theme-manager.js';
+import HealthCheckHistory from '../background/health-check-history.js';
+import HealthCheckScheduler from '../background/health-check-scheduler.js';
+import SessionRegistry from '../background/session-registry.js';
 import { escapeHtml } from '../shared/utils.js';
+import { initOrgPicker } from '../shared/org-picker.js';
 
 class ProgressiveHealthCheck {
+  // Number of recent runs shown side by side in the history timeline
+  static TIMELINE_RUNS = 10;
+
   constructor() {
     this.checks = [];
     this.completedCount = 0;
     this.startTime = Date.now();
     this.orgUrl = '';
+    this.orgId = null;
+    this.orgName = '';
     this.results = {};
 
+    // Org the checks run against - an ?orgId= in the URL picks a registered org, otherwise the current session is used
+    this.requestedOrgId = new URLSearchParams(location.search).get('orgId');
+    this.session = null;
+
+    // Run history - the baseline run highlights fields that deviate from it
+    this.baseline = null;
+    this.baselineValues = null;
+    this.history = { baselineRunId: null, runs: [] };
+    this.currentRunId = null;
+
     this.init();
   }
 
@@ -21,9 +40,23 @@ class ProgressiveHealthCheck {
     // Initialize theme
     await ThemeManager.initTheme();
 
+    // Org picker - checks run once per page load, so load the page again for the new org
+    await initOrgPicker(document.getElementById('orgSelect'), (session) => {
+      location.search = `?orgId=${encodeURIComponent(session.orgId)}`;
+    }, this.requestedOrgId);
+
     // Set initial meta info
     await this.loadMetaInfo();
 
+    // Load the baseline before the tiles render so drift shows as each check completes
+    await this.loadBaseline();
+
+    // Opening the report acknowledges alerts raised by scheduled runs of this org
+    await HealthCheckScheduler.acknowledgeAlerts(this.orgId).catch(error => {
+      console.error('[HealthCheck] Error clearing scheduled check alerts:', error);
+    });
+    await this.loadSchedule();
+
     // Load check list (standard + custom)
     await this.loadCheckList();
 
@@ -40,10 +73,15 @@ class ProgressiveHealthCheck {
   async loadMetaInfo() {
     try {
       // Get session info for org URL
-      const response = await chrome.runtime.sendMessage({ action: 'GET_SESSION' });
+      const response = this.requestedOrgId
+        ? await this.getRegisteredSession(this.requestedOrgId)
+        : await chrome.runtime.sendMessage({ action: 'GET_SESSION' });
 
       if (response.success && response.data && !response.data.error) {
+        this.session = response.data;
         this.orgUrl = response.data.instanceUrl;
+        this.orgId = response.data.orgId || response.data.sessionId?.substring(0, 15) || null;
+        this.orgName = response.data.orgName || '';
         document.getElementById('orgUrl').textContent = this.orgUrl;
       } else {
         // No active session - show error message
@@ -66,6 +104,14 @@ class ProgressiveHealthCheck {
     }
   }
 
+  async getRegisteredSession(orgId) {
+    const session = await SessionRegistry.get(orgId);
+    if (!session) {
+      return { success: false, data: { message: 'This org session has expired. Please refresh the Salesforce tab and try again.' } };
+    }
+    return { success: true, data: session };
+  }
+
   showSessionError(message) {
     // Display user-friendly error message in the checks container
     const container = document.getElementById('checksContainer');
@@ -87,6 +133,36 @@ class ProgressiveHealthCheck {
     `;
   }
 
+  async loadBaseline() {
+    try {
+      this.history = await HealthCheckHistory.getHistory(this.orgId);
+      this.setBaseline(this.history.runs.find(run => run.id === this.history.baselineRunId) || null);
+    } catch (error) {
+      console.error('[HealthCheck] Error loading run history:', error);
+    }
+  }
+
+  setBaseline(run) {
+    this.baseline = run;
+    this.baselineValues = run ? HealthCheckHistory.flattenRun(run) : null;
+    document.getElementById('baselineMeta').textContent = run ? new Date(run.timestamp).toLocaleString() : 'None';
+  }
+
+  /**
+   * Compare a check result with the baseline run
+   * @returns {Array} One entry per flattened value: null when it matches the baseline,
+   *   otherwise { label, value, baselineValue } (baselineValue is null when the baseline has no such value)
+   */
+  getBaselineDrift(result) {
+    if (!this.baselineValues || result.status === 'error') return [];
+
+    return HealthCheckHistory.flattenCheck(result).map(entry => {
+      const baselineEntry = this.baselineValues.get(entry.key);
+      if (baselineEntry && baselineEntry.value === entry.value) return null;
+      return { label: entry.label, value: entry.value, baselineValue: baselineEntry ? baselineEntry.value : null };
+    });
+  }
+
   async loadCheckList() {
     // Standard checks (always included)
     this.checks = [
@@ -188,7 +264,7 @@ class ProgressiveHealthCheck {
     }
 
     // All checks complete
-    this.onAllChecksComplete();
+    await this.onAllChecksComplete();
   }
 
   async executeCheck(check) {
@@ -196,7 +272,8 @@ class ProgressiveHealthCheck {
       // Execute standard check
       const response = await chrome.runtime.sendMessage({
         action: 'RUN_SINGLE_HEALTH_CHECK',
-        checkName: check.name
+        checkName: check.name,
+        session: this.session
       });
 
       console.log(`[HealthCheck] Response for "${check.name}":`, response);
@@ -215,7 +292,8 @@ class ProgressiveHealthCheck {
       const response = await chrome.runtime.sendMessage({
         action: 'RUN_SINGLE_HEALTH_CHECK',
         checkName: 'custom',
-        customCheck: check.customCheck
+        customCheck: check.customCheck,
+        session: this.session
       });
 
       console.log(`[HealthCheck] Response for custom check "${check.name}":`, response);
@@ -253,6 +331,31 @@ class ProgressiveHealthCheck {
     const content = tile.querySelector('.tile-content');
     content.className = 'tile-content';
     content.innerHTML = this.renderCheckContent(result);
+    this.renderDriftBadge(tile, result);
+  }
+
+  renderDriftBadge(tile, result) {
+    tile.querySelector('.drift-badge')?.remove();
+
+    const driftCount = this.getBaselineDrift(result).filter(Boolean).length;
+    if (driftCount > 0) {
+      tile.querySelector('.tile-header').insertAdjacentHTML('beforeend',
+        `<span class="drift-badge" title="Values that differ from the baseline run">${driftCount} changed since baseline</span>`);
+    }
+  }
+
+  /**
+   * Re-render completed tiles after the baseline changes
+   */
+  refreshDrift() {
+    this.checks.forEach((check, index) => {
+      const result = this.results[check.name];
+      const tile = document.getElementById(`tile-${index}`);
+      if (!result || !tile) return;
+
+      tile.querySelector('.tile-content').innerHTML = this.renderCheckContent(result);
+      this.renderDriftBadge(tile, result);
+    });
   }
 
   renderCheckContent(result) {
@@ -260,9 +363,14 @@ class ProgressiveHealthCheck {
       return `<div class="error-message">${escapeHtml(result.message)}</div>`;
     }
 
+    const drift = this.getBaselineDrift(result);
+
     // Handle special cases (Org Limits, API Usage with storage/usage displays)
     if (result.name === 'Org Limits' && result.storage) {
-      return this.renderStorageDisplay(result.storage);
+      const storageDrift = drift.filter(Boolean)
+        .map(entry => `<div class="baseline-note">${escapeHtml(entry.label)} baseline: ${this.formatBaselineValue(entry.baselineValue)}</div>`)
+        .join('');
+      return this.renderStorageDisplay(result.storage) + storageDrift;
     }
 
     // Standard field display
@@ -275,11 +383,13 @@ class ProgressiveHealthCheck {
       const valueClass = field.match === true ? 'match' : (field.match === false ? 'no-match' : '');
       const hasCopyable = field.match === false && field.expected !== null && field.expected !== undefined;
       const fieldId = `field-${result.name.replace(/\s+/g, '-')}-${index}`;
+      const fieldDrift = drift[index];
+      const fieldClass = fieldDrift ? 'field baseline-drift' : 'field';
 
       if (hasCopyable) {
         // Clickable value with copy functionality
         html += `
-          <div class="field">
+          <div class="${fieldClass}">
             <div class="field-label">${escapeHtml(field.label)}</div>
             <div class="field-value ${valueClass} copyable"
                  data-copy-value="${escapeHtml(String(field.expected))}"
@@ -293,13 +403,17 @@ class ProgressiveHealthCheck {
         `;
       } else {
         html += `
-          <div class="field">
+          <div class="${fieldClass}">
             <div class="field-label">${escapeHtml(field.label)}</div>
             <div class="field-value ${valueClass}">${escapeHtml(String(field.value))}</div>
           </div>
         `;
       }
 
+      if (fieldDrift) {
+        html += `<div class="baseline-note">Baseline: ${this.formatBaselineValue(fieldDrift.baselineValue)}</div>`;
+      }
+
       // Add help text if present
       if (field.helpText) {
         html += `<div class="help-text"><strong>Action Required:</strong> ${escapeHtml(field.helpText)}</div>`;
@@ -309,6 +423,11 @@ class ProgressiveHealthCheck {
     return html;
   }
 
+  formatBaselineValue(value) {
+    if (value === null) return '<em>not recorded</em>';
+    return value === '' ? '<em>empty</em>' : escapeHtml(value);
+  }
+
   renderStorageDisplay(storage) {
     return `
       <div class="storage-display">
@@ -336,7 +455,7 @@ class ProgressiveHealthCheck {
     document.getElementById('progressCount').textContent = `${this.completedCount} of ${this.checks.length} complete`;
   }
 
-  onAllChecksComplete() {
+  async onAllChecksComplete() {
     console.log('[HealthCheck] All checks complete!');
 
     const duration = ((Date.now() - this.startTime) / 1000).toFixed(2);
@@ -348,6 +467,222 @@ class ProgressiveHealthCheck {
 
     // Update title
     document.title = `DOT Health Check - Complete (${duration}s)`;
+
+    // Store the run so it can be compared with earlier and later runs
+    try {
+      const run = await HealthCheckHistory.recordRun({
+        orgId: this.orgId,
+        orgName: this.orgName,
+        orgUrl: this.orgUrl,
+        timestamp: new Date(this.startTime).toISOString(),
+        duration,
+        checks: this.checks.map(check => this.results[check.name]).filter(Boolean),
+        source: 'manual'
+      });
+      this.currentRunId = run.id;
+      this.history = await HealthCheckHistory.getHistory(this.orgId);
+    } catch (error) {
+      console.error('[HealthCheck] Error saving run history:', error);
+    }
+
+    this.renderHistory();
+  }
+
+  // ==========================================================================
+  // Scheduled checks
+  // ==========================================================================
+
+  async loadSchedule() {
+    const hourSelect = document.getElementById('scheduleHour');
+    hourSelect.innerHTML = Array.from({ length: 24 }, (_, hour) =>
+      `<option value="${hour}">${String(hour).padStart(2, '0')}:00</option>`).join('');
+
+    document.getElementById('scheduleFrequency').addEventListener('change', () => this.updateScheduleForm());
+    document.getElementById('saveScheduleBtn').addEventListener('click', () => this.saveSchedule());
+
+    try {
+      this.renderSchedule(await HealthCheckScheduler.getSchedule(this.orgId));
+      document.getElementById('scheduleSection').classList.remove('hidden');
+    } catch (error) {
+      console.error('[HealthCheck] Error loading schedule:', error);
+    }
+  }
+
+  renderSchedule(schedule) {
+    document.getElementById('scheduleFrequency').value = schedule?.frequency || '';
+    document.getElementById('scheduleDay').value = String(schedule?.dayOfWeek ?? 1);
+    document.getElementById('scheduleHour').value = String(schedule?.hour ?? 7);
+    document.getElementById('scheduleThreshold').value = schedule?.limitThreshold ?? HealthCheckScheduler.DEFAULT_LIMIT_THRESHOLD;
+    this.updateScheduleForm();
+
+    const status = document.getElementById('scheduleStatus');
+    if (!schedule) {
+      status.textContent = 'Not scheduled';
+      return;
+    }
+
+    const parts = [`Next run ${new Date(schedule.nextRunAt).toLocaleString()}`];
+    if (schedule.lastStatus === 'skipped' || schedule.lastStatus === 'failed') {
+      parts.push(`last attempt ${schedule.lastStatus}: ${schedule.lastError}`);
+    } else if (schedule.lastRunAt) {
+      parts.push(`last run ${new Date(schedule.lastRunAt).toLocaleString()}`);
+    }
+    status.textContent = parts.join(' · ');
+  }
+
+  updateScheduleForm() {
+    const frequency = document.getElementById('scheduleFrequency').value;
+    document.getElementById('scheduleDayLabel').classList.toggle('hidden', frequency !== 'weekly');
+    document.getElementById('scheduleHourLabel').classList.toggle('hidden', !frequency);
+    document.getElementById('scheduleThresholdLabel').classList.toggle('hidden', !frequency);
+  }
+
+  async saveSchedule() {
+    const frequency = document.getElementById('scheduleFrequency').value;
+    const button = document.getElementById('saveScheduleBtn');
+    button.disabled = true;
+
+    try {
+      if (!frequency) {
+        await HealthCheckScheduler.deleteSchedule(this.orgId);
+        this.renderSchedule(null);
+      } else {
+        const schedule = await HealthCheckScheduler.saveSchedule(this.orgId, {
+          frequency,
+          hour: parseInt(document.getElementById('scheduleHour').value, 10),
+          dayOfWeek: parseInt(document.getElementById('scheduleDay').value, 10),
+          limitThreshold: parseFloat(document.getElementById('scheduleThreshold').value)
+        });
+        this.renderSchedule(schedule);
+      }
+    } catch (error) {
+      console.error('[HealthCheck] Error saving schedule:', error);
+      alert(`Could not save the schedule: ${error.message}`);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  // ==========================================================================
+  // Run history
+  // ==========================================================================
+
+  renderHistory() {
+    const { runs, baselineRunId } = this.history;
+    document.getElementById('historySection').classList.toggle('hidden', runs.length === 0);
+    document.getElementById('historyCount').textContent = `${runs.length} run${runs.length === 1 ? '' : 's'} stored`;
+
+    document.getElementById('historyRuns').innerHTML = `
+      <table class="history-table">
+        <thead>
+          <tr>
+            <th>Run</th>
+            <th>Source</th>
+            <th>Errors</th>
+            <th>Mismatches</th>
+            <th>Changed vs Previous</th>
+            <th>Changed vs Baseline</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${runs.map((run, index) => this.renderRunRow(run, runs[index + 1], run.id === baselineRunId)).join('')}
+        </tbody>
+      </table>
+    `;
+
+    this.renderTimeline();
+  }
+
+  renderRunRow(run, previousRun, isBaseline) {
+    const summary = HealthCheckHistory.summarizeRun(run);
+    const previousChanges = previousRun ? HealthCheckHistory.compareRuns(previousRun, run).length : null;
+    const baselineChanges = this.baseline && !isBaseline ? HealthCheckHistory.compareRuns(this.baseline, run).length : null;
+    const labels = [
+      isBaseline ? '<span class="run-tag baseline">Baseline</span>' : '',
+      run.id === this.currentRunId ? '<span class="run-tag">This run</span>' : ''
+    ].join('');
+
+    return `
+      <tr class="${isBaseline ? 'baseline-run' : ''}">
+        <td>${escapeHtml(new Date(run.timestamp).toLocaleString())} ${labels}</td>
+        <td>${run.source === 'scheduled' ? 'Scheduled' : 'Manual'}</td>
+        <td class="${summary.errors > 0 ? 'count-bad' : ''}">${summary.errors}</td>
+        <td class="${summary.mismatches > 0 ? 'count-bad' : ''}">${summary.mismatches}</td>
+        <td>${previousChanges === null ? '—' : previousChanges}</td>
+        <td class="${baselineChanges > 0 ? 'count-drift' : ''}">${baselineChanges === null ? '—' : baselineChanges}</td>
+        <td class="run-actions">
+          ${isBaseline
+            ? '<button class="btn-link" data-history-action="clear-baseline">Clear Baseline</button>'
+            : `<button class="btn-link" data-history-action="baseline" data-run-id="${escapeHtml(run.id)}">Set as Baseline</button>`}
+          <button class="btn-link danger" data-history-action="delete" data-run-id="${escapeHtml(run.id)}">Delete</button>
+        </td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Values that changed over the most recent runs, oldest run on the left
+   */
+  renderTimeline() {
+    const container = document.getElementById('historyTimeline');
+    const runs = this.history.runs.slice(0, ProgressiveHealthCheck.TIMELINE_RUNS).reverse();
+
+    if (runs.length < 2 && !this.baseline) {
+      container.innerHTML = '<p class="history-empty">Run the health check again to see how values change between runs.</p>';
+      return;
+    }
+
+    const rows = HealthCheckHistory.buildTimeline(runs, this.baseline);
+    if (rows.length === 0) {
+      container.innerHTML = '<p class="history-empty">No values changed across these runs.</p>';
+      return;
+    }
+
+    container.innerHTML = `
+      <p class="history-legend">
+        <span class="legend-changed">Bold</span> values changed since the previous run;
+        <span class="legend-drift">highlighted</span> values differ from the baseline.
+      </p>
+      <div class="timeline-scroll">
+        <table class="history-table timeline-table">
+          <thead>
+            <tr>
+              <th>Check</th>
+              <th>Field</th>
+              ${runs.map(run => `<th>${escapeHtml(new Date(run.timestamp).toLocaleString())}${run.id === this.history.baselineRunId ? ' <span class="run-tag baseline">Baseline</span>' : ''}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(row => `
+              <tr>
+                <td>${escapeHtml(row.check)}</td>
+                <td>${escapeHtml(row.label)}</td>
+                ${row.cells.map(cell => `<td class="${[cell.changed ? 'value-changed' : '', cell.drift ? 'value-drift' : ''].join(' ').trim()}">${cell.value === null ? '—' : escapeHtml(cell.value)}</td>`).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  async handleHistoryAction(action, runId) {
+    try {
+      if (action === 'delete') {
+        if (!confirm('Delete this health check run from the history?')) return;
+        this.history = await HealthCheckHistory.deleteRun(this.orgId, runId);
+      } else {
+        this.history = await HealthCheckHistory.setBaseline(this.orgId, action === 'baseline' ? runId : null);
+      }
+
+      this.setBaseline(this.history.runs.find(run => run.id === this.history.baselineRunId) || null);
+      this.refreshDrift();
+      this.renderHistory();
+    } catch (error) {
+      console.error('[HealthCheck] Error updating run history:', error);
+      alert(`Could not update the run history: ${error.message}`);
+    }
   }
 
   setupButtons() {
@@ -361,6 +696,14 @@ class ProgressiveHealthCheck {
       location.reload();
     });
 
+    // Run history actions
+    document.getElementById('historySection').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-history-action]');
+      if (button) {
+        this.handleHistoryAction(button.dataset.historyAction, button.dataset.runId);
+      }
+    });
+
     // Copy to clipboard for incorrect values
     document.addEventListener('click', async (e) => {
       const copyableElement = e.target.closest('.field-value.copyable');
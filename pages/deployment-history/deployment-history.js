@@ -507,7 +507,12 @@ function getMetadataIcon(metadataType) {
     'ValidationRule': 'rule',
     'Flow': 'account_tree',
     'Picklist': 'list',
+    'GlobalValueSet': 'list_alt',
+    'StandardValueSet': 'list_alt',
+    'RecordType': 'grid_on',
     'FieldDependency': 'link',
+    'CustomObjectTranslation': 'translate',
+    'StandardValueSetTranslation': 'translate',
     'Profile': 'admin_panel_settings',
     'PermissionSet': 'admin_panel_settings'
   };
@@ -4,7 +4,16 @@ import { escapeHtml } from '../../shared/utils.js';
 import SalesforceAPI from '../../background/api-client.js';
 import MetadataAPI from '../../background/metadata-api.js';
 import SessionManager from '../../background/session-manager.js';
+import SessionRegistry from '../../background/session-registry.js';
+import RequestClient from '../../background/request-client.js';
 import ThemeManager from '../../background/theme-manager.js';
+import ValueSetAPI from '../../background/value-set-api.js';
+import RecordTypePicklistAPI from '../../background/record-type-picklist-api.js';
+import PicklistReplaceAPI from '../../background/picklist-replace-api.js';
+import DependencyMatrixAPI from '../../background/dependency-matrix-api.js';
+import PicklistTranslationAPI from '../../background/picklist-translation-api.js';
+import FieldUsageAPI from '../../background/field-usage-api.js';
+import { isWorkbookFile, readWorkbook, downloadWorkbook, splitRowsBySheet, rowsToTSV } from '../../shared/xlsx.js';
 
 // ============================================
 // GLOBAL STATE
@@ -26,6 +35,24 @@ let selectedUpdateObject = null;
 let selectedUpdateField = null;
 let currentFieldMetadata = null;
 let previewData = null;
+let deployOrgs = []; // Registered org sessions the loader can deploy to
+let selectedDeployOrgIds = new Set();
+
+// Value Sets state
+let valueSetOptions = []; // Global or standard value sets of the selected type
+let currentValueSet = null; // Value set as read from the Metadata API
+let currentValueSetConsumers = null; // Fields using the selected value set (null when unknown)
+let valueSetPreviewData = null;
+
+// Record Type Values state
+let rtObjectsLoaded = false;
+let rtMatrix = null; // Record type × value matrix as loaded from the org
+let rtAssignments = null; // Edited assignments ({ recordTypeName: { values: Set, defaultValue } })
+
+// Replace Values state
+let replaceObjectsLoaded = false;
+let replaceField = null; // Describe of the selected picklist field
+let replacePlan = null; // Plan from PicklistReplaceAPI.planReplace
 
 // Picklist Loader lock state
 let isPicklistLoaderUnlocked = false;
@@ -36,6 +63,8 @@ let isUnlocked = false;
 let selectedDependency = null;
 let currentObjectMetadata = null;
 let depsPreviewData = null;
+let depsMatrix = null; // Controlling × dependent matrix as loaded from the org
+let depsMapping = null; // Edited mapping ({ dependentValue: Set of controlling values })
 
 // ============================================
 // INITIALIZATION
@@ -71,6 +100,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Setup event listeners for all tools
   setupExportPicklistListeners();
   setupExportDependencyListeners();
+  setupValueSetListeners();
+  setupRecordTypeListeners();
+  setupReplaceListeners();
   setupPicklistLoaderListeners();
   setupDependencyLoaderListeners();
 
@@ -151,6 +183,15 @@ function setupTabs() {
         case 'export-dependency':
           loadExportDependencyData();
           break;
+        case 'value-sets':
+          loadValueSetData();
+          break;
+        case 'record-type-values':
+          loadRecordTypeData();
+          break;
+        case 'replace-values':
+          loadReplaceData();
+          break;
         case 'picklist-loader':
           loadPicklistLoaderData();
           break;
@@ -172,8 +213,11 @@ Picklist Management Tools:
 
 1. Export Picklist - Export picklist values from multiple objects to CSV
 2. Export Dependencies - Export field dependencies and record type picklists to CSV
-3. Picklist Loader - Bulk load picklist values from CSV (create new or activate inactive)
-4. Dependency Loader 🔒 - Bulk load field dependencies from CSV (password-protected)
+3. Value Sets - Export global and standard value sets and see which fields use them; loading values requires the Picklist Loader unlock
+4. Record Types - Edit which values each record type offers (CSV import/export); deploying requires the Picklist Loader unlock
+5. Replace Values - Rename a value or merge it into another, updating records with Bulk API and deactivating the old value; running requires the Picklist Loader unlock
+6. Picklist Loader - Bulk load picklist values from CSV (create new or activate inactive), optionally on all record types
+7. Dependency Loader 🔒 - Bulk load field dependencies from CSV, or edit them in a controlling × dependent matrix (password-protected)
 
 For more information, visit the extension documentation.
   `.trim();
@@ -312,13 +356,28 @@ async function doExportPicklist() {
 
     console.log('[Picklist Management] Starting export for', selectedObjects.size, 'objects');
 
+    const total = selectedObjects.size;
+    const includeTranslations = document.getElementById('exportTranslationsCheckbox').checked;
+
+    if (includeTranslations) {
+      const session = await SessionManager.getCurrentSession();
+      const exportData = await PicklistTranslationAPI.retrievePicklists(session, [...selectedObjects], statusText => {
+        statusEl.textContent = statusText;
+      });
+
+      await downloadPicklistExport(exportData, `picklist-export-translations-${Date.now()}`);
+
+      statusEl.textContent = `✓ Export completed! ${total} objects exported with ${exportData.languages.length} language${exportData.languages.length === 1 ? '' : 's'}${exportData.languages.length > 0 ? ` (${exportData.languages.join(', ')})` : ''}.`;
+      statusEl.className = 'status-message success';
+      return;
+    }
+
     const exportData = {
       exportDate: new Date().toISOString(),
       objects: {}
     };
 
     let completed = 0;
-    const total = selectedObjects.size;
 
     for (const objectName of selectedObjects) {
       try {
@@ -357,9 +416,9 @@ async function doExportPicklist() {
       }
     }
 
-    downloadPicklistCSV(exportData, `picklist-export-${Date.now()}.csv`);
+    await downloadPicklistExport(exportData, `picklist-export-${Date.now()}`);
 
-    statusEl.textContent = `✓ Export completed! ${total} objects exported to CSV.`;
+    statusEl.textContent = `✓ Export completed! ${total} objects exported.`;
     statusEl.className = 'status-message success';
 
     setTimeout(() => {
@@ -376,9 +435,33 @@ async function doExportPicklist() {
   }
 }
 
-function downloadPicklistCSV(exportData, filename) {
+/**
+ * Download picklist export data as CSV or as a workbook with one sheet per object
+ * @param {object} exportData - { objects, languages? }
+ * @param {string} baseName - File name without extension
+ */
+async function downloadPicklistExport(exportData, baseName) {
+  const rows = buildPicklistRows(exportData);
+
+  if (getExportFormat('exportPicklistFormat') === 'xlsx') {
+    await downloadWorkbook(splitRowsBySheet(rows, 0), `${baseName}.xlsx`);
+  } else {
+    downloadCSVRows(rows, `${baseName}.csv`);
+  }
+}
+
+function getExportFormat(radioName) {
+  return document.querySelector(`input[name="${radioName}"]:checked`)?.value || 'csv';
+}
+
+function buildPicklistRows(exportData) {
+  // Retrieve-based exports also carry value API names and a label column per language
+  const languages = exportData.languages || null;
   const rows = [];
-  rows.push(['Object API Name', 'Object Label', 'Field API Name', 'Field Label', 'Picklist Value']);
+  rows.push([
+    'Object API Name', 'Object Label', 'Field API Name', 'Field Label', 'Picklist Value',
+    ...(languages ? ['Value API Name', ...languages.map(lang => `Label (${lang})`)] : [])
+  ]);
 
   for (const [objectName, objectData] of Object.entries(exportData.objects)) {
     if (objectData.error) {
@@ -401,32 +484,16 @@ function downloadPicklistCSV(exportData, filename) {
         rows.push([objectName, objectLabel, fieldName, fieldData.label, '(No active values)']);
       } else {
         for (const value of activeValues) {
-          rows.push([objectName, objectLabel, fieldName, fieldData.label, value.label]);
+          rows.push([
+            objectName, objectLabel, fieldName, fieldData.label, value.label,
+            ...(languages ? [value.value, ...languages.map(lang => value.translations?.[lang] || '')] : [])
+          ]);
         }
       }
     }
   }
 
-  const csvContent = rows.map(row =>
-    row.map(cell => {
-      const cellStr = String(cell || '');
-      if (cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n')) {
-        return '"' + cellStr.replace(/"/g, '""') + '"';
-      }
-      return cellStr;
-    }).join(',')
-  ).join('\n');
-
-  const BOM = '\uFEFF';
-  const blob = new Blob([BOM + csvContent], { type: 'text/csv;charset=utf-8;' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  a.click();
-  URL.revokeObjectURL(url);
-
-  console.log('[Picklist Management] CSV downloaded:', filename, 'Rows:', rows.length);
+  return rows;
 }
 
 // ============================================
@@ -571,7 +638,13 @@ async function doExportDependency() {
       recordTypes: recordTypeDeps
     };
 
-    downloadDependenciesCSV(exportData, `field-dependencies-${selectedDepsObject}-${Date.now()}.csv`);
+    const rows = buildDependencyRows(exportData);
+    const baseName = `field-dependencies-${selectedDepsObject}-${Date.now()}`;
+    if (getExportFormat('exportDepsFormat') === 'xlsx') {
+      await downloadWorkbook([{ name: selectedDepsObject, rows }], `${baseName}.xlsx`);
+    } else {
+      downloadCSVRows(rows, `${baseName}.csv`);
+    }
 
     statusEl.textContent = `✓ Field dependencies exported for ${selectedDepsObject}!`;
     statusEl.className = 'status-message success';
@@ -659,7 +732,7 @@ function extractRecordTypePicklists(metadata) {
   }));
 }
 
-function downloadDependenciesCSV(exportData, filename) {
+function buildDependencyRows(exportData) {
   const rows = [];
   rows.push(['Object API Name', 'Type', 'Record Type', 'Picklist Field', 'Dependent Field', 'Controlling Field', 'Controlling Value Label', 'Controlling Value API', 'Dependent Value Label', 'Dependent Value API']);
 
@@ -717,26 +790,7 @@ function downloadDependenciesCSV(exportData, filename) {
     }
   }
 
-  const csvContent = rows.map(row =>
-    row.map(cell => {
-      const cellStr = String(cell || '');
-      if (cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n')) {
-        return '"' + cellStr.replace(/"/g, '""') + '"';
-      }
-      return cellStr;
-    }).join(',')
-  ).join('\n');
-
-  const BOM = '\uFEFF';
-  const blob = new Blob([BOM + csvContent], { type: 'text/csv;charset=utf-8;' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  a.click();
-  URL.revokeObjectURL(url);
-
-  console.log('[Picklist Management] Dependencies CSV downloaded:', filename, 'Rows:', rows.length);
+  return rows;
 }
 
 // ============================================
@@ -751,6 +805,8 @@ function setupPicklistLoaderListeners() {
   document.getElementById('downloadCurrentBtn')?.addEventListener('click', downloadCurrentValues);
   document.getElementById('previewChangesBtn')?.addEventListener('click', previewPicklistChanges);
   document.getElementById('deployPicklistBtn')?.addEventListener('click', deployPicklistChanges);
+  document.getElementById('deployOrgList')?.addEventListener('change', handleDeployOrgChange);
+  setupFileImport('csv', 'csvTextarea', handleCSVInput);
 }
 
 async function loadPicklistLoaderData() {
@@ -790,6 +846,62 @@ async function loadPicklistLoaderData() {
     console.error('[Picklist Management] Error loading objects:', error);
     selectEl.innerHTML = '<option value="">Error loading objects</option>';
   }
+
+  await loadDeployOrgs();
+}
+
+/**
+ * List every registered org as a deploy target; the current org is selected by default
+ * Objects and fields are read from the current org, other orgs are checked during preview
+ */
+async function loadDeployOrgs() {
+  const container = document.getElementById('deployOrgList');
+
+  try {
+    deployOrgs = await SessionRegistry.discover();
+  } catch (error) {
+    console.error('[Picklist Management] Error discovering orgs:', error);
+    deployOrgs = [];
+  }
+
+  const current = await SessionManager.getCurrentSession().catch(() => null);
+  const currentOrgId = current && !current.error
+    ? (current.orgId || current.sessionId?.substring(0, 15))
+    : null;
+
+  // Keep earlier choices for orgs that are still open
+  selectedDeployOrgIds = new Set([...selectedDeployOrgIds].filter(orgId => deployOrgs.some(org => org.orgId === orgId)));
+  if (selectedDeployOrgIds.size === 0 && currentOrgId) {
+    selectedDeployOrgIds.add(currentOrgId);
+  }
+
+  if (deployOrgs.length === 0) {
+    container.innerHTML = '<span class="deploy-org-empty">No open Salesforce orgs found. Open the orgs in other tabs and reload this page.</span>';
+    updatePreviewButtonState();
+    return;
+  }
+
+  container.innerHTML = deployOrgs.map(org => `
+    <label class="deploy-org-option ${org.orgId === currentOrgId ? 'current' : ''}" title="${escapeHtml(org.instanceUrl)}">
+      <input type="checkbox" value="${escapeHtml(org.orgId)}" ${selectedDeployOrgIds.has(org.orgId) ? 'checked' : ''}>
+      ${escapeHtml(SessionRegistry.getDisplayName(org))}${org.orgId === currentOrgId ? ' (current)' : ''}
+    </label>
+  `).join('');
+
+  updatePreviewButtonState();
+}
+
+function handleDeployOrgChange(e) {
+  if (e.target.type !== 'checkbox') return;
+
+  if (e.target.checked) {
+    selectedDeployOrgIds.add(e.target.value);
+  } else {
+    selectedDeployOrgIds.delete(e.target.value);
+  }
+
+  // A preview only covers the orgs selected when it was built
+  handleCSVInput();
 }
 
 async function handleUpdateObjectChange(e) {
@@ -884,7 +996,7 @@ function handleCSVInput() {
 function updatePreviewButtonState() {
   const csvText = document.getElementById('csvTextarea').value.trim();
   const previewBtn = document.getElementById('previewChangesBtn');
-  previewBtn.disabled = !selectedUpdateObject || !selectedUpdateField || !csvText;
+  previewBtn.disabled = !selectedUpdateObject || !selectedUpdateField || !csvText || selectedDeployOrgIds.size === 0;
 }
 
 async function downloadCurrentValues() {
@@ -961,6 +1073,18 @@ function parseCSV(csvText) {
   const hasHeader = firstLine.toLowerCase().includes('label') || firstLine.toLowerCase().includes('api');
   const startIndex = hasHeader ? 1 : 0;
 
+  // Translated label columns are named "Label (de)", "Label (pt_BR)", ...
+  const translationColumns = [];
+  if (hasHeader) {
+    parseCSVLine(firstLine, separator).forEach((cell, index) => {
+      const match = cell.trim().match(/^label\s*\(\s*([A-Za-z_]+)\s*\)$/i);
+      if (match && index >= 2) {
+        translationColumns.push({ index, lang: match[1] });
+      }
+    });
+  }
+  const hasActiveColumn = !translationColumns.some(column => column.index === 2);
+
   const values = [];
   const seen = new Set();
 
@@ -991,10 +1115,25 @@ function parseCSV(csvText) {
     }
 
     seen.add(apiNameLower);
-    values.push({
+    const value = {
       label: label,
       fullName: apiName
+    };
+
+    // Optional third column (Active) as written by the value set export
+    const activeText = hasActiveColumn ? (parts[2] || '').trim() : '';
+    if (activeText) {
+      value.active = !/^(false|no|0)$/i.test(activeText);
+    }
+
+    translationColumns.forEach(({ index, lang }) => {
+      const translation = (parts[index] || '').trim();
+      if (translation) {
+        value.translations = { ...value.translations, [lang]: translation };
+      }
     });
+
+    values.push(value);
   }
 
   console.log(`[Picklist Management] Parsed ${values.length} values from ${formatName}`);
@@ -1053,41 +1192,102 @@ async function previewPicklistChanges() {
       throw new Error('No valid values found in CSV');
     }
 
-    // BUGFIX: Refresh field metadata from Salesforce to get current state
-    console.log('[Picklist Management] Refreshing field metadata from Salesforce...');
-    const metadata = await SalesforceAPI.getObjectMetadata(selectedUpdateObject);
+    const orgs = deployOrgs.filter(org => selectedDeployOrgIds.has(org.orgId));
+    if (orgs.length === 0) {
+      throw new Error('Select at least one org to deploy to');
+    }
+
+    // Each org is read fresh so the diff reflects its current state
+    const orgPreviews = [];
+    for (const org of orgs) {
+      const orgLabel = org.orgName || org.hostname;
+      statusEl.textContent = `Loading current values from ${orgLabel}...`;
+      orgPreviews.push(await previewOrgChanges(org, csvValues, text => {
+        statusEl.textContent = `${orgLabel}: ${text}`;
+      }));
+    }
+
+    previewData = {
+      csvValues,
+      orgs: orgPreviews
+    };
+
+    renderPreview(previewContent, previewData);
+
+    previewArea.classList.remove('hidden');
+
+    const readyCount = orgPreviews.filter(o => !o.error).length;
+    if (readyCount < orgPreviews.length) {
+      statusEl.textContent = `${orgPreviews.length - readyCount} of ${orgPreviews.length} orgs cannot be deployed to and will be skipped`;
+      statusEl.className = 'status-message warning';
+    } else {
+      statusEl.textContent = '';
+      statusEl.className = 'status-message';
+    }
+
+    // Enable deploy button
+    const deployBtn = document.getElementById('deployPicklistBtn');
+    if (deployBtn) deployBtn.disabled = readyCount === 0;
+
+  } catch (error) {
+    console.error('[Picklist Management] Preview failed:', error);
+    statusEl.textContent = `Error: ${error.message}`;
+    statusEl.className = 'status-message error';
+  } finally {
+    previewBtn.disabled = false;
+  }
+}
+
+/**
+ * Compare the CSV values with one org's current picklist values
+ * Values that would be deactivated are checked for remaining references and records
+ * @param {object} org - Registered org session
+ * @param {Array} csvValues - Parsed CSV values ({label, fullName, active})
+ * @param {Function} onProgress - Optional callback(statusText)
+ * @returns {Promise<object>} { org, toCreate, alreadyActive, toDeactivate, impact, error }
+ */
+async function previewOrgChanges(org, csvValues, onProgress = null) {
+  const orgPreview = { org, toCreate: [], alreadyActive: [], toDeactivate: [], impact: null, error: null };
+
+  try {
+    const session = await SessionRegistry.get(org.orgId);
+    if (!session) {
+      throw new Error('Session expired - refresh the Salesforce tab for this org');
+    }
+
+    const metadata = await RequestClient.request(session, `/services/data/v59.0/sobjects/${selectedUpdateObject}/describe`);
     const field = metadata.fields.find(f => f.name === selectedUpdateField);
 
     if (!field) {
       throw new Error(`Field ${selectedUpdateField} not found on ${selectedUpdateObject}`);
     }
+    if (field.type !== 'picklist' && field.type !== 'multipicklist') {
+      throw new Error(`${selectedUpdateField} is a ${field.type} field in this org`);
+    }
 
-    currentFieldMetadata = field;
-    console.log('[Picklist Management] Field metadata refreshed:', currentFieldMetadata);
-
-    const currentValues = currentFieldMetadata.picklistValues || [];
-    const currentActiveValues = currentValues.filter(v => v.active).map(v => v.value);
+    // Keep the downloadable current values in step with the current org
+    const current = await SessionManager.getCurrentSession().catch(() => null);
+    if (current && !current.error && (current.orgId || current.sessionId?.substring(0, 15)) === org.orgId) {
+      currentFieldMetadata = field;
+    }
 
     // Build map of current values by API Name (case-insensitive)
     const currentValuesMap = new Map();
-    currentValues.forEach(v => {
+    (field.picklistValues || []).forEach(v => {
       currentValuesMap.set(v.value.toLowerCase(), v);
     });
 
-    const toCreate = [];
-    const alreadyActive = [];
-
-    // csvValues now contains objects with {label, fullName}
     csvValues.forEach(csvValue => {
-      const apiNameLower = csvValue.fullName.toLowerCase();
-      const existing = currentValuesMap.get(apiNameLower);
+      const existing = currentValuesMap.get(csvValue.fullName.toLowerCase());
 
       if (!existing) {
         // New value - will be created
-        toCreate.push(csvValue);
+        orgPreview.toCreate.push(csvValue);
+      } else if (csvValue.active === false && existing.active) {
+        orgPreview.toDeactivate.push({ label: existing.label, fullName: existing.value });
       } else {
-        // Value exists - add to alreadyActive (Tooling API will handle it)
-        alreadyActive.push({
+        // Value exists - Tooling API will update its label if different
+        orgPreview.alreadyActive.push({
           label: csvValue.label,
           fullName: csvValue.fullName,
           currentLabel: existing.label
@@ -1095,29 +1295,22 @@ async function previewPicklistChanges() {
       }
     });
 
-    previewData = {
-      csvValues,
-      toCreate,
-      alreadyActive
-    };
-
-    renderPreview(previewContent, previewData);
-
-    previewArea.classList.remove('hidden');
-    statusEl.textContent = '';
-    statusEl.className = 'status-message';
-
-    // Enable deploy button
-    const deployBtn = document.getElementById('deployPicklistBtn');
-    if (deployBtn) deployBtn.disabled = false;
-
+    if (orgPreview.toDeactivate.length > 0) {
+      const usage = await FieldUsageAPI.getPicklistValueUsage(
+        session,
+        selectedUpdateObject,
+        selectedUpdateField,
+        orgPreview.toDeactivate.map(v => v.fullName),
+        onProgress
+      );
+      orgPreview.impact = orgPreview.toDeactivate.map(v => ({ ...v, ...usage.get(v.fullName) }));
+    }
   } catch (error) {
-    console.error('[Picklist Management] Preview failed:', error);
-    statusEl.textContent = `Error: ${error.message}`;
-    statusEl.className = 'status-message error';
-  } finally {
-    previewBtn.disabled = false;
+    console.error('[Picklist Management] Preview failed for org', org.orgId, error);
+    orgPreview.error = error.message;
   }
+
+  return orgPreview;
 }
 
 function renderPreview(container, data) {
@@ -1128,6 +1321,63 @@ function renderPreview(container, data) {
     <strong>ℹ️ Append Mode:</strong> New values will be added to the picklist. Existing values will be updated with new labels if different.
   </div>`;
 
+  const languages = [...new Set(data.csvValues.flatMap(value => Object.keys(value.translations || {})))];
+  if (languages.length > 0) {
+    const count = data.csvValues.reduce((sum, value) => sum + Object.keys(value.translations || {}).length, 0);
+    html += `<div class="info-message" style="margin-bottom: 15px; padding: 10px; background: #e3f2fd; border-left: 4px solid #2196F3; border-radius: 4px;">
+      <strong>🌐 Translations:</strong> ${count} translated label${count === 1 ? '' : 's'} (${escapeHtml(languages.join(', '))}) will be deployed through the Metadata API after the values.
+    </div>`;
+  }
+
+  // Per-org summary with deploy status
+  html += `
+    <table class="preview-table org-summary-table">
+      <thead>
+        <tr>
+          <th>Org</th>
+          <th>New</th>
+          <th>Label Changes</th>
+          <th>Unchanged</th>
+          <th>Deactivate</th>
+          <th>Status</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${data.orgs.map(orgPreview => {
+          const labelChanges = orgPreview.alreadyActive.filter(v => v.label !== v.currentLabel).length;
+          return `
+            <tr>
+              <td>${escapeHtml(SessionRegistry.getDisplayName(orgPreview.org))}</td>
+              <td>${orgPreview.error ? '-' : orgPreview.toCreate.length}</td>
+              <td>${orgPreview.error ? '-' : labelChanges}</td>
+              <td>${orgPreview.error ? '-' : orgPreview.alreadyActive.length - labelChanges}</td>
+              <td>${orgPreview.error ? '-' : orgPreview.toDeactivate.length}</td>
+              <td>
+                <span id="deployStatus-${escapeHtml(orgPreview.org.orgId)}" class="org-deploy-status ${orgPreview.error ? 'skipped' : 'pending'}">
+                  ${orgPreview.error ? `Skipped: ${escapeHtml(orgPreview.error)}` : 'Ready'}
+                </span>
+              </td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+
+  // Per-org diff (expanded when only one org is selected)
+  html += data.orgs.filter(orgPreview => !orgPreview.error).map(orgPreview => `
+    <details class="org-preview" ${data.orgs.length === 1 ? 'open' : ''}>
+      <summary>${escapeHtml(SessionRegistry.getDisplayName(orgPreview.org))}</summary>
+      ${renderOrgPreview(orgPreview)}
+    </details>
+  `).join('');
+
+  container.innerHTML = html;
+}
+
+function renderOrgPreview(data) {
+  let html = '';
+
   if (data.toCreate.length > 0) {
     html += `
       <div class="preview-section create">
@@ -1188,73 +1438,194 @@ function renderPreview(container, data) {
     `;
   }
 
-  if (data.toCreate.length === 0 && data.alreadyActive.length === 0) {
+  if (data.impact) {
+    html += `
+      <div class="preview-section deactivate">
+        <h4>⚠ Deactivate Values <span class="preview-count">(${data.impact.length})</span></h4>
+        <table class="preview-table">
+          <thead>
+            <tr>
+              <th>Label</th>
+              <th>API Name</th>
+              <th>Records</th>
+              <th>Still Referenced By</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${data.impact.map(v => `
+              <tr>
+                <td>${escapeHtml(v.label)}</td>
+                <td>${escapeHtml(v.fullName)}</td>
+                <td style="color: ${v.recordCount > 0 ? '#ff9800' : 'inherit'}">${v.recordCount}</td>
+                <td>${v.details.length > 0
+                  ? v.details.map(d => `${escapeHtml(d.type)}: ${escapeHtml(d.name)}`).join('<br>')
+                  : '<span style="color: var(--brand-color-text-muted);">No references found</span>'}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <small class="form-hint">References are found by the field name and the quoted value appearing in the same formula, flow, class or trigger; dynamic references are not detected.</small>
+      </div>
+    `;
+  }
+
+  if (data.toCreate.length === 0 && data.alreadyActive.length === 0 && data.toDeactivate.length === 0) {
     html += `<p style="text-align: center; color: var(--brand-color-text-muted);">No changes detected</p>`;
   }
 
-  container.innerHTML = html;
+  return html;
 }
 
 async function deployPicklistChanges() {
   const statusEl = document.getElementById('updatePicklistStatus');
   const deployBtn = document.getElementById('deployPicklistBtn');
+  // Orgs that already took the changes are skipped, so deploying again only retries the failed ones
+  const targets = previewData.orgs.filter(orgPreview => !orgPreview.error && !orgPreview.deployed);
+  const retrying = previewData.orgs.some(orgPreview => orgPreview.deployed);
+
+  if (targets.length > 1) {
+    const confirmed = confirm(
+      `Deploy ${previewData.csvValues.length} values to ${selectedUpdateObject}.${selectedUpdateField} in ${targets.length} orgs?\n\n` +
+      targets.map(t => `• ${SessionRegistry.getDisplayName(t.org)}`).join('\n')
+    );
+    if (!confirmed) return;
+  }
 
-  try {
-    deployBtn.disabled = true;
-    statusEl.textContent = 'Updating picklist via Tooling API...';
-    statusEl.className = 'status-message loading';
+  const inUse = targets.flatMap(t => (t.impact || [])
+    .filter(v => v.recordCount > 0 || v.details.length > 0)
+    .map(v => `• ${v.fullName} (${SessionRegistry.getDisplayName(t.org)}): ${v.recordCount} records, ${v.details.length} references`));
+  if (inUse.length > 0) {
+    const confirmed = confirm(
+      `These values will be deactivated but are still in use:\n\n${inUse.slice(0, 15).join('\n')}` +
+      `${inUse.length > 15 ? `\n… and ${inUse.length - 15} more` : ''}\n\nDeploy anyway?`
+    );
+    if (!confirmed) return;
+  }
 
-    console.log('[Picklist Management] Starting Tooling API update for', selectedUpdateObject, selectedUpdateField);
+  deployBtn.disabled = true;
+  statusEl.className = 'status-message loading';
 
-    // Build values array from CSV data (Label + API Name format)
-    const valuesToUpdate = previewData.csvValues.map(csvValue => ({
-      fullName: csvValue.fullName,
-      label: csvValue.label,
-      default: null // Always null as per requirements
-    }));
+  console.log('[Picklist Management] Starting Tooling API update for', selectedUpdateObject, selectedUpdateField, 'in', targets.length, 'org(s)');
 
-    console.log('[Picklist Management] Values to update:', valuesToUpdate);
+  // Build values array from CSV data (Label + API Name format)
+  const valuesToUpdate = previewData.csvValues.map(csvValue => ({
+    fullName: csvValue.fullName,
+    label: csvValue.label,
+    default: null, // Always null as per requirements
+    active: csvValue.active !== false
+  }));
 
-    // Call service worker to handle Tooling API update
-    const response = await chrome.runtime.sendMessage({
-      action: 'UPDATE_PICKLIST_VALUES',
-      objectName: selectedUpdateObject,
-      fieldName: selectedUpdateField,
-      values: valuesToUpdate,
-      overwrite: false // Always append mode with Tooling API
-    });
+  console.log('[Picklist Management] Values to update:', valuesToUpdate);
+
+  const addToRecordTypes = document.getElementById('addToRecordTypesCheckbox').checked;
+  const hasTranslations = previewData.csvValues.some(value => value.translations);
+
+  // Orgs are deployed one at a time; a failure in one org does not stop the others
+  const failures = [];
+  for (const target of targets) {
+    const orgLabel = target.org.orgName || target.org.hostname;
+    statusEl.textContent = `Updating picklist in ${orgLabel} via Tooling API...`;
+    setOrgDeployStatus(target.org.orgId, 'deploying', 'Deploying...');
+
+    try {
+      // Call service worker to handle Tooling API update (also logs it to deployment history)
+      const response = await chrome.runtime.sendMessage({
+        action: 'UPDATE_PICKLIST_VALUES',
+        objectName: selectedUpdateObject,
+        fieldName: selectedUpdateField,
+        values: valuesToUpdate,
+        overwrite: false, // Always append mode with Tooling API
+        orgId: target.org.orgId
+      });
 
-    if (!response.success) {
-      throw new Error(response.error || 'Failed to update picklist values');
-    }
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to update picklist values');
+      }
 
-    console.log('[Picklist Management] Update successful:', response.data);
+      console.log('[Picklist Management] Update successful in', orgLabel, response.data);
+
+      let recordTypeText = '';
+      if (addToRecordTypes && target.toCreate.length > 0) {
+        setOrgDeployStatus(target.org.orgId, 'deploying', 'Adding to record types...');
+        try {
+          const session = await SessionRegistry.get(target.org.orgId);
+          const updatedCount = await RecordTypePicklistAPI.addValuesToAllRecordTypes(
+            session,
+            selectedUpdateObject,
+            selectedUpdateField,
+            target.toCreate.map(value => value.fullName)
+          );
+          recordTypeText = `, added to ${updatedCount} record type${updatedCount === 1 ? '' : 's'}`;
+        } catch (error) {
+          console.error('[Picklist Management] Record type update failed in', orgLabel, error);
+          throw new Error(`Values deployed, but record types were not updated: ${error.message}`);
+        }
+      }
+
+      // Translations reference the values by label, so they go in once the values exist
+      let translationText = '';
+      if (hasTranslations) {
+        setOrgDeployStatus(target.org.orgId, 'deploying', 'Deploying translations...');
+        try {
+          const session = await SessionRegistry.get(target.org.orgId);
+          const result = await PicklistTranslationAPI.deployTranslations(
+            session,
+            selectedUpdateObject,
+            selectedUpdateField,
+            previewData.csvValues,
+            statusText => setOrgDeployStatus(target.org.orgId, 'deploying', statusText)
+          );
+          translationText = `, ${result.count} translation${result.count === 1 ? '' : 's'} (${result.languages.join(', ')})`;
+        } catch (error) {
+          console.error('[Picklist Management] Translation deploy failed in', orgLabel, error);
+          throw new Error(`Values deployed, but translations were not: ${error.message}`);
+        }
+      }
 
-    statusEl.textContent = `✓ Picklist updated successfully! ${valuesToUpdate.length} values processed.`;
+      target.deployed = true;
+      setOrgDeployStatus(target.org.orgId, 'success', `✓ ${response.data.valuesUpdated} values deployed${recordTypeText}${translationText}`);
+    } catch (error) {
+      console.error('[Picklist Management] Update failed in', orgLabel, error);
+      const errorMessage = getPicklistErrorMessage(error.message);
+      failures.push(orgLabel);
+      setOrgDeployStatus(target.org.orgId, 'failure', `Failed: ${errorMessage}`);
+    }
+  }
+
+  if (failures.length === 0) {
+    const deployedCount = previewData.orgs.filter(orgPreview => orgPreview.deployed).length;
+    statusEl.textContent = `✓ Picklist updated successfully in ${deployedCount} org${deployedCount === 1 ? '' : 's'}! ${valuesToUpdate.length} values processed.`;
     statusEl.className = 'status-message success';
 
     setTimeout(() => {
       resetPicklistLoader();
     }, 3000);
-
-  } catch (error) {
-    console.error('[Picklist Management] Update failed:', error);
-
-    let errorMessage = error.message;
-    if (errorMessage.includes('Session expired') || errorMessage.includes('INVALID_SESSION_ID')) {
-      errorMessage = 'Session expired. Please refresh the Salesforce page and try again.';
-    } else if (errorMessage.includes('INVALID_TYPE')) {
-      errorMessage = 'This field cannot be updated via Tooling API. It may be a standard field or use a StandardValueSet.';
-    } else if (errorMessage.includes('Cannot deserialize')) {
-      errorMessage = 'Invalid data format. Please check your CSV values.';
-    }
-
-    statusEl.textContent = `Error: ${errorMessage}`;
+  } else {
+    statusEl.textContent = `Deployment failed in ${failures.length} of ${targets.length} ${retrying ? 'retried ' : ''}orgs: ${failures.join(', ')}. ` +
+      'See the status column for details; deploying again retries only the failed orgs.';
     statusEl.className = 'status-message error';
     deployBtn.disabled = false;
   }
 }
 
+function setOrgDeployStatus(orgId, status, text) {
+  const el = document.getElementById(`deployStatus-${orgId}`);
+  if (!el) return;
+  el.className = `org-deploy-status ${status}`;
+  el.textContent = text;
+}
+
+function getPicklistErrorMessage(errorMessage) {
+  if (errorMessage.includes('Session expired') || errorMessage.includes('INVALID_SESSION_ID')) {
+    return 'Session expired. Please refresh the Salesforce page and try again.';
+  } else if (errorMessage.includes('INVALID_TYPE')) {
+    return 'This field cannot be updated via Tooling API. It may be a standard field or use a global or standard value set - load those from the Value Sets tab.';
+  } else if (errorMessage.includes('Cannot deserialize')) {
+    return 'Invalid data format. Please check your CSV values.';
+  }
+  return errorMessage;
+}
+
 function downloadZipFile(zipBlob, filename) {
   const url = URL.createObjectURL(zipBlob);
   const a = document.createElement('a');
@@ -1276,7 +1647,6 @@ function resetPicklistLoader() {
   document.getElementById('updateFieldSelect').innerHTML = '<option value="">-- Select Field --</option>';
   document.getElementById('updateFieldSelect').disabled = true;
   document.getElementById('csvTextarea').value = '';
-  document.getElementById('overwriteCheckbox').checked = false;
   document.getElementById('previewChangesBtn').disabled = true;
   document.getElementById('downloadCurrentBtn').disabled = true;
   document.getElementById('previewArea').classList.add('hidden');
@@ -1297,6 +1667,17 @@ function setupDependencyLoaderListeners() {
   document.getElementById('previewDepsChangesBtn')?.addEventListener('click', previewDependencyChanges);
   document.getElementById('deployDependencyBtn')?.addEventListener('click', deployDependencyChanges);
   document.getElementById('showDebugInfoBtn')?.addEventListener('click', toggleDebugInfo);
+  document.getElementById('depsMatrix')?.addEventListener('change', handleDepsMatrixChange);
+  document.getElementById('depsCopyColumnBtn')?.addEventListener('click', copyDepsColumn);
+  document.getElementById('depsMatrixResetBtn')?.addEventListener('click', resetDepsMatrix);
+  document.getElementById('depsMatrixDeployBtn')?.addEventListener('click', deployDepsMatrix);
+  setupFileImport('deps', 'depsTextarea', ({ fromWorkbook }) => {
+    // Sheets are loaded as tab-separated text
+    if (fromWorkbook) {
+      document.querySelector('input[name="depsFormat"][value="excel"]').checked = true;
+    }
+    updateDepsPreviewButtonState();
+  });
 }
 
 async function loadDependencyLoaderData() {
@@ -1377,6 +1758,7 @@ async function handleDepsLoaderObjectChange(e) {
   dependencyInfoSection.classList.add('hidden');
   downloadBtn.disabled = true;
   previewBtn.disabled = true;
+  clearDepsMatrix();
 
   if (!objectName) return;
 
@@ -1421,6 +1803,8 @@ function handleDependencySelectionChange(e) {
   const dependencyInfoSection = document.getElementById('dependencyInfoSection');
   const downloadBtn = document.getElementById('downloadCurrentDepsBtn');
 
+  clearDepsMatrix();
+
   if (!dependencyIndex) {
     selectedDependency = null;
     dependencyInfoSection.classList.add('hidden');
@@ -1439,6 +1823,7 @@ function handleDependencySelectionChange(e) {
 
   downloadBtn.disabled = false;
   updateDepsPreviewButtonState();
+  loadDepsMatrix();
 
   console.log('[Picklist Management] Selected dependency:', selectedDependency);
 }
@@ -1817,31 +2202,1121 @@ function resetDependencyLoader() {
   document.getElementById('depsPreviewArea').classList.add('hidden');
   document.getElementById('dependencyLoaderStatus').textContent = '';
   document.getElementById('dependencyLoaderStatus').className = 'status-message';
+  clearDepsMatrix();
 }
 
-// ============================================
-// PICKLIST LOADER UNLOCK FUNCTIONS
-// ============================================
+async function loadDepsMatrix() {
+  const objectName = document.getElementById('depsObjectSelect').value;
+  const statusEl = document.getElementById('depsMatrixStatus');
 
-async function showPicklistLoaderUnlock() {
-  // Switch to picklist loader tab and show unlock form
-  document.querySelectorAll('.tab-button').forEach(btn => btn.classList.remove('active'));
-  document.querySelectorAll('.tab-panel').forEach(panel => panel.classList.remove('active'));
+  try {
+    statusEl.textContent = 'Loading dependency matrix...';
+    statusEl.className = 'status-message loading';
 
-  document.querySelector('[data-tab="picklist-loader"]').classList.add('active');
-  document.getElementById('picklist-loader').classList.add('active');
+    const session = await SessionManager.getCurrentSession();
+    depsMatrix = await DependencyMatrixAPI.loadMatrix(session, objectName, selectedDependency.fullName);
+    depsMapping = DependencyMatrixAPI.cloneMapping(depsMatrix.mapping);
 
-  document.getElementById('picklistLoaderUnlockSection').classList.remove('hidden');
-  document.getElementById('picklistLoaderContent').classList.add('hidden');
-}
+    const options = depsMatrix.controllingValues.map(cv =>
+      `<option value="${escapeHtml(cv.value)}">${escapeHtml(cv.label)}</option>`
+    ).join('');
+    document.getElementById('depsCopyFromSelect').innerHTML = options;
+    document.getElementById('depsCopyToSelect').innerHTML = options;
 
-async function unlockPicklistLoader() {
-  const password = document.getElementById('picklistLoaderPassword').value;
-  const statusEl = document.getElementById('picklistLoaderUnlockStatus');
-  const unlockBtn = document.getElementById('unlockPicklistLoaderBtn');
+    renderDepsMatrix();
+    document.getElementById('depsMatrixArea').classList.remove('hidden');
 
-  if (!password) {
-    statusEl.textContent = 'Please enter a password';
+    statusEl.textContent = '';
+    statusEl.className = 'status-message';
+  } catch (error) {
+    console.error('[Picklist Management] Error loading dependency matrix:', error);
+    statusEl.textContent = `Error: ${error.message}`;
+    statusEl.className = 'status-message error';
+  }
+}
+
+function renderDepsMatrix() {
+  const unreachable = new Set(DependencyMatrixAPI.findUnreachable(depsMatrix, depsMapping).map(dv => dv.value));
+
+  const header = depsMatrix.controllingValues.map(cv => `
+    <th title="${escapeHtml(cv.value)}">
+      ${escapeHtml(cv.label)}
+      ${cv.active ? '' : '<span class="rt-inactive">(inactive)</span>'}
+    </th>
+  `).join('');
+
+  const rows = depsMatrix.dependentValues.map(dv => `
+    <tr class="${unreachable.has(dv.value) ? 'deps-unreachable' : ''}">
+      <td>
+        ${escapeHtml(dv.label)} <code>${escapeHtml(dv.value)}</code>
+        ${dv.active ? '' : '<span class="rt-inactive">(inactive)</span>'}
+      </td>
+      ${depsMatrix.controllingValues.map(cv => {
+        const checked = depsMapping[dv.value].has(cv.value);
+        const changed = checked !== depsMatrix.mapping[dv.value].has(cv.value);
+        return `
+          <td class="${changed ? 'rt-changed' : ''}">
+            <input type="checkbox" data-dependent="${escapeHtml(dv.value)}" data-controlling="${escapeHtml(cv.value)}" ${checked ? 'checked' : ''}
+              title="${escapeHtml(cv.label)} → ${escapeHtml(dv.label)}">
+          </td>
+        `;
+      }).join('')}
+    </tr>
+  `).join('');
+
+  document.getElementById('depsMatrix').innerHTML = `
+    <table>
+      <thead>
+        <tr>
+          <th>${escapeHtml(depsMatrix.dependentField)}</th>
+          ${header}
+        </tr>
+      </thead>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>
+  `;
+
+  const warningEl = document.getElementById('depsMatrixWarning');
+  if (unreachable.size > 0) {
+    warningEl.textContent = `Not available for any ${depsMatrix.controllingField} value: ${[...unreachable].join(', ')}`;
+    warningEl.classList.remove('hidden');
+  } else {
+    warningEl.classList.add('hidden');
+  }
+
+  updateDepsMatrixChanges();
+}
+
+function handleDepsMatrixChange(e) {
+  const { dependent, controlling } = e.target.dataset;
+  if (!dependent || !depsMapping) return;
+
+  if (e.target.checked) {
+    depsMapping[dependent].add(controlling);
+  } else {
+    depsMapping[dependent].delete(controlling);
+  }
+
+  renderDepsMatrix();
+}
+
+function copyDepsColumn() {
+  const fromValue = document.getElementById('depsCopyFromSelect').value;
+  const toValue = document.getElementById('depsCopyToSelect').value;
+  if (!depsMapping || !fromValue || fromValue === toValue) return;
+
+  DependencyMatrixAPI.copyColumn(depsMapping, fromValue, toValue);
+  renderDepsMatrix();
+}
+
+function updateDepsMatrixChanges() {
+  const changesEl = document.getElementById('depsMatrixChanges');
+  const changes = DependencyMatrixAPI.diffMapping(depsMatrix, depsMapping);
+
+  document.getElementById('depsMatrixResetBtn').disabled = changes.length === 0;
+  document.getElementById('depsMatrixDeployBtn').disabled = changes.length === 0;
+
+  if (changes.length === 0) {
+    changesEl.classList.add('hidden');
+    return;
+  }
+
+  document.getElementById('depsMatrixChangesContent').innerHTML = `
+    <table class="preview-table">
+      <thead>
+        <tr>
+          <th>Dependent Value</th>
+          <th>Now Available For</th>
+          <th>No Longer Available For</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${changes.map(change => `
+          <tr>
+            <td>${escapeHtml(change.label)}</td>
+            <td>${escapeHtml(change.added.join(', ')) || '-'}</td>
+            <td>${escapeHtml(change.removed.join(', ')) || '-'}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+  changesEl.classList.remove('hidden');
+}
+
+function resetDepsMatrix() {
+  if (!depsMatrix) return;
+  depsMapping = DependencyMatrixAPI.cloneMapping(depsMatrix.mapping);
+  renderDepsMatrix();
+}
+
+async function deployDepsMatrix() {
+  const statusEl = document.getElementById('depsMatrixStatus');
+  const deployBtn = document.getElementById('depsMatrixDeployBtn');
+  const changes = DependencyMatrixAPI.diffMapping(depsMatrix, depsMapping);
+  const unreachable = DependencyMatrixAPI.findUnreachable(depsMatrix, depsMapping);
+
+  const confirmed = confirm(
+    `Deploy the ${depsMatrix.controllingField} → ${depsMatrix.dependentField} matrix (${changes.length} changed value${changes.length === 1 ? '' : 's'})?` +
+    (unreachable.length > 0
+      ? `\n\n${unreachable.length} value${unreachable.length === 1 ? ' is' : 's are'} not available for any controlling value: ${unreachable.map(dv => dv.value).join(', ')}`
+      : '')
+  );
+  if (!confirmed) return;
+
+  try {
+    deployBtn.disabled = true;
+    statusEl.textContent = 'Updating dependencies via Tooling API...';
+    statusEl.className = 'status-message loading';
+
+    const session = await SessionManager.getCurrentSession();
+    await DependencyMatrixAPI.deployMapping(session, depsMatrix, depsMapping);
+
+    // Re-read so further edits start from what the org now has
+    await loadDepsMatrix();
+
+    statusEl.textContent = `✓ Dependency matrix deployed (${changes.length} value${changes.length === 1 ? '' : 's'} changed)`;
+    statusEl.className = 'status-message success';
+  } catch (error) {
+    console.error('[Picklist Management] Dependency matrix deploy failed:', error);
+    statusEl.textContent = `Error: ${getPicklistErrorMessage(error.message)}`;
+    statusEl.className = 'status-message error';
+    deployBtn.disabled = false;
+  }
+}
+
+function clearDepsMatrix() {
+  depsMatrix = null;
+  depsMapping = null;
+
+  document.getElementById('depsMatrixArea').classList.add('hidden');
+  document.getElementById('depsMatrix').innerHTML = '';
+  document.getElementById('depsMatrixChanges').classList.add('hidden');
+  document.getElementById('depsMatrixStatus').textContent = '';
+  document.getElementById('depsMatrixStatus').className = 'status-message';
+}
+
+// ============================================
+// SECTION 5: VALUE SETS
+// ============================================
+
+function setupValueSetListeners() {
+  document.getElementById('valueSetTypeSelect')?.addEventListener('change', loadValueSetOptions);
+  document.getElementById('valueSetSelect')?.addEventListener('change', handleValueSetChange);
+  document.getElementById('exportValueSetBtn')?.addEventListener('click', exportValueSet);
+  document.getElementById('valueSetCsvTextarea')?.addEventListener('input', handleValueSetCSVInput);
+  document.getElementById('previewValueSetBtn')?.addEventListener('click', previewValueSetChanges);
+  document.getElementById('deployValueSetBtn')?.addEventListener('click', deployValueSetChanges);
+  setupFileImport('valueSet', 'valueSetCsvTextarea', handleValueSetCSVInput);
+}
+
+async function loadValueSetData() {
+  // Loading values writes metadata, so it shares the Picklist Loader unlock
+  document.getElementById('valueSetLoader').classList.toggle('hidden', !isPicklistLoaderUnlocked);
+  document.getElementById('valueSetLoaderLocked').classList.toggle('hidden', isPicklistLoaderUnlocked);
+
+  if (valueSetOptions.length === 0) {
+    await loadValueSetOptions();
+  }
+}
+
+async function loadValueSetOptions() {
+  const type = document.getElementById('valueSetTypeSelect').value;
+  const selectEl = document.getElementById('valueSetSelect');
+
+  resetValueSetSelection();
+  selectEl.disabled = true;
+  selectEl.innerHTML = '<option value="">Loading...</option>';
+
+  try {
+    if (type === 'GlobalValueSet') {
+      const session = await SessionManager.getCurrentSession();
+      valueSetOptions = await ValueSetAPI.listGlobalValueSets(session);
+    } else {
+      valueSetOptions = ValueSetAPI.listStandardValueSets();
+    }
+
+    if (valueSetOptions.length === 0) {
+      selectEl.innerHTML = '<option value="">No global value sets found</option>';
+      return;
+    }
+
+    selectEl.innerHTML = '<option value="">-- Select Value Set --</option>';
+    valueSetOptions.forEach(valueSet => {
+      const option = document.createElement('option');
+      option.value = valueSet.fullName;
+      option.textContent = `${valueSet.label} (${valueSet.fullName})`;
+      selectEl.appendChild(option);
+    });
+    selectEl.disabled = false;
+
+    console.log('[Picklist Management] Loaded', valueSetOptions.length, type, 'options');
+  } catch (error) {
+    console.error('[Picklist Management] Error loading value sets:', error);
+    selectEl.innerHTML = '<option value="">Error loading value sets</option>';
+  }
+}
+
+async function handleValueSetChange(e) {
+  const type = document.getElementById('valueSetTypeSelect').value;
+  const option = valueSetOptions.find(valueSet => valueSet.fullName === e.target.value);
+  const statusEl = document.getElementById('valueSetStatus');
+
+  resetValueSetSelection();
+  if (!option) return;
+
+  try {
+    statusEl.textContent = `Loading ${option.fullName}...`;
+    statusEl.className = 'status-message loading';
+
+    const session = await SessionManager.getCurrentSession();
+    const [valueSet, consumers] = await Promise.all([
+      MetadataAPI.readValueSet(session, type, option.fullName),
+      ValueSetAPI.getConsumingFields(session, type, option).catch(error => {
+        console.warn('[Picklist Management] Could not load consuming fields:', error);
+        return null;
+      })
+    ]);
+
+    currentValueSet = valueSet;
+    currentValueSetConsumers = consumers;
+    renderValueSetDetails(valueSet, consumers);
+
+    statusEl.textContent = '';
+    statusEl.className = 'status-message';
+  } catch (error) {
+    console.error('[Picklist Management] Error loading value set:', error);
+    statusEl.textContent = `Error: ${error.message}`;
+    statusEl.className = 'status-message error';
+  }
+}
+
+function renderValueSetDetails(valueSet, consumers) {
+  const activeCount = valueSet.values.filter(value => value.isActive).length;
+  const inactiveCount = valueSet.values.length - activeCount;
+
+  document.getElementById('valueSetValueCount').textContent =
+    `${activeCount} active value${activeCount === 1 ? '' : 's'}${inactiveCount > 0 ? `, ${inactiveCount} inactive` : ''}`;
+
+  const consumersEl = document.getElementById('valueSetConsumers');
+  if (consumers === null) {
+    consumersEl.textContent = 'Could not be determined';
+  } else if (consumers.length === 0) {
+    consumersEl.textContent = 'No fields';
+  } else {
+    consumersEl.innerHTML = consumers.map(field => `<code>${escapeHtml(field)}</code>`).join('');
+  }
+
+  document.getElementById('valueSetDetails').classList.remove('hidden');
+  updateValueSetPreviewButtonState();
+}
+
+function exportValueSet() {
+  if (!currentValueSet) return;
+
+  // Same Label,API Name columns as the Picklist Loader, so an export can be edited and loaded back
+  const rows = [['Label', 'API Name', 'Active', 'Default']];
+  currentValueSet.values.forEach(value => {
+    rows.push([value.label, value.fullName, value.isActive ? 'true' : 'false', value.default ? 'true' : 'false']);
+  });
+
+  downloadCSVRows(rows, `${currentValueSet.type}-${currentValueSet.fullName}-${Date.now()}.csv`);
+  console.log('[Picklist Management] Value set exported:', currentValueSet.fullName);
+}
+
+function handleValueSetCSVInput() {
+  valueSetPreviewData = null;
+  document.getElementById('valueSetPreviewArea').classList.add('hidden');
+  document.getElementById('deployValueSetBtn').disabled = true;
+  updateValueSetPreviewButtonState();
+}
+
+function updateValueSetPreviewButtonState() {
+  const csvText = document.getElementById('valueSetCsvTextarea').value.trim();
+  document.getElementById('previewValueSetBtn').disabled = !currentValueSet || !csvText;
+}
+
+function previewValueSetChanges() {
+  const statusEl = document.getElementById('valueSetStatus');
+
+  try {
+    const csvValues = parseCSV(document.getElementById('valueSetCsvTextarea').value);
+    if (csvValues.length === 0) {
+      throw new Error('No valid values found in CSV');
+    }
+
+    const diff = ValueSetAPI.diffValues(currentValueSet, csvValues);
+    valueSetPreviewData = { diff, after: ValueSetAPI.mergeValues(currentValueSet, diff) };
+
+    document.getElementById('valueSetPreviewContent').innerHTML = renderValueSetPreview(diff);
+    document.getElementById('valueSetPreviewArea').classList.remove('hidden');
+    document.getElementById('deployValueSetBtn').disabled = diff.toCreate.length + diff.toUpdate.length === 0;
+
+    statusEl.textContent = '';
+    statusEl.className = 'status-message';
+  } catch (error) {
+    console.error('[Picklist Management] Value set preview failed:', error);
+    statusEl.textContent = `Error: ${error.message}`;
+    statusEl.className = 'status-message error';
+  }
+}
+
+function renderValueSetPreview(diff) {
+  const describeActive = active => active ? 'Active' : '<span class="value-set-inactive">Inactive</span>';
+  let html = `<div class="info-message" style="margin-bottom: 15px; padding: 10px; background: #e3f2fd; border-left: 4px solid #2196F3; border-radius: 4px;">
+    <strong>ℹ️ Append Mode:</strong> The whole value set is deployed through the Metadata API. Values not in the CSV are kept as they are.
+  </div>`;
+
+  if (diff.toCreate.length > 0) {
+    html += `
+      <div class="preview-section create">
+        <h4>✓ Create New Values <span class="preview-count">(${diff.toCreate.length})</span></h4>
+        <table class="preview-table">
+          <thead>
+            <tr>
+              <th>Label</th>
+              <th>API Name</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${diff.toCreate.map(v => `
+              <tr>
+                <td>${escapeHtml(v.label)}</td>
+                <td>${escapeHtml(v.fullName)}</td>
+                <td>${describeActive(v.active)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  if (diff.toUpdate.length > 0) {
+    html += `
+      <div class="preview-section keep">
+        <h4>~ Update Values <span class="preview-count">(${diff.toUpdate.length})</span></h4>
+        <table class="preview-table">
+          <thead>
+            <tr>
+              <th>API Name</th>
+              <th>Label</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${diff.toUpdate.map(v => `
+              <tr>
+                <td>${escapeHtml(v.fullName)}</td>
+                <td>${v.label !== v.currentLabel ? `${escapeHtml(v.currentLabel)} → ${escapeHtml(v.label)}` : escapeHtml(v.label)}</td>
+                <td>${v.active !== v.currentActive ? `${describeActive(v.currentActive)} → ${describeActive(v.active)}` : describeActive(v.active)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  if (diff.unchanged.length > 0) {
+    html += `<p style="color: var(--brand-color-text-muted);">${diff.unchanged.length} value${diff.unchanged.length === 1 ? '' : 's'} unchanged</p>`;
+  }
+
+  if (diff.toCreate.length === 0 && diff.toUpdate.length === 0) {
+    html += `<p style="text-align: center; color: var(--brand-color-text-muted);">No changes detected</p>`;
+  }
+
+  return html;
+}
+
+async function deployValueSetChanges() {
+  const statusEl = document.getElementById('valueSetStatus');
+  const deployBtn = document.getElementById('deployValueSetBtn');
+  const { diff, after } = valueSetPreviewData;
+
+  const consumers = currentValueSetConsumers || [];
+  const confirmed = confirm(
+    `Deploy ${diff.toCreate.length} new and ${diff.toUpdate.length} updated values to ${after.fullName}?\n\n` +
+    `Every field using this value set is affected${consumers.length > 0 ? `:\n${consumers.map(field => `• ${field}`).join('\n')}` : '.'}`
+  );
+  if (!confirmed) return;
+
+  try {
+    deployBtn.disabled = true;
+    statusEl.textContent = `Deploying ${after.fullName} via Metadata API...`;
+    statusEl.className = 'status-message loading';
+
+    const session = await SessionManager.getCurrentSession();
+    await ValueSetAPI.deployValueSet(session, currentValueSet, after, statusText => {
+      statusEl.textContent = statusText;
+    });
+
+    // Re-read so a further change starts from what the org now has
+    document.getElementById('valueSetCsvTextarea').value = '';
+    await handleValueSetChange({ target: document.getElementById('valueSetSelect') });
+
+    statusEl.textContent = `✓ ${after.fullName} deployed successfully!`;
+    statusEl.className = 'status-message success';
+  } catch (error) {
+    console.error('[Picklist Management] Value set deploy failed:', error);
+    statusEl.textContent = `Error: ${getPicklistErrorMessage(error.message)}`;
+    statusEl.className = 'status-message error';
+    deployBtn.disabled = false;
+  }
+}
+
+function resetValueSetSelection() {
+  currentValueSet = null;
+  currentValueSetConsumers = null;
+  valueSetPreviewData = null;
+
+  document.getElementById('valueSetDetails').classList.add('hidden');
+  document.getElementById('valueSetPreviewArea').classList.add('hidden');
+  document.getElementById('deployValueSetBtn').disabled = true;
+  document.getElementById('previewValueSetBtn').disabled = true;
+}
+
+// ============================================
+// SECTION 6: RECORD TYPE VALUES
+// ============================================
+
+function setupRecordTypeListeners() {
+  document.getElementById('rtObjectSelect')?.addEventListener('change', handleRtObjectChange);
+  document.getElementById('rtFieldSelect')?.addEventListener('change', handleRtFieldChange);
+  document.getElementById('rtMatrix')?.addEventListener('change', handleRtMatrixChange);
+  document.getElementById('rtExportBtn')?.addEventListener('click', exportRtMatrix);
+  document.getElementById('rtImportBtn')?.addEventListener('click', () => document.getElementById('rtImportFileInput').click());
+  document.getElementById('rtImportFileInput')?.addEventListener('change', importRtMatrix);
+  document.getElementById('rtResetBtn')?.addEventListener('click', resetRtChanges);
+  document.getElementById('rtDeployBtn')?.addEventListener('click', deployRtChanges);
+}
+
+async function loadRecordTypeData() {
+  // Deploying writes metadata, so it shares the Picklist Loader unlock
+  document.getElementById('rtLoaderLocked').classList.toggle('hidden', isPicklistLoaderUnlocked);
+  updateRtChanges();
+
+  if (rtObjectsLoaded) return;
+
+  const selectEl = document.getElementById('rtObjectSelect');
+
+  try {
+    const objects = await SalesforceAPI.getObjects();
+
+    selectEl.innerHTML = '<option value="">-- Select Object --</option>';
+    objects
+      .filter(obj => !['History', 'Share', 'Feed', 'Event', 'ChangeEvent'].some(suffix => obj.name.endsWith(suffix)))
+      .sort((a, b) => a.label.localeCompare(b.label))
+      .forEach(obj => {
+        const option = document.createElement('option');
+        option.value = obj.name;
+        option.textContent = `${obj.label} (${obj.name})`;
+        selectEl.appendChild(option);
+      });
+
+    rtObjectsLoaded = true;
+  } catch (error) {
+    console.error('[Picklist Management] Error loading objects for record types:', error);
+    selectEl.innerHTML = '<option value="">Error loading objects</option>';
+  }
+}
+
+async function handleRtObjectChange(e) {
+  const objectName = e.target.value;
+  const fieldSelect = document.getElementById('rtFieldSelect');
+
+  clearRtMatrix();
+  fieldSelect.innerHTML = '<option value="">-- Select Field --</option>';
+  fieldSelect.disabled = true;
+
+  if (!objectName) return;
+
+  try {
+    const metadata = await SalesforceAPI.getObjectMetadata(objectName);
+    const picklistFields = metadata.fields.filter(f => f.type === 'picklist' || f.type === 'multipicklist');
+
+    if (picklistFields.length === 0) {
+      fieldSelect.innerHTML = '<option value="">No picklist fields found</option>';
+      return;
+    }
+
+    picklistFields.forEach(field => {
+      const option = document.createElement('option');
+      option.value = field.name;
+      option.textContent = `${field.label} (${field.name})`;
+      fieldSelect.appendChild(option);
+    });
+    fieldSelect.disabled = false;
+  } catch (error) {
+    console.error('[Picklist Management] Error loading fields for record types:', error);
+    fieldSelect.innerHTML = '<option value="">Error loading fields</option>';
+  }
+}
+
+async function handleRtFieldChange() {
+  const objectName = document.getElementById('rtObjectSelect').value;
+  const fieldName = document.getElementById('rtFieldSelect').value;
+  const statusEl = document.getElementById('rtStatus');
+
+  clearRtMatrix();
+  if (!objectName || !fieldName) return;
+
+  try {
+    statusEl.textContent = `Loading record types of ${objectName}...`;
+    statusEl.className = 'status-message loading';
+
+    const session = await SessionManager.getCurrentSession();
+    const matrix = await RecordTypePicklistAPI.loadMatrix(session, objectName, fieldName);
+
+    if (matrix.recordTypes.length === 0) {
+      statusEl.textContent = `${objectName} has no record types - every value is available on the master record type.`;
+      statusEl.className = 'status-message warning';
+      return;
+    }
+
+    rtMatrix = matrix;
+    rtAssignments = RecordTypePicklistAPI.toAssignments(matrix);
+    renderRtMatrix();
+    document.getElementById('rtMatrixArea').classList.remove('hidden');
+
+    statusEl.textContent = '';
+    statusEl.className = 'status-message';
+  } catch (error) {
+    console.error('[Picklist Management] Error loading record type matrix:', error);
+    statusEl.textContent = `Error: ${error.message}`;
+    statusEl.className = 'status-message error';
+  }
+}
+
+function renderRtMatrix() {
+  const original = RecordTypePicklistAPI.toAssignments(rtMatrix);
+
+  const header = rtMatrix.recordTypes.map(rt => `
+    <th title="${escapeHtml(rt.fullName)}">
+      ${escapeHtml(rt.label)}
+      ${rt.active ? '' : '<span class="rt-inactive">(inactive)</span>'}
+    </th>
+  `).join('');
+
+  const rows = rtMatrix.values.map(value => `
+    <tr>
+      <td>
+        ${escapeHtml(value.label)} <code>${escapeHtml(value.fullName)}</code>
+        ${value.active ? '' : '<span class="rt-inactive">(inactive)</span>'}
+      </td>
+      ${rtMatrix.recordTypes.map((rt, index) => {
+        const assignment = rtAssignments[rt.fullName];
+        const checked = assignment.values.has(value.fullName);
+        const isDefault = assignment.defaultValue === value.fullName;
+        const changed = checked !== original[rt.fullName].values.has(value.fullName) ||
+          isDefault !== (original[rt.fullName].defaultValue === value.fullName);
+        return `
+          <td class="${changed ? 'rt-changed' : ''}">
+            <span class="rt-cell">
+              <input type="checkbox" data-rt="${escapeHtml(rt.fullName)}" data-value="${escapeHtml(value.fullName)}" ${checked ? 'checked' : ''} title="Available">
+              <input type="radio" name="rtDefault-${index}" data-rt="${escapeHtml(rt.fullName)}" data-value="${escapeHtml(value.fullName)}" ${isDefault ? 'checked' : ''} title="Default">
+            </span>
+          </td>
+        `;
+      }).join('')}
+    </tr>
+  `).join('');
+
+  const noDefaultRow = `
+    <tr>
+      <td><em>No default</em></td>
+      ${rtMatrix.recordTypes.map((rt, index) => `
+        <td>
+          <input type="radio" name="rtDefault-${index}" data-rt="${escapeHtml(rt.fullName)}" data-value="" ${rtAssignments[rt.fullName].defaultValue ? '' : 'checked'} title="No default">
+        </td>
+      `).join('')}
+    </tr>
+  `;
+
+  document.getElementById('rtMatrix').innerHTML = `
+    <table>
+      <thead>
+        <tr>
+          <th>Value</th>
+          ${header}
+        </tr>
+      </thead>
+      <tbody>
+        ${rows}
+        ${noDefaultRow}
+      </tbody>
+    </table>
+  `;
+
+  updateRtChanges();
+}
+
+function handleRtMatrixChange(e) {
+  const { rt, value } = e.target.dataset;
+  if (!rt || !rtAssignments) return;
+
+  const assignment = rtAssignments[rt];
+
+  if (e.target.type === 'checkbox') {
+    if (e.target.checked) {
+      assignment.values.add(value);
+    } else {
+      assignment.values.delete(value);
+      if (assignment.defaultValue === value) assignment.defaultValue = null;
+    }
+  } else if (e.target.type === 'radio') {
+    // A default value has to be available on the record type
+    assignment.defaultValue = value || null;
+    if (value) assignment.values.add(value);
+  }
+
+  renderRtMatrix();
+}
+
+function updateRtChanges() {
+  const changesEl = document.getElementById('rtChanges');
+  const changes = rtMatrix ? RecordTypePicklistAPI.diffAssignments(rtMatrix, rtAssignments) : [];
+
+  document.getElementById('rtResetBtn').disabled = changes.length === 0;
+  document.getElementById('rtDeployBtn').disabled = changes.length === 0 || !isPicklistLoaderUnlocked;
+
+  if (changes.length === 0) {
+    changesEl.classList.add('hidden');
+    return;
+  }
+
+  document.getElementById('rtChangesContent').innerHTML = `
+    <table class="preview-table">
+      <thead>
+        <tr>
+          <th>Record Type</th>
+          <th>Added</th>
+          <th>Removed</th>
+          <th>Default</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${changes.map(change => `
+          <tr>
+            <td>${escapeHtml(change.label)}</td>
+            <td>${escapeHtml(change.added.join(', ')) || '-'}</td>
+            <td>${escapeHtml(change.removed.join(', ')) || '-'}</td>
+            <td>${change.defaultBefore !== change.defaultAfter
+              ? `${escapeHtml(change.defaultBefore || 'none')} → ${escapeHtml(change.defaultAfter || 'none')}`
+              : '-'}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+  changesEl.classList.remove('hidden');
+}
+
+function exportRtMatrix() {
+  if (!rtMatrix) return;
+
+  const rows = RecordTypePicklistAPI.toCSVRows(rtMatrix, rtAssignments);
+  downloadCSVRows(rows, `record-type-values-${rtMatrix.objectName}-${rtMatrix.fieldName}-${Date.now()}.csv`);
+}
+
+async function importRtMatrix(e) {
+  const file = e.target.files[0];
+  const statusEl = document.getElementById('rtStatus');
+  e.target.value = '';
+
+  if (!file || !rtMatrix) return;
+
+  try {
+    let rows;
+    if (isWorkbookFile(file)) {
+      // The matrix export has a single sheet; the first one is used
+      rows = (await readWorkbook(file))[0]?.rows || [];
+    } else {
+      const text = (await file.text()).replace(/^\uFEFF/, '');
+      const lines = text.split('\n').map(line => line.replace(/\r$/, '')).filter(line => line.trim());
+      const separator = (lines[0] || '').includes('\t') ? '\t' : ',';
+      rows = lines.map(line => parseCSVLine(line, separator));
+    }
+
+    const result = RecordTypePicklistAPI.applyCSVRows(rtMatrix, rtAssignments, rows);
+    rtAssignments = result.assignments;
+    renderRtMatrix();
+
+    if (result.warnings.length > 0) {
+      statusEl.textContent = `Imported with warnings: ${result.warnings.join('; ')}`;
+      statusEl.className = 'status-message warning';
+    } else {
+      statusEl.textContent = `✓ Imported ${file.name} - review the pending changes before deploying`;
+      statusEl.className = 'status-message success';
+    }
+  } catch (error) {
+    console.error('[Picklist Management] Record type import failed:', error);
+    statusEl.textContent = `Error: ${error.message}`;
+    statusEl.className = 'status-message error';
+  }
+}
+
+function resetRtChanges() {
+  if (!rtMatrix) return;
+  rtAssignments = RecordTypePicklistAPI.toAssignments(rtMatrix);
+  renderRtMatrix();
+}
+
+async function deployRtChanges() {
+  const statusEl = document.getElementById('rtStatus');
+  const deployBtn = document.getElementById('rtDeployBtn');
+  const changes = RecordTypePicklistAPI.diffAssignments(rtMatrix, rtAssignments);
+
+  const confirmed = confirm(
+    `Deploy ${rtMatrix.objectName}.${rtMatrix.fieldName} assignments for ${changes.length} record type${changes.length === 1 ? '' : 's'}?\n\n` +
+    changes.map(change => `• ${change.label}`).join('\n')
+  );
+  if (!confirmed) return;
+
+  try {
+    deployBtn.disabled = true;
+    statusEl.textContent = 'Deploying record types via Metadata API...';
+    statusEl.className = 'status-message loading';
+
+    const session = await SessionManager.getCurrentSession();
+    await RecordTypePicklistAPI.deployAssignments(session, rtMatrix, rtAssignments, statusText => {
+      statusEl.textContent = statusText;
+    });
+
+    // Re-read so further edits start from what the org now has
+    await handleRtFieldChange();
+
+    statusEl.textContent = `✓ ${changes.length} record type${changes.length === 1 ? '' : 's'} deployed successfully!`;
+    statusEl.className = 'status-message success';
+  } catch (error) {
+    console.error('[Picklist Management] Record type deploy failed:', error);
+    statusEl.textContent = `Error: ${getPicklistErrorMessage(error.message)}`;
+    statusEl.className = 'status-message error';
+    deployBtn.disabled = false;
+  }
+}
+
+function clearRtMatrix() {
+  rtMatrix = null;
+  rtAssignments = null;
+
+  document.getElementById('rtMatrixArea').classList.add('hidden');
+  document.getElementById('rtMatrix').innerHTML = '';
+  document.getElementById('rtChanges').classList.add('hidden');
+}
+
+function downloadCSVRows(rows, filename) {
+  const csvContent = rows.map(row =>
+    row.map(cell => {
+      const cellStr = String(cell || '');
+      if (cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n')) {
+        return '"' + cellStr.replace(/"/g, '""') + '"';
+      }
+      return cellStr;
+    }).join(',')
+  ).join('\n');
+
+  const BOM = '\uFEFF';
+  const blob = new Blob([BOM + csvContent], { type: 'text/csv;charset=utf-8;' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+
+  console.log('[Picklist Management] CSV downloaded:', filename, 'Rows:', rows.length);
+}
+
+// ============================================
+// SECTION 7: REPLACE VALUES
+// ============================================
+
+function setupReplaceListeners() {
+  document.getElementById('replaceObjectSelect')?.addEventListener('change', handleReplaceObjectChange);
+  document.getElementById('replaceFieldSelect')?.addEventListener('change', handleReplaceFieldChange);
+  ['replaceOldValue', 'replaceNewValue', 'replaceNewLabel', 'replaceDeactivateCheckbox', 'replaceRecordTypesCheckbox'].forEach(id => {
+    document.getElementById(id)?.addEventListener('input', clearReplacePlan);
+    document.getElementById(id)?.addEventListener('change', clearReplacePlan);
+  });
+  document.getElementById('replacePreviewBtn')?.addEventListener('click', previewReplace);
+  document.getElementById('replaceRunBtn')?.addEventListener('click', runReplace);
+}
+
+async function loadReplaceData() {
+  // Replacing writes metadata and records, so it shares the Picklist Loader unlock
+  document.getElementById('replaceLoaderLocked').classList.toggle('hidden', isPicklistLoaderUnlocked);
+  document.getElementById('replaceRunBtn').disabled = !replacePlan || !isPicklistLoaderUnlocked;
+
+  if (replaceObjectsLoaded) return;
+
+  const selectEl = document.getElementById('replaceObjectSelect');
+
+  try {
+    const objects = await SalesforceAPI.getObjects();
+
+    selectEl.innerHTML = '<option value="">-- Select Object --</option>';
+    objects
+      .filter(obj => !['History', 'Share', 'Feed', 'Event', 'ChangeEvent'].some(suffix => obj.name.endsWith(suffix)))
+      .sort((a, b) => a.label.localeCompare(b.label))
+      .forEach(obj => {
+        const option = document.createElement('option');
+        option.value = obj.name;
+        option.textContent = `${obj.label} (${obj.name})`;
+        selectEl.appendChild(option);
+      });
+
+    replaceObjectsLoaded = true;
+  } catch (error) {
+    console.error('[Picklist Management] Error loading objects for replace:', error);
+    selectEl.innerHTML = '<option value="">Error loading objects</option>';
+  }
+}
+
+async function handleReplaceObjectChange(e) {
+  const objectName = e.target.value;
+  const fieldSelect = document.getElementById('replaceFieldSelect');
+
+  clearReplaceForm();
+  fieldSelect.innerHTML = '<option value="">-- Select Field --</option>';
+  fieldSelect.disabled = true;
+
+  if (!objectName) return;
+
+  try {
+    const metadata = await SalesforceAPI.getObjectMetadata(objectName);
+    const picklistFields = metadata.fields.filter(f => (f.type === 'picklist' || f.type === 'multipicklist') && f.updateable);
+
+    if (picklistFields.length === 0) {
+      fieldSelect.innerHTML = '<option value="">No editable picklist fields found</option>';
+      return;
+    }
+
+    picklistFields.forEach(field => {
+      const option = document.createElement('option');
+      option.value = field.name;
+      option.textContent = `${field.label} (${field.name})`;
+      fieldSelect.appendChild(option);
+    });
+    fieldSelect.disabled = false;
+  } catch (error) {
+    console.error('[Picklist Management] Error loading fields for replace:', error);
+    fieldSelect.innerHTML = '<option value="">Error loading fields</option>';
+  }
+}
+
+async function handleReplaceFieldChange() {
+  const objectName = document.getElementById('replaceObjectSelect').value;
+  const fieldName = document.getElementById('replaceFieldSelect').value;
+  const statusEl = document.getElementById('replaceStatus');
+
+  clearReplaceForm();
+  if (!objectName || !fieldName) return;
+
+  try {
+    statusEl.textContent = `Counting ${objectName} records per value...`;
+    statusEl.className = 'status-message loading';
+
+    const session = await SessionManager.getCurrentSession();
+    const describe = await RequestClient.request(session, `/services/data/v59.0/sobjects/${objectName}/describe`);
+    const field = describe.fields.find(f => f.name === fieldName);
+    const counts = await PicklistReplaceAPI.countRecordsByValue(session, objectName, field);
+
+    replaceField = field;
+    renderReplaceCounts(field, counts);
+
+    const oldSelect = document.getElementById('replaceOldValue');
+    oldSelect.innerHTML = field.picklistValues.map(pv =>
+      `<option value="${escapeHtml(pv.value)}">${escapeHtml(pv.label)} (${escapeHtml(pv.value)}) - ${counts[pv.value] || 0} records</option>`
+    ).join('');
+
+    document.getElementById('replaceValueList').innerHTML = field.picklistValues
+      .filter(pv => pv.active)
+      .map(pv => `<option value="${escapeHtml(pv.value)}">${escapeHtml(pv.label)}</option>`)
+      .join('');
+
+    document.getElementById('replaceForm').classList.remove('hidden');
+    statusEl.textContent = '';
+    statusEl.className = 'status-message';
+  } catch (error) {
+    console.error('[Picklist Management] Error counting picklist values:', error);
+    statusEl.textContent = `Error: ${error.message}`;
+    statusEl.className = 'status-message error';
+  }
+}
+
+function renderReplaceCounts(field, counts) {
+  const known = new Set(field.picklistValues.map(pv => pv.value));
+  const rows = [
+    ...field.picklistValues.map(pv => ({ value: pv.value, label: pv.label, active: pv.active })),
+    // Values still on records but no longer in the picklist definition
+    ...Object.keys(counts).filter(value => !known.has(value)).map(value => ({ value, label: value, active: false, missing: true }))
+  ];
+
+  document.getElementById('replaceCounts').innerHTML = `
+    <table class="preview-table">
+      <thead>
+        <tr>
+          <th>Label</th>
+          <th>API Name</th>
+          <th>Status</th>
+          <th>Records</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(row => `
+          <tr>
+            <td>${escapeHtml(row.label)}</td>
+            <td><code>${escapeHtml(row.value)}</code></td>
+            <td>${row.missing ? 'Not in picklist' : row.active ? 'Active' : 'Inactive'}</td>
+            <td class="replace-count">${counts[row.value] || 0}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+async function previewReplace() {
+  const statusEl = document.getElementById('replaceStatus');
+  const previewBtn = document.getElementById('replacePreviewBtn');
+
+  clearReplacePlan();
+
+  try {
+    previewBtn.disabled = true;
+    statusEl.textContent = 'Building plan...';
+    statusEl.className = 'status-message loading';
+
+    const session = await SessionManager.getCurrentSession();
+    replacePlan = await PicklistReplaceAPI.planReplace(session, {
+      objectName: document.getElementById('replaceObjectSelect').value,
+      fieldName: replaceField.name,
+      oldValue: document.getElementById('replaceOldValue').value,
+      newValue: document.getElementById('replaceNewValue').value,
+      newLabel: document.getElementById('replaceNewLabel').value,
+      deactivateOld: document.getElementById('replaceDeactivateCheckbox').checked,
+      updateRecordTypes: document.getElementById('replaceRecordTypesCheckbox').checked
+    });
+
+    document.getElementById('replacePlanContent').innerHTML = `
+      <ol>
+        ${replacePlan.steps.map(step => `<li>${escapeHtml(step)}</li>`).join('')}
+      </ol>
+      ${replacePlan.newValueExists && replacePlan.moveRecords
+        ? `<small class="form-hint">${escapeHtml(replacePlan.newValue)} already exists: ${escapeHtml(replacePlan.oldValue)} is merged into it.</small>`
+        : ''}
+    `;
+    document.getElementById('replacePlan').classList.remove('hidden');
+    document.getElementById('replaceRunBtn').disabled = !isPicklistLoaderUnlocked;
+
+    statusEl.textContent = '';
+    statusEl.className = 'status-message';
+  } catch (error) {
+    console.error('[Picklist Management] Replace preview failed:', error);
+    statusEl.textContent = `Error: ${error.message}`;
+    statusEl.className = 'status-message error';
+  } finally {
+    previewBtn.disabled = false;
+  }
+}
+
+async function runReplace() {
+  if (!replacePlan) return;
+
+  const statusEl = document.getElementById('replaceStatus');
+  const runBtn = document.getElementById('replaceRunBtn');
+  const logEl = document.getElementById('replaceLog');
+  const plan = replacePlan;
+
+  const confirmed = confirm(
+    `Run on ${plan.objectName}.${plan.fieldName}?\n\n` +
+    plan.steps.map(step => `• ${step}`).join('\n') +
+    (plan.recordCount > 0 ? '\n\nRecord updates fire triggers, flows and validation rules and cannot be rolled back from here.' : '')
+  );
+  if (!confirmed) return;
+
+  try {
+    runBtn.disabled = true;
+    logEl.innerHTML = '';
+    logEl.classList.remove('hidden');
+    statusEl.textContent = 'Running...';
+    statusEl.className = 'status-message loading';
+
+    const session = await SessionManager.getCurrentSession();
+    const result = await PicklistReplaceAPI.runReplace(session, plan, message => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      logEl.appendChild(item);
+      statusEl.textContent = message;
+    });
+
+    // Re-read so the counts and value lists show what the org now has
+    await handleReplaceFieldChange();
+    document.getElementById('replaceLog').classList.remove('hidden');
+
+    const countsAfter = result.countsAfter || {};
+    const summary = `${plan.oldValue}: ${plan.countsBefore[plan.oldValue] || 0} → ${countsAfter[plan.oldValue] || 0} records, ` +
+      `${plan.newValue}: ${plan.countsBefore[plan.newValue] || 0} → ${countsAfter[plan.newValue] || 0} records`;
+
+    if (result.failed > 0) {
+      statusEl.textContent = `${result.failed} records could not be updated, so ${plan.oldValue} was left active. ${summary}. ${result.errors.slice(0, 3).join('; ')}`;
+      statusEl.className = 'status-message warning';
+    } else {
+      statusEl.textContent = `✓ Done${result.deactivated ? `, ${plan.oldValue} deactivated` : ''}. ${summary}`;
+      statusEl.className = 'status-message success';
+    }
+  } catch (error) {
+    console.error('[Picklist Management] Replace failed:', error);
+    statusEl.textContent = `Error: ${getPicklistErrorMessage(error.message)}`;
+    statusEl.className = 'status-message error';
+    runBtn.disabled = false;
+  }
+}
+
+function clearReplacePlan() {
+  replacePlan = null;
+  document.getElementById('replacePlan').classList.add('hidden');
+  document.getElementById('replaceRunBtn').disabled = true;
+}
+
+function clearReplaceForm() {
+  replaceField = null;
+  clearReplacePlan();
+
+  document.getElementById('replaceForm').classList.add('hidden');
+  document.getElementById('replaceCounts').innerHTML = '';
+  document.getElementById('replaceLog').classList.add('hidden');
+  document.getElementById('replaceNewValue').value = '';
+  document.getElementById('replaceNewLabel').value = '';
+}
+
+// ============================================
+// PICKLIST LOADER UNLOCK FUNCTIONS
+// ============================================
+
+async function showPicklistLoaderUnlock() {
+  // Switch to picklist loader tab and show unlock form
+  document.querySelectorAll('.tab-button').forEach(btn => btn.classList.remove('active'));
+  document.querySelectorAll('.tab-panel').forEach(panel => panel.classList.remove('active'));
+
+  document.querySelector('[data-tab="picklist-loader"]').classList.add('active');
+  document.getElementById('picklist-loader').classList.add('active');
+
+  document.getElementById('picklistLoaderUnlockSection').classList.remove('hidden');
+  document.getElementById('picklistLoaderContent').classList.add('hidden');
+}
+
+async function unlockPicklistLoader() {
+  const password = document.getElementById('picklistLoaderPassword').value;
+  const statusEl = document.getElementById('picklistLoaderUnlockStatus');
+  const unlockBtn = document.getElementById('unlockPicklistLoaderBtn');
+
+  if (!password) {
+    statusEl.textContent = 'Please enter a password';
     statusEl.className = 'status-message error';
     return;
   }
@@ -1952,3 +3427,64 @@ async function unlockDependencyLoader() {
     unlockBtn.disabled = false;
   }
 }
+
+// ============================================
+// FILE IMPORT (CSV / EXCEL)
+// ============================================
+
+/**
+ * Let a loader text area be filled from a CSV or Excel file
+ * Sheets are turned into tab-separated text, which every loader already accepts as pasted Excel data;
+ * for workbooks with several sheets a sheet picker appears next to the button
+ * @param {string} prefix - ID prefix of the {prefix}ImportBtn / ImportFileInput / ImportSheetSelect / ImportFileName elements
+ * @param {string} textareaId - Text area to fill
+ * @param {Function} onLoad - Called with { fromWorkbook } after the text area changed
+ */
+function setupFileImport(prefix, textareaId, onLoad) {
+  const button = document.getElementById(`${prefix}ImportBtn`);
+  const fileInput = document.getElementById(`${prefix}ImportFileInput`);
+  const sheetSelect = document.getElementById(`${prefix}ImportSheetSelect`);
+  const fileNameEl = document.getElementById(`${prefix}ImportFileName`);
+  if (!button || !fileInput) return;
+
+  let sheets = [];
+
+  const showSheet = () => {
+    const sheet = sheets[Number(sheetSelect.value) || 0];
+    document.getElementById(textareaId).value = rowsToTSV(sheet.rows);
+    onLoad({ fromWorkbook: true });
+  };
+
+  button.addEventListener('click', () => fileInput.click());
+  sheetSelect.addEventListener('change', showSheet);
+
+  fileInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    sheetSelect.classList.add('hidden');
+    fileNameEl.textContent = file.name;
+
+    try {
+      if (isWorkbookFile(file)) {
+        sheets = (await readWorkbook(file)).filter(sheet => sheet.rows.length > 0);
+        if (sheets.length === 0) {
+          throw new Error('Workbook has no data');
+        }
+
+        sheetSelect.innerHTML = sheets
+          .map((sheet, index) => `<option value="${index}">${escapeHtml(sheet.name)} (${sheet.rows.length} rows)</option>`)
+          .join('');
+        sheetSelect.classList.toggle('hidden', sheets.length < 2);
+        showSheet();
+      } else {
+        document.getElementById(textareaId).value = (await file.text()).replace(/^\uFEFF/, '');
+        onLoad({ fromWorkbook: false });
+      }
+    } catch (error) {
+      console.error('[Picklist Management] File import failed:', error);
+      fileNameEl.textContent = `Error: ${error.message}`;
+    }
+  });
+}
@@ -0,0 +1,325 @@
+/**
+ * Migration History - Client-side Logic
+ * Lists saved Record Migrator jobs and resumes, rolls back or deletes them
+ */
+
+import { escapeHtml } from '../../shared/utils.js';
+
+const STATUS_LABELS = {
+  running: { label: 'Running', icon: 'sync', type: 'loading' },
+  interrupted: { label: 'Interrupted', icon: 'pause_circle', type: 'warning' },
+  failed: { label: 'Failed', icon: 'error', type: 'error' },
+  completed: { label: 'Completed', icon: 'check_circle', type: 'success' },
+  rolledBack: { label: 'Rolled Back', icon: 'undo', type: 'info' }
+};
+
+const state = {
+  jobs: [],
+  busy: false
+};
+
+const elements = {
+  backBtn: document.getElementById('backBtn'),
+  refreshBtn: document.getElementById('refreshBtn'),
+  statusMessage: document.getElementById('statusMessage'),
+  jobsTableBody: document.getElementById('jobsTableBody'),
+  jobProgress: document.getElementById('jobProgress'),
+  progressBarFill: document.getElementById('progressBarFill'),
+  progressText: document.getElementById('progressText'),
+  currentStep: document.getElementById('currentStep'),
+  jobLogContainer: document.getElementById('jobLogContainer'),
+  jobLog: document.getElementById('jobLog')
+};
+
+// ============================================================================
+// Initialization
+// ============================================================================
+
+async function init() {
+  // History shares the Record Migrator lock
+  const stored = await chrome.storage.session.get(['recordMigratorUnlocked']);
+  if (stored.recordMigratorUnlocked !== true) {
+    window.location.href = 'record-migrator.html';
+    return;
+  }
+
+  applyTheme();
+
+  elements.backBtn.addEventListener('click', () => {
+    window.location.href = 'record-migrator.html';
+  });
+  elements.refreshBtn.addEventListener('click', loadJobs);
+  elements.jobsTableBody.addEventListener('click', handleJobAction);
+
+  await loadJobs();
+}
+
+function applyTheme() {
+  const theme = localStorage.getItem('theme') || 'light';
+  document.documentElement.setAttribute('data-theme', theme);
+}
+
+// ============================================================================
+// Job List
+// ============================================================================
+
+async function loadJobs() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'GET_MIGRATION_JOBS' });
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load migration jobs');
+    }
+
+    state.jobs = response.data;
+    renderJobs();
+  } catch (error) {
+    console.error('[Migration History] Error loading jobs:', error);
+    showStatus(`Failed to load migration jobs: ${error.message}`, 'error');
+  }
+}
+
+function renderJobs() {
+  if (state.jobs.length === 0) {
+    elements.jobsTableBody.innerHTML = `
+      <tr>
+        <td colspan="8" class="empty-state">
+          <span class="material-symbols-rounded">history</span>
+          <p>No migration jobs yet</p>
+        </td>
+      </tr>
+    `;
+    return;
+  }
+
+  elements.jobsTableBody.innerHTML = state.jobs.map(job => {
+    const status = STATUS_LABELS[job.status] || { label: job.status, icon: 'help', type: 'info' };
+    const canResume = job.status === 'interrupted' || job.status === 'failed';
+    const updatedCount = job.updatedCount || 0;
+    const canRollback = job.status !== 'running' && job.status !== 'rolledBack' && (job.createdCount > 0 || updatedCount > 0);
+    const detail = job.rollback
+      ? `${job.rollback.success} deleted, ${job.rollback.restored || 0} restored, ${job.rollback.failed} failed` +
+        `${job.rollback.conflicts ? `, ${job.rollback.conflicts} changed since (not restored)` : ''}`
+      : job.error || '';
+
+    return `
+      <tr data-id="${job.id}">
+        <td>${formatTimestamp(job.createdAt)}</td>
+        <td><code>${escapeHtml(job.objectName)}</code><br><span class="input-hint">${job.recordCount} selected</span></td>
+        <td>${escapeHtml(job.sourceOrg.orgName || job.sourceOrg.instanceUrl)} → ${escapeHtml(job.targetOrg.orgName || job.targetOrg.instanceUrl)}</td>
+        <td><span class="status-ok">${job.parentSuccess}</span> / <span class="status-error">${job.parentFailed}</span></td>
+        <td><span class="status-ok">${job.childSuccess}</span> / <span class="status-error">${job.childFailed}</span></td>
+        <td>${job.createdCount}${updatedCount > 0 ? `<br><span class="input-hint">${updatedCount} updated</span>` : ''}</td>
+        <td>
+          <span class="job-status job-status-${status.type}">
+            <span class="material-symbols-rounded">${status.icon}</span>
+            ${status.label}
+          </span>
+          ${detail ? `<div class="job-status-detail">${escapeHtml(detail)}</div>` : ''}
+        </td>
+        <td class="job-actions">
+          ${canResume ? `
+            <button class="btn btn-text btn-sm" data-action="resume" data-id="${job.id}" title="Resume from the last committed batch">
+              <span class="material-symbols-rounded">play_arrow</span>
+              Resume
+            </button>` : ''}
+          ${canRollback ? `
+            <button class="btn btn-text btn-sm" data-action="rollback" data-id="${job.id}" title="Delete the records this job created and restore the ones it updated">
+              <span class="material-symbols-rounded">undo</span>
+              Rollback
+            </button>` : ''}
+          ${job.status !== 'running' ? `
+            <button class="btn btn-text btn-sm" data-action="delete" data-id="${job.id}" title="Remove from history (records are not deleted)">
+              <span class="material-symbols-rounded">delete</span>
+            </button>` : ''}
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+async function handleJobAction(event) {
+  const button = event.target.closest('button[data-action]');
+  if (!button) return;
+
+  if (state.busy) {
+    showStatus('Another job action is still in progress', 'warning');
+    return;
+  }
+
+  const job = state.jobs.find(j => j.id === button.dataset.id);
+  if (!job) return;
+
+  switch (button.dataset.action) {
+    case 'resume':
+      await resumeJob(job);
+      break;
+    case 'rollback':
+      await rollbackJob(job);
+      break;
+    case 'delete':
+      await deleteJob(job);
+      break;
+  }
+}
+
+// ============================================================================
+// Job Actions
+// ============================================================================
+
+async function resumeJob(job) {
+  const remaining = job.recordCount - job.parentSuccess - job.parentFailed;
+  const confirmed = confirm(
+    `Resume the ${job.objectName} migration from ${job.sourceOrg.orgName || job.sourceOrg.instanceUrl} ` +
+    `to ${job.targetOrg.orgName || job.targetOrg.instanceUrl}?\n\n` +
+    `Records already sent are skipped${remaining > 0 ? ` (${remaining} parent records remaining)` : ''}.`
+  );
+  if (!confirmed) return;
+
+  const portName = `migration-progress-${job.id}-${Date.now()}`;
+  const onConnect = (port) => {
+    if (port.name !== portName) return;
+    port.onMessage.addListener(message => {
+      if (message.type === 'MIGRATION_PROGRESS') {
+        updateProgress(message.percentage, message.message);
+      }
+    });
+  };
+  chrome.runtime.onConnect.addListener(onConnect);
+
+  startJobAction(`Resuming job ${job.id}...`);
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'RESUME_MIGRATION',
+      jobId: job.id,
+      progressPort: portName
+    });
+
+    if (!response.success) {
+      throw new Error(response.error || 'Resume failed');
+    }
+
+    const results = response.data;
+    appendLog('success', 'Migration job completed');
+    appendLog('info', `Parent records created: ${results.parentSuccess || 0}, failed: ${results.parentFailed || 0}`);
+    appendLog('info', `Child records created: ${results.childSuccess || 0}, failed: ${results.childFailed || 0}`);
+    (results.errors || []).slice(-20).forEach(err => appendLog('error', err));
+
+    updateProgress(100, 'Migration complete');
+    showStatus('Migration job completed', (results.parentFailed || results.childFailed) ? 'warning' : 'success');
+  } catch (error) {
+    console.error('[Migration History] Resume error:', error);
+    appendLog('error', `Resume failed: ${error.message}`);
+    showStatus(`Resume failed: ${error.message}`, 'error');
+  } finally {
+    chrome.runtime.onConnect.removeListener(onConnect);
+    state.busy = false;
+    await loadJobs();
+  }
+}
+
+async function rollbackJob(job) {
+  const updatedCount = job.updatedCount || 0;
+  const confirmed = confirm(
+    `This will delete ${job.createdCount} records that job ${job.id} created in ` +
+    `${job.targetOrg.orgName || job.targetOrg.instanceUrl}` +
+    `${updatedCount > 0 ? ` and restore the previous values of ${updatedCount} records it updated` : ''}.\n\n` +
+    `Updated records that changed again since the migration are skipped and reported.\n\n` +
+    `This action cannot be undone. Continue?`
+  );
+  if (!confirmed) return;
+
+  startJobAction(`Rolling back ${job.createdCount + updatedCount} records...`);
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'ROLLBACK_MIGRATION_JOB',
+      jobId: job.id
+    });
+
+    if (!response.success) {
+      throw new Error(response.error || 'Rollback failed');
+    }
+
+    appendLog('success', 'Rollback completed!');
+    appendLog('info', `Records deleted: ${response.data.success || 0}`);
+    appendLog('info', `Deletions failed: ${response.data.failed || 0}`);
+    if (updatedCount > 0) {
+      appendLog('info', `Updated records restored: ${response.data.restored || 0}, failed: ${response.data.restoreFailed || 0}`);
+    }
+    (response.data.conflicts || []).forEach(conflict => {
+      appendLog('warning', `${conflict.objectName} ${conflict.id} changed after the migration (${new Date(conflict.lastModifiedDate).toLocaleString()}${conflict.lastModifiedBy ? ` by ${conflict.lastModifiedBy}` : ''}) - not restored`);
+    });
+    (response.data.errors || []).slice(0, 10).forEach(err => appendLog('error', err));
+
+    updateProgress(100, 'Rollback complete');
+    const problems = response.data.failed + (response.data.restoreFailed || 0) + (response.data.conflicts || []).length;
+    showStatus('Rollback completed!', problems > 0 ? 'warning' : 'success');
+  } catch (error) {
+    console.error('[Migration History] Rollback error:', error);
+    appendLog('error', `Rollback failed: ${error.message}`);
+    showStatus(`Rollback failed: ${error.message}`, 'error');
+  } finally {
+    state.busy = false;
+    await loadJobs();
+  }
+}
+
+async function deleteJob(job) {
+  const confirmed = confirm(
+    `Remove job ${job.id} from the history?\n\n` +
+    `Records it created stay in the target org and can no longer be rolled back from here.`
+  );
+  if (!confirmed) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'DELETE_MIGRATION_JOB', jobId: job.id });
+    if (!response.success) {
+      throw new Error(response.error || 'Delete failed');
+    }
+    showStatus('Migration job removed', 'success');
+  } catch (error) {
+    console.error('[Migration History] Delete error:', error);
+    showStatus(`Delete failed: ${error.message}`, 'error');
+  }
+
+  await loadJobs();
+}
+
+// ============================================================================
+// UI Helpers
+// ============================================================================
+
+function startJobAction(message) {
+  state.busy = true;
+  elements.jobProgress.classList.remove('hidden');
+  elements.jobLogContainer.classList.remove('hidden');
+  updateProgress(0, message);
+  appendLog('info', message);
+}
+
+function updateProgress(percentage, stepText) {
+  elements.progressBarFill.style.width = `${percentage}%`;
+  elements.progressText.textContent = `${percentage}%`;
+  elements.currentStep.textContent = stepText;
+}
+
+function appendLog(severity, message) {
+  const timestamp = new Date().toLocaleTimeString();
+  const entry = document.createElement('div');
+  entry.className = `log-entry ${severity}`;
+  entry.innerHTML = `<span class="log-timestamp">[${timestamp}]</span> ${escapeHtml(message)}`;
+  elements.jobLog.appendChild(entry);
+  elements.jobLog.scrollTop = elements.jobLog.scrollHeight;
+}
+
+function showStatus(message, type = 'info') {
+  elements.statusMessage.textContent = message;
+  elements.statusMessage.className = `status-message ${type} show`;
+}
+
+function formatTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+document.addEventListener('DOMContentLoaded', init);
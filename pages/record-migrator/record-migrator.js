@@ -4,8 +4,10 @@
  */
 
 import RecordMigratorAPI from '../../background/record-migrator-api.js';
-import FieldMapper from './field-mapper.js';
-import PicklistMapper from './picklist-mapper.js';
+import FieldMapper from '../../background/field-mapper.js';
+import PicklistMapper from '../../background/picklist-mapper.js';
+import LookupRemapper from '../../background/lookup-remapper.js';
+import MigrationTemplates from '../../background/migration-templates.js';
 
 // ============================================================================
 // State Management
@@ -26,6 +28,8 @@ const state = {
   fieldMapping: null,
   picklistFields: [],
   picklistMappings: {}, // fieldName -> { sourceValue: targetValue }
+  lookupRules: [], // { field, referenceTo, strategy, matchFields }
+  lookupProfiles: [],
   // Relationship state
   childRelationships: [],
   selectedRelationships: [],
@@ -33,6 +37,9 @@ const state = {
   externalIdFields: [],
   selectedExternalIdField: null,
   useExternalId: true,
+  // Template state
+  templates: [],
+  replayedTemplate: null, // { template, steps, comparison } after a replay
   // Migration state
   migrationLog: [],
   migrationInProgress: false
@@ -45,6 +52,7 @@ const state = {
 const elements = {
   // Navigation
   backBtn: document.getElementById('backBtn'),
+  historyBtn: document.getElementById('historyBtn'),
   resetBtn: document.getElementById('resetBtn'),
 
   // Status
@@ -56,6 +64,13 @@ const elements = {
   sourceOrgInfo: document.getElementById('sourceOrgInfo'),
   targetOrgInfo: document.getElementById('targetOrgInfo'),
   step1NextBtn: document.getElementById('step1NextBtn'),
+  templateSelect: document.getElementById('templateSelect'),
+  replayTemplateBtn: document.getElementById('replayTemplateBtn'),
+  exportTemplateBtn: document.getElementById('exportTemplateBtn'),
+  importTemplateBtn: document.getElementById('importTemplateBtn'),
+  deleteTemplateBtn: document.getElementById('deleteTemplateBtn'),
+  templateFileInput: document.getElementById('templateFileInput'),
+  templateInfo: document.getElementById('templateInfo'),
 
   // Step 2: Record Selection
   objectSelect: document.getElementById('objectSelect'),
@@ -89,6 +104,13 @@ const elements = {
   picklistFieldCount: document.getElementById('picklistFieldCount'),
   picklistFieldsList: document.getElementById('picklistFieldsList'),
   mapPicklistsBtn: document.getElementById('mapPicklistsBtn'),
+  lookupSection: document.getElementById('lookupSection'),
+  lookupFieldCount: document.getElementById('lookupFieldCount'),
+  lookupRulesTableBody: document.getElementById('lookupRulesTableBody'),
+  lookupProfileSelect: document.getElementById('lookupProfileSelect'),
+  applyLookupProfileBtn: document.getElementById('applyLookupProfileBtn'),
+  saveLookupProfileBtn: document.getElementById('saveLookupProfileBtn'),
+  deleteLookupProfileBtn: document.getElementById('deleteLookupProfileBtn'),
   step3BackBtn: document.getElementById('step3BackBtn'),
   step3NextBtn: document.getElementById('step3NextBtn'),
 
@@ -107,7 +129,9 @@ const elements = {
   useExternalIdCheckbox: document.getElementById('useExternalIdCheckbox'),
   externalIdFieldContainer: document.getElementById('externalIdFieldContainer'),
   externalIdFieldSelect: document.getElementById('externalIdFieldSelect'),
+  bulkThresholdInput: document.getElementById('bulkThresholdInput'),
   refreshExternalIdBtn: document.getElementById('refreshExternalIdBtn'),
+  templateReplay: document.getElementById('templateReplay'),
   summaryParentCount: document.getElementById('summaryParentCount'),
   summaryRelationshipCount: document.getElementById('summaryRelationshipCount'),
   summaryChildCount: document.getElementById('summaryChildCount'),
@@ -121,7 +145,9 @@ const elements = {
   migrationLog: document.getElementById('migrationLog'),
   exportLogBtn: document.getElementById('exportLogBtn'),
   step5BackBtn: document.getElementById('step5BackBtn'),
-  startMigrationBtn: document.getElementById('startMigrationBtn')
+  startMigrationBtn: document.getElementById('startMigrationBtn'),
+  simulateMigrationBtn: document.getElementById('simulateMigrationBtn'),
+  saveTemplateBtn: document.getElementById('saveTemplateBtn')
 };
 
 // ============================================================================
@@ -147,8 +173,9 @@ async function init() {
   // Setup event listeners
   setupEventListeners();
 
-  // Load active sessions
+  // Load active sessions and saved templates
   await loadActiveSessions();
+  await loadTemplates();
 }
 
 // ============================================================================
@@ -208,6 +235,7 @@ async function unlockPage() {
         applyTheme();
         setupEventListeners();
         await loadActiveSessions();
+        await loadTemplates();
       }, 1000);
     } else {
       throw new Error('Invalid password');
@@ -228,12 +256,19 @@ function applyTheme() {
 function setupEventListeners() {
   // Navigation
   elements.backBtn.addEventListener('click', () => window.close());
+  elements.historyBtn.addEventListener('click', openMigrationHistory);
   elements.resetBtn.addEventListener('click', resetMigration);
 
   // Step 1
   elements.sourceOrgSelect.addEventListener('change', handleOrgSelection);
   elements.targetOrgSelect.addEventListener('change', handleOrgSelection);
   elements.step1NextBtn.addEventListener('click', () => goToStep(2));
+  elements.templateSelect.addEventListener('change', handleTemplateSelection);
+  elements.replayTemplateBtn.addEventListener('click', replayTemplate);
+  elements.exportTemplateBtn.addEventListener('click', exportTemplate);
+  elements.importTemplateBtn.addEventListener('click', () => elements.templateFileInput.click());
+  elements.templateFileInput.addEventListener('change', importTemplate);
+  elements.deleteTemplateBtn.addEventListener('click', deleteTemplate);
 
   // Step 2
   elements.objectSelect.addEventListener('change', handleObjectSelection);
@@ -247,6 +282,9 @@ function setupEventListeners() {
   // Step 3
   elements.analyzeFieldsBtn.addEventListener('click', analyzeFields);
   elements.mapPicklistsBtn.addEventListener('click', configurePicklistMappings);
+  elements.applyLookupProfileBtn.addEventListener('click', applyLookupProfile);
+  elements.saveLookupProfileBtn.addEventListener('click', saveLookupProfile);
+  elements.deleteLookupProfileBtn.addEventListener('click', deleteLookupProfile);
   elements.step3BackBtn.addEventListener('click', () => goToStep(2));
   elements.step3NextBtn.addEventListener('click', () => goToStep(4));
 
@@ -261,8 +299,14 @@ function setupEventListeners() {
   elements.refreshExternalIdBtn.addEventListener('click', loadExternalIdFields);
   elements.externalIdFieldSelect.addEventListener('change', handleExternalIdFieldSelection);
   elements.step5BackBtn.addEventListener('click', () => goToStep(4));
-  elements.startMigrationBtn.addEventListener('click', startMigration);
+  elements.startMigrationBtn.addEventListener('click', () => startMigration(false));
+  elements.simulateMigrationBtn.addEventListener('click', () => startMigration(true));
   elements.exportLogBtn.addEventListener('click', exportLog);
+  elements.saveTemplateBtn.addEventListener('click', saveTemplate);
+}
+
+function openMigrationHistory() {
+  chrome.tabs.create({ url: chrome.runtime.getURL('pages/record-migrator/migration-history.html') });
 }
 
 // ============================================================================
@@ -406,6 +450,7 @@ function validateOrgSelection() {
                   state.sourceSession.orgId !== state.targetSession.orgId;
 
   elements.step1NextBtn.disabled = !isValid;
+  updateReplayButton();
 
   if (state.sourceSession && state.targetSession && state.sourceSession.orgId === state.targetSession.orgId) {
     showStatus('Source and target orgs must be different!', 'warning');
@@ -624,6 +669,10 @@ async function analyzeFields() {
     console.log('[Record Migrator] Field mapping:', state.fieldMapping);
     console.log('[Record Migrator] Picklist fields:', state.picklistFields.length);
 
+    // Default lookup matching rules, editable below the field mapping
+    state.lookupRules = LookupRemapper.buildDefaultRules(state.sourceFields);
+    state.lookupProfiles = await LookupRemapper.loadProfiles();
+
     // Display results
     displayFieldMapping();
     hideStatus();
@@ -739,8 +788,128 @@ function displayFieldMapping() {
   } else {
     elements.picklistSection.classList.add('hidden');
   }
+
+  displayLookupRules();
+}
+
+// ============================================================================
+// Step 3: Lookup Matching Rules
+// ============================================================================
+
+const LOOKUP_STRATEGY_LABELS = {
+  [LookupRemapper.STRATEGIES.KEEP]: 'Keep source ID',
+  [LookupRemapper.STRATEGIES.NAME]: 'Name',
+  [LookupRemapper.STRATEGIES.EXTERNAL_ID]: 'External ID',
+  [LookupRemapper.STRATEGIES.COMPOSITE_KEY]: 'Composite key',
+  [LookupRemapper.STRATEGIES.NULL]: 'Leave empty'
+};
+
+function displayLookupRules() {
+  if (state.lookupRules.length === 0) {
+    elements.lookupSection.classList.add('hidden');
+    return;
+  }
+
+  elements.lookupSection.classList.remove('hidden');
+  elements.lookupFieldCount.textContent = state.lookupRules.length;
+  elements.lookupRulesTableBody.innerHTML = '';
+
+  state.lookupRules.forEach((rule, index) => {
+    const needsFields = rule.strategy !== LookupRemapper.STRATEGIES.KEEP && rule.strategy !== LookupRemapper.STRATEGIES.NULL;
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td><span class="field-api">${escapeHtml(rule.field)}</span></td>
+      <td>${escapeHtml(rule.referenceTo.join(', '))}</td>
+      <td>
+        <select class="lookup-strategy-select" data-rule-index="${index}">
+          ${Object.entries(LOOKUP_STRATEGY_LABELS).map(([value, label]) =>
+            `<option value="${value}" ${rule.strategy === value ? 'selected' : ''}>${label}</option>`
+          ).join('')}
+        </select>
+      </td>
+      <td>
+        <input type="text" class="lookup-match-fields" data-rule-index="${index}"
+          value="${escapeHtml(rule.matchFields.join(', '))}"
+          placeholder="${rule.strategy === LookupRemapper.STRATEGIES.COMPOSITE_KEY ? 'e.g. SobjectType, DeveloperName' : 'e.g. Name'}"
+          ${needsFields ? '' : 'disabled'} />
+      </td>
+    `;
+
+    row.querySelector('.lookup-strategy-select').addEventListener('change', handleLookupStrategyChange);
+    row.querySelector('.lookup-match-fields').addEventListener('change', handleLookupMatchFieldsChange);
+    elements.lookupRulesTableBody.appendChild(row);
+  });
+
+  populateLookupProfiles();
+}
+
+function populateLookupProfiles() {
+  elements.lookupProfileSelect.innerHTML = '<option value="">-- Saved Profiles --</option>';
+  state.lookupProfiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.name;
+    option.textContent = `${profile.name} (${profile.objectName})`;
+    elements.lookupProfileSelect.appendChild(option);
+  });
+}
+
+function handleLookupStrategyChange(event) {
+  const rule = state.lookupRules[parseInt(event.target.dataset.ruleIndex)];
+  rule.strategy = event.target.value;
+
+  if (rule.matchFields.length === 0) {
+    rule.matchFields = LookupRemapper.getDefaultMatchFields(rule.strategy);
+  }
+
+  displayLookupRules();
+}
+
+function handleLookupMatchFieldsChange(event) {
+  const rule = state.lookupRules[parseInt(event.target.dataset.ruleIndex)];
+  rule.matchFields = event.target.value
+    .split(',')
+    .map(field => field.trim())
+    .filter(Boolean);
+}
+
+function applyLookupProfile() {
+  const profile = state.lookupProfiles.find(p => p.name === elements.lookupProfileSelect.value);
+  if (!profile) {
+    showStatus('Select a saved profile to apply', 'warning');
+    return;
+  }
+
+  state.lookupRules = LookupRemapper.applyProfile(state.lookupRules, profile);
+  displayLookupRules();
+  elements.lookupProfileSelect.value = profile.name;
+  showStatus(`Applied lookup profile "${profile.name}"`, 'success');
 }
 
+async function saveLookupProfile() {
+  const name = prompt('Profile name:', elements.lookupProfileSelect.value || state.selectedObject.name);
+  if (!name || !name.trim()) return;
+
+  try {
+    state.lookupProfiles = await LookupRemapper.saveProfile(name.trim(), state.selectedObject.name, state.lookupRules);
+    populateLookupProfiles();
+    elements.lookupProfileSelect.value = name.trim();
+    showStatus(`Saved lookup profile "${name.trim()}"`, 'success');
+  } catch (error) {
+    console.error('[Record Migrator] Error saving lookup profile:', error);
+    showStatus(`Error: ${error.message}`, 'error');
+  }
+}
+
+async function deleteLookupProfile() {
+  const name = elements.lookupProfileSelect.value;
+  if (!name || !confirm(`Delete lookup profile "${name}"?`)) return;
+
+  state.lookupProfiles = await LookupRemapper.deleteProfile(name);
+  populateLookupProfiles();
+  showStatus(`Deleted lookup profile "${name}"`, 'success');
+}
+
+
 async function configurePicklistMappings() {
   if (state.picklistFields.length === 0) {
     showStatus('No picklist fields require mapping', 'info');
@@ -794,18 +963,10 @@ async function detectRelationships() {
   try {
     showStatus('Detecting child relationships...', 'loading');
 
-    const response = await chrome.runtime.sendMessage({
-      action: 'GET_CHILD_RELATIONSHIPS',
-      sessionId: state.sourceSession.sessionId,
-      instanceUrl: state.sourceSession.instanceUrl,
-      objectName: state.selectedObject.name
-    });
-
-    if (!response.success) {
-      throw new Error(response.error || 'Failed to detect relationships');
-    }
+    const relationships = await fetchChildRelationships(state.selectedObject.name, null);
 
-    state.childRelationships = response.data || [];
+    state.childRelationships = relationships;
+    state.selectedRelationships = [];
     displayRelationships();
     hideStatus();
 
@@ -815,6 +976,33 @@ async function detectRelationships() {
   }
 }
 
+/**
+ * Load the child relationships of an object in the source org
+ * @param {string} objectName - Object whose children to load
+ * @param {Object|null} parentRelationship - Relationship the object was reached through (null for the root)
+ * @returns {Promise<Array>} Relationships annotated with parentSObject, depth and key
+ */
+async function fetchChildRelationships(objectName, parentRelationship) {
+  const response = await chrome.runtime.sendMessage({
+    action: 'GET_CHILD_RELATIONSHIPS',
+    sessionId: state.sourceSession.sessionId,
+    instanceUrl: state.sourceSession.instanceUrl,
+    objectName: objectName
+  });
+
+  if (!response.success) {
+    throw new Error(response.error || 'Failed to detect relationships');
+  }
+
+  return (response.data || []).map(rel => ({
+    ...rel,
+    parentSObject: objectName,
+    depth: parentRelationship ? parentRelationship.depth + 1 : 0,
+    parentKey: parentRelationship ? parentRelationship.key : null,
+    key: `${objectName}.${rel.childSObject}.${rel.field}`
+  }));
+}
+
 function displayRelationships() {
   elements.relationshipsPreview.classList.remove('hidden');
   elements.selectedObjectName.textContent = `Parent Object: ${state.selectedObject.label} (${state.selectedObject.name})`;
@@ -830,20 +1018,38 @@ function displayRelationships() {
   elements.relationshipsTableBody.innerHTML = '';
 
   state.childRelationships.forEach((rel, index) => {
+    const isSelected = state.selectedRelationships.some(r => r.key === rel.key);
     const row = document.createElement('tr');
     row.innerHTML = `
       <td class="checkbox-column">
-        <input type="checkbox" data-relationship-index="${index}" />
+        <input type="checkbox" data-relationship-index="${index}" ${isSelected ? 'checked' : ''} />
+      </td>
+      <td>
+        <span class="relationship-name" style="padding-left: ${rel.depth * 20}px">
+          ${rel.depth > 0 ? '<span class="material-symbols-rounded relationship-depth-icon">subdirectory_arrow_right</span>' : ''}
+          ${escapeHtml(rel.relationshipName || '(No Name)')}
+        </span>
+      </td>
+      <td>
+        ${escapeHtml(rel.childSObject)}
+        ${rel.expanded ? '' : `
+          <button class="btn btn-text btn-expand-relationship" data-relationship-index="${index}" title="Include children of ${escapeHtml(rel.childSObject)}">
+            <span class="material-symbols-rounded">add</span>
+          </button>
+        `}
       </td>
-      <td>${escapeHtml(rel.relationshipName || '(No Name)')}</td>
-      <td>${escapeHtml(rel.childSObject)}</td>
       <td>${escapeHtml(rel.field)}</td>
-      <td id="count-${index}">-</td>
+      <td id="count-${index}">${rel.estimatedCount !== undefined ? rel.estimatedCount : '-'}</td>
     `;
 
     const checkbox = row.querySelector('input[type="checkbox"]');
     checkbox.addEventListener('change', handleRelationshipSelection);
 
+    const expandBtn = row.querySelector('.btn-expand-relationship');
+    if (expandBtn) {
+      expandBtn.addEventListener('click', expandRelationship);
+    }
+
     elements.relationshipsTableBody.appendChild(row);
   });
 
@@ -851,13 +1057,88 @@ function displayRelationships() {
   estimateChildCounts();
 }
 
+/**
+ * Load grandchild relationships below a child relationship and show them nested under it
+ */
+async function expandRelationship(event) {
+  const relIndex = parseInt(event.currentTarget.dataset.relationshipIndex);
+  const relationship = state.childRelationships[relIndex];
+
+  try {
+    showStatus(`Detecting child relationships of ${relationship.childSObject}...`, 'loading');
+
+    const children = await insertNestedRelationships(relationship);
+    displayRelationships();
+
+    if (children.length === 0) {
+      showStatus(`No child relationships found for ${relationship.childSObject}`, 'info');
+    } else {
+      hideStatus();
+    }
+
+  } catch (error) {
+    console.error('[Record Migrator] Error expanding relationship:', error);
+    showStatus(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Load a relationship's own child relationships and insert them below it in state.childRelationships
+ * @param {Object} relationship - Relationship to expand
+ * @returns {Promise<Array>} Relationships that were inserted
+ */
+async function insertNestedRelationships(relationship) {
+  const children = (await fetchChildRelationships(relationship.childSObject, relationship))
+    .filter(child => !state.childRelationships.some(r => r.key === child.key));
+
+  relationship.expanded = true;
+
+  // Insert after the expanded relationship and any rows already nested below it
+  let insertAt = state.childRelationships.indexOf(relationship) + 1;
+  while (insertAt < state.childRelationships.length && state.childRelationships[insertAt].depth > relationship.depth) {
+    insertAt++;
+  }
+  state.childRelationships.splice(insertAt, 0, ...children);
+
+  return children;
+}
+
+/**
+ * Build the SOQL filter selecting a relationship's records for the chosen root records
+ * Only the root level and one level below can be expressed (SOQL allows a single semi-join)
+ * @returns {string|null} WHERE clause, or null when the count cannot be estimated
+ */
+function buildRelationshipCountFilter(rel) {
+  const rootIds = `'${state.selectedRecords.join("','")}'`;
+
+  if (rel.depth === 0) {
+    return `${rel.field} IN (${rootIds})`;
+  }
+
+  const parentRel = state.childRelationships.find(r => r.key === rel.parentKey);
+  if (rel.depth === 1 && parentRel) {
+    return `${rel.field} IN (SELECT Id FROM ${parentRel.childSObject} WHERE ${parentRel.field} IN (${rootIds}))`;
+  }
+
+  return null;
+}
+
 async function estimateChildCounts() {
   for (let i = 0; i < state.childRelationships.length; i++) {
     const rel = state.childRelationships[i];
     const countCell = document.getElementById(`count-${i}`);
 
+    if (rel.estimatedCount !== undefined) {
+      continue;
+    }
+
+    const filter = buildRelationshipCountFilter(rel);
+    if (!filter) {
+      continue;
+    }
+
     try {
-      const soql = `SELECT COUNT() FROM ${rel.childSObject} WHERE ${rel.field} IN ('${state.selectedRecords.join("','")}')`;
+      const soql = `SELECT COUNT() FROM ${rel.childSObject} WHERE ${filter}`;
 
       const response = await chrome.runtime.sendMessage({
         action: 'QUERY_RECORDS',
@@ -879,35 +1160,54 @@ async function estimateChildCounts() {
   }
 }
 
-function handleRelationshipSelection(event) {
-  const relIndex = parseInt(event.target.dataset.relationshipIndex);
-  const relationship = state.childRelationships[relIndex];
-
-  if (event.target.checked) {
-    if (!state.selectedRelationships.find(r => r.field === relationship.field)) {
-      state.selectedRelationships.push(relationship);
+/**
+ * Select or deselect a relationship
+ * Selecting a nested relationship also selects the relationships above it;
+ * deselecting one also deselects everything nested below it
+ */
+function setRelationshipSelected(relationship, selected) {
+  if (selected) {
+    let current = relationship;
+    while (current) {
+      if (!state.selectedRelationships.some(r => r.key === current.key)) {
+        state.selectedRelationships.push(current);
+      }
+      const parentKey = current.parentKey;
+      current = parentKey ? state.childRelationships.find(r => r.key === parentKey) : null;
     }
   } else {
-    state.selectedRelationships = state.selectedRelationships.filter(r => r.field !== relationship.field);
+    const removed = new Set([relationship.key]);
+    state.childRelationships.forEach(r => {
+      if (r.parentKey && removed.has(r.parentKey)) {
+        removed.add(r.key);
+      }
+    });
+    state.selectedRelationships = state.selectedRelationships.filter(r => !removed.has(r.key));
   }
 }
 
-function toggleSelectAllRelationships(event) {
-  const checkboxes = elements.relationshipsTableBody.querySelectorAll('input[type="checkbox"]');
+function syncRelationshipCheckboxes() {
+  elements.relationshipsTableBody.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+    const rel = state.childRelationships[parseInt(checkbox.dataset.relationshipIndex)];
+    checkbox.checked = state.selectedRelationships.some(r => r.key === rel.key);
+  });
+}
 
-  checkboxes.forEach(checkbox => {
-    checkbox.checked = event.target.checked;
-    const relIndex = parseInt(checkbox.dataset.relationshipIndex);
-    const relationship = state.childRelationships[relIndex];
+function handleRelationshipSelection(event) {
+  const relIndex = parseInt(event.target.dataset.relationshipIndex);
+  const relationship = state.childRelationships[relIndex];
 
-    if (event.target.checked) {
-      if (!state.selectedRelationships.find(r => r.field === relationship.field)) {
-        state.selectedRelationships.push(relationship);
-      }
-    } else {
-      state.selectedRelationships = [];
-    }
-  });
+  setRelationshipSelected(relationship, event.target.checked);
+  syncRelationshipCheckboxes();
+}
+
+function toggleSelectAllRelationships(event) {
+  if (event.target.checked) {
+    state.childRelationships.forEach(rel => setRelationshipSelected(rel, true));
+  } else {
+    state.selectedRelationships = [];
+  }
+  syncRelationshipCheckboxes();
 }
 
 // ============================================================================
@@ -925,17 +1225,24 @@ function updateMigrationSummary() {
   elements.summaryTotalOps.textContent = totalOps;
 }
 
-async function startMigration() {
+/**
+ * Run the migration, or simulate it when dryRun is set
+ * A dry run sends every record to the target org inside a rolled-back transaction,
+ * so nothing is saved and the report shows what would happen
+ * @param {boolean} dryRun - Simulate without committing
+ */
+async function startMigration(dryRun = false) {
   if (state.migrationInProgress) {
     showStatus('Migration already in progress!', 'warning');
     return;
   }
 
-  // Confirm with user
-  const confirmed = confirm(
+  // Confirm with user (a dry run writes nothing, so it needs no confirmation)
+  const confirmed = dryRun || confirm(
     `You are about to migrate:\n\n` +
     `• ${state.selectedRecords.length} ${state.selectedObject.label} records\n` +
-    `• ${state.selectedRelationships.length} child relationships\n\n` +
+    `• ${state.selectedRelationships.length} child relationships` +
+    `${state.selectedRelationships.some(r => r.depth > 0) ? ' (including nested levels)' : ''}\n\n` +
     `From: ${state.sourceSession.orgName}\n` +
     `To: ${state.targetSession.orgName}\n\n` +
     `This action cannot be undone. Continue?`
@@ -951,13 +1258,14 @@ async function startMigration() {
   elements.migrationProgress.classList.remove('hidden');
   elements.migrationLogContainer.classList.remove('hidden');
   elements.startMigrationBtn.disabled = true;
+  elements.simulateMigrationBtn.disabled = true;
   elements.step4BackBtn.disabled = true;
 
   // Reset progress
-  updateProgress(0, 'Initializing migration...');
+  updateProgress(0, dryRun ? 'Initializing dry run...' : 'Initializing migration...');
 
   try {
-    appendLog('info', 'Migration started...');
+    appendLog('info', dryRun ? 'Dry run started - no records will be saved...' : 'Migration started...');
 
     // Apply field mapping validation
     if (state.fieldMapping) {
@@ -975,15 +1283,25 @@ async function startMigration() {
       }
     }
 
+    // Lookup rules must be complete before any records are sent
+    const ruleErrors = state.lookupRules.map(rule => LookupRemapper.validateRule(rule)).filter(Boolean);
+    if (ruleErrors.length > 0) {
+      throw new Error(`Lookup rules incomplete: ${ruleErrors.join('; ')}`);
+    }
+
     const response = await chrome.runtime.sendMessage({
       action: 'MIGRATE_RECORDS',
       sourceSession: {
         sessionId: state.sourceSession.sessionId,
-        instanceUrl: state.sourceSession.instanceUrl
+        instanceUrl: state.sourceSession.instanceUrl,
+        orgId: state.sourceSession.orgId,
+        orgName: state.sourceSession.orgName
       },
       targetSession: {
         sessionId: state.targetSession.sessionId,
-        instanceUrl: state.targetSession.instanceUrl
+        instanceUrl: state.targetSession.instanceUrl,
+        orgId: state.targetSession.orgId,
+        orgName: state.targetSession.orgName
       },
       config: {
         objectName: state.selectedObject.name,
@@ -991,7 +1309,10 @@ async function startMigration() {
         relationships: state.selectedRelationships,
         externalIdField: state.useExternalId && state.selectedExternalIdField ? state.selectedExternalIdField.name : null,
         fieldMapping: state.fieldMapping,
-        picklistMappings: state.picklistMappings
+        picklistMappings: state.picklistMappings,
+        bulkThreshold: getBulkThreshold(),
+        lookupRules: state.lookupRules.length > 0 ? { [state.selectedObject.name]: state.lookupRules } : null,
+        dryRun: dryRun
       }
     });
 
@@ -1002,11 +1323,24 @@ async function startMigration() {
     // Store results for potential rollback
     state.migrationResults = response.data;
 
-    appendLog('success', `Migration completed successfully!`);
-    appendLog('info', `Parent records created: ${response.data.parentSuccess || 0}`);
-    appendLog('info', `Parent records failed: ${response.data.parentFailed || 0}`);
-    appendLog('info', `Child records created: ${response.data.childSuccess || 0}`);
-    appendLog('info', `Child records failed: ${response.data.childFailed || 0}`);
+    const verb = dryRun ? 'would be created' : 'created';
+    appendLog('success', dryRun ? 'Dry run complete - no records were saved' : `Migration completed successfully!`);
+    if (response.data.jobId) {
+      appendLog('info', `Saved as migration job ${response.data.jobId} (see Migration History to roll it back later)`);
+    }
+    if (response.data.plan) {
+      appendLog('info', `Insert order: ${response.data.plan.insertOrder.join(' → ')}`);
+      if (response.data.plan.deferredLookups.length > 0) {
+        appendLog('info', `Deferred lookups (second pass): ${response.data.plan.deferredLookups.map(l => `${l.objectName}.${l.field}`).join(', ')}`);
+        appendLog('info', `Deferred lookups updated: ${response.data.deferredLookupSuccess || 0}, failed: ${response.data.deferredLookupFailed || 0}`);
+      }
+      (response.data.plan.warnings || []).forEach(warning => appendLog('warning', warning));
+    }
+    (response.data.lookupWarnings || []).forEach(warning => appendLog('warning', warning));
+    appendLog('info', `Parent records ${verb}: ${response.data.parentSuccess || 0}`);
+    appendLog('info', `Parent records ${dryRun ? 'that would fail' : 'failed'}: ${response.data.parentFailed || 0}`);
+    appendLog('info', `Child records ${verb}: ${response.data.childSuccess || 0}`);
+    appendLog('info', `Child records ${dryRun ? 'that would fail' : 'failed'}: ${response.data.childFailed || 0}`);
 
     // Display detailed errors if any
     if (response.data.detailedErrors && response.data.detailedErrors.length > 0) {
@@ -1019,9 +1353,36 @@ async function startMigration() {
       response.data.errors.forEach(err => appendLog('error', err));
     }
 
-    // Show rollback button if there were failures
     const totalFailures = (response.data.parentFailed || 0) + (response.data.childFailed || 0);
-    if (totalFailures > 0 && response.data.createdRecordIds && response.data.createdRecordIds.length > 0) {
+
+    if (dryRun) {
+      if (response.data.updatedRecords && response.data.updatedRecords.length > 0) {
+        appendLog('info', `Existing records that would be updated (matched by external ID): ${response.data.updatedRecords.length}`);
+      }
+      showStatus(
+        totalFailures > 0 ? `Dry run complete: ${totalFailures} records would fail` : 'Dry run complete: all records would migrate',
+        totalFailures > 0 ? 'warning' : 'success'
+      );
+      updateProgress(100, 'Dry run complete');
+      elements.exportLogBtn.disabled = false;
+
+      if (response.data.migratedRecords && response.data.migratedRecords.length > 0) {
+        displayMigrationReport(response.data);
+      }
+
+      // Nothing was written - the real migration can still be started
+      elements.startMigrationBtn.disabled = false;
+      elements.simulateMigrationBtn.disabled = false;
+      elements.step5BackBtn.disabled = false;
+      return;
+    }
+
+    if (response.data.updatedRecords && response.data.updatedRecords.length > 0) {
+      appendLog('info', `Existing records updated: ${response.data.updatedRecords.length} (previous values saved for rollback)`);
+    }
+
+    // Show rollback button if there were failures
+    if (totalFailures > 0 && (response.data.createdRecordIds?.length > 0 || response.data.updatedRecords?.length > 0)) {
       showRollbackButton();
     }
 
@@ -1036,15 +1397,20 @@ async function startMigration() {
 
     // Disable navigation buttons after successful migration
     elements.startMigrationBtn.disabled = true;
+    elements.simulateMigrationBtn.disabled = true;
     elements.step5BackBtn.disabled = true;
 
   } catch (error) {
     console.error('[Record Migrator] Migration error:', error);
     appendLog('error', `Migration failed: ${error.message}`);
+    if (!dryRun) {
+      appendLog('info', 'Progress up to the last committed batch was saved - resume or roll back the job from Migration History');
+    }
     showStatus(`Migration failed: ${error.message}`, 'error');
     updateProgress(0, 'Migration failed');
     // Re-enable buttons on error so user can retry
     elements.startMigrationBtn.disabled = false;
+    elements.simulateMigrationBtn.disabled = false;
     elements.step5BackBtn.disabled = false;
   } finally {
     state.migrationInProgress = false;
@@ -1082,6 +1448,15 @@ function displayDetailedErrors(detailedErrors) {
   });
 }
 
+/**
+ * Read the Bulk API threshold from step 5
+ * @returns {number} Record count at which Bulk API 2.0 is used (0 = never)
+ */
+function getBulkThreshold() {
+  const value = parseInt(elements.bulkThresholdInput.value, 10);
+  return Number.isNaN(value) || value < 0 ? 2000 : value;
+}
+
 /**
  * Get human-readable label for error category
  * @param {string} code - Error code
@@ -1097,6 +1472,8 @@ function getErrorCategoryLabel(code) {
     'PERMISSION_DENIED': 'Permission Denied',
     'DUPLICATE_VALUE': 'Duplicate Value',
     'RELATIONSHIP_MIGRATION_FAILED': 'Child Relationship Migration Failed',
+    'BULK_RECORD_UNPROCESSED': 'Not Processed by Bulk Job',
+    'INACTIVE_PICKLIST_VALUE': 'Inactive or Missing Picklist Value',
     'UNKNOWN_ERROR': 'Unknown Error'
   };
   return labels[code] || code;
@@ -1107,19 +1484,19 @@ function getErrorCategoryLabel(code) {
  * @param {Object} migrationData - Migration results data
  */
 function displayMigrationReport(migrationData) {
-  const { createdRecordIds, parentSuccess, childSuccess, migratedRecords } = migrationData;
+  const { createdRecordIds, parentSuccess, childSuccess, migratedRecords, simulated } = migrationData;
 
   // Create report container if it doesn't exist
   let reportContainer = document.getElementById('migrationReport');
   if (!reportContainer) {
     reportContainer = document.createElement('div');
     reportContainer.id = 'migrationReport';
-    reportContainer.className = 'migration-report';
 
     // Insert after the log container
     const logContainer = elements.migrationLog.parentElement;
     logContainer.parentElement.insertBefore(reportContainer, logContainer.nextSibling);
   }
+  reportContainer.className = simulated ? 'migration-report simulated' : 'migration-report';
 
   // Build report content
   const targetOrgUrl = state.targetSession?.instanceUrl || '';
@@ -1130,13 +1507,18 @@ function displayMigrationReport(migrationData) {
     <div class="report-header">
       <h3>
         <span class="material-symbols-rounded">summarize</span>
-        Migration Report
+        Migration Report${simulated ? ' (Simulated)' : ''}
       </h3>
-      <span class="record-count">${totalRecords} records created</span>
+      <span class="record-count">${totalRecords} records ${simulated ? 'would be created' : 'created'}</span>
     </div>
     <div class="report-content">
+      ${simulated ? `
+      <div class="simulated-notice">
+        <span class="material-symbols-rounded">science</span>
+        Dry run only - every write was rolled back and nothing was saved in the target org.
+      </div>` : ''}
       <div class="report-section">
-        <h4>Migrated Records</h4>
+        <h4>${simulated ? 'Records That Would Migrate' : 'Migrated Records'}</h4>
         <p class="report-description">Click any ID to open the record in Salesforce</p>
         <div class="record-id-list">
   `;
@@ -1155,7 +1537,7 @@ function displayMigrationReport(migrationData) {
             <tbody>
     `;
 
-    migratedRecords.forEach(({ sourceId, targetId, name }) => {
+    migratedRecords.forEach(({ sourceId, targetId, name, updated }) => {
       const sourceUrl = `${sourceOrgUrl}/${sourceId}`;
       const targetUrl = `${targetOrgUrl}/${targetId}`;
       reportHTML += `
@@ -1168,10 +1550,11 @@ function displayMigrationReport(migrationData) {
                   </a>
                 </td>
                 <td>
+                  ${simulated && !updated ? '<span class="empty-message">Not created (dry run)</span>' : `
                   <a href="${targetUrl}" target="_blank" class="record-link">
                     <code>${targetId}</code>
                     <span class="material-symbols-rounded">open_in_new</span>
-                  </a>
+                  </a>${simulated ? ' <span class="empty-message">(would be updated)</span>' : ''}`}
                 </td>
               </tr>
       `;
@@ -1224,7 +1607,7 @@ function displayMigrationReport(migrationData) {
   document.getElementById('copyReportBtn').addEventListener('click', () => {
     let idsText;
     if (migratedRecords && migratedRecords.length > 0) {
-      idsText = migratedRecords.map(r => `${r.name}\t${r.sourceId}\t${r.targetId}`).join('\n');
+      idsText = migratedRecords.map(r => `${r.name}\t${r.sourceId}\t${r.targetId || ''}`).join('\n');
     } else {
       idsText = createdRecordIds.join('\n');
     }
@@ -1261,17 +1644,19 @@ function escapeHtml(text) {
  * @param {Object} migrationData - Migration results data
  */
 function exportMigrationReportCSV(migrationData) {
-  const { createdRecordIds, migratedRecords, parentSuccess, childSuccess } = migrationData;
+  const { createdRecordIds, migratedRecords, parentSuccess, childSuccess, simulated } = migrationData;
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   const objectName = state.selectedObject?.name || 'records';
+  const status = simulated ? 'Would Be Created (Dry Run)' : 'Created';
 
   let csvContent = 'Record Name,Source Record ID,Target Record ID,Status\n';
 
   if (migratedRecords && migratedRecords.length > 0) {
-    migratedRecords.forEach(({ sourceId, targetId, name }) => {
+    migratedRecords.forEach(({ sourceId, targetId, name, updated }) => {
       // Escape CSV values that contain commas or quotes
       const escapedName = name ? `"${name.replace(/"/g, '""')}"` : '';
-      csvContent += `${escapedName},${sourceId},${targetId},Created\n`;
+      const rowStatus = simulated && updated ? 'Would Be Updated (Dry Run)' : status;
+      csvContent += `${escapedName},${sourceId},${targetId || ''},${rowStatus}\n`;
     });
   } else if (createdRecordIds) {
     createdRecordIds.forEach(id => {
@@ -1281,7 +1666,10 @@ function exportMigrationReportCSV(migrationData) {
 
   // Add summary
   csvContent += `\nSummary\n`;
-  csvContent += `Total Records Created,${migratedRecords?.length || createdRecordIds?.length || 0}\n`;
+  if (simulated) {
+    csvContent += `Dry Run,Yes - nothing was saved\n`;
+  }
+  csvContent += `Total Records ${simulated ? 'That Would Be Created' : 'Created'},${migratedRecords?.length || createdRecordIds?.length || 0}\n`;
   csvContent += `Parent Records,${parentSuccess || 0}\n`;
   csvContent += `Child Records,${childSuccess || 0}\n`;
   csvContent += `Migration Date,${new Date().toISOString()}\n`;
@@ -1305,7 +1693,7 @@ function exportMigrationReportCSV(migrationData) {
  * @param {Object} migrationData - Migration results data
  */
 function exportMigrationReportExcel(migrationData) {
-  const { migratedRecords, parentSuccess, childSuccess, createdRecordIds } = migrationData;
+  const { migratedRecords, parentSuccess, childSuccess, createdRecordIds, simulated } = migrationData;
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   const objectName = state.selectedObject?.name || 'records';
   const fileName = `migration-report-${objectName}-${timestamp}.xlsx`;
@@ -1323,11 +1711,11 @@ function exportMigrationReportExcel(migrationData) {
 
   // Build Summary sheet data
   const summaryData = [
-    ['Migration Report Summary'],
+    [simulated ? 'Migration Report Summary (Dry Run - nothing was saved)' : 'Migration Report Summary'],
     [''],
     ['Property', 'Value'],
     ['Object', objectName],
-    ['Total Records Created', migratedRecords?.length || createdRecordIds?.length || 0],
+    [simulated ? 'Total Records That Would Be Created' : 'Total Records Created', migratedRecords?.length || createdRecordIds?.length || 0],
     ['Parent Records', parentSuccess || 0],
     ['Child Records', childSuccess || 0],
     ['Migration Date', new Date().toLocaleString()],
@@ -1341,7 +1729,7 @@ function exportMigrationReportExcel(migrationData) {
   // Add ID mapping rows
   if (migratedRecords && migratedRecords.length > 0) {
     migratedRecords.forEach(({ sourceId, targetId, name }) => {
-      summaryData.push([name || 'N/A', sourceId, targetId]);
+      summaryData.push([name || 'N/A', sourceId, targetId || '']);
     });
   }
 
@@ -1357,7 +1745,7 @@ function exportMigrationReportExcel(migrationData) {
 
     // Data rows
     migratedRecords.forEach(({ sourceId, targetId, name, record }) => {
-      const row = [sourceId, targetId, name || 'N/A'];
+      const row = [sourceId, targetId || '', name || 'N/A'];
       allFields.forEach(field => {
         let value = record[field];
         // Handle object values (like attributes)
@@ -1503,30 +1891,42 @@ function showRollbackButton() {
  * Rollback migration by deleting created records
  */
 async function rollbackMigration() {
-  if (!state.migrationResults || !state.migrationResults.createdRecordIds || state.migrationResults.createdRecordIds.length === 0) {
+  const createdCount = state.migrationResults?.createdRecordIds?.length || 0;
+  const updatedCount = state.migrationResults?.updatedRecords?.length || 0;
+
+  if (createdCount === 0 && updatedCount === 0) {
     showStatus('No records to rollback', 'warning');
     return;
   }
 
   const confirmed = confirm(
-    `This will delete ${state.migrationResults.createdRecordIds.length} records that were created during migration.\n\n` +
+    `This will delete ${createdCount} records that were created during migration` +
+    `${updatedCount > 0 ? ` and restore the previous values of ${updatedCount} updated records` : ''}.\n\n` +
+    `Updated records that changed again since the migration are skipped and reported.\n\n` +
     `This action cannot be undone. Continue?`
   );
 
   if (!confirmed) return;
 
   try {
-    appendLog('info', `Starting rollback of ${state.migrationResults.createdRecordIds.length} records...`);
+    appendLog('info', `Starting rollback of ${createdCount + updatedCount} records...`);
     updateProgress(0, 'Rolling back migration...');
 
-    const response = await chrome.runtime.sendMessage({
-      action: 'ROLLBACK_MIGRATION',
-      targetSession: {
-        sessionId: state.targetSession.sessionId,
-        instanceUrl: state.targetSession.instanceUrl
-      },
-      recordIds: state.migrationResults.createdRecordIds
-    });
+    // Jobs are rolled back through the job store so the history shows the rollback
+    const response = state.migrationResults.jobId
+      ? await chrome.runtime.sendMessage({
+        action: 'ROLLBACK_MIGRATION_JOB',
+        jobId: state.migrationResults.jobId
+      })
+      : await chrome.runtime.sendMessage({
+        action: 'ROLLBACK_MIGRATION',
+        targetSession: {
+          sessionId: state.targetSession.sessionId,
+          instanceUrl: state.targetSession.instanceUrl
+        },
+        recordIds: state.migrationResults.createdRecordIds,
+        updatedRecords: state.migrationResults.updatedRecords
+      });
 
     if (!response.success) {
       throw new Error(response.error || 'Rollback failed');
@@ -1535,6 +1935,10 @@ async function rollbackMigration() {
     appendLog('success', `Rollback completed!`);
     appendLog('info', `Records deleted: ${response.data.success || 0}`);
     appendLog('info', `Deletions failed: ${response.data.failed || 0}`);
+    if (updatedCount > 0) {
+      appendLog('info', `Updated records restored: ${response.data.restored || 0}, failed: ${response.data.restoreFailed || 0}`);
+      logRollbackConflicts(response.data.conflicts);
+    }
 
     if (response.data.errors && response.data.errors.length > 0) {
       appendLog('warning', `Rollback errors: ${response.data.errors.length}`);
@@ -1557,6 +1961,22 @@ async function rollbackMigration() {
   }
 }
 
+/**
+ * Log records a rollback left alone because they changed after the migration
+ * @param {Array} conflicts - Conflicts from RollbackAPI.restoreUpdatedRecords
+ */
+function logRollbackConflicts(conflicts = []) {
+  if (conflicts.length === 0) return;
+
+  appendLog('warning', `${conflicts.length} updated records changed after the migration and were not restored:`);
+  conflicts.slice(0, 10).forEach(conflict => {
+    appendLog('warning', `  - ${conflict.objectName} ${conflict.id}: modified ${new Date(conflict.lastModifiedDate).toLocaleString()}${conflict.lastModifiedBy ? ` by ${conflict.lastModifiedBy}` : ''}`);
+  });
+  if (conflicts.length > 10) {
+    appendLog('warning', `  ... and ${conflicts.length - 10} more`);
+  }
+}
+
 function updateProgress(percentage, stepText) {
   elements.progressBarFill.style.width = `${percentage}%`;
   elements.progressText.textContent = `${percentage}%`;
@@ -1692,6 +2112,354 @@ function handleExternalIdFieldSelection(event) {
   }
 }
 
+// ============================================================================
+// Migration Templates
+// ============================================================================
+
+async function loadTemplates() {
+  try {
+    state.templates = await MigrationTemplates.loadTemplates();
+    populateTemplateSelect();
+  } catch (error) {
+    console.error('[Record Migrator] Error loading templates:', error);
+  }
+}
+
+function populateTemplateSelect(selectedName = '') {
+  elements.templateSelect.innerHTML = '<option value="">-- Saved Templates --</option>';
+  state.templates.forEach(template => {
+    const option = document.createElement('option');
+    option.value = template.name;
+    option.textContent = `${template.name} (${template.objectName})`;
+    elements.templateSelect.appendChild(option);
+  });
+
+  elements.templateSelect.value = selectedName;
+  handleTemplateSelection();
+}
+
+function getSelectedTemplate() {
+  return state.templates.find(t => t.name === elements.templateSelect.value) || null;
+}
+
+function handleTemplateSelection() {
+  const template = getSelectedTemplate();
+
+  if (template) {
+    const savedFrom = [template.savedFrom?.sourceOrgName, template.savedFrom?.targetOrgName].filter(Boolean).join(' → ');
+    elements.templateInfo.textContent =
+      `${template.objectName}${template.soqlWhere ? ` WHERE ${template.soqlWhere}` : ''} · ` +
+      `${template.relationships.length} relationships · ` +
+      `saved ${new Date(template.savedAt).toLocaleString()}${savedFrom ? ` from ${savedFrom}` : ''}`;
+  } else {
+    elements.templateInfo.textContent = '';
+  }
+
+  updateReplayButton();
+}
+
+function updateReplayButton() {
+  elements.replayTemplateBtn.disabled = !getSelectedTemplate() || elements.step1NextBtn.disabled;
+}
+
+async function saveTemplate() {
+  if (!state.selectedObject || !state.fieldMapping) {
+    showStatus('Select records and analyze fields before saving a template', 'warning');
+    return;
+  }
+
+  const defaultName = state.replayedTemplate?.template.name || state.selectedObject.name;
+  const name = prompt('Template name:', defaultName);
+  if (!name || !name.trim()) return;
+
+  if (state.templates.some(t => t.name === name.trim()) && !confirm(`Overwrite template "${name.trim()}"?`)) {
+    return;
+  }
+
+  try {
+    const template = MigrationTemplates.buildTemplate(name.trim(), {
+      objectName: state.selectedObject.name,
+      soqlWhere: elements.soqlWhere.value.trim(),
+      relationships: state.selectedRelationships,
+      picklistMappings: state.picklistMappings,
+      lookupRules: state.lookupRules,
+      externalIdField: state.useExternalId && state.selectedExternalIdField ? state.selectedExternalIdField.name : null,
+      bulkThreshold: getBulkThreshold(),
+      sourceFields: state.sourceFields,
+      targetFields: state.targetFields,
+      sourceOrgName: state.sourceSession?.orgName,
+      targetOrgName: state.targetSession?.orgName
+    });
+
+    state.templates = await MigrationTemplates.saveTemplate(template);
+    populateTemplateSelect(template.name);
+    showStatus(`Saved migration template "${template.name}"`, 'success');
+  } catch (error) {
+    console.error('[Record Migrator] Error saving template:', error);
+    showStatus(`Error: ${error.message}`, 'error');
+  }
+}
+
+async function deleteTemplate() {
+  const template = getSelectedTemplate();
+  if (!template || !confirm(`Delete migration template "${template.name}"?`)) return;
+
+  state.templates = await MigrationTemplates.deleteTemplate(template.name);
+  populateTemplateSelect();
+  showStatus(`Deleted migration template "${template.name}"`, 'success');
+}
+
+function exportTemplate() {
+  const template = getSelectedTemplate();
+  if (!template) {
+    showStatus('Select a saved template to export', 'warning');
+    return;
+  }
+
+  const blob = new Blob([MigrationTemplates.exportTemplate(template)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `migration-template-${template.name.replace(/[^a-z0-9_-]+/gi, '-')}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+
+  showStatus(`Exported migration template "${template.name}"`, 'success');
+}
+
+async function importTemplate(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+
+  try {
+    const template = MigrationTemplates.parseTemplate(await file.text());
+
+    if (state.templates.some(t => t.name === template.name) && !confirm(`A template named "${template.name}" already exists. Replace it?`)) {
+      return;
+    }
+
+    state.templates = await MigrationTemplates.saveTemplate(template);
+    populateTemplateSelect(template.name);
+    showStatus(`Imported migration template "${template.name}"`, 'success');
+  } catch (error) {
+    console.error('[Record Migrator] Error importing template:', error);
+    showStatus(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Replay the selected template against the selected org pair
+ * Runs the wizard steps in order with the template's settings, then lands on step 5 with a
+ * transcript of what was applied and a diff of the schemas against the ones the template was saved from.
+ * Each step reports its own errors; the replay stops at the first step that did not complete.
+ */
+async function replayTemplate() {
+  const template = getSelectedTemplate();
+  if (!template || elements.step1NextBtn.disabled) return;
+
+  const steps = [];
+  const stop = (message) => {
+    console.warn('[Record Migrator] Template replay stopped:', message);
+    if (!elements.statusMessage.classList.contains('error')) {
+      showStatus(`Template replay stopped: ${message}`, 'error');
+    }
+    elements.replayTemplateBtn.disabled = false;
+  };
+
+  elements.replayTemplateBtn.disabled = true;
+  console.log('[Record Migrator] Replaying template', template.name);
+
+  // Step 2: object and filter
+  if (state.allObjects.length === 0) {
+    await loadObjects();
+  }
+  if (!state.allObjects.some(obj => obj.name === template.objectName)) {
+    return stop(`${template.objectName} is not available in the source org`);
+  }
+
+  elements.objectSelect.value = template.objectName;
+  handleObjectSelection();
+  elements.soqlWhere.value = template.soqlWhere;
+  await previewRecords();
+  setAllRecordsSelection(true);
+  if (state.selectedRecords.length === 0) {
+    return stop('no source records match the template filter');
+  }
+  steps.push(`select ${template.objectName}${template.soqlWhere ? ` where ${template.soqlWhere}` : ''} → ${state.selectedRecords.length} records`);
+
+  // Step 3: field mapping, picklist mappings and lookup rules
+  state.fieldMapping = null;
+  await analyzeFields();
+  if (!state.fieldMapping) {
+    return stop('field analysis failed');
+  }
+  steps.push(`map fields → ${state.fieldMapping.exact.length} exact, ${state.fieldMapping.compatible.length} type mismatches, ${state.fieldMapping.missingInTarget.length} missing in target`);
+
+  if (state.picklistFields.length > 0) {
+    await configurePicklistMappings();
+    const applied = applyTemplatePicklistMappings(template.picklistMappings);
+    steps.push(`map picklists → ${state.picklistFields.length} fields, ${applied} with saved value mappings`);
+  }
+
+  if (state.lookupRules.length > 0) {
+    state.lookupRules = LookupRemapper.applyProfile(state.lookupRules, { rules: template.lookupRules });
+    displayLookupRules();
+    const applied = state.lookupRules.filter(rule => template.lookupRules.some(saved => saved.field === rule.field)).length;
+    steps.push(`apply lookup rules → ${applied} of ${state.lookupRules.length} lookups from template`);
+  }
+
+  // Step 4: relationships
+  const missingRelationships = await restoreTemplateRelationships(template.relationships);
+  if (missingRelationships === null) {
+    return stop('relationship detection failed');
+  }
+  steps.push(`include relationships → ${state.selectedRelationships.length} of ${template.relationships.length} restored`);
+
+  // Step 5: external ID and bulk threshold
+  elements.bulkThresholdInput.value = template.bulkThreshold ?? 2000;
+  state.useExternalId = !!template.externalIdField;
+  elements.useExternalIdCheckbox.checked = state.useExternalId;
+  elements.externalIdFieldContainer.classList.toggle('hidden', !state.useExternalId);
+  state.selectedExternalIdField = null;
+
+  if (template.externalIdField) {
+    await loadExternalIdFields();
+    state.selectedExternalIdField = state.externalIdFields.find(f => f.name === template.externalIdField) || null;
+    elements.externalIdFieldSelect.value = state.selectedExternalIdField ? state.selectedExternalIdField.name : '';
+    steps.push(`external id → ${state.selectedExternalIdField ? template.externalIdField : `${template.externalIdField} (not found)`}`);
+  } else {
+    steps.push('external id → none');
+  }
+  steps.push(`bulk threshold → ${getBulkThreshold()}`);
+
+  // Schema changes since the template was saved
+  const comparison = MigrationTemplates.compareSchema(template, {
+    sourceFields: state.sourceFields,
+    targetFields: state.targetFields,
+    externalIdFields: template.externalIdField ? state.externalIdFields : null
+  });
+  missingRelationships.forEach(rel => {
+    comparison.issues.push(`Relationship ${rel.relationshipName || rel.field} (${rel.childSObject}.${rel.field}) no longer exists in the source org`);
+  });
+
+  state.replayedTemplate = { template, steps, comparison };
+  displayTemplateReplay();
+  goToStep(5);
+
+  if (MigrationTemplates.hasChanges(comparison)) {
+    showStatus(`Template "${template.name}" replayed - review the schema changes before migrating`, 'warning');
+  } else {
+    showStatus(`Template "${template.name}" replayed - no schema changes since it was saved`, 'success');
+  }
+}
+
+/**
+ * Lay saved picklist value mappings over the ones built for the current orgs
+ * Saved targets that are not active values in the target org are ignored
+ * @param {Object} savedMappings - fieldName -> { sourceValue: targetValue }
+ * @returns {number} Number of fields that used saved mappings
+ */
+function applyTemplatePicklistMappings(savedMappings) {
+  let applied = 0;
+
+  state.picklistFields.forEach(field => {
+    const saved = savedMappings[field.name];
+    if (!saved) return;
+
+    const targetValues = new Set(field.targetValues.map(v => v.value));
+    const usable = Object.fromEntries(Object.entries(saved).filter(([, targetValue]) => targetValues.has(targetValue)));
+
+    state.picklistMappings[field.name] = { ...(state.picklistMappings[field.name] || {}), ...usable };
+    applied++;
+  });
+
+  return applied;
+}
+
+/**
+ * Detect relationships and select the ones saved in a template, expanding nested levels as needed
+ * @param {Array} savedRelationships - Relationships from the template
+ * @returns {Promise<Array|null>} Saved relationships not found in the source org, or null if detection failed
+ */
+async function restoreTemplateRelationships(savedRelationships) {
+  try {
+    state.childRelationships = await fetchChildRelationships(state.selectedObject.name, null);
+    state.selectedRelationships = [];
+  } catch (error) {
+    console.error('[Record Migrator] Error detecting relationships:', error);
+    showStatus(`Error: ${error.message}`, 'error');
+    return null;
+  }
+
+  const missing = [];
+  const ordered = [...savedRelationships].sort((a, b) => a.depth - b.depth);
+
+  for (const saved of ordered) {
+    let relationship = state.childRelationships.find(r => r.key === saved.key);
+
+    if (!relationship && saved.parentKey) {
+      const parent = state.childRelationships.find(r => r.key === saved.parentKey);
+      if (parent && !parent.expanded) {
+        try {
+          await insertNestedRelationships(parent);
+        } catch (error) {
+          console.error('[Record Migrator] Error expanding relationship:', error);
+        }
+        relationship = state.childRelationships.find(r => r.key === saved.key);
+      }
+    }
+
+    if (relationship) {
+      setRelationshipSelected(relationship, true);
+    } else {
+      missing.push(saved);
+    }
+  }
+
+  displayRelationships();
+  return missing;
+}
+
+function displayTemplateReplay() {
+  const { template, steps, comparison } = state.replayedTemplate;
+
+  const renderDiff = (title, diff) => {
+    const items = [
+      ...diff.removed.map(name => `<li class="diff-removed">− ${escapeHtml(name)} removed</li>`),
+      ...diff.changed.map(change => `<li class="diff-changed">~ ${escapeHtml(change.name)}: ${escapeHtml(change.changes.join('; '))}</li>`),
+      ...diff.added.map(name => `<li class="diff-added">+ ${escapeHtml(name)} added</li>`)
+    ];
+    return `
+      <h4>${escapeHtml(title)}</h4>
+      ${items.length > 0 ? `<ul class="schema-diff-list">${items.join('')}</ul>` : '<p class="input-hint">No field changes</p>'}
+    `;
+  };
+
+  elements.templateReplay.innerHTML = `
+    <h3>
+      <span class="material-symbols-rounded">bookmarks</span>
+      Replayed Template: ${escapeHtml(template.name)}
+    </h3>
+    <p class="config-description">
+      Saved ${escapeHtml(new Date(template.savedAt).toLocaleString())}
+      ${template.savedFrom?.sourceOrgName ? ` from ${escapeHtml(template.savedFrom.sourceOrgName)} → ${escapeHtml(template.savedFrom.targetOrgName || '')}` : ''}.
+      Review the earlier steps if anything below needs attention.
+    </p>
+    <ol class="template-replay-steps">
+      ${steps.map(step => `<li>${escapeHtml(step)}</li>`).join('')}
+    </ol>
+    ${comparison.issues.length > 0 ? `
+      <h4>Needs Attention</h4>
+      <ul class="schema-diff-list">
+        ${comparison.issues.map(issue => `<li class="diff-removed">${escapeHtml(issue)}</li>`).join('')}
+      </ul>` : ''}
+    ${renderDiff(`Source schema changes (${state.sourceSession.orgName || state.sourceSession.hostname})`, comparison.source)}
+    ${renderDiff(`Target schema changes (${state.targetSession.orgName || state.targetSession.hostname})`, comparison.target)}
+  `;
+  elements.templateReplay.classList.remove('hidden');
+}
+
 // ============================================================================
 // Reset
 // ============================================================================
@@ -1712,11 +2480,13 @@ function resetMigration() {
   state.fieldMapping = null;
   state.picklistFields = [];
   state.picklistMappings = {};
+  state.lookupRules = [];
   state.childRelationships = [];
   state.selectedRelationships = [];
   state.externalIdFields = [];
   state.selectedExternalIdField = null;
   state.useExternalId = true;
+  state.replayedTemplate = null;
   state.migrationLog = [];
   state.migrationInProgress = false;
 
@@ -1733,6 +2503,7 @@ function resetMigration() {
   elements.migrationProgress.classList.add('hidden');
   elements.migrationLogContainer.classList.add('hidden');
   elements.migrationLog.innerHTML = '';
+  elements.templateReplay.classList.add('hidden');
   elements.useExternalIdCheckbox.checked = true;
   elements.externalIdFieldContainer.classList.remove('hidden');
 
@@ -5,6 +5,8 @@ import ThemeManager from '../background/theme-manager.js';
 import SessionManager from '../background/session-manager.js';
 import PermissionsAPI from '../background/permissions-api.js';
 import { escapeHtml } from '../shared/utils.js';
+import { initOrgPicker } from '../shared/org-picker.js';
+import { isWorkbookFile, readWorkbook, downloadWorkbook } from '../shared/xlsx.js';
 
 class PermissionComparisonManager {
   constructor() {
@@ -13,8 +15,10 @@ class PermissionComparisonManager {
     this.permissionsData = {}; // Cached permissions keyed by ID
     this.comparisonResults = null;
     this.importedData = null;
+    this.importedSheets = null;
     this.selectedExportProfiles = new Set();
     this.selectedExportPermSets = new Set();
+    this.session = null; // Org this page works on
   }
 
   async init() {
@@ -26,6 +30,15 @@ class PermissionComparisonManager {
     // Load org info
     await this.loadOrgInfo();
 
+    // Org picker - reload everything for the newly selected org
+    await initOrgPicker(document.getElementById('orgSelect'), async (session) => {
+      this.session = session;
+      this.permissionsData = {};
+      this.comparisonResults = null;
+      await this.loadOrgInfo();
+      await this.loadInitialData();
+    });
+
     // Setup event listeners
     this.setupEventListeners();
 
@@ -37,7 +50,12 @@ class PermissionComparisonManager {
 
   async loadOrgInfo() {
     try {
-      const session = await SessionManager.getCurrentSession();
+      // Start on the current org; the org picker replaces it for this page only
+      if (!this.session) {
+        const current = await SessionManager.getCurrentSession();
+        this.session = current && !current.error ? current : null;
+      }
+      const session = this.session;
       if (session && session.instanceUrl) {
         const hostname = new URL(session.instanceUrl).hostname;
         document.getElementById('orgUrl').textContent = hostname;
@@ -83,6 +101,7 @@ class PermissionComparisonManager {
       document.getElementById('importFileInput').click();
     });
     document.getElementById('importFileInput').addEventListener('change', (e) => this.handleImportFile(e));
+    document.getElementById('importSheetSelect').addEventListener('change', () => this.showImportSheet());
 
     // Export Tab
     document.getElementById('selectAllProfiles').addEventListener('click', () => this.selectAllProfiles(true));
@@ -98,8 +117,8 @@ class PermissionComparisonManager {
     try {
       // Load profiles and permission sets in parallel
       const [profiles, permissionSets] = await Promise.all([
-        PermissionsAPI.getProfiles(),
-        PermissionsAPI.getPermissionSets()
+        PermissionsAPI.getProfiles({}, this.session),
+        PermissionsAPI.getPermissionSets({}, this.session)
       ]);
 
       this.profiles = profiles;
@@ -278,7 +297,7 @@ class PermissionComparisonManager {
     this.showLoading(`Loading permissions for ${escapeHtml(name)}...`);
 
     try {
-      const permissions = await PermissionsAPI.getAllPermissions(id, type);
+      const permissions = await PermissionsAPI.getAllPermissions(id, type, this.session);
 
       // Cache the permissions
       this.permissionsData[id] = permissions;
@@ -458,7 +477,8 @@ class PermissionComparisonManager {
     try {
       this.comparisonResults = await PermissionsAPI.comparePermissions(
         { id: sourceId, type: sourceType, name: sourceName },
-        { id: targetId, type: targetType, name: targetName }
+        { id: targetId, type: targetType, name: targetName },
+        this.session
       );
 
       // Show filter section and summary
@@ -744,12 +764,36 @@ class PermissionComparisonManager {
     this.downloadFile(csv, filename, 'text/csv');
   }
 
-  handleImportFile(event) {
+  async handleImportFile(event) {
     const file = event.target.files[0];
     if (!file) return;
 
     document.getElementById('importFileName').textContent = escapeHtml(file.name);
 
+    const sheetSelect = document.getElementById('importSheetSelect');
+    this.importedSheets = null;
+    sheetSelect.classList.add('hidden');
+
+    if (isWorkbookFile(file)) {
+      try {
+        this.importedSheets = await readWorkbook(file);
+        if (this.importedSheets.length === 0) {
+          throw new Error('Workbook has no sheets');
+        }
+
+        // Multi-sheet workbooks (e.g. object and field permissions) are previewed one sheet at a time
+        sheetSelect.innerHTML = this.importedSheets
+          .map((sheet, index) => `<option value="${index}">${escapeHtml(sheet.name)}</option>`)
+          .join('');
+        sheetSelect.classList.toggle('hidden', this.importedSheets.length < 2);
+        this.showImportSheet();
+      } catch (error) {
+        console.error('[PermissionComparisonManager] Error reading workbook:', error);
+        alert(`Error parsing file: ${escapeHtml(error.message)}`);
+      }
+      return;
+    }
+
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
@@ -772,6 +816,21 @@ class PermissionComparisonManager {
     reader.readAsText(file);
   }
 
+  showImportSheet() {
+    if (!this.importedSheets) return;
+
+    const sheet = this.importedSheets[Number(document.getElementById('importSheetSelect').value) || 0];
+    try {
+      this.importedData = PermissionsAPI.parseImportRows(sheet.rows);
+      this.renderImportPreview();
+      document.getElementById('importPreview').classList.remove('hidden');
+    } catch (error) {
+      console.error('[PermissionComparisonManager] Error parsing sheet:', error);
+      document.getElementById('importPreview').classList.add('hidden');
+      alert(`Error parsing sheet "${sheet.name}": ${escapeHtml(error.message)}`);
+    }
+  }
+
   renderImportPreview() {
     const summaryContent = document.getElementById('importSummaryContent');
     const dataContent = document.getElementById('importDataContent');
@@ -844,7 +903,7 @@ class PermissionComparisonManager {
         statusEl.textContent = `Loading permissions for ${item.name}... (${completed + 1}/${allItems.length})`;
 
         if (!this.permissionsData[item.id]) {
-          const perms = await PermissionsAPI.getAllPermissions(item.id, item.type);
+          const perms = await PermissionsAPI.getAllPermissions(item.id, item.type, this.session);
           this.permissionsData[item.id] = perms;
         }
         completed++;
@@ -856,6 +915,16 @@ class PermissionComparisonManager {
       if (format === 'json') {
         const json = PermissionsAPI.exportToJSON(selectedProfiles, selectedPermSets, this.permissionsData);
         this.downloadFile(json, 'permissions-export.json', 'application/json');
+      } else if (format === 'xlsx') {
+        // One workbook with a sheet per permission type
+        const sheets = [];
+        if (exportObjectPerms) {
+          sheets.push({ name: 'Object Permissions', rows: PermissionsAPI.toRows(selectedProfiles, selectedPermSets, this.permissionsData, 'object') });
+        }
+        if (exportFieldPerms) {
+          sheets.push({ name: 'Field Permissions', rows: PermissionsAPI.toRows(selectedProfiles, selectedPermSets, this.permissionsData, 'field') });
+        }
+        await downloadWorkbook(sheets, 'permissions-export.xlsx');
       } else {
         // Export to CSV
         if (exportObjectPerms) {
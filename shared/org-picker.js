@@ -0,0 +1,71 @@
+// Org picker shared by full-page tools
+// Lists every org in the SessionRegistry; the selection belongs to the page, not the extension-wide current session
+
+import SessionManager from '../background/session-manager.js';
+import SessionRegistry from '../background/session-registry.js';
+
+/**
+ * Populate an org <select> from the session registry and wire up switching
+ * The chosen session is handed to the page, which passes it to its API calls; the current
+ * session is left alone so other open tools keep working on their own org.
+ * @param {HTMLSelectElement} selectEl - The select element to populate
+ * @param {Function} onChange - Called with the selected org session
+ * @param {string} selectedOrgId - Org shown as selected (defaults to the current session's org)
+ * @returns {Promise<Array>} Registered org sessions
+ */
+export async function initOrgPicker(selectEl, onChange, selectedOrgId = null) {
+  if (!selectEl) return [];
+
+  let sessions = [];
+  try {
+    sessions = await SessionRegistry.discover();
+  } catch (error) {
+    console.error('[OrgPicker] Error discovering org sessions:', error);
+  }
+
+  if (!selectedOrgId) {
+    const current = await SessionManager.getCurrentSession().catch(() => null);
+    selectedOrgId = current && !current.error
+      ? (current.orgId || current.sessionId?.substring(0, 15))
+      : null;
+  }
+  selectedOrgId = selectedOrgId ? selectedOrgId.substring(0, 15) : null;
+
+  selectEl.innerHTML = '';
+  sessions.forEach(session => {
+    const option = document.createElement('option');
+    option.value = session.orgId;
+    option.textContent = SessionRegistry.getDisplayName(session);
+    option.selected = session.orgId === selectedOrgId;
+    selectEl.appendChild(option);
+  });
+
+  // Hide the picker when there is nothing to switch to
+  const nothingToSwitch = sessions.length === 0 ||
+    (sessions.length === 1 && sessions[0].orgId === selectedOrgId);
+  selectEl.classList.toggle('hidden', nothingToSwitch);
+
+  if (!sessions.some(session => session.orgId === selectedOrgId)) {
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = '-- Select Org --';
+    placeholder.selected = true;
+    selectEl.prepend(placeholder);
+  }
+
+  selectEl.addEventListener('change', async () => {
+    if (!selectEl.value) return;
+
+    const session = await SessionRegistry.get(selectEl.value);
+    if (!session) {
+      alert('This org session has expired. Please refresh the Salesforce tab and try again.');
+      return;
+    }
+
+    if (onChange) {
+      await onChange(session);
+    }
+  });
+
+  return sessions;
+}
@@ -0,0 +1,434 @@
+// XLSX reading and writing for imports and exports
+// Workbooks are zip files of SpreadsheetML parts, read and built with the bundled JSZip
+// (pages using these helpers load lib/jszip.min.js with a script tag)
+
+const MAX_SHEET_NAME = 31;
+const MAX_CELL_LENGTH = 32767;
+
+// Built-in number formats that display dates and times
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+/**
+ * Check whether a file is an Excel workbook (by extension or MIME type)
+ * @param {File} file - Selected file
+ * @returns {boolean} True for .xlsx files
+ */
+export function isWorkbookFile(file) {
+  return /\.xlsx$/i.test(file?.name || '') ||
+    file?.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+}
+
+/**
+ * Read every sheet of an XLSX workbook
+ * Cells are returned as strings; date-formatted numbers become ISO dates and empty rows are skipped
+ * @param {File|Blob|ArrayBuffer} data - Workbook file or contents
+ * @returns {Promise<Array>} [{ name, rows }] in workbook order, rows being arrays of cell strings
+ */
+export async function readWorkbook(data) {
+  requireJSZip();
+
+  const zip = await JSZip.loadAsync(data instanceof Blob ? await data.arrayBuffer() : data);
+  const workbookXml = await readPart(zip, 'xl/workbook.xml');
+  if (!workbookXml) {
+    throw new Error('File is not an Excel workbook (xl/workbook.xml not found)');
+  }
+
+  const workbook = parseXml(workbookXml);
+  const relationships = parseXml(await readPart(zip, 'xl/_rels/workbook.xml.rels') || '<Relationships/>');
+  const targets = new Map(elements(relationships, 'Relationship')
+    .map(rel => [rel.getAttribute('Id'), resolveTarget(rel.getAttribute('Target'))]));
+
+  const sharedStrings = elements(parseXml(await readPart(zip, 'xl/sharedStrings.xml') || '<sst/>'), 'si')
+    .map(textContent);
+  const dateStyles = readDateStyles(parseXml(await readPart(zip, 'xl/styles.xml') || '<styleSheet/>'));
+
+  const sheets = [];
+  for (const sheet of elements(workbook, 'sheet')) {
+    const relId = sheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id') ||
+      sheet.getAttribute('r:id');
+    const sheetXml = await readPart(zip, targets.get(relId));
+    if (!sheetXml) continue;
+
+    sheets.push({
+      name: sheet.getAttribute('name'),
+      rows: readSheetRows(parseXml(sheetXml), sharedStrings, dateStyles)
+    });
+  }
+
+  console.log('[XLSX] Read workbook with sheets:', sheets.map(sheet => `${sheet.name} (${sheet.rows.length} rows)`).join(', '));
+  return sheets;
+}
+
+/**
+ * Build an XLSX workbook
+ * The first row of each sheet is treated as a bold, frozen header; numbers stay numeric, everything else is text
+ * @param {Array} sheets - [{ name, rows }] where rows are arrays of cell values
+ * @returns {Promise<Blob>} Workbook file
+ */
+export async function buildWorkbook(sheets) {
+  requireJSZip();
+
+  if (!sheets || sheets.length === 0) {
+    throw new Error('A workbook needs at least one sheet');
+  }
+
+  const usedNames = new Set();
+  const named = sheets.map(sheet => ({ ...sheet, name: toSheetName(sheet.name, usedNames) }));
+
+  // Only file entries: some spreadsheet readers reject folder entries in the package
+  const zip = new JSZip();
+  const add = (path, content) => zip.file(path, content, { createFolders: false });
+
+  add('[Content_Types].xml', contentTypesXml(named.length));
+  add('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`);
+  add('xl/workbook.xml', workbookXml(named));
+  add('xl/_rels/workbook.xml.rels', workbookRelsXml(named.length));
+  add('xl/styles.xml', STYLES_XML);
+  named.forEach((sheet, index) => {
+    add(`xl/worksheets/sheet${index + 1}.xml`, worksheetXml(sheet.rows || []));
+  });
+
+  return zip.generateAsync({
+    type: 'blob',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    compression: 'DEFLATE'
+  });
+}
+
+/**
+ * Build an XLSX workbook and download it
+ * @param {Array} sheets - [{ name, rows }]
+ * @param {string} filename - Download file name
+ */
+export async function downloadWorkbook(sheets, filename) {
+  const blob = await buildWorkbook(sheets);
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+
+  console.log('[XLSX] Workbook downloaded:', filename, 'Sheets:', sheets.length);
+}
+
+/**
+ * Split export rows into one sheet per value of a column (e.g. one sheet per object)
+ * Every sheet keeps the header row, so the sheets can be imported on their own
+ * @param {Array} rows - Rows including the header
+ * @param {number} columnIndex - Column to group by
+ * @returns {Array} [{ name, rows }] in first-seen order
+ */
+export function splitRowsBySheet(rows, columnIndex = 0) {
+  const [header, ...dataRows] = rows;
+  const groups = new Map();
+
+  dataRows.forEach(row => {
+    const key = String(row[columnIndex] ?? '') || '(blank)';
+    if (!groups.has(key)) {
+      groups.set(key, [header]);
+    }
+    groups.get(key).push(row);
+  });
+
+  if (groups.size === 0) {
+    return [{ name: 'Sheet1', rows: [header] }];
+  }
+  return [...groups.entries()].map(([name, sheetRows]) => ({ name, rows: sheetRows }));
+}
+
+/**
+ * Turn sheet rows into tab-separated text for the loaders that take pasted Excel data
+ * Tabs and line breaks inside cells become spaces so each row stays one line
+ * @param {Array} rows - Sheet rows
+ * @returns {string} Tab-separated text
+ */
+export function rowsToTSV(rows) {
+  return rows
+    .map(row => row.map(cell => String(cell ?? '').replace(/[\t\r\n]+/g, ' ')).join('\t'))
+    .join('\n');
+}
+
+// ==========================================================================
+// Reading
+// ==========================================================================
+
+function requireJSZip() {
+  if (typeof JSZip === 'undefined') {
+    throw new Error('JSZip library not loaded. Please ensure jszip.min.js is included in your HTML.');
+  }
+}
+
+async function readPart(zip, path) {
+  const file = path ? zip.file(path) : null;
+  return file ? file.async('string') : null;
+}
+
+function parseXml(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Workbook contains invalid XML');
+  }
+  return doc;
+}
+
+// Parts may or may not use a namespace prefix, so elements are matched by local name
+function elements(parent, localName) {
+  return Array.from(parent.getElementsByTagNameNS('*', localName));
+}
+
+function children(parent, localName) {
+  return Array.from(parent.childNodes).filter(node => node.localName === localName);
+}
+
+// Relationship targets are relative to xl/ unless they start with a slash
+function resolveTarget(target) {
+  if (!target) return null;
+  return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+}
+
+// Shared and inline strings are either one <t> or rich text runs (<r><t>); phonetic runs are skipped
+function textContent(node) {
+  const direct = children(node, 't');
+  if (direct.length > 0) {
+    return direct.map(t => t.textContent).join('');
+  }
+  return children(node, 'r')
+    .flatMap(run => children(run, 't'))
+    .map(t => t.textContent)
+    .join('');
+}
+
+/**
+ * Find the cell style indexes whose number format shows a date or time
+ * @returns {Set<number>} cellXfs indexes
+ */
+function readDateStyles(styles) {
+  const customDateFormats = new Set(elements(styles, 'numFmt')
+    .filter(numFmt => isDateFormatCode(numFmt.getAttribute('formatCode') || ''))
+    .map(numFmt => Number(numFmt.getAttribute('numFmtId'))));
+
+  const dateStyles = new Set();
+  const cellXfs = elements(styles, 'cellXfs')[0];
+  if (cellXfs) {
+    children(cellXfs, 'xf').forEach((xf, index) => {
+      const numFmtId = Number(xf.getAttribute('numFmtId') || 0);
+      if (DATE_FORMAT_IDS.has(numFmtId) || customDateFormats.has(numFmtId)) {
+        dateStyles.add(index);
+      }
+    });
+  }
+  return dateStyles;
+}
+
+function isDateFormatCode(formatCode) {
+  const stripped = formatCode
+    .replace(/"[^"]*"/g, '')
+    .replace(/\\./g, '')
+    .replace(/\[[^\]]*\]/g, '');
+  return /[dmyhs]/i.test(stripped);
+}
+
+function readSheetRows(sheet, sharedStrings, dateStyles) {
+  const rows = [];
+
+  elements(sheet, 'row').forEach(rowNode => {
+    const row = [];
+    let nextColumn = 0;
+
+    children(rowNode, 'c').forEach(cell => {
+      const ref = cell.getAttribute('r');
+      const column = ref ? columnIndex(ref) : nextColumn;
+      row[column] = cellValue(cell, sharedStrings, dateStyles);
+      nextColumn = column + 1;
+    });
+
+    // Fill gaps left by cells Excel did not store
+    const values = Array.from(row, value => value ?? '');
+    while (values.length > 0 && values[values.length - 1] === '') {
+      values.pop();
+    }
+    if (values.length > 0) {
+      rows.push(values);
+    }
+  });
+
+  return rows;
+}
+
+function cellValue(cell, sharedStrings, dateStyles) {
+  const type = cell.getAttribute('t') || 'n';
+  const valueNode = children(cell, 'v')[0];
+  const raw = valueNode ? valueNode.textContent : '';
+
+  switch (type) {
+    case 's':
+      return sharedStrings[Number(raw)] ?? '';
+    case 'inlineStr': {
+      const inline = children(cell, 'is')[0];
+      return inline ? textContent(inline) : '';
+    }
+    case 'b':
+      return raw === '1' ? 'TRUE' : 'FALSE';
+    case 'str':
+    case 'e':
+    case 'd':
+      return raw;
+    default: {
+      if (raw === '') return '';
+      const number = Number(raw);
+      if (dateStyles.has(Number(cell.getAttribute('s') || 0)) && Number.isFinite(number)) {
+        return serialToISO(number);
+      }
+      // Excel shows at most 15 significant digits; drop binary float noise the same way
+      return Number.isFinite(number) ? String(parseFloat(number.toPrecision(15))) : raw;
+    }
+  }
+}
+
+/**
+ * Convert an Excel date serial (days since 1899-12-30) to an ISO date, time or date-time
+ */
+function serialToISO(serial) {
+  const date = new Date(Math.round((serial - 25569) * 86400000));
+  const iso = date.toISOString();
+
+  if (Number.isInteger(serial)) return iso.slice(0, 10);
+  if (serial < 1) return iso.slice(11, 19);
+  return iso.slice(0, 19);
+}
+
+function columnIndex(ref) {
+  const letters = ref.match(/^[A-Z]+/i)?.[0].toUpperCase() || 'A';
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+// ==========================================================================
+// Writing
+// ==========================================================================
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+  <fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+  <fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+  <borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+  <cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+  <cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+  <cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+function contentTypesXml(sheetCount) {
+  const sheets = Array.from({ length: sheetCount }, (_, index) =>
+    `  <Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+  ).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+  <Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${sheets}
+</Types>`;
+}
+
+function workbookXml(sheets) {
+  const entries = sheets.map((sheet, index) =>
+    `    <sheet name="${escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+  ).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+  <sheets>
+${entries}
+  </sheets>
+</workbook>`;
+}
+
+function workbookRelsXml(sheetCount) {
+  const sheets = Array.from({ length: sheetCount }, (_, index) =>
+    `  <Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+  ).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sheets}
+  <Relationship Id="rId${sheetCount + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+}
+
+function worksheetXml(rows) {
+  const widths = [];
+  const rowXml = rows.map((row, rowIndex) => {
+    const cells = row.map((value, column) => {
+      const text = String(value ?? '');
+      widths[column] = Math.max(widths[column] || 8, Math.min(text.length + 2, 60));
+      return cellXml(value, `${columnName(column)}${rowIndex + 1}`, rowIndex === 0);
+    }).join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  }).join('\n');
+
+  const cols = widths.length > 0
+    ? `<cols>${widths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+    : '';
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+  <sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+  ${cols}
+  <sheetData>
+${rowXml}
+  </sheetData>
+</worksheet>`;
+}
+
+function cellXml(value, ref, header) {
+  const style = header ? ' s="1"' : '';
+
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+  }
+
+  const text = String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .slice(0, MAX_CELL_LENGTH);
+  return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Make a valid, unique sheet name: at most 31 characters, none of : \ / ? * [ ]
+ */
+function toSheetName(name, usedNames) {
+  const base = String(name || 'Sheet').replace(/[:\\/?*[\]]/g, '_').replace(/^'+|'+$/g, '').trim() || 'Sheet';
+  let candidate = base.slice(0, MAX_SHEET_NAME);
+
+  for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    candidate = base.slice(0, MAX_SHEET_NAME - suffix.length) + suffix;
+  }
+
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -4,6 +4,11 @@
 import ThemeManager from '../background/theme-manager.js';
 import SessionManager from '../background/session-manager.js';
 import ValidationRuleAPI from '../background/validation-rule-api.js';
+import ValidationTestSuites from '../background/validation-test-suites.js';
+import ValidationRuleBypass from '../background/validation-rule-bypass.js';
+import ValidationRuleAnalyzer from '../background/validation-rule-analyzer.js';
+import { initOrgPicker } from '../shared/org-picker.js';
+import { isWorkbookFile, readWorkbook, downloadWorkbook, splitRowsBySheet } from '../shared/xlsx.js';
 
 class ValidationRulesManager {
   constructor() {
@@ -18,6 +23,15 @@ class ValidationRulesManager {
     };
     this.analysis = null;
     this.csvData = null;
+    this.testSheets = null;
+    this.editor = null;
+    this.formulaGlobals = null;
+    this.suites = [];
+    this.suite = null;
+    this.bypasses = [];
+    this.bypassedRuleIds = new Set();
+    this.formulaReport = null;
+    this.session = null; // Org this page works on
   }
 
   async init() {
@@ -32,9 +46,24 @@ class ValidationRulesManager {
     // Load org info
     await this.loadOrgInfo();
 
+    // Org picker - reload rules for the newly selected org
+    await initOrgPicker(document.getElementById('orgSelect'), async (session) => {
+      this.session = session;
+      this.selectedRules.clear();
+      this.analysis = null;
+      this.formulaReport = null;
+      this.formulaGlobals = null;
+      await this.loadOrgInfo();
+      await this.loadValidationRules();
+    });
+
     // Setup event listeners
     this.setupEventListeners();
 
+    // Saved test suites
+    this.suites = await ValidationTestSuites.loadSuites();
+    this.populateSuiteSelect();
+
     // Load validation rules
     await this.loadValidationRules();
 
@@ -73,7 +102,12 @@ class ValidationRulesManager {
 
   async loadOrgInfo() {
     try {
-      const session = await SessionManager.getCurrentSession();
+      // Start on the current org; the org picker replaces it for this page only
+      if (!this.session) {
+        const current = await SessionManager.getCurrentSession();
+        this.session = current && !current.error ? current : null;
+      }
+      const session = this.session;
       if (session && session.instanceUrl) {
         const hostname = new URL(session.instanceUrl).hostname;
         document.getElementById('orgUrl').textContent = hostname;
@@ -134,6 +168,33 @@ class ValidationRulesManager {
     document.getElementById('selectAllRules').addEventListener('change', (e) => this.selectAllRules(e.target.checked));
     document.getElementById('bulkActivateBtn').addEventListener('click', () => this.bulkUpdateStatus(true));
     document.getElementById('bulkDeactivateBtn').addEventListener('click', () => this.bulkUpdateStatus(false));
+    document.getElementById('bulkBypassBtn').addEventListener('click', () => this.openBypassModal());
+
+    // Formula analysis (rendered inside the analysis tab)
+    document.getElementById('analysisContainer').addEventListener('click', (e) => {
+      if (e.target.closest('#runFormulaAnalysisBtn')) {
+        this.runFormulaAnalysis();
+      } else if (e.target.closest('#downloadFormulaReportBtn')) {
+        this.downloadFormulaReport();
+      }
+    });
+
+    // Bypass modal and banner
+    document.getElementById('bypassStartBtn').addEventListener('click', () => this.startBypass());
+    document.getElementById('bypassCancelBtn').addEventListener('click', () => this.hideModal('bypassModal'));
+    document.getElementById('bypassBanner').addEventListener('click', (e) => {
+      const restoreBtn = e.target.closest('[data-bypass-id]');
+      if (restoreBtn) {
+        this.restoreBypass(restoreBtn.dataset.bypassId);
+      }
+    });
+
+    // The service worker restores bypassed rules in the background; keep the banner and statuses current
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[ValidationRuleBypass.STORAGE_KEY]) {
+        this.onBypassesChanged();
+      }
+    });
     document.getElementById('clearSelectionBtn').addEventListener('click', () => this.clearSelection());
 
     // Tabs
@@ -146,12 +207,77 @@ class ValidationRulesManager {
       document.getElementById('csvFileInput').click();
     });
     document.getElementById('csvFileInput').addEventListener('change', (e) => this.handleCsvUpload(e));
+    document.getElementById('testSheetSelect').addEventListener('change', () => this.loadTestSheet());
     document.getElementById('runTestBtn').addEventListener('click', () => this.runTest());
 
+    // Test suites tab
+    document.getElementById('suiteSelect').addEventListener('change', (e) => this.selectSuite(e.target.value));
+    document.getElementById('newSuiteBtn').addEventListener('click', () => this.newSuite());
+    document.getElementById('importSuiteBtn').addEventListener('click', () => {
+      document.getElementById('suiteFileInput').click();
+    });
+    document.getElementById('suiteFileInput').addEventListener('change', (e) => this.importSuite(e));
+    document.getElementById('suiteObject').addEventListener('change', () => {
+      this.collectSuite(false);
+      this.suite.objectName = document.getElementById('suiteObject').value;
+      this.renderSuiteCases();
+    });
+    document.getElementById('addCaseBtn').addEventListener('click', () => {
+      this.collectSuite(false);
+      this.suite.cases.push(ValidationTestSuites.buildCase(`Case ${this.suite.cases.length + 1}`));
+      this.renderSuiteCases();
+    });
+    document.getElementById('suiteCases').addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.case-remove');
+      if (removeBtn) {
+        this.collectSuite(false);
+        this.suite.cases.splice(Number(removeBtn.dataset.index), 1);
+        this.renderSuiteCases();
+      }
+    });
+    document.getElementById('suiteCases').addEventListener('change', (e) => {
+      if (e.target.classList.contains('case-operation')) {
+        e.target.closest('.suite-case').querySelector('.case-record-id').classList.toggle('hidden', e.target.value !== 'update');
+      }
+    });
+    document.getElementById('saveSuiteBtn').addEventListener('click', () => this.saveSuite());
+    document.getElementById('deleteSuiteBtn').addEventListener('click', () => this.deleteSuite());
+    document.getElementById('exportSuiteBtn').addEventListener('click', () => this.exportSuite());
+    document.getElementById('runSuiteBtn').addEventListener('click', () => this.runSuite());
+
     // Modals
     document.getElementById('confirmNoBtn').addEventListener('click', () => this.hideModal('confirmModal'));
     document.getElementById('closeRuleDetailBtn').addEventListener('click', () => this.hideModal('ruleDetailModal'));
 
+    // Rule editor
+    const formulaInput = document.getElementById('editorFormula');
+    formulaInput.addEventListener('input', () => {
+      this.updateFormulaHighlight();
+      this.updateAutocomplete(false);
+    });
+    formulaInput.addEventListener('keydown', (e) => this.handleFormulaKeydown(e));
+    formulaInput.addEventListener('scroll', () => {
+      const highlight = document.getElementById('editorFormulaHighlight');
+      highlight.scrollTop = formulaInput.scrollTop;
+      highlight.scrollLeft = formulaInput.scrollLeft;
+    });
+    formulaInput.addEventListener('blur', () => {
+      // Delay so a click on a suggestion lands before the list closes
+      setTimeout(() => this.hideAutocomplete(), 150);
+    });
+    document.getElementById('editorAutocomplete').addEventListener('mousedown', (e) => {
+      const item = e.target.closest('li[data-index]');
+      if (item) {
+        e.preventDefault();
+        this.acceptSuggestion(Number(item.dataset.index));
+      }
+    });
+    document.getElementById('editorErrorMessage').addEventListener('input', () => this.updateEditorCounts());
+    document.getElementById('editorTestBtn').addEventListener('click', () => this.runEditorTest());
+    document.getElementById('editorSaveBtn').addEventListener('click', () => this.saveRuleEditor());
+    document.getElementById('editorCancelBtn').addEventListener('click', () => this.hideModal('ruleEditorModal'));
+    document.getElementById('closeRuleEditorBtn').addEventListener('click', () => this.hideModal('ruleEditorModal'));
+
     // Close modals on backdrop click
     document.querySelectorAll('.modal').forEach(modal => {
       modal.addEventListener('click', (e) => {
@@ -178,9 +304,9 @@ class ValidationRulesManager {
     try {
       // Load rules and summary in parallel
       const [rules, summary, objects] = await Promise.all([
-        ValidationRuleAPI.getValidationRules(),
-        ValidationRuleAPI.getValidationRuleSummary(),
-        ValidationRuleAPI.getObjectsWithValidationRules()
+        ValidationRuleAPI.getValidationRules({}, this.session),
+        ValidationRuleAPI.getValidationRuleSummary(this.session),
+        ValidationRuleAPI.getObjectsWithValidationRules(this.session)
       ]);
 
       this.rules = rules;
@@ -198,6 +324,9 @@ class ValidationRulesManager {
       // Populate object filter
       this.populateObjectFilter();
 
+      // Bypass badges are part of the rule cards
+      await this.loadBypasses();
+
       // Apply filters and render
       this.applyFilters();
 
@@ -318,6 +447,10 @@ class ValidationRulesManager {
     container.querySelectorAll('.rule-action-btn[data-action="toggle"]').forEach(btn => {
       btn.addEventListener('click', () => this.toggleRuleStatus(btn.dataset.id));
     });
+
+    container.querySelectorAll('.rule-action-btn[data-action="edit"]').forEach(btn => {
+      btn.addEventListener('click', () => this.openRuleEditor(btn.dataset.id));
+    });
   }
 
   renderRuleCard(rule) {
@@ -336,6 +469,7 @@ class ValidationRulesManager {
               <h3>
                 ${this.escapeHtml(formatted.name)}
                 ${formatted.isManaged ? '<span class="status-badge status-managed">Managed</span>' : ''}
+                ${this.bypassedRuleIds.has(rule.Id) ? '<span class="status-badge status-bypassed">Bypassed</span>' : ''}
               </h3>
               <div class="rule-meta">
                 ${this.escapeHtml(formatted.objectLabel)} (${this.escapeHtml(formatted.object)}) &bull;
@@ -354,6 +488,11 @@ class ValidationRulesManager {
             <button class="rule-action-btn" data-action="view" data-id="${rule.Id}" title="View Details">
               <span class="material-symbols-rounded">visibility</span>
             </button>
+            ${formatted.isManaged ? '' : `
+              <button class="rule-action-btn" data-action="edit" data-id="${rule.Id}" title="Edit Rule">
+                <span class="material-symbols-rounded">edit</span>
+              </button>
+            `}
             <button class="rule-action-btn" data-action="toggle" data-id="${rule.Id}" title="${formatted.active ? 'Deactivate' : 'Activate'}">
               <span class="material-symbols-rounded">${formatted.active ? 'toggle_off' : 'toggle_on'}</span>
             </button>
@@ -455,22 +594,10 @@ class ValidationRulesManager {
     }
 
     try {
-      await ValidationRuleAPI.updateValidationRuleStatus(ruleId, newStatus);
+      await ValidationRuleAPI.updateValidationRuleStatus(ruleId, newStatus, this.session);
       rule.Active = newStatus;
       this.applyFilters();
-
-      // Update summary
-      if (newStatus) {
-        document.getElementById('activeCount').textContent =
-          parseInt(document.getElementById('activeCount').textContent) + 1;
-        document.getElementById('inactiveCount').textContent =
-          parseInt(document.getElementById('inactiveCount').textContent) - 1;
-      } else {
-        document.getElementById('activeCount').textContent =
-          parseInt(document.getElementById('activeCount').textContent) - 1;
-        document.getElementById('inactiveCount').textContent =
-          parseInt(document.getElementById('inactiveCount').textContent) + 1;
-      }
+      this.updateStatusCounts(newStatus);
 
       console.log('[ValidationRulesManager] Rule status updated:', ruleId, newStatus);
     } catch (error) {
@@ -479,6 +606,19 @@ class ValidationRulesManager {
     }
   }
 
+  /**
+   * Move one rule between the active and inactive summary counts
+   * @param {boolean} nowActive - Status the rule was changed to
+   */
+  updateStatusCounts(nowActive) {
+    const activeCount = document.getElementById('activeCount');
+    const inactiveCount = document.getElementById('inactiveCount');
+    const delta = nowActive ? 1 : -1;
+
+    activeCount.textContent = parseInt(activeCount.textContent) + delta;
+    inactiveCount.textContent = parseInt(inactiveCount.textContent) - delta;
+  }
+
   async bulkUpdateStatus(active) {
     if (this.selectedRules.size === 0) return;
 
@@ -495,7 +635,7 @@ class ValidationRulesManager {
 
     try {
       const updates = Array.from(this.selectedRules).map(id => ({ id, active }));
-      const results = await ValidationRuleAPI.bulkUpdateValidationRuleStatus(updates);
+      const results = await ValidationRuleAPI.bulkUpdateValidationRuleStatus(updates, this.session);
 
       // Update local state
       results.success.forEach(id => {
@@ -535,7 +675,7 @@ class ValidationRulesManager {
 
     try {
       // Fetch the full rule with Metadata
-      const fullRule = await ValidationRuleAPI.getValidationRule(ruleId);
+      const fullRule = await ValidationRuleAPI.getValidationRule(ruleId, this.session);
       const formatted = ValidationRuleAPI.formatRule(fullRule);
 
       document.getElementById('ruleDetailTitle').textContent = this.escapeHtml(formatted.name);
@@ -598,7 +738,21 @@ class ValidationRulesManager {
           <p>${this.escapeHtml(formatted.fieldsReferenced.join(', '))}</p>
         </div>
       ` : ''}
+
+      ${formatted.isManaged ? '' : `
+        <div class="modal-actions">
+          <button id="editRuleFromDetailBtn" class="btn btn-primary">
+            <span class="material-symbols-rounded">edit</span>
+            Edit Rule
+          </button>
+        </div>
+      `}
     `;
+
+      document.getElementById('editRuleFromDetailBtn')?.addEventListener('click', () => {
+        this.hideModal('ruleDetailModal');
+        this.openRuleEditor(ruleId);
+      });
     } catch (error) {
       console.error('[ValidationRulesManager] Error loading rule details:', error);
       document.getElementById('ruleDetailContent').innerHTML = `
@@ -610,6 +764,358 @@ class ValidationRulesManager {
     }
   }
 
+  // ==========================================
+  // RULE EDITOR
+  // ==========================================
+
+  async openRuleEditor(ruleId) {
+    const modal = document.getElementById('ruleEditorModal');
+    const status = document.getElementById('editorStatus');
+    const saveBtn = document.getElementById('editorSaveBtn');
+
+    document.getElementById('ruleEditorTitle').textContent = 'Loading...';
+    document.getElementById('editorTestResults').classList.add('hidden');
+    this.hideAutocomplete();
+    this.showEditorStatus('Loading rule and object fields...', 'info');
+    saveBtn.disabled = true;
+    modal.classList.remove('hidden');
+
+    try {
+      const fullRule = await ValidationRuleAPI.getValidationRule(ruleId, this.session);
+      const formatted = ValidationRuleAPI.formatRule(fullRule);
+      const objectName = fullRule.FullName ? fullRule.FullName.split('.')[0] : formatted.object;
+
+      if (formatted.isManaged) {
+        throw new Error('Validation rules installed by a managed package cannot be edited');
+      }
+
+      // The editor works without a describe; only autocomplete and the error location list need it
+      let fields = [];
+      try {
+        fields = await ValidationRuleAPI.getObjectFields(objectName, this.session);
+      } catch (error) {
+        console.warn('[ValidationRulesManager] Could not load fields for', objectName, error);
+      }
+
+      this.editor = {
+        ruleId,
+        objectName,
+        fields,
+        relatedFields: new Map(),
+        suggestions: [],
+        activeSuggestion: 0
+      };
+
+      document.getElementById('ruleEditorTitle').textContent = `Edit ${formatted.name} (${objectName})`;
+      document.getElementById('editorActive').checked = !!fullRule.Metadata?.active;
+      document.getElementById('editorFormula').value = formatted.formula;
+      document.getElementById('editorErrorMessage').value = fullRule.Metadata?.errorMessage || formatted.errorMessage;
+      document.getElementById('editorDescription').value = fullRule.Metadata?.description || formatted.description;
+
+      const errorField = fullRule.Metadata?.errorDisplayField || formatted.errorField;
+      const errorFieldSelect = document.getElementById('editorErrorField');
+      errorFieldSelect.innerHTML = '<option value="">Top of Page</option>' + fields
+        .filter(field => field.type !== 'id')
+        .map(field => `<option value="${this.escapeHtml(field.name)}">${this.escapeHtml(field.label)} (${this.escapeHtml(field.name)})</option>`)
+        .join('');
+      if (errorField && !fields.some(field => field.name === errorField)) {
+        errorFieldSelect.insertAdjacentHTML('beforeend', `<option value="${this.escapeHtml(errorField)}">${this.escapeHtml(errorField)}</option>`);
+      }
+      errorFieldSelect.value = errorField || '';
+
+      // Start the sample rows with a header of the fields the formula already uses
+      document.getElementById('editorSampleRows').value = formatted.fieldsReferenced.length > 0
+        ? formatted.fieldsReferenced.join(',') + '\n'
+        : '';
+
+      this.updateFormulaHighlight();
+      this.updateEditorCounts();
+      status.classList.add('hidden');
+      saveBtn.disabled = false;
+      document.getElementById('editorFormula').focus();
+    } catch (error) {
+      console.error('[ValidationRulesManager] Error opening rule editor:', error);
+      document.getElementById('ruleEditorTitle').textContent = 'Edit Rule';
+      this.showEditorStatus(`Error loading rule: ${error.message}`, 'error');
+      this.editor = null;
+    }
+  }
+
+  updateFormulaHighlight() {
+    const formula = document.getElementById('editorFormula').value;
+
+    // A trailing newline keeps the overlay as tall as the textarea when the formula ends with one
+    document.getElementById('editorFormulaHighlight').innerHTML = ValidationRuleAPI.tokenizeFormula(formula)
+      .map(token => token.type === 'whitespace' || token.type === 'other'
+        ? this.escapeHtml(token.text)
+        : `<span class="tok-${token.type}">${this.escapeHtml(token.text)}</span>`)
+      .join('') + '\n';
+
+    this.updateEditorCounts();
+  }
+
+  updateEditorCounts() {
+    const formulaLength = document.getElementById('editorFormula').value.length;
+    const messageLength = document.getElementById('editorErrorMessage').value.length;
+    const formulaCount = document.getElementById('editorFormulaCount');
+    const messageCount = document.getElementById('editorErrorMessageCount');
+
+    formulaCount.textContent = `${formulaLength} / ${ValidationRuleAPI.MAX_FORMULA_LENGTH}`;
+    formulaCount.classList.toggle('over-limit', formulaLength > ValidationRuleAPI.MAX_FORMULA_LENGTH);
+    messageCount.textContent = `${messageLength} / ${ValidationRuleAPI.MAX_ERROR_MESSAGE_LENGTH}`;
+  }
+
+  handleFormulaKeydown(e) {
+    const list = document.getElementById('editorAutocomplete');
+
+    if (e.key === ' ' && e.ctrlKey) {
+      e.preventDefault();
+      this.updateAutocomplete(true);
+      return;
+    }
+
+    if (list.classList.contains('hidden') || !this.editor) return;
+
+    const count = this.editor.suggestions.length;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      this.editor.activeSuggestion = (this.editor.activeSuggestion + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+      this.renderAutocomplete();
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      this.acceptSuggestion(this.editor.activeSuggestion);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      this.hideAutocomplete();
+    }
+  }
+
+  /**
+   * Find the identifier being typed (e.g. Account.Na) before the cursor
+   * @returns {object} { start, text }
+   */
+  getFormulaWord() {
+    const input = document.getElementById('editorFormula');
+    const before = input.value.slice(0, input.selectionStart);
+    const match = before.match(/[A-Za-z0-9_.$]*$/);
+    return { start: before.length - match[0].length, text: match[0] };
+  }
+
+  /**
+   * Suggest fields, relationships and functions for the word before the cursor
+   * @param {boolean} force - Show suggestions even when nothing has been typed (Ctrl+Space)
+   */
+  async updateAutocomplete(force) {
+    if (!this.editor) return;
+
+    const word = this.getFormulaWord();
+    if ((!word.text && !force) || word.text.startsWith('$')) {
+      this.hideAutocomplete();
+      return;
+    }
+
+    const segments = word.text.split('.');
+    const partial = segments.pop().toLowerCase();
+    let suggestions = [];
+
+    if (segments.length === 0) {
+      suggestions = [
+        ...this.editor.fields.map(field => ({ text: field.name, label: field.label, kind: 'field' })),
+        ...this.editor.fields
+          .filter(field => field.relationshipName && field.referenceTo.length > 0)
+          .map(field => ({ text: `${field.relationshipName}.`, label: field.referenceTo[0], kind: 'relationship' })),
+        ...ValidationRuleAPI.FORMULA_FUNCTIONS.map(name => ({ text: `${name}(`, label: 'Function', kind: 'function' }))
+      ];
+    } else if (segments.length === 1) {
+      // One level of relationship fields, e.g. Account.Industry
+      const fields = await this.getRelatedFields(segments[0]);
+      suggestions = fields.map(field => ({ text: field.name, label: field.label, kind: 'field' }));
+    }
+
+    // The cursor may have moved while related fields were loading
+    if (this.getFormulaWord().text !== word.text) return;
+
+    this.editor.suggestions = suggestions
+      .filter(suggestion => suggestion.text.toLowerCase().startsWith(partial))
+      .slice(0, 20);
+    this.editor.activeSuggestion = 0;
+
+    if (this.editor.suggestions.length === 0 ||
+        (this.editor.suggestions.length === 1 && this.editor.suggestions[0].text.toLowerCase() === partial)) {
+      this.hideAutocomplete();
+      return;
+    }
+
+    this.renderAutocomplete();
+  }
+
+  async getRelatedFields(relationshipName) {
+    const lookup = this.editor.fields.find(field =>
+      field.relationshipName && field.relationshipName.toLowerCase() === relationshipName.toLowerCase());
+    if (!lookup || lookup.referenceTo.length === 0) return [];
+
+    const target = lookup.referenceTo[0];
+    if (!this.editor.relatedFields.has(target)) {
+      try {
+        this.editor.relatedFields.set(target, await ValidationRuleAPI.getObjectFields(target, this.session));
+      } catch (error) {
+        console.warn('[ValidationRulesManager] Could not load fields for', target, error);
+        this.editor.relatedFields.set(target, []);
+      }
+    }
+    return this.editor.relatedFields.get(target);
+  }
+
+  renderAutocomplete() {
+    const list = document.getElementById('editorAutocomplete');
+
+    list.innerHTML = this.editor.suggestions.map((suggestion, index) => `
+      <li data-index="${index}" class="${index === this.editor.activeSuggestion ? 'active' : ''}">
+        <span class="suggestion-text tok-${suggestion.kind === 'function' ? 'function' : 'field'}">${this.escapeHtml(suggestion.text)}</span>
+        <span class="suggestion-label">${this.escapeHtml(suggestion.label)}</span>
+      </li>
+    `).join('');
+    list.classList.remove('hidden');
+
+    list.querySelector('li.active')?.scrollIntoView({ block: 'nearest' });
+  }
+
+  hideAutocomplete() {
+    document.getElementById('editorAutocomplete').classList.add('hidden');
+    if (this.editor) {
+      this.editor.suggestions = [];
+    }
+  }
+
+  acceptSuggestion(index) {
+    const suggestion = this.editor?.suggestions[index];
+    if (!suggestion) return;
+
+    const input = document.getElementById('editorFormula');
+    const word = this.getFormulaWord();
+    // Only the segment after the last dot is replaced
+    const start = word.start + word.text.lastIndexOf('.') + 1;
+    const end = input.selectionStart;
+
+    input.value = input.value.slice(0, start) + suggestion.text + input.value.slice(end);
+    input.selectionStart = input.selectionEnd = start + suggestion.text.length;
+    input.focus();
+
+    this.hideAutocomplete();
+    this.updateFormulaHighlight();
+
+    // Picking a relationship goes straight on to its fields
+    if (suggestion.kind === 'relationship') {
+      this.updateAutocomplete(true);
+    }
+  }
+
+  /**
+   * Run testFormula on each sample row and show the results
+   * @returns {Promise<Array>} Results ({ recordIndex, tested, fires, values, warnings, error, code })
+   */
+  async runEditorTest() {
+    const formula = document.getElementById('editorFormula').value.trim();
+    const records = this.parseCSV(document.getElementById('editorSampleRows').value);
+    const container = document.getElementById('editorTestResults');
+
+    const options = {
+      fieldTypes: Object.fromEntries(this.editor.fields.map(field => [field.name, field.type])),
+      globals: records.length > 0 ? await this.loadFormulaGlobals() : {}
+    };
+
+    const results = records.map((record, index) => ({
+      recordIndex: index + 1,
+      ...ValidationRuleAPI.testFormula(formula, record, options)
+    }));
+
+    container.classList.remove('hidden');
+    container.innerHTML = results.length === 0
+      ? '<p class="test-description">Add a header row and at least one sample row to test the formula.</p>'
+      : results.map(result => this.renderTestResult(result, `Row ${result.recordIndex}`)).join('');
+
+    return results;
+  }
+
+  async saveRuleEditor() {
+    if (!this.editor) return;
+
+    const changes = {
+      errorConditionFormula: document.getElementById('editorFormula').value,
+      errorMessage: document.getElementById('editorErrorMessage').value,
+      errorDisplayField: document.getElementById('editorErrorField').value,
+      description: document.getElementById('editorDescription').value,
+      active: document.getElementById('editorActive').checked
+    };
+
+    const errors = ValidationRuleAPI.validateRuleChanges(changes);
+    if (errors.length > 0) {
+      this.showEditorStatus(errors.join('\n'), 'error');
+      return;
+    }
+
+    // The sample rows are tested before anything is deployed; functions only Salesforce can evaluate do not block it
+    const results = await this.runEditorTest();
+    const failed = results.filter(result => !result.tested && result.code !== 'UNSUPPORTED_FUNCTION');
+    if (failed.length > 0) {
+      this.showEditorStatus(`Formula failed on ${failed.length} sample row${failed.length > 1 ? 's' : ''}; fix it before deploying`, 'error');
+      return;
+    }
+
+    const rule = this.rules.find(r => r.Id === this.editor.ruleId);
+    const ruleName = rule?.ValidationName || this.editor.ruleId;
+    const tested = results.filter(result => result.tested);
+    const fired = tested.filter(result => result.fires).length;
+    let message = `Deploy "${ruleName}" to the org?`;
+    if (results.length === 0) {
+      message = `No sample rows were tested. ${message}`;
+    } else if (tested.length < results.length) {
+      message = `The formula uses functions that can only be tested in Salesforce, so the sample rows were not evaluated. ${message}`;
+    } else {
+      message = `The rule fires on ${fired} of ${tested.length} sample row${tested.length > 1 ? 's' : ''}. ${message}`;
+    }
+    const confirmed = await this.showConfirmModal('Deploy Rule', message);
+    if (!confirmed) return;
+
+    const saveBtn = document.getElementById('editorSaveBtn');
+    saveBtn.disabled = true;
+    this.showEditorStatus('Deploying...', 'info');
+
+    try {
+      const result = await ValidationRuleAPI.updateValidationRule(this.editor.ruleId, changes, this.session);
+
+      if (rule) {
+        const wasActive = rule.Active;
+        rule.Active = result.after.active;
+        rule.ErrorMessage = result.after.errorMessage;
+        rule.ErrorDisplayField = result.after.errorDisplayField;
+        rule.Description = result.after.description;
+        rule.Metadata = { ...rule.Metadata, ...result.after };
+
+        if (wasActive !== rule.Active) {
+          this.updateStatusCounts(rule.Active);
+        }
+        this.applyFilters();
+        this.loadAnalysis();
+      }
+
+      console.log('[ValidationRulesManager] Rule deployed:', this.editor.ruleId);
+      this.hideModal('ruleEditorModal');
+    } catch (error) {
+      console.error('[ValidationRulesManager] Error deploying rule:', error);
+      this.showEditorStatus(`Deploy failed: ${error.message}`, 'error');
+    } finally {
+      saveBtn.disabled = false;
+    }
+  }
+
+  showEditorStatus(message, type) {
+    const status = document.getElementById('editorStatus');
+    status.textContent = message;
+    status.className = `editor-status ${type}`;
+  }
+
   async loadAnalysis() {
     if (this.rules.length === 0) return;
 
@@ -688,9 +1194,107 @@ class ValidationRulesManager {
           </tbody>
         </table>
       </div>
+
+      <div class="analysis-card">
+        <h4>
+          <span class="material-symbols-rounded">manage_search</span>
+          Formula Analysis
+        </h4>
+        <p class="test-description">
+          Reads every formula and page layout to find references to deleted or hidden fields, duplicate or overlapping
+          conditions, rules that always or never fire, and error fields that are not on any layout.
+        </p>
+        <div class="test-controls">
+          <div class="setting-item">
+            <label for="formulaAnalysisObject">Object:</label>
+            <select id="formulaAnalysisObject">
+              <option value="">All objects</option>
+              ${this.objects.map(obj => `<option value="${this.escapeHtml(obj.apiName)}">${this.escapeHtml(obj.label)} (${obj.ruleCount})</option>`).join('')}
+            </select>
+          </div>
+          <button id="runFormulaAnalysisBtn" class="btn btn-primary">
+            <span class="material-symbols-rounded">play_arrow</span>
+            Analyze Formulas
+          </button>
+          <button id="downloadFormulaReportBtn" class="btn btn-secondary" ${this.formulaReport ? '' : 'disabled'}>
+            <span class="material-symbols-rounded">download</span>
+            Download Report
+          </button>
+        </div>
+        <div id="formulaAnalysisStatus" class="editor-status hidden"></div>
+        <div id="formulaAnalysisResults">${this.formulaReport ? this.renderFormulaReport(this.formulaReport) : ''}</div>
+      </div>
+    `;
+  }
+
+  async runFormulaAnalysis() {
+    const objectName = document.getElementById('formulaAnalysisObject').value;
+    const rules = this.rules.filter(rule => !objectName || rule.ObjectApiName === objectName);
+    const runBtn = document.getElementById('runFormulaAnalysisBtn');
+    const status = document.getElementById('formulaAnalysisStatus');
+
+    if (rules.length === 0) return;
+
+    runBtn.disabled = true;
+    status.className = 'editor-status info';
+    status.textContent = 'Reading formulas...';
+
+    try {
+      this.formulaReport = await ValidationRuleAPI.analyzeFormulas(rules, (message) => {
+        status.textContent = message;
+      }, this.session);
+
+      const { error, warning, info } = this.formulaReport.counts;
+      status.textContent = `${this.formulaReport.objects.length} object(s) analyzed: ${error} errors, ${warning} warnings, ${info} notes`;
+      document.getElementById('formulaAnalysisResults').innerHTML = this.renderFormulaReport(this.formulaReport);
+      document.getElementById('downloadFormulaReportBtn').disabled = false;
+    } catch (error) {
+      console.error('[ValidationRulesManager] Error analyzing formulas:', error);
+      status.className = 'editor-status error';
+      status.textContent = `Error analyzing formulas: ${error.message}`;
+    } finally {
+      runBtn.disabled = false;
+    }
+  }
+
+  renderFormulaReport(report) {
+    const icons = { error: 'error', warning: 'warning', info: 'info' };
+    const withIssues = report.objects.filter(object => object.issues.length > 0);
+    const clean = report.objects.filter(object => object.issues.length === 0);
+
+    return `
+      ${withIssues.map(object => `
+        <div class="formula-report">
+          <h5>
+            ${this.escapeHtml(object.objectName)}
+            <small>${object.ruleCount} rules &bull; ${object.counts.error} errors, ${object.counts.warning} warnings, ${object.counts.info} notes</small>
+          </h5>
+          <ul class="formula-issues">
+            ${object.issues.map(issue => `
+              <li class="formula-issue ${issue.severity}">
+                <span class="material-symbols-rounded">${icons[issue.severity]}</span>
+                <div>
+                  <strong>${this.escapeHtml(issue.ruleName)}</strong>${issue.active ? '' : ' (inactive)'} &mdash;
+                  ${this.escapeHtml(ValidationRuleAnalyzer.ISSUE_LABELS[issue.type] || issue.type)}:
+                  ${this.escapeHtml(issue.message)}
+                </div>
+              </li>
+            `).join('')}
+          </ul>
+        </div>
+      `).join('')}
+      ${clean.length > 0 ? `<p class="test-description">No issues found on ${clean.map(object => this.escapeHtml(object.objectName)).join(', ')}.</p>` : ''}
     `;
   }
 
+  async downloadFormulaReport() {
+    if (!this.formulaReport) return;
+
+    // One sheet per object
+    const rows = ValidationRuleAnalyzer.toRows(this.formulaReport.objects);
+    await downloadWorkbook(splitRowsBySheet(rows, 0), 'validation-rule-analysis.xlsx');
+  }
+
   switchTab(tabId) {
     // Update tab buttons
     document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -726,6 +1330,13 @@ class ValidationRulesManager {
     // Fetching Metadata for each rule would be too slow for large exports
     // due to Salesforce API limitation (one rule at a time)
 
+    if (format === 'xlsx') {
+      await downloadWorkbook(splitRowsBySheet(ValidationRuleAPI.toRows(rulesToExport), 0), 'validation-rules.xlsx');
+      this.toggleExportPanel();
+      console.log('[ValidationRulesManager] Exported', rulesToExport.length, 'rules as', format);
+      return;
+    }
+
     let content, filename, mimeType;
 
     if (format === 'csv') {
@@ -751,12 +1362,36 @@ class ValidationRulesManager {
     console.log('[ValidationRulesManager] Exported', rulesToExport.length, 'rules as', format);
   }
 
-  handleCsvUpload(event) {
+  async handleCsvUpload(event) {
     const file = event.target.files[0];
     if (!file) return;
 
     document.getElementById('fileName').textContent = file.name;
 
+    const sheetSelect = document.getElementById('testSheetSelect');
+    this.testSheets = null;
+    sheetSelect.classList.add('hidden');
+
+    if (isWorkbookFile(file)) {
+      try {
+        this.testSheets = await readWorkbook(file);
+        if (this.testSheets.length === 0) {
+          throw new Error('Workbook has no sheets');
+        }
+
+        // Test data for several objects can live on separate sheets; one sheet is tested at a time
+        sheetSelect.innerHTML = this.testSheets
+          .map((sheet, index) => `<option value="${index}">${this.escapeHtml(sheet.name)}</option>`)
+          .join('');
+        sheetSelect.classList.toggle('hidden', this.testSheets.length < 2);
+        this.loadTestSheet();
+      } catch (error) {
+        console.error('[ValidationRulesManager] Error reading workbook:', error);
+        alert(`Error reading file: ${error.message}`);
+      }
+      return;
+    }
+
     const reader = new FileReader();
     reader.onload = (e) => {
       this.csvData = this.parseCSV(e.target.result);
@@ -766,15 +1401,38 @@ class ValidationRulesManager {
     reader.readAsText(file);
   }
 
+  loadTestSheet() {
+    const sheet = this.testSheets[Number(document.getElementById('testSheetSelect').value) || 0];
+    this.csvData = this.rowsToRecords(sheet.rows);
+
+    // A sheet named after an object selects that object for the test
+    const objectOption = Array.from(document.getElementById('testObject').options).find(option => option.value === sheet.name);
+    if (objectOption) {
+      document.getElementById('testObject').value = objectOption.value;
+    }
+
+    document.getElementById('runTestBtn').disabled = this.csvData.length === 0;
+    console.log('[ValidationRulesManager] Sheet', sheet.name, 'loaded with', this.csvData.length, 'records');
+  }
+
   parseCSV(content) {
     const lines = content.split('\n').filter(line => line.trim());
-    if (lines.length < 2) return [];
+    return this.rowsToRecords(lines.map(line => this.parseCSVLine(line)));
+  }
+
+  /**
+   * Turn rows (header first) into records keyed by header
+   * @param {Array} rows - CSV or sheet rows
+   * @returns {Array} Records
+   */
+  rowsToRecords(rows) {
+    if (rows.length < 2) return [];
 
-    const headers = this.parseCSVLine(lines[0]);
+    const headers = rows[0].map(header => String(header).trim());
     const records = [];
 
-    for (let i = 1; i < lines.length; i++) {
-      const values = this.parseCSVLine(lines[i]);
+    for (let i = 1; i < rows.length; i++) {
+      const values = rows[i];
       const record = {};
       headers.forEach((header, index) => {
         record[header] = values[index] || '';
@@ -812,7 +1470,7 @@ class ValidationRulesManager {
     return values;
   }
 
-  runTest() {
+  async runTest() {
     const objectName = document.getElementById('testObject').value;
     if (!objectName || !this.csvData || this.csvData.length === 0) {
       alert('Please select an object and upload a CSV file');
@@ -821,7 +1479,7 @@ class ValidationRulesManager {
 
     // Get active rules for the selected object
     const rulesForObject = this.rules.filter(r =>
-      r.EntityDefinition?.QualifiedApiName === objectName && r.Active
+      (r.ObjectApiName || r.EntityDefinition?.QualifiedApiName) === objectName && r.Active
     );
 
     if (rulesForObject.length === 0) {
@@ -829,47 +1487,574 @@ class ValidationRulesManager {
       return;
     }
 
-    // Test each record against each rule
-    const results = [];
+    const runBtn = document.getElementById('runTestBtn');
+    runBtn.disabled = true;
+
+    try {
+      // The rule list has no formulas; each rule's Metadata is read once and kept on the rule
+      for (const rule of rulesForObject) {
+        if (!rule.Metadata) {
+          const fullRule = await ValidationRuleAPI.getValidationRule(rule.Id, this.session);
+          rule.Metadata = fullRule.Metadata;
+        }
+      }
+
+      const [fields, globals] = await Promise.all([
+        ValidationRuleAPI.getObjectFields(objectName, this.session).catch(error => {
+          console.warn('[ValidationRulesManager] Could not load field types for', objectName, error);
+          return [];
+        }),
+        this.loadFormulaGlobals()
+      ]);
+      const options = {
+        fieldTypes: Object.fromEntries(fields.map(field => [field.name, field.type])),
+        globals
+      };
 
-    this.csvData.forEach((record, index) => {
-      rulesForObject.forEach(rule => {
-        const testResult = ValidationRuleAPI.testFormula(rule.ErrorConditionFormula, record);
-        results.push({
-          recordIndex: index + 1,
-          ruleName: rule.ValidationName,
-          ...testResult
+      // Test each record against each rule
+      const results = [];
+
+      this.csvData.forEach((record, index) => {
+        rulesForObject.forEach(rule => {
+          const testResult = ValidationRuleAPI.testFormula(rule.Metadata?.errorConditionFormula || '', record, options);
+          results.push({
+            recordIndex: index + 1,
+            ruleName: rule.ValidationName,
+            ...testResult
+          });
         });
       });
-    });
 
-    // Display results
-    this.displayTestResults(results);
+      // Display results
+      this.displayTestResults(results, rulesForObject.length);
+    } catch (error) {
+      console.error('[ValidationRulesManager] Error running test:', error);
+      alert(`Error running test: ${error.message}`);
+    } finally {
+      runBtn.disabled = false;
+    }
   }
 
-  displayTestResults(results) {
+  displayTestResults(results, ruleCount) {
     const container = document.getElementById('testResults');
     const content = document.getElementById('testResultsContent');
+    const fired = results.filter(result => result.fires);
+    const errors = results.filter(result => !result.tested);
+    const rejectedRecords = new Set(fired.map(result => result.recordIndex));
 
     container.classList.remove('hidden');
 
+    // Rules that fire and rules that could not be evaluated are listed first
+    const sorted = [...fired, ...errors, ...results.filter(result => result.tested && !result.fires)];
+
     content.innerHTML = `
-      <p>Tested ${this.csvData.length} records against ${results.length / this.csvData.length} rules.</p>
-      <p class="test-description">
-        Note: This is a client-side formula analysis. For accurate results,
-        test in a Salesforce sandbox.
-      </p>
-      ${results.slice(0, 50).map(result => `
-        <div class="test-result-item">
-          <strong>Record ${this.escapeHtml(result.recordIndex)}:</strong> ${this.escapeHtml(result.ruleName)}
-          <br>
-          <small>Fields used: ${this.escapeHtml(result.fieldsUsed?.join(', ')) || 'None detected'}</small>
-        </div>
-      `).join('')}
+      <p>Tested ${this.csvData.length} records against ${ruleCount} rules:
+        ${rejectedRecords.size} record${rejectedRecords.size === 1 ? '' : 's'} would be rejected,
+        ${fired.length} rule failure${fired.length === 1 ? '' : 's'} in total${errors.length > 0 ? `, ${errors.length} could not be evaluated` : ''}.</p>
+      ${sorted.slice(0, 50).map(result =>
+        this.renderTestResult(result, `Record ${result.recordIndex}: ${result.ruleName}`)).join('')}
       ${results.length > 50 ? `<p>...and ${results.length - 50} more results</p>` : ''}
     `;
   }
 
+  /**
+   * Render one testFormula result: fires (record rejected), passes, or could not be evaluated
+   */
+  renderTestResult(result, heading) {
+    if (!result.tested) {
+      return `
+        <div class="test-result-item ${result.code === 'UNSUPPORTED_FUNCTION' ? 'skipped' : 'error'}">
+          <strong>${this.escapeHtml(heading)}</strong> &mdash; ${this.escapeHtml(result.error)}
+        </div>
+      `;
+    }
+
+    const values = Object.entries(result.values || {})
+      .map(([field, value]) => `${field} = ${value === '' ? '(blank)' : value}`)
+      .join(', ');
+
+    return `
+      <div class="test-result-item ${result.fires ? 'fail' : 'pass'}">
+        <strong>${this.escapeHtml(heading)}</strong> &mdash; ${this.escapeHtml(result.message)}
+        ${values ? `<br><small>${this.escapeHtml(values)}</small>` : ''}
+        ${(result.warnings || []).map(warning => `<br><small class="test-warning">${this.escapeHtml(warning)}</small>`).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Read the running user's $User / $Profile / $UserRole values once per org
+   * Tests still run without them; sample rows can supply the values instead
+   */
+  async loadFormulaGlobals() {
+    if (!this.formulaGlobals) {
+      try {
+        this.formulaGlobals = await ValidationRuleAPI.getFormulaGlobals(this.session);
+      } catch (error) {
+        console.warn('[ValidationRulesManager] Could not load user values for formulas:', error);
+        return {};
+      }
+    }
+    return this.formulaGlobals;
+  }
+
+  // ==========================================
+  // BYPASS
+  // ==========================================
+
+  async loadBypasses() {
+    try {
+      const session = this.session;
+      const orgId = session?.orgId || session?.sessionId?.substring(0, 15);
+      this.bypasses = orgId ? await ValidationRuleBypass.getActiveBypasses(orgId) : [];
+    } catch (error) {
+      console.error('[ValidationRulesManager] Error loading bypasses:', error);
+      this.bypasses = [];
+    }
+
+    this.bypassedRuleIds = new Set(this.bypasses.flatMap(bypass => bypass.rules.filter(rule => !rule.restored).map(rule => rule.id)));
+    this.renderBypassBanner();
+  }
+
+  async onBypassesChanged() {
+    const previous = new Set(this.bypasses.filter(bypass => bypass.status === ValidationRuleBypass.STATUS.ACTIVE).map(bypass => bypass.id));
+    const previousRuleIds = this.bypassedRuleIds;
+    await this.loadBypasses();
+
+    // A bypass ended or a retry reactivated rules: reload their statuses
+    const ended = [...previous].some(id => !this.bypasses.some(bypass => bypass.id === id && bypass.status === ValidationRuleBypass.STATUS.ACTIVE)) ||
+      [...previousRuleIds].some(id => !this.bypassedRuleIds.has(id));
+    if (ended) {
+      await this.loadValidationRules();
+    } else {
+      this.applyFilters();
+    }
+  }
+
+  renderBypassBanner() {
+    const banner = document.getElementById('bypassBanner');
+    banner.classList.toggle('hidden', this.bypasses.length === 0);
+
+    banner.innerHTML = this.bypasses.map(bypass => {
+      const failed = bypass.status === ValidationRuleBypass.STATUS.FAILED;
+      const pending = bypass.rules.filter(rule => !rule.restored);
+      const until = new Date(bypass.expiresAt).toLocaleString();
+      const nextRetry = failed && bypass.nextRetryAt ? new Date(bypass.nextRetryAt).toLocaleString() : null;
+
+      return `
+        <div class="bypass-item ${failed ? 'failed' : ''}">
+          <span class="material-symbols-rounded">${failed ? 'error' : 'timer'}</span>
+          <div class="bypass-info">
+            <strong>${failed ? `${pending.length} rule(s) could not be reactivated` : `${pending.length} rule(s) bypassed until ${until}`}</strong>
+            ${bypass.untilMigration && !failed ? ' or the next migration into this org' : ''}
+            <div class="bypass-rules">${pending.map(rule => this.escapeHtml(rule.error ? `${rule.name} (${rule.error})` : rule.name)).join(', ')}</div>
+            ${bypass.lastError && !failed ? `<div class="bypass-rules">${this.escapeHtml(bypass.lastError)}</div>` : ''}
+            ${nextRetry ? `<div class="bypass-rules">Retrying automatically at ${nextRetry}</div>` : ''}
+          </div>
+          <button class="btn btn-success btn-sm" data-bypass-id="${bypass.id}">
+            <span class="material-symbols-rounded">restore</span>
+            ${failed ? 'Retry Restore' : 'Restore Now'}
+          </button>
+        </div>
+      `;
+    }).join('');
+  }
+
+  openBypassModal() {
+    const selected = this.rules.filter(rule => this.selectedRules.has(rule.Id));
+    const active = selected.filter(rule => rule.Active && !this.bypassedRuleIds.has(rule.Id));
+
+    if (active.length === 0) {
+      alert('None of the selected rules are active (or they are already bypassed).');
+      return;
+    }
+
+    const skipped = selected.length - active.length;
+    document.getElementById('bypassSummary').textContent =
+      `Deactivate ${active.length} rule${active.length > 1 ? 's' : ''} for a limited time: ${active.map(rule => rule.ValidationName).join(', ')}.` +
+      (skipped > 0 ? ` ${skipped} selected rule${skipped > 1 ? 's are' : ' is'} inactive or already bypassed and will be left alone.` : '');
+    document.getElementById('bypassStatus').classList.add('hidden');
+    document.getElementById('bypassStartBtn').disabled = false;
+    document.getElementById('bypassModal').classList.remove('hidden');
+  }
+
+  async startBypass() {
+    const startBtn = document.getElementById('bypassStartBtn');
+    const status = document.getElementById('bypassStatus');
+    const rules = this.rules.filter(rule => this.selectedRules.has(rule.Id) && rule.Active && !this.bypassedRuleIds.has(rule.Id));
+
+    startBtn.disabled = true;
+    status.className = 'editor-status info';
+    status.textContent = `Deactivating ${rules.length} rule(s)...`;
+
+    try {
+      // The service worker owns the bypass list, so its writes never race with alarms and retries
+      const response = await chrome.runtime.sendMessage({
+        action: 'START_VALIDATION_BYPASS',
+        session: this.session,
+        rules,
+        options: {
+          durationMinutes: Number(document.getElementById('bypassDuration').value),
+          untilMigration: document.getElementById('bypassUntilMigration').checked
+        }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Could not start the bypass');
+      }
+      const { bypass, errors } = response.data;
+
+      this.hideModal('bypassModal');
+      this.clearSelection();
+      await this.loadValidationRules();
+
+      if (errors.length > 0) {
+        alert(`Bypassed ${bypass.rules.length} rules. These stayed active:\n${errors.map(error => `${error.name}: ${error.error}`).join('\n')}`);
+      }
+    } catch (error) {
+      console.error('[ValidationRulesManager] Error starting bypass:', error);
+      status.className = 'editor-status error';
+      status.textContent = error.message;
+      startBtn.disabled = false;
+    }
+  }
+
+  async restoreBypass(bypassId) {
+    try {
+      // The storage listener reloads the rules once the bypass is marked restored
+      const response = await chrome.runtime.sendMessage({ action: 'RESTORE_VALIDATION_BYPASS', bypassId });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Could not restore the bypass');
+      }
+      const bypass = response.data;
+      if (bypass?.status === ValidationRuleBypass.STATUS.ACTIVE && bypass.lastError) {
+        alert(bypass.lastError);
+      }
+    } catch (error) {
+      console.error('[ValidationRulesManager] Error restoring bypass:', error);
+      alert(`Error restoring rules: ${error.message}`);
+    }
+  }
+
+  // ==========================================
+  // TEST SUITES
+  // ==========================================
+
+  populateSuiteSelect(selectedName = '') {
+    const select = document.getElementById('suiteSelect');
+    select.innerHTML = '<option value="">Choose a suite...</option>' + this.suites.map(suite => `
+      <option value="${this.escapeHtml(suite.name)}">${this.escapeHtml(suite.name)} (${this.escapeHtml(suite.objectName)}, ${suite.cases.length} cases)</option>
+    `).join('');
+    select.value = selectedName;
+  }
+
+  selectSuite(name) {
+    const saved = this.suites.find(suite => suite.name === name);
+    // Edits happen on a copy until the suite is saved
+    this.suite = saved ? structuredClone(saved) : null;
+    this.renderSuite();
+  }
+
+  newSuite() {
+    const objectName = document.getElementById('objectFilter').value || this.objects[0]?.apiName || '';
+    this.suite = ValidationTestSuites.buildSuite('New Suite', objectName);
+    this.suite.cases.push(ValidationTestSuites.buildCase('Case 1'));
+    document.getElementById('suiteSelect').value = '';
+    this.renderSuite();
+    document.getElementById('suiteName').select();
+  }
+
+  renderSuite() {
+    const editor = document.getElementById('suiteEditor');
+    document.getElementById('suiteResults').classList.add('hidden');
+    document.getElementById('suiteStatus').classList.add('hidden');
+
+    if (!this.suite) {
+      editor.classList.add('hidden');
+      return;
+    }
+
+    editor.classList.remove('hidden');
+    document.getElementById('suiteName').value = this.suite.name;
+
+    const objectSelect = document.getElementById('suiteObject');
+    const objects = [...this.objects];
+    // Suites imported from another org may target an object without rules here
+    if (this.suite.objectName && !objects.some(obj => obj.apiName === this.suite.objectName)) {
+      objects.push({ apiName: this.suite.objectName, label: this.suite.objectName });
+    }
+    objectSelect.innerHTML = objects.map(obj =>
+      `<option value="${this.escapeHtml(obj.apiName)}">${this.escapeHtml(obj.label)} (${this.escapeHtml(obj.apiName)})</option>`
+    ).join('');
+    objectSelect.value = this.suite.objectName;
+
+    const lastRun = document.getElementById('suiteLastRun');
+    const run = this.suite.lastRun;
+    lastRun.classList.toggle('hidden', !run);
+    if (run) {
+      lastRun.textContent = `Last run ${new Date(run.runAt).toLocaleString()} in ${run.orgName || 'unknown org'}: ` +
+        `${run.passed} passed, ${run.failed} failed, ${run.errors} errors`;
+    }
+
+    this.renderSuiteCases();
+  }
+
+  renderSuiteCases() {
+    const container = document.getElementById('suiteCases');
+    const rules = this.rules.filter(rule => rule.ObjectApiName === this.suite.objectName);
+
+    if (this.suite.cases.length === 0) {
+      container.innerHTML = '<p class="test-description">No test cases yet. Add a case for each record to check.</p>';
+      return;
+    }
+
+    container.innerHTML = this.suite.cases.map((testCase, index) => {
+      // Expectations for rules this org does not have are kept and shown as well
+      const ruleNames = [...new Set([...rules.map(rule => rule.ValidationName), ...Object.keys(testCase.expectations)])];
+
+      return `
+        <div class="suite-case" data-index="${index}">
+          <div class="suite-case-header">
+            <input type="text" class="case-name" value="${this.escapeHtml(testCase.name)}" title="Case name">
+            <select class="case-operation" title="Operation">
+              <option value="insert" ${testCase.operation === 'insert' ? 'selected' : ''}>Insert</option>
+              <option value="update" ${testCase.operation === 'update' ? 'selected' : ''}>Update</option>
+            </select>
+            <input type="text" class="case-record-id ${testCase.operation === 'update' ? '' : 'hidden'}"
+              value="${this.escapeHtml(testCase.recordId)}" placeholder="Record Id to update">
+            <button class="btn btn-icon case-remove" data-index="${index}" title="Remove case">
+              <span class="material-symbols-rounded">delete</span>
+            </button>
+          </div>
+          <div class="suite-case-body">
+            <div class="editor-field">
+              <label>Record (JSON)</label>
+              <textarea class="case-record" rows="6" spellcheck="false">${this.escapeHtml(JSON.stringify(testCase.record, null, 2))}</textarea>
+            </div>
+            <div class="case-expectations">
+              <label>Expected result per rule</label>
+              ${ruleNames.length === 0 ? '<p class="test-description">No validation rules on this object.</p>' : ruleNames.map(ruleName => {
+                const rule = rules.find(r => r.ValidationName === ruleName);
+                const expected = testCase.expectations[ruleName] || '';
+                return `
+                  <div class="case-expectation">
+                    <span title="${rule ? this.escapeHtml(rule.ErrorMessage) : 'Not found in this org'}">
+                      ${this.escapeHtml(ruleName)}${rule ? (rule.Active ? '' : ' (inactive)') : ' (not in this org)'}
+                    </span>
+                    <select data-rule="${this.escapeHtml(ruleName)}">
+                      <option value="" ${expected === '' ? 'selected' : ''}>Don't check</option>
+                      <option value="fires" ${expected === 'fires' ? 'selected' : ''}>Fires</option>
+                      <option value="passes" ${expected === 'passes' ? 'selected' : ''}>Passes</option>
+                    </select>
+                  </div>
+                `;
+              }).join('')}
+            </div>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Read the suite editor back into this.suite
+   * @param {boolean} strict - Throw on invalid record JSON (when saving or running) instead of keeping the old record
+   */
+  collectSuite(strict = true) {
+    this.suite.name = document.getElementById('suiteName').value.trim();
+    this.suite.objectName = document.getElementById('suiteObject').value;
+
+    document.querySelectorAll('#suiteCases .suite-case').forEach(card => {
+      const testCase = this.suite.cases[Number(card.dataset.index)];
+      testCase.name = card.querySelector('.case-name').value.trim();
+      testCase.operation = card.querySelector('.case-operation').value;
+      testCase.recordId = card.querySelector('.case-record-id').value.trim();
+
+      try {
+        testCase.record = JSON.parse(card.querySelector('.case-record').value || '{}');
+      } catch (error) {
+        if (strict) {
+          throw new Error(`Record of "${testCase.name}" is not valid JSON: ${error.message}`);
+        }
+      }
+
+      testCase.expectations = {};
+      card.querySelectorAll('.case-expectation select').forEach(select => {
+        if (select.value) {
+          testCase.expectations[select.dataset.rule] = select.value;
+        }
+      });
+    });
+
+    if (strict) {
+      if (!this.suite.name) {
+        throw new Error('Give the suite a name');
+      }
+      this.suite.cases = this.suite.cases.map((testCase, index) => ValidationTestSuites.validateCase(testCase, index));
+    }
+  }
+
+  async saveSuite() {
+    if (!this.suite) return;
+
+    try {
+      this.collectSuite();
+
+      const selectedName = document.getElementById('suiteSelect').value;
+      if (this.suite.name !== selectedName && this.suites.some(suite => suite.name === this.suite.name)) {
+        const replace = await this.showConfirmModal('Replace Suite', `A suite named "${this.suite.name}" already exists. Replace it?`);
+        if (!replace) return;
+      }
+
+      this.suites = await ValidationTestSuites.saveSuite(this.suite);
+      this.populateSuiteSelect(this.suite.name);
+      this.showSuiteStatus(`Saved "${this.suite.name}"`, 'info');
+    } catch (error) {
+      console.error('[ValidationRulesManager] Error saving suite:', error);
+      this.showSuiteStatus(error.message, 'error');
+    }
+  }
+
+  async deleteSuite() {
+    const name = document.getElementById('suiteSelect').value;
+    if (!name) {
+      // Never saved; just discard it
+      this.suite = null;
+      this.renderSuite();
+      return;
+    }
+
+    const confirmed = await this.showConfirmModal('Delete Suite', `Delete test suite "${name}"?`);
+    if (!confirmed) return;
+
+    this.suites = await ValidationTestSuites.deleteSuite(name);
+    this.suite = null;
+    this.populateSuiteSelect();
+    this.renderSuite();
+  }
+
+  exportSuite() {
+    try {
+      this.collectSuite();
+    } catch (error) {
+      this.showSuiteStatus(error.message, 'error');
+      return;
+    }
+
+    const blob = new Blob([ValidationTestSuites.exportSuite(this.suite)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `validation-suite-${this.suite.name.replace(/[^a-z0-9_-]+/gi, '-')}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async importSuite(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const suite = ValidationTestSuites.parseSuite(await file.text());
+
+      if (this.suites.some(s => s.name === suite.name)) {
+        const replace = await this.showConfirmModal('Replace Suite', `A suite named "${suite.name}" already exists. Replace it?`);
+        if (!replace) return;
+      }
+
+      this.suites = await ValidationTestSuites.saveSuite(suite);
+      this.populateSuiteSelect(suite.name);
+      this.selectSuite(suite.name);
+      this.showSuiteStatus(`Imported "${suite.name}" with ${suite.cases.length} cases`, 'info');
+    } catch (error) {
+      console.error('[ValidationRulesManager] Error importing suite:', error);
+      alert(`Error importing suite: ${error.message}`);
+    }
+  }
+
+  async runSuite() {
+    if (!this.suite) return;
+
+    try {
+      this.collectSuite();
+    } catch (error) {
+      this.showSuiteStatus(error.message, 'error');
+      return;
+    }
+
+    if (this.suite.cases.length === 0) {
+      this.showSuiteStatus('Add at least one test case', 'error');
+      return;
+    }
+
+    const runBtn = document.getElementById('runSuiteBtn');
+    runBtn.disabled = true;
+
+    try {
+      // Saves are rolled back, but triggers, flows and callouts queued by them still start in the org
+      const org = await ValidationRuleAPI.getOrganizationInfo(this.session);
+      if (!org.isSandbox) {
+        const confirmed = await this.showConfirmModal(
+          'Run in Production?',
+          `${org.name || 'This org'} is not a sandbox. Every save is rolled back, but automation still runs during each test. Run the suite anyway?`
+        );
+        if (!confirmed) return;
+      }
+
+      const run = await ValidationTestSuites.runSuite(this.suite, (done, total, caseName) => {
+        this.showSuiteStatus(caseName ? `Running ${caseName} (${done + 1}/${total})...` : `Ran ${total} cases`, 'info');
+      }, this.session);
+
+      this.displaySuiteResults(run);
+
+      // Keep the outcome with the saved suite so the last run shows next time
+      this.suite.lastRun = ValidationTestSuites.summarizeRun(run);
+      const saved = this.suites.find(suite => suite.name === this.suite.name);
+      if (saved) {
+        this.suites = await ValidationTestSuites.saveSuite({ ...saved, lastRun: this.suite.lastRun });
+        this.populateSuiteSelect(this.suite.name);
+      }
+    } catch (error) {
+      console.error('[ValidationRulesManager] Error running suite:', error);
+      this.showSuiteStatus(`Error running suite: ${error.message}`, 'error');
+    } finally {
+      runBtn.disabled = false;
+    }
+  }
+
+  displaySuiteResults(run) {
+    const container = document.getElementById('suiteResults');
+    const content = document.getElementById('suiteResultsContent');
+    const statusClass = { passed: 'pass', failed: 'fail', error: 'error' };
+
+    container.classList.remove('hidden');
+    this.showSuiteStatus(`${run.passed} passed, ${run.failed} failed, ${run.errors} errors in ${run.orgName || 'the org'}` +
+      (run.isSandbox ? '' : ' (production)'), run.failed + run.errors > 0 ? 'error' : 'info');
+
+    content.innerHTML = run.results.map(result => `
+      <div class="test-result-item ${statusClass[result.status]}">
+        <strong>${this.escapeHtml(result.caseName)}</strong> &mdash; ${result.status}
+        ${result.mismatches.map(mismatch => `<br><small>${this.escapeHtml(mismatch)}</small>`).join('')}
+        ${result.errors.map(error => `<br><small>${this.escapeHtml(error)}</small>`).join('')}
+        ${result.fired.length > 0 ? `
+          <ul class="suite-fired">
+            ${result.fired.map(entry => `
+              <li><strong>${this.escapeHtml(entry.ruleName)}</strong>${entry.ambiguous ? ' (same message as another rule)' : ''}:
+                ${this.escapeHtml(entry.message)}${entry.fields.length > 0 ? ` <small>(${this.escapeHtml(entry.fields.join(', '))})</small>` : ''}</li>
+            `).join('')}
+          </ul>
+        ` : '<br><small>No validation rules fired</small>'}
+        ${result.unmatched.map(entry => `<br><small>Other validation error: ${this.escapeHtml(entry.message)}</small>`).join('')}
+      </div>
+    `).join('');
+  }
+
+  showSuiteStatus(message, type) {
+    const status = document.getElementById('suiteStatus');
+    status.textContent = message;
+    status.className = `editor-status ${type}`;
+  }
+
 
   showConfirmModal(title, message) {
     return new Promise((resolve) => {